@@ -2,6 +2,9 @@
  * Edge data for the WTG graph
  * Each edge represents a relationship between two mathematical concepts
  * Types of relationships: 'depends_on', 'proves', 'generalizes'
+ * Optional fields: 'description' (a short summary of how the target uses the
+ * source) and 'justification' (the argument in more detail); both may contain
+ * LaTeX between $ signs
  */
 const edges = [
     // ZFC and axioms
@@ -36,8 +39,12 @@ const edges = [
     { source: 'real_numbers', target: 'metric_space', type: 'proves' },
     
     // Theorems based on completeness
-    { source: 'completeness', target: 'bolzano_weierstrass', type: 'proves' },
-    { source: 'completeness', target: 'monotone_convergence', type: 'proves' },
+    { source: 'completeness', target: 'bolzano_weierstrass', type: 'proves',
+        description: 'Uses nested intervals',
+        justification: 'Repeatedly halve an interval containing infinitely many terms; by completeness the nested intervals meet in a point $x = \\bigcap_k [a_k, b_k]$, which is the limit of a subsequence' },
+    { source: 'completeness', target: 'monotone_convergence', type: 'proves',
+        description: 'The limit is the supremum',
+        justification: 'A bounded increasing sequence converges to $\\sup_n a_n$, which exists by the least upper bound property' },
     { source: 'completeness', target: 'cauchy_criterion', type: 'proves' },
     { source: 'metric_space', target: 'heine_borel', type: 'proves' },
     { source: 'metric_space', target: 'banach_fixed_point', type: 'proves' },
@@ -49,8 +56,12 @@ const edges = [
     
     // Calculus connections
     { source: 'mean_value', target: 'rolle', type: 'generalizes' },
-    { source: 'differentiation', target: 'mean_value', type: 'depends_on' },
-    { source: 'mean_value', target: 'ftc', type: 'depends_on' },
+    { source: 'differentiation', target: 'mean_value', type: 'depends_on',
+        description: 'Reduces to Rolle\'s theorem',
+        justification: 'Apply Rolle\'s theorem to $g(x) = f(x) - \\frac{f(b) - f(a)}{b - a}(x - a)$' },
+    { source: 'mean_value', target: 'ftc', type: 'depends_on',
+        description: 'Antiderivatives differ by a constant',
+        justification: 'If $F\' = f$ on $[a, b]$, the mean value theorem on each piece of a partition gives $F(b) - F(a) = \\sum_i f(\\xi_i) \\Delta x_i$' },
     { source: 'integration', target: 'ftc', type: 'depends_on' },
     { source: 'differentiation', target: 'taylors_theorem', type: 'proves' },
     { source: 'mean_value', target: 'lhopitals_rule', type: 'proves' },
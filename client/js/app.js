@@ -20,6 +20,19 @@
     let sidebarManager;
     let searchManager;
     let layoutManager;
+    let validationPanel;
+    let graphEditor;
+    let historyPanel;
+    let workspaceManager;
+    let urlStateManager;
+    let pathFinder;
+    let closureView;
+    let learningPath;
+    let levelReport;
+    let boxSelection;
+    let groupActions;
+    let nodeDragger;
+    let filterPanel;
     
     /**
      * Initialize the application
@@ -56,6 +69,9 @@
             sidebarManager
         );
         
+        // Create the validation panel
+        validationPanel = new ValidationPanel(selectionManager, edgeManager);
+        
         // Create the event manager
         eventManager = new EventManager(
             graphManager, 
@@ -72,6 +88,13 @@
             cameraController
         );
         
+        // Create the layout manager and its layout selector
+        layoutManager = new LayoutManager(nodeManager, edgeManager);
+        uiManager.initLayoutControls(layoutManager);
+        
+        // Create the undo history panel
+        historyPanel = new HistoryPanel(uiManager);
+        
         // Create the search manager
         searchManager = new SearchManager(
             graphManager, 
@@ -79,14 +102,87 @@
             selectionManager
         );
         
+        // Create the graph editor (edit mode)
+        graphEditor = new GraphEditor(
+            graphManager,
+            nodeManager,
+            cameraController,
+            selectionManager,
+            sidebarManager,
+            eventManager
+        );
+        
+        // Create the workspace manager (saved views)
+        workspaceManager = new WorkspaceManager(
+            graphManager,
+            nodeManager,
+            forceSimulation,
+            cameraController,
+            selectionManager,
+            uiManager,
+            searchManager,
+            layoutManager
+        );
+        
+        // Create the URL state manager (deep links)
+        urlStateManager = new UrlStateManager(
+            graphManager,
+            cameraController,
+            selectionManager,
+            searchManager,
+            layoutManager,
+            forceSimulation
+        );
+        
+        // Create the path finder
+        pathFinder = new PathFinder(
+            nodeManager,
+            edgeManager,
+            selectionManager,
+            cameraController,
+            sidebarManager,
+            uiManager
+        );
+        
+        // Create the ancestors/descendants view
+        closureView = new ClosureView(
+            nodeManager,
+            edgeManager,
+            selectionManager,
+            sidebarManager
+        );
+        
+        // Create the study plan generator
+        learningPath = new LearningPath(selectionManager, sidebarManager, uiManager);
+        
+        // Create the level check (stored vs. computed hierarchy levels)
+        levelReport = new LevelReport(layoutManager, sidebarManager, uiManager);
+        
+        // Create box/lasso selection and the tools for several selected nodes
+        boxSelection = new BoxSelection(graphManager, nodeManager, selectionManager, eventManager);
+        groupActions = new GroupActions(nodeManager, selectionManager, cameraController, sidebarManager);
+        
+        // Create node dragging (dragged nodes are pinned)
+        nodeDragger = new NodeDragger(graphManager, nodeManager, selectionManager, sidebarManager, eventManager);
+        
+        // Create the filter panel (composes with search)
+        filterPanel = new FilterPanel(nodeManager, edgeManager, forceSimulation, selectionManager, searchManager);
+        
         // Set up references between managers
         graphManager.setManagers(nodeManager, edgeManager, selectionManager, cameraController);
+        graphManager.labelOverlay.setSearchManager(searchManager);
         
-        // Initialize the nodes
-        nodeManager.initNodes(window.nodes || []);
+        // Apply edits to the dataset to the scene
+        window.graphDataSource.onDataEdit(applyDataEdit);
         
-        // Initialize the edges
-        edgeManager.initEdges(window.edges || []);
+        // Rebuild the graph whenever a new dataset is loaded
+        window.graphDataSource.onDataChange(applyDataset);
+        
+        // Load the initial dataset (creates nodes and edges),
+        // then open the view described by the URL hash
+        loadInitialDataset().then(() => {
+            urlStateManager.start();
+        });
         
         // Start the force simulation
         forceSimulation.start();
@@ -99,9 +195,42 @@
             selectionManager.handleKeyNavigation(event);
         });
         
+        // Undo/redo shortcuts
+        eventManager.addKeyPressListener(event => {
+            historyPanel.handleKeyPress(event);
+        });
+        
         // Set initial dimension mode for force simulation
         forceSimulation.setDimensionMode(graphManager.is2DMode);
         
+        // Expose manager instances through the public API
+        Object.assign(window.WTG, {
+            graphManager,
+            nodeManager,
+            edgeManager,
+            forceSimulation,
+            cameraController,
+            selectionManager,
+            eventManager,
+            uiManager,
+            sidebarManager,
+            searchManager,
+            layoutManager,
+            validationPanel,
+            graphEditor,
+            historyPanel,
+            workspaceManager,
+            urlStateManager,
+            pathFinder,
+            closureView,
+            learningPath,
+            levelReport,
+            boxSelection,
+            groupActions,
+            nodeDragger,
+            filterPanel
+        });
+        
         // Log success
         console.log('Where in the Graph application initialized successfully');
         
@@ -109,13 +238,280 @@
         initialized = true;
     }
     
+    /**
+     * Load the initial dataset
+     * Uses the URL given by the "data" query parameter if present,
+     * otherwise the bundled data scripts
+     * @returns {Promise} - Promise resolving when the dataset is loaded
+     */
+    function loadInitialDataset() {
+        const params = new URLSearchParams(window.location.search);
+        const dataUrl = params.get('data');
+        
+        if (!dataUrl) {
+            return window.graphDataSource.loadFromGlobals().catch(handleDataError);
+        }
+        
+        return window.graphDataSource.loadFromUrl(dataUrl).catch(error => {
+            handleDataError(error);
+            
+            // Fall back to the bundled data
+            return window.graphDataSource.loadFromGlobals().catch(handleDataError);
+        });
+    }
+    
+    /**
+     * Report a dataset loading error
+     * @param {Error} error - Loading error
+     */
+    function handleDataError(error) {
+        console.error('Failed to load graph data:', error);
+        if (uiManager) {
+            uiManager.setStatusMessage(`Failed to load graph data: ${error.message}`, 8000);
+        }
+    }
+    
+    /**
+     * Replace the graph contents with a dataset
+     * @param {Object} dataset - Dataset with nodes, edges and theoremDetails
+     * @param {Object} sourceInfo - Description of the data source
+     */
+    function applyDataset(dataset, sourceInfo) {
+        // Remove the previous graph
+        selectionManager.clearSelection();
+        edgeManager.clearEdges();
+        nodeManager.clearNodes();
+        graphManager.originalPositions = {};
+        
+        // Initialize the nodes
+        nodeManager.initNodes(dataset.nodes);
+        
+        // Keep the new nodes flat in 2D mode
+        if (graphManager.is2DMode) {
+            const nodePositions = nodeManager.getNodePositions();
+            for (const id in nodePositions) {
+                graphManager.originalPositions[id] = nodePositions[id].clone();
+            }
+            nodeManager.flattenNodes(1);
+        }
+        
+        // Initialize the edges
+        edgeManager.initEdges(dataset.edges);
+        
+        // Hide or ghost what the filter leaves out of the new graph
+        filterPanel.refresh();
+        
+        // Let the force simulation settle the new graph
+        forceSimulation.reheat();
+        forceSimulation.markSettleStart();
+        
+        // Edits of the previous dataset can no longer be undone
+        window.historyManager.clear();
+        
+        // Report integrity problems in the new dataset
+        validateDataset(false);
+        
+        if (initialized && uiManager && sourceInfo) {
+            uiManager.setStatusMessage(
+                `Loaded ${dataset.nodes.length} nodes and ${dataset.edges.length} edges from ${sourceInfo.name}`,
+                4000
+            );
+        }
+    }
+    
+    /**
+     * Apply an edit of the active dataset to the scene
+     * @param {Object} change - Change description from GraphDataSource
+     */
+    function applyDataEdit(change) {
+        // Record before the scene changes, so removed nodes still have a position
+        recordDataEdit(change);
+        
+        const selectedId = selectionManager.getSelectedNodeId();
+        let affectedIds = [];
+        
+        switch (change.action) {
+            case 'addNode': {
+                const position = change.position || new THREE.Vector3(0, -50 + change.node.level * 20, 0);
+                nodeManager.addNode(change.node, position);
+                affectedIds = [change.node.id];
+                break;
+            }
+            case 'updateNode':
+                nodeManager.refreshNode(change.node);
+                affectedIds = [change.node.id];
+                break;
+            case 'removeNode':
+                if (selectedId === change.node.id) {
+                    selectionManager.clearSelection();
+                } else if (selectionManager.isNodeSelected(change.node.id)) {
+                    selectionManager.removeFromSelection([change.node.id]);
+                }
+                nodeManager.removeNode(change.node.id);
+                break;
+            case 'addEdge':
+                edgeManager.addEdge(change.edge);
+                affectedIds = [change.edge.source, change.edge.target];
+                break;
+            case 'removeEdge':
+                edgeManager.removeEdge(change.edge.source, change.edge.target, change.edge.type);
+                affectedIds = [change.edge.source, change.edge.target];
+                break;
+        }
+        
+        // Keep mesh data (e.g. connection counts) in sync with the dataset
+        affectedIds.forEach(id => {
+            const nodeData = window.graphDataSource.getNode(id);
+            if (nodeData) {
+                nodeManager.syncNodeData(nodeData);
+            }
+        });
+        
+        edgeManager.updateEdgePositions();
+        
+        // Drop a selected edge that was removed
+        const selectedEdge = selectionManager.getSelectedEdge();
+        if (selectedEdge && !edgeManager.getAllEdges().includes(selectedEdge)) {
+            selectionManager.clearSelection();
+        }
+        
+        // Refresh the highlighting and details of the selected node or edge
+        const currentId = selectionManager.getSelectedNodeId();
+        const currentEdge = selectionManager.getSelectedEdge();
+        if (currentId && nodeManager.getNode(currentId)) {
+            edgeManager.highlightConnections(currentId);
+            sidebarManager.showNodeDetails(currentId);
+        } else if (currentEdge) {
+            edgeManager.highlightEdge(currentEdge);
+            sidebarManager.showEdgeDetails(currentEdge.userData.sourceId, currentEdge.userData.targetId, currentEdge.userData.type);
+        } else if (selectionManager.getSelectedNodeIds().length > 1) {
+            selectionManager.highlightSelection();
+            groupActions.refresh();
+        }
+        
+        // Keep the ancestors/descendants view current
+        closureView.refresh();
+        
+        // Apply the filter to added or changed nodes and edges
+        filterPanel.refresh();
+        
+        // Let the force simulation settle the changed graph
+        if (change.action !== 'updateNode') {
+            forceSimulation.reheat();
+        }
+    }
+    
+    /**
+     * Record an edit of the active dataset in the undo history
+     * @param {Object} change - Change description from GraphDataSource
+     */
+    function recordDataEdit(change) {
+        // Edges removed or restored along with a node are part of the node's entry
+        if (change.cascade) return;
+        
+        const dataSource = window.graphDataSource;
+        const getPosition = id => {
+            const node = nodeManager.getNode(id);
+            return node ? node.position.clone() : null;
+        };
+        let command = null;
+        
+        switch (change.action) {
+            case 'addNode': {
+                const nodeId = change.node.id;
+                let removed = null;
+                let position = null;
+                command = {
+                    label: `Add node "${change.node.label}"`,
+                    undo: () => {
+                        position = getPosition(nodeId);
+                        removed = dataSource.removeNode(nodeId);
+                    },
+                    redo: () => dataSource.restoreNode(removed, { position })
+                };
+                break;
+            }
+            case 'updateNode': {
+                const nodeId = change.node.id;
+                const previous = change.previous;
+                const next = {};
+                for (const key in previous) {
+                    const value = change.node[key];
+                    next[key] = Array.isArray(value) ? value.slice() : value;
+                }
+                command = {
+                    label: `Edit node "${change.node.label}"`,
+                    undo: () => dataSource.updateNode(nodeId, previous),
+                    redo: () => dataSource.updateNode(nodeId, next)
+                };
+                break;
+            }
+            case 'removeNode': {
+                const nodeId = change.node.id;
+                const position = getPosition(nodeId);
+                let removed = { node: change.node, index: change.index, edges: change.edges, details: change.details };
+                command = {
+                    label: `Delete node "${change.node.label}"`,
+                    undo: () => dataSource.restoreNode(removed, { position }),
+                    redo: () => {
+                        removed = dataSource.removeNode(nodeId);
+                    }
+                };
+                break;
+            }
+            case 'addEdge': {
+                const edge = { ...change.edge };
+                command = {
+                    label: `Add edge ${edge.source} → ${edge.target}`,
+                    undo: () => dataSource.removeEdge(edge.source, edge.target, edge.type),
+                    redo: () => dataSource.addEdge(edge)
+                };
+                break;
+            }
+            case 'removeEdge': {
+                const edge = { ...change.edge };
+                command = {
+                    label: `Delete edge ${edge.source} → ${edge.target}`,
+                    undo: () => dataSource.addEdge(edge),
+                    redo: () => dataSource.removeEdge(edge.source, edge.target, edge.type)
+                };
+                break;
+            }
+        }
+        
+        if (command) {
+            window.historyManager.record(command);
+        }
+    }
+    
+    /**
+     * Validate the active dataset
+     * @param {boolean} alwaysShow - Show the report panel even if there are no errors or warnings
+     * @returns {Object} - Validation report
+     */
+    function validateDataset(alwaysShow = true) {
+        const report = window.graphValidator.validate(window.graphDataSource.dataset);
+        console.log(`Dataset validation: ${window.graphValidator.summarize(report)}`);
+        
+        if (alwaysShow || report.counts.error > 0 || report.counts.warning > 0) {
+            validationPanel.show(report);
+        }
+        
+        return report;
+    }
+    
     /**
      * Cleanup application resources
      */
     function cleanup() {
         // Stop force simulation
         if (forceSimulation) {
-            forceSimulation.stop();
+            forceSimulation.dispose();
+        }
+        
+        // Stop watching the camera for the URL
+        if (urlStateManager) {
+            urlStateManager.stop();
         }
         
         // Remove event listeners
@@ -160,14 +556,7 @@
         window.addEventListener('unload', handleUnload);
     }
     
-    // Start the application when the DOM is loaded
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', start);
-    } else {
-        start();
-    }
-    
-    // Expose public API if needed
+    // Expose public API (manager instances are filled in by initialize)
     window.WTG = {
         graphManager,
         nodeManager,
@@ -180,6 +569,18 @@
         sidebarManager,
         searchManager,
         layoutManager,
+        validationPanel,
+        historyPanel,
+        workspaceManager,
+        urlStateManager,
+        pathFinder,
+        closureView,
+        learningPath,
+        levelReport,
+        boxSelection,
+        groupActions,
+        nodeDragger,
+        filterPanel,
         
         // Helper methods
         focusOnNode: function(nodeId) {
@@ -251,9 +652,77 @@
                 return layoutManager.switchLayout(layoutType);
             }
             return false;
+        },
+        
+        loadData: function(json) {
+            return window.graphDataSource.loadFromJSON(json);
+        },
+        
+        loadDataFromUrl: function(url) {
+            return window.graphDataSource.loadFromUrl(url);
+        },
+        
+        getLink: function() {
+            if (urlStateManager) {
+                return window.location.origin + window.location.pathname +
+                    window.location.search + urlStateManager.buildHash();
+            }
+            return null;
+        },
+        
+        loadDataFromFile: function(file) {
+            return window.graphDataSource.loadFromFile(file);
+        },
+        
+        getDataset: function() {
+            return window.graphDataSource.dataset;
+        },
+        
+        undo: function() {
+            return window.historyManager.undo();
+        },
+        
+        redo: function() {
+            return window.historyManager.redo();
+        },
+        
+        saveWorkspace: function(name) {
+            if (workspaceManager) {
+                workspaceManager.saveWorkspace(name);
+                return true;
+            }
+            return false;
+        },
+        
+        openWorkspace: function(name) {
+            if (workspaceManager) {
+                workspaceManager.openWorkspace(name);
+                return true;
+            }
+            return false;
+        },
+        
+        validateData: function() {
+            if (validationPanel) {
+                return validateDataset(true);
+            }
+            return null;
+        },
+        
+        findPaths: function(sourceId, targetId, k = 1, options = {}) {
+            return window.graphAlgorithms.kShortestPaths(
+                window.graphDataSource.getEdges(), sourceId, targetId, k, options
+            );
         }
     };
     
+    // Start the application when the DOM is loaded
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
+    
     // Layout and UI fixes for the WTG application
 function initExpandViewButton() {
     const button = document.getElementById('expand-view');
@@ -0,0 +1,602 @@
+/**
+ * GraphDataSource.js
+ * Loads graph datasets (nodes, edges, theorem details) from the bundled
+ * data scripts, JSON files, URLs or dropped files, and notifies listeners
+ * whenever the active dataset changes
+ */
+class GraphDataSource {
+    constructor() {
+        // Active dataset
+        this.dataset = {
+            nodes: [],
+            edges: [],
+            theoremDetails: {}
+        };
+
+        // Description of where the active dataset came from
+        this.sourceInfo = null;
+
+        // Callbacks invoked with (dataset, sourceInfo) when the dataset changes
+        this.listeners = [];
+
+        // Callbacks invoked with a change description when the dataset is edited
+        this.editListeners = [];
+
+        // Defaults applied to nodes missing optional fields
+        this.nodeDefaults = {
+            type: 'Definition',
+            description: '',
+            level: 1,
+            size: 8
+        };
+    }
+
+    /**
+     * Load the dataset defined by the data scripts (window.nodes, window.edges, window.theoremDetails)
+     * @returns {Promise<Object>} - Promise resolving to the loaded dataset
+     */
+    loadFromGlobals() {
+        return this.loadFromJSON({
+            nodes: window.nodes || [],
+            edges: window.edges || [],
+            theoremDetails: window.theoremDetails || {}
+        }, { type: 'globals', name: 'Bundled data' });
+    }
+
+    /**
+     * Load a dataset from a URL (e.g. a JSON file served by a local static server)
+     * Only URLs on the page's own origin are accepted, so a shared link cannot load data from elsewhere
+     * @param {string} url - URL of the JSON dataset, absolute or relative to the page
+     * @returns {Promise<Object>} - Promise resolving to the loaded dataset
+     */
+    async loadFromUrl(url) {
+        if (!url) {
+            throw new Error('No dataset URL provided');
+        }
+
+        let resolved;
+        try {
+            resolved = new URL(url, window.location.href);
+        } catch (error) {
+            throw new Error(`Invalid dataset URL ${url}`);
+        }
+        if (resolved.origin !== window.location.origin) {
+            throw new Error(`Dataset URL ${url} is not on this site (${window.location.origin})`);
+        }
+
+        console.log(`Loading graph data from ${url}`);
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load dataset from ${url}: ${response.status} ${response.statusText}`);
+        }
+
+        const text = await response.text();
+        return this.loadFromJSON(text, { type: 'url', name: url });
+    }
+
+    /**
+     * Load a dataset from a File object (file input or drag and drop)
+     * @param {File} file - JSON file
+     * @returns {Promise<Object>} - Promise resolving to the loaded dataset
+     */
+    async loadFromFile(file) {
+        if (!file) {
+            throw new Error('No dataset file provided');
+        }
+
+        console.log(`Loading graph data from file ${file.name}`);
+
+        const text = await this.readFileAsText(file);
+        return this.loadFromJSON(text, { type: 'file', name: file.name });
+    }
+
+    /**
+     * Load a dataset from a JSON string or an already parsed object
+     * @param {string|Object} json - JSON text or dataset object
+     * @param {Object} sourceInfo - Description of the data source
+     * @returns {Promise<Object>} - Promise resolving to the loaded dataset
+     */
+    loadFromJSON(json, sourceInfo = { type: 'json', name: 'JSON data' }) {
+        try {
+            let raw = json;
+            if (typeof json === 'string') {
+                try {
+                    raw = JSON.parse(json);
+                } catch (error) {
+                    throw new Error(`Invalid JSON in ${sourceInfo.name}: ${error.message}`);
+                }
+            }
+
+            const dataset = this.normalizeDataset(raw);
+            this.setDataset(dataset, sourceInfo);
+            return Promise.resolve(dataset);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Read a file's contents as text
+     * @param {File} file - File to read
+     * @returns {Promise<string>} - Promise resolving to the file contents
+     */
+    readFileAsText(file) {
+        if (typeof file.text === 'function') {
+            return file.text();
+        }
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Failed to read file ${file.name}`));
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Check the structure of a raw dataset
+     * @param {Object} raw - Raw dataset object
+     * @returns {Array} - Array of problem descriptions (empty if valid)
+     */
+    validateStructure(raw) {
+        const problems = [];
+
+        if (!raw || typeof raw !== 'object') {
+            return ['Dataset must be an object with "nodes" and "edges" arrays'];
+        }
+
+        if (!Array.isArray(raw.nodes)) {
+            problems.push('"nodes" must be an array');
+        } else {
+            raw.nodes.forEach((node, index) => {
+                if (!node || typeof node !== 'object') {
+                    problems.push(`nodes[${index}] is not an object`);
+                    return;
+                }
+                if (typeof node.id !== 'string' || !node.id) {
+                    problems.push(`nodes[${index}] is missing a string "id"`);
+                }
+                if (typeof node.label !== 'string') {
+                    problems.push(`nodes[${index}] (${node.id}) is missing a string "label"`);
+                }
+                if (node.level !== undefined && typeof node.level !== 'number') {
+                    problems.push(`nodes[${index}] (${node.id}) has a non-numeric "level"`);
+                }
+                if (node.size !== undefined && typeof node.size !== 'number') {
+                    problems.push(`nodes[${index}] (${node.id}) has a non-numeric "size"`);
+                }
+                if (node.tags !== undefined && !Array.isArray(node.tags)) {
+                    problems.push(`nodes[${index}] (${node.id}) has "tags" that is not an array`);
+                }
+            });
+        }
+
+        if (!Array.isArray(raw.edges)) {
+            problems.push('"edges" must be an array');
+        } else {
+            raw.edges.forEach((edge, index) => {
+                if (!edge || typeof edge !== 'object') {
+                    problems.push(`edges[${index}] is not an object`);
+                    return;
+                }
+                if (typeof edge.source !== 'string' || typeof edge.target !== 'string') {
+                    problems.push(`edges[${index}] must have string "source" and "target"`);
+                }
+                if (typeof edge.type !== 'string') {
+                    problems.push(`edges[${index}] (${edge.source} -> ${edge.target}) is missing a string "type"`);
+                }
+                ['description', 'justification'].forEach(field => {
+                    if (edge[field] !== undefined && typeof edge[field] !== 'string') {
+                        problems.push(`edges[${index}] (${edge.source} -> ${edge.target}) "${field}" must be a string`);
+                    }
+                });
+            });
+        }
+
+        if (raw.theoremDetails !== undefined &&
+            (typeof raw.theoremDetails !== 'object' || Array.isArray(raw.theoremDetails))) {
+            problems.push('"theoremDetails" must be an object keyed by node ID');
+        }
+
+        return problems;
+    }
+
+    /**
+     * Validate a raw dataset and fill in optional fields
+     * @param {Object} raw - Raw dataset object
+     * @returns {Object} - Normalized dataset
+     */
+    normalizeDataset(raw) {
+        const problems = this.validateStructure(raw);
+        if (problems.length > 0) {
+            const shown = problems.slice(0, 5).join('; ');
+            const more = problems.length > 5 ? ` (and ${problems.length - 5} more)` : '';
+            throw new Error(`Invalid graph dataset: ${shown}${more}`);
+        }
+
+        const edges = raw.edges.map(edge => ({ ...edge }));
+
+        // Count connections from edges for nodes that do not specify them
+        const connectionCounts = {};
+        edges.forEach(edge => {
+            connectionCounts[edge.source] = (connectionCounts[edge.source] || 0) + 1;
+            connectionCounts[edge.target] = (connectionCounts[edge.target] || 0) + 1;
+        });
+
+        const nodes = raw.nodes.map(node => ({
+            ...this.nodeDefaults,
+            ...node,
+            tags: Array.isArray(node.tags) ? node.tags.slice() : [],
+            connections: typeof node.connections === 'number' ?
+                node.connections : (connectionCounts[node.id] || 0)
+        }));
+
+        return {
+            nodes,
+            edges,
+            theoremDetails: { ...(raw.theoremDetails || {}) }
+        };
+    }
+
+    /**
+     * Replace the active dataset and notify listeners
+     * @param {Object} dataset - Normalized dataset
+     * @param {Object} sourceInfo - Description of the data source
+     */
+    setDataset(dataset, sourceInfo = null) {
+        this.dataset = dataset;
+        this.sourceInfo = sourceInfo;
+
+        console.log(`Graph dataset loaded from ${sourceInfo ? sourceInfo.name : 'unknown source'}: ` +
+            `${dataset.nodes.length} nodes, ${dataset.edges.length} edges`);
+
+        this.notifyListeners();
+    }
+
+    /**
+     * Register a callback for dataset changes
+     * @param {Function} callback - Called with (dataset, sourceInfo)
+     * @returns {Function} - Function that unregisters the callback
+     */
+    onDataChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Notify all listeners of the active dataset
+     */
+    notifyListeners() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.dataset, this.sourceInfo);
+            } catch (error) {
+                console.error('Error in graph data listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Register a callback for edits to the active dataset
+     * @param {Function} callback - Called with a change object ({ action, ... })
+     * @returns {Function} - Function that unregisters the callback
+     */
+    onDataEdit(callback) {
+        this.editListeners.push(callback);
+        return () => {
+            this.editListeners = this.editListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Notify edit listeners of a change
+     * @param {Object} change - Change description
+     */
+    notifyEdit(change) {
+        this.editListeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('Error in graph edit listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Create a unique node ID from a label
+     * @param {string} label - Node label
+     * @returns {string} - Unused node ID
+     */
+    createNodeId(label) {
+        const base = String(label || 'node')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '') || 'node';
+
+        let id = base;
+        let suffix = 2;
+        while (this.getNode(id)) {
+            id = `${base}_${suffix++}`;
+        }
+        return id;
+    }
+
+    /**
+     * Add a node to the active dataset
+     * @param {Object} nodeData - Node data object (id is generated from the label if missing)
+     * @param {Object} meta - Extra information passed to edit listeners (e.g. { position })
+     * @returns {Object} - The added node data object
+     */
+    addNode(nodeData, meta = {}) {
+        const node = {
+            ...this.nodeDefaults,
+            ...nodeData,
+            id: nodeData.id || this.createNodeId(nodeData.label),
+            tags: Array.isArray(nodeData.tags) ? nodeData.tags.slice() : [],
+            connections: 0
+        };
+
+        if (typeof node.label !== 'string' || !node.label.trim()) {
+            throw new Error('A node needs a label');
+        }
+        if (this.getNode(node.id)) {
+            throw new Error(`A node with ID "${node.id}" already exists`);
+        }
+
+        this.dataset.nodes.push(node);
+        this.notifyEdit({ ...meta, action: 'addNode', node });
+        return node;
+    }
+
+    /**
+     * Update fields of a node in the active dataset
+     * @param {string} nodeId - Node ID
+     * @param {Object} changes - Fields to change (the ID cannot be changed)
+     * @returns {Object} - { node, previous } with the updated node and the previous field values
+     */
+    updateNode(nodeId, changes) {
+        const node = this.getNode(nodeId);
+        if (!node) {
+            throw new Error(`Node "${nodeId}" does not exist`);
+        }
+
+        const previous = {};
+        for (const key in changes) {
+            if (key === 'id') continue;
+            previous[key] = node[key];
+            node[key] = key === 'tags' && Array.isArray(changes.tags) ? changes.tags.slice() : changes[key];
+        }
+
+        // Keep the duplicated type in the theorem details consistent
+        const details = this.dataset.theoremDetails[nodeId];
+        if (details && changes.type && details.node_type) {
+            details.node_type = changes.type;
+        }
+
+        this.notifyEdit({ action: 'updateNode', node, previous });
+        return { node, previous };
+    }
+
+    /**
+     * Remove a node, its edges and its theorem details from the active dataset
+     * @param {string} nodeId - Node ID
+     * @returns {Object} - { node, index, edges, details } describing what was removed
+     */
+    removeNode(nodeId) {
+        const index = this.dataset.nodes.findIndex(node => node.id === nodeId);
+        if (index === -1) {
+            throw new Error(`Node "${nodeId}" does not exist`);
+        }
+
+        // Edges removed along with the node are flagged as part of the node removal
+        const edges = this.dataset.edges.filter(edge => edge.source === nodeId || edge.target === nodeId);
+        edges.forEach(edge => this.removeEdge(edge.source, edge.target, edge.type, { cascade: true }));
+
+        const node = this.dataset.nodes.splice(index, 1)[0];
+        const details = this.dataset.theoremDetails[nodeId] || null;
+        delete this.dataset.theoremDetails[nodeId];
+
+        const removed = { node, index, edges, details };
+        this.notifyEdit({ action: 'removeNode', ...removed });
+        return removed;
+    }
+
+    /**
+     * Put back a node removed with removeNode, including its edges and theorem details
+     * @param {Object} removed - Result of removeNode
+     * @param {Object} meta - Extra change information for edit listeners (e.g. position)
+     * @returns {Object} - The restored node data object
+     */
+    restoreNode(removed, meta = {}) {
+        const node = removed.node;
+        if (this.getNode(node.id)) {
+            throw new Error(`A node with ID "${node.id}" already exists`);
+        }
+
+        // Connection counts are rebuilt as the edges are added back
+        node.connections = 0;
+        this.dataset.nodes.splice(Math.min(removed.index, this.dataset.nodes.length), 0, node);
+        if (removed.details) {
+            this.dataset.theoremDetails[node.id] = removed.details;
+        }
+        this.notifyEdit({ ...meta, action: 'addNode', node });
+
+        removed.edges.forEach(edge => {
+            if (this.getNode(edge.source) && this.getNode(edge.target) &&
+                !this.findEdge(edge.source, edge.target, edge.type)) {
+                this.addEdge(edge, { cascade: true });
+            }
+        });
+
+        return node;
+    }
+
+    /**
+     * Add an edge to the active dataset
+     * @param {Object} edgeData - Edge data object ({ source, target, type })
+     * @param {Object} meta - Extra change information for edit listeners
+     * @returns {Object} - The added edge data object
+     */
+    addEdge(edgeData, meta = {}) {
+        const edge = { ...edgeData };
+
+        if (!this.getNode(edge.source) || !this.getNode(edge.target)) {
+            throw new Error(`Cannot connect ${edge.source} -> ${edge.target}: unknown node`);
+        }
+        if (edge.source === edge.target) {
+            throw new Error('An edge cannot connect a node to itself');
+        }
+        if (this.findEdge(edge.source, edge.target, edge.type)) {
+            throw new Error(`Edge ${edge.source} -> ${edge.target} (${edge.type}) already exists`);
+        }
+
+        this.dataset.edges.push(edge);
+        this.adjustConnections(edge, 1);
+        this.notifyEdit({ ...meta, action: 'addEdge', edge });
+        return edge;
+    }
+
+    /**
+     * Remove an edge from the active dataset
+     * @param {string} sourceId - Source node ID
+     * @param {string} targetId - Target node ID
+     * @param {string} type - Edge type
+     * @param {Object} meta - Extra change information for edit listeners
+     * @returns {Object} - The removed edge data object
+     */
+    removeEdge(sourceId, targetId, type, meta = {}) {
+        const edge = this.findEdge(sourceId, targetId, type);
+        if (!edge) {
+            throw new Error(`Edge ${sourceId} -> ${targetId} (${type}) does not exist`);
+        }
+
+        this.dataset.edges.splice(this.dataset.edges.indexOf(edge), 1);
+        this.adjustConnections(edge, -1);
+        this.notifyEdit({ ...meta, action: 'removeEdge', edge });
+        return edge;
+    }
+
+    /**
+     * Find an edge in the active dataset
+     * @param {string} sourceId - Source node ID
+     * @param {string} targetId - Target node ID
+     * @param {string} type - Edge type
+     * @returns {Object} - Edge data object or null
+     */
+    findEdge(sourceId, targetId, type) {
+        return this.dataset.edges.find(edge =>
+            edge.source === sourceId && edge.target === targetId && edge.type === type
+        ) || null;
+    }
+
+    /**
+     * Adjust the connection counts of an edge's endpoints
+     * @param {Object} edge - Edge data object
+     * @param {number} delta - Amount to add to each endpoint's count
+     */
+    adjustConnections(edge, delta) {
+        [edge.source, edge.target].forEach(id => {
+            const node = this.getNode(id);
+            if (node) {
+                node.connections = Math.max(0, (node.connections || 0) + delta);
+            }
+        });
+    }
+
+    /**
+     * Get all node data objects
+     * @returns {Array} - Array of node data objects
+     */
+    getNodes() {
+        return this.dataset.nodes;
+    }
+
+    /**
+     * Get all edge data objects
+     * @returns {Array} - Array of edge data objects
+     */
+    getEdges() {
+        return this.dataset.edges;
+    }
+
+    /**
+     * Get theorem details keyed by node ID
+     * @returns {Object} - Theorem details map
+     */
+    getTheoremDetails() {
+        return this.dataset.theoremDetails;
+    }
+
+    /**
+     * Get node data by ID
+     * @param {string} nodeId - Node ID
+     * @returns {Object} - Node data object or null
+     */
+    getNode(nodeId) {
+        return this.dataset.nodes.find(node => node.id === nodeId) || null;
+    }
+
+    /**
+     * Get a description of the active data source
+     * @returns {Object} - Source info ({ type, name }) or null
+     */
+    getSourceInfo() {
+        return this.sourceInfo;
+    }
+
+    /**
+     * Serialize the active dataset as JSON
+     * @returns {string} - JSON text
+     */
+    serialize() {
+        return JSON.stringify(this.dataset, null, 2);
+    }
+
+    /**
+     * Serialize part of the active dataset as JSON: some nodes, the edges between
+     * them and their theorem details, loadable like any other dataset
+     * @param {Array} nodeIds - IDs of the nodes to include
+     * @returns {string} - JSON text
+     */
+    serializeSubgraph(nodeIds) {
+        const wanted = new Set(nodeIds);
+        const nodes = this.dataset.nodes.filter(node => wanted.has(node.id));
+        const ids = new Set(nodes.map(node => node.id));
+        const edges = this.dataset.edges.filter(edge => ids.has(edge.source) && ids.has(edge.target));
+
+        // Connection counts refer to the edges that are kept
+        const connectionCounts = {};
+        edges.forEach(edge => {
+            connectionCounts[edge.source] = (connectionCounts[edge.source] || 0) + 1;
+            connectionCounts[edge.target] = (connectionCounts[edge.target] || 0) + 1;
+        });
+
+        const theoremDetails = {};
+        ids.forEach(id => {
+            if (this.dataset.theoremDetails[id]) {
+                theoremDetails[id] = this.dataset.theoremDetails[id];
+            }
+        });
+
+        return JSON.stringify({
+            nodes: nodes.map(node => ({ ...node, connections: connectionCounts[node.id] || 0 })),
+            edges,
+            theoremDetails
+        }, null, 2);
+    }
+}
+
+// Create a singleton instance
+const graphDataSource = new GraphDataSource();
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = graphDataSource;
+} else {
+    window.graphDataSource = graphDataSource;
+}
\ No newline at end of file
@@ -0,0 +1,250 @@
+/**
+ * GraphValidator.js
+ * Checks the integrity of a graph dataset: node IDs, dangling and duplicate
+ * edges, unknown node/edge types, dependency cycles, level consistency and
+ * theorem details
+ */
+class GraphValidator {
+    constructor() {
+        // Issue severities, most severe first
+        this.severities = ['error', 'warning', 'info'];
+
+        // Expected format for node IDs
+        this.idPattern = /^[a-z0-9_]+$/;
+    }
+
+    /**
+     * Validate a dataset
+     * @param {Object} dataset - Dataset with nodes, edges and theoremDetails
+     * @param {Object} options - Known types ({ nodeTypes, edgeTypes }), defaults to ThemeManager's types
+     * @returns {Object} - Report with issues and per-severity counts
+     */
+    validate(dataset, options = {}) {
+        const nodes = dataset.nodes || [];
+        const edges = dataset.edges || [];
+        const theoremDetails = dataset.theoremDetails || {};
+
+        const theme = window.themeManager;
+        const nodeTypes = options.nodeTypes || (theme ? Object.keys(theme.nodeColors) : []);
+        const edgeTypes = options.edgeTypes || (theme ? Object.keys(theme.edgeColors) : []);
+
+        const issues = [];
+        const report = (severity, code, message, extra = {}) => {
+            issues.push({ severity, code, message, ...extra });
+        };
+
+        const nodesById = this.checkNodes(nodes, nodeTypes, report);
+        const degrees = this.checkEdges(edges, nodesById, edgeTypes, report);
+        this.checkCycles(edges, nodesById, report);
+        this.checkConnections(nodes, degrees, report);
+        this.checkDetails(nodes, nodesById, theoremDetails, report);
+
+        // Sort by severity, keeping the original order within a severity
+        issues.sort((a, b) => this.severities.indexOf(a.severity) - this.severities.indexOf(b.severity));
+
+        const counts = { error: 0, warning: 0, info: 0 };
+        issues.forEach(issue => {
+            counts[issue.severity]++;
+        });
+
+        return {
+            issues,
+            counts,
+            nodeCount: nodes.length,
+            edgeCount: edges.length,
+            computedConnections: degrees
+        };
+    }
+
+    /**
+     * Check node IDs, types and levels
+     * @param {Array} nodes - Node data objects
+     * @param {Array} nodeTypes - Known node types
+     * @param {Function} report - Issue reporter
+     * @returns {Object} - Map of node IDs to node data objects
+     */
+    checkNodes(nodes, nodeTypes, report) {
+        const nodesById = {};
+
+        nodes.forEach((node, index) => {
+            if (!node.id) {
+                report('error', 'missing-id', `Node at index ${index} has no ID`);
+                return;
+            }
+
+            if (nodesById[node.id]) {
+                report('error', 'duplicate-id', `Node ID "${node.id}" is used more than once`, { nodeId: node.id });
+                return;
+            }
+            nodesById[node.id] = node;
+
+            if (!this.idPattern.test(node.id)) {
+                report('warning', 'id-format',
+                    `Node ID "${node.id}" should only contain lowercase letters, digits and underscores`,
+                    { nodeId: node.id });
+            }
+
+            if (nodeTypes.length && !nodeTypes.includes(node.type)) {
+                report('warning', 'unknown-node-type',
+                    `Node "${node.id}" has unknown type "${node.type}" (known: ${nodeTypes.join(', ')})`,
+                    { nodeId: node.id });
+            }
+
+            if (!Number.isInteger(node.level) || node.level < 1) {
+                report('warning', 'invalid-level',
+                    `Node "${node.id}" has level ${node.level}; levels should be positive integers`,
+                    { nodeId: node.id });
+            }
+        });
+
+        return nodesById;
+    }
+
+    /**
+     * Check edges for dangling endpoints, duplicates, unknown types and level order
+     * @param {Array} edges - Edge data objects
+     * @param {Object} nodesById - Map of node IDs to node data objects
+     * @param {Array} edgeTypes - Known edge types
+     * @param {Function} report - Issue reporter
+     * @returns {Object} - Map of node IDs to the number of edges touching them
+     */
+    checkEdges(edges, nodesById, edgeTypes, report) {
+        const seen = {};
+        const degrees = {};
+
+        edges.forEach(edge => {
+            const label = `${edge.source} -> ${edge.target}`;
+            const source = nodesById[edge.source];
+            const target = nodesById[edge.target];
+
+            if (!source || !target) {
+                const missing = [!source ? edge.source : null, !target ? edge.target : null]
+                    .filter(Boolean).join(', ');
+                report('error', 'dangling-edge', `Edge ${label} points at unknown node(s): ${missing}`, { edge });
+                return;
+            }
+
+            if (edge.source === edge.target) {
+                report('warning', 'self-loop', `Edge ${label} connects a node to itself`, { edge });
+            }
+
+            const key = `${edge.source}|${edge.target}|${edge.type}`;
+            if (seen[key]) {
+                report('warning', 'duplicate-edge', `Edge ${label} (${edge.type}) is listed more than once`, { edge });
+                return;
+            }
+            seen[key] = true;
+
+            if (edgeTypes.length && !edgeTypes.includes(edge.type)) {
+                report('warning', 'unknown-edge-type',
+                    `Edge ${label} has unknown type "${edge.type}" (known: ${edgeTypes.join(', ')})`,
+                    { edge });
+            }
+
+            if (typeof source.level === 'number' && typeof target.level === 'number' &&
+                target.level < source.level) {
+                report('warning', 'level-order',
+                    `Edge ${label} goes from level ${source.level} down to level ${target.level}`,
+                    { edge });
+            }
+
+            degrees[edge.source] = (degrees[edge.source] || 0) + 1;
+            degrees[edge.target] = (degrees[edge.target] || 0) + 1;
+        });
+
+        return degrees;
+    }
+
+    /**
+     * Check that the edges form a DAG (edges of all types together)
+     * @param {Array} edges - Edge data objects
+     * @param {Object} nodesById - Map of node IDs to node data objects
+     * @param {Function} report - Issue reporter
+     */
+    checkCycles(edges, nodesById, report) {
+        // Dangling edges are reported separately
+        const validEdges = edges.filter(edge => nodesById[edge.source] && nodesById[edge.target]);
+
+        window.graphAlgorithms.findCycles(validEdges).forEach(cycle => {
+            const path = cycle.path.nodes.join(' -> ');
+            const extra = cycle.nodes.length > cycle.path.nodes.length - 1
+                ? ` (${cycle.nodes.length} nodes depend on each other)`
+                : '';
+            report('error', 'cycle', `Dependency cycle ${path}${extra}`, { nodeId: cycle.path.nodes[0], cycle });
+        });
+    }
+
+    /**
+     * Compare hand-typed connection counts with the counts computed from edges
+     * @param {Array} nodes - Node data objects
+     * @param {Object} degrees - Map of node IDs to computed edge counts
+     * @param {Function} report - Issue reporter
+     */
+    checkConnections(nodes, degrees, report) {
+        nodes.forEach(node => {
+            const computed = degrees[node.id] || 0;
+
+            if (computed === 0) {
+                report('warning', 'isolated-node', `Node "${node.id}" has no edges`, { nodeId: node.id });
+            }
+
+            if (typeof node.connections === 'number' && node.connections !== computed) {
+                report('info', 'connections-mismatch',
+                    `Node "${node.id}" lists ${node.connections} connections but has ${computed} edges`,
+                    { nodeId: node.id });
+            }
+        });
+    }
+
+    /**
+     * Check theorem details against the node list
+     * @param {Array} nodes - Node data objects
+     * @param {Object} nodesById - Map of node IDs to node data objects
+     * @param {Object} theoremDetails - Theorem details keyed by node ID
+     * @param {Function} report - Issue reporter
+     */
+    checkDetails(nodes, nodesById, theoremDetails, report) {
+        for (const id in theoremDetails) {
+            const details = theoremDetails[id];
+            const node = nodesById[id];
+
+            if (!node) {
+                report('warning', 'orphan-details', `Theorem details exist for unknown node "${id}"`, { nodeId: id });
+                continue;
+            }
+
+            if (details.node_type && details.node_type !== node.type) {
+                report('warning', 'details-type-mismatch',
+                    `Details for "${id}" say "${details.node_type}" but the node type is "${node.type}"`,
+                    { nodeId: id });
+            }
+        }
+
+        nodes.forEach(node => {
+            if (!theoremDetails[node.id]) {
+                report('info', 'missing-details', `Node "${node.id}" has no theorem details`, { nodeId: node.id });
+            }
+        });
+    }
+
+    /**
+     * Build a one-line summary of a report
+     * @param {Object} report - Validation report
+     * @returns {string} - Summary text
+     */
+    summarize(report) {
+        const { counts } = report;
+        return `${report.nodeCount} nodes, ${report.edgeCount} edges: ` +
+            `${counts.error} errors, ${counts.warning} warnings, ${counts.info} notes`;
+    }
+}
+
+// Create a singleton instance
+const graphValidator = new GraphValidator();
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = graphValidator;
+} else {
+    window.graphValidator = graphValidator;
+}
\ No newline at end of file
@@ -0,0 +1,209 @@
+/**
+ * BarnesHutTree.js
+ * Quadtree (2D) / octree (3D) over node positions for approximate repulsion:
+ * a distant cell acts as a single mass at its center of mass, so one step of
+ * the force layout costs O(n log n) instead of O(n²). Repulsion has no range
+ * limit; nearby nodes are summed exactly and far ones through their cells
+ */
+class BarnesHutTree {
+    /**
+     * @param {Array} points - Positions { x, y, z }
+     * @param {boolean} is2DMode - Build a quadtree ignoring z instead of an octree
+     */
+    constructor(points, is2DMode) {
+        this.is2DMode = is2DMode;
+
+        // Points a leaf holds before it splits; summing a few points directly is
+        // cheaper than more cells
+        this.leafCapacity = 8;
+
+        // Coincident points would split forever, so deep cells hold several points
+        this.maxDepth = 24;
+
+        this.root = this.createCell(points);
+        points.forEach(point => this.insert(this.root, {
+            x: point.x,
+            y: point.y,
+            z: is2DMode ? 0 : point.z
+        }, 0));
+    }
+
+    /**
+     * Create the root cell: a square/cube containing all points
+     * @param {Array} points - Positions { x, y, z }
+     * @returns {Object} - Cell
+     */
+    createCell(points) {
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+        points.forEach(point => {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+            if (!this.is2DMode) {
+                minZ = Math.min(minZ, point.z);
+                maxZ = Math.max(maxZ, point.z);
+            }
+        });
+
+        if (!points.length) {
+            minX = minY = maxX = maxY = 0;
+        }
+        if (this.is2DMode || !points.length) {
+            minZ = maxZ = 0;
+        }
+
+        const half = Math.max(maxX - minX, maxY - minY, maxZ - minZ) / 2 + 1;
+        return this.newCell((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2, half);
+    }
+
+    /**
+     * Create an empty cell
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} z - Center Z
+     * @param {number} half - Half the side length
+     * @returns {Object} - Cell
+     */
+    newCell(x, y, z, half) {
+        return {
+            x, y, z, half,
+            mass: 0,
+            massX: 0, massY: 0, massZ: 0, // Center of mass
+            points: [], // Points of a leaf
+            children: null
+        };
+    }
+
+    /**
+     * Insert a point, splitting leaves that are full
+     * @param {Object} cell - Cell to insert into
+     * @param {Object} point - Position { x, y, z }
+     * @param {number} depth - Depth of the cell
+     */
+    insert(cell, point, depth) {
+        // Update the center of mass on the way down
+        cell.massX = (cell.massX * cell.mass + point.x) / (cell.mass + 1);
+        cell.massY = (cell.massY * cell.mass + point.y) / (cell.mass + 1);
+        cell.massZ = (cell.massZ * cell.mass + point.z) / (cell.mass + 1);
+        cell.mass++;
+
+        if (cell.children) {
+            this.insert(this.childFor(cell, point), point, depth + 1);
+            return;
+        }
+
+        cell.points.push(point);
+        if (cell.points.length > this.leafCapacity && depth < this.maxDepth) {
+            const half = cell.half / 2;
+            const count = this.is2DMode ? 4 : 8;
+            cell.children = [];
+            for (let i = 0; i < count; i++) {
+                cell.children.push(this.newCell(
+                    cell.x + (i & 1 ? half : -half),
+                    cell.y + (i & 2 ? half : -half),
+                    cell.z + (this.is2DMode ? 0 : (i & 4 ? half : -half)),
+                    half
+                ));
+            }
+
+            const points = cell.points;
+            cell.points = [];
+            points.forEach(p => this.insert(this.childFor(cell, p), p, depth + 1));
+        }
+    }
+
+    /**
+     * Get the child cell containing a point
+     * @param {Object} cell - Parent cell
+     * @param {Object} point - Position { x, y, z }
+     * @returns {Object} - Child cell
+     */
+    childFor(cell, point) {
+        let index = 0;
+        if (point.x >= cell.x) index |= 1;
+        if (point.y >= cell.y) index |= 2;
+        if (!this.is2DMode && point.z >= cell.z) index |= 4;
+        return cell.children[index];
+    }
+
+    /**
+     * Sum the repulsion acting on a position
+     * @param {Object} position - Position { x, y, z }
+     * @param {number} theta - Accuracy: cells with size/distance below theta are approximated (0 = exact)
+     * @param {Function} factor - Repulsion factor for a distance; the force is the offset times the factor
+     * @returns {Object} - Force { x, y, z }
+     */
+    computeRepulsion(position, theta, factor) {
+        const force = { x: 0, y: 0, z: 0 };
+        const x = position.x;
+        const y = position.y;
+        const z = this.is2DMode ? 0 : position.z;
+
+        // Depth-first walk with an explicit stack, reused between calls
+        const stack = this.stack || (this.stack = []);
+        stack.length = 0;
+        stack.push(this.root);
+
+        while (stack.length > 0) {
+            const cell = stack.pop();
+            if (cell.mass === 0) continue;
+
+            if (!cell.children) {
+                for (let i = 0; i < cell.points.length; i++) {
+                    const other = cell.points[i];
+                    this.addRepulsion(x - other.x, y - other.y, z - other.z, 1, factor, force);
+                }
+                continue;
+            }
+
+            // A cell acts as one mass when it looks small from the point: its size over
+            // the distance to its nearest side is below theta (a cell containing the
+            // point has distance 0 and is always opened)
+            const gapX = Math.max(Math.abs(x - cell.x) - cell.half, 0);
+            const gapY = Math.max(Math.abs(y - cell.y) - cell.half, 0);
+            const gapZ = Math.max(Math.abs(z - cell.z) - cell.half, 0);
+            const size = cell.half * 2;
+
+            if (size * size < theta * theta * (gapX * gapX + gapY * gapY + gapZ * gapZ)) {
+                this.addRepulsion(x - cell.massX, y - cell.massY, z - cell.massZ, cell.mass, factor, force);
+            } else {
+                for (let i = 0; i < cell.children.length; i++) {
+                    stack.push(cell.children[i]);
+                }
+            }
+        }
+
+        return force;
+    }
+
+    /**
+     * Add the repulsion of a mass to a force
+     * @param {number} dx - X offset from the mass to the point the force acts on
+     * @param {number} dy - Y offset
+     * @param {number} dz - Z offset
+     * @param {number} mass - Number of nodes at the mass
+     * @param {Function} factor - Repulsion factor for a distance
+     * @param {Object} force - Force to add to
+     */
+    addRepulsion(dx, dy, dz, mass, factor, force) {
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        // Zero distance is the point itself (or a coincident node, which has no direction)
+        if (distance > 0) {
+            const strength = factor(distance) * mass;
+            force.x += dx * strength;
+            force.y += dy * strength;
+            force.z += dz * strength;
+        }
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = BarnesHutTree;
+} else {
+    window.BarnesHutTree = BarnesHutTree;
+}
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * EdgeFlow.js
+ * Particles traveling from source to target along highlighted edges, so the
+ * direction of the dependencies around the selected node is visible at a glance.
+ * All particles share one Points buffer, rewritten every frame while any edge
+ * is highlighted
+ */
+class EdgeFlow {
+    constructor(graphManager, nodeManager, edgeManager) {
+        this.graphManager = graphManager;
+        this.nodeManager = nodeManager;
+        this.edgeManager = edgeManager;
+
+        this.enabled = true;
+
+        this.points = null;
+        this.capacity = 0; // Particles the buffers can hold
+
+        // Scratch objects
+        this.point = new THREE.Vector3();
+        this.color = new THREE.Color();
+    }
+
+    /**
+     * Make sure the buffers hold a number of particles, recreating them if needed
+     * @param {number} count - Number of particles
+     */
+    ensureCapacity(count) {
+        if (this.points && count <= this.capacity) return;
+
+        let capacity = Math.max(this.capacity, 128);
+        while (capacity < count) {
+            capacity *= 2;
+        }
+
+        this.clear();
+
+        const geometry = new THREE.BufferGeometry();
+        ['position', 'color'].forEach(name => {
+            const attribute = new THREE.BufferAttribute(new Float32Array(capacity * 3), 3);
+            attribute.setUsage(THREE.DynamicDrawUsage);
+            geometry.setAttribute(name, attribute);
+        });
+
+        this.points = new THREE.Points(geometry, window.themeManager.getEdgeFlowMaterial());
+        this.points.frustumCulled = false;
+        this.points.userData = { type: 'edge-flow' };
+        this.capacity = capacity;
+
+        this.graphManager.addToScene(this.points);
+    }
+
+    /**
+     * Move the particles along the highlighted edges
+     * Called once per frame after the edge buffers were updated
+     * @param {number} time - Current time in seconds
+     */
+    update(time) {
+        const edges = this.enabled
+            ? this.edgeManager.getAllEdges().filter(edge => edge.state === 'selected' && edge.visible)
+            : [];
+
+        if (edges.length === 0) {
+            if (this.points) {
+                this.points.visible = false;
+            }
+            return;
+        }
+
+        const { particlesPerEdge, period } = window.themeManager.edgeFlowProps;
+        this.ensureCapacity(edges.length * particlesPerEdge);
+
+        const nodes = this.nodeManager.getAllNodes();
+        const positions = this.points.geometry.attributes.position.array;
+        const colors = this.points.geometry.attributes.color.array;
+        const phase = (time / period) % 1;
+        let count = 0;
+
+        edges.forEach(edge => {
+            const source = nodes[edge.userData.sourceId];
+            const target = nodes[edge.userData.targetId];
+            if (!source || !target) return;
+
+            window.themeManager.getEdgeFlowColor(edge.userData.type, this.color);
+
+            // Particles are spread evenly along the edge and all move toward the target
+            for (let k = 0; k < particlesPerEdge; k++) {
+                const t = (phase + k / particlesPerEdge) % 1;
+                this.edgeManager.renderer.getPointOnEdge(edge, source, target, t, this.point);
+                this.point.toArray(positions, count * 3);
+                this.color.toArray(colors, count * 3);
+                count++;
+            }
+        });
+
+        this.points.geometry.setDrawRange(0, count);
+        this.points.geometry.attributes.position.needsUpdate = true;
+        this.points.geometry.attributes.color.needsUpdate = true;
+        this.points.visible = true;
+    }
+
+    /**
+     * Turn the particles on or off
+     * @param {boolean} enabled - Whether particles are shown
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * Remove the particles from the scene and dispose them
+     */
+    clear() {
+        if (this.points) {
+            this.graphManager.removeFromScene(this.points);
+            this.points.geometry.dispose();
+            this.points.material.dispose();
+            this.points = null;
+        }
+
+        this.capacity = 0;
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = EdgeFlow;
+} else {
+    window.EdgeFlow = EdgeFlow;
+}
\ No newline at end of file
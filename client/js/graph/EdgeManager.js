@@ -7,8 +7,18 @@ class EdgeManager {
         this.graphManager = graphManager;
         this.nodeManager = nodeManager;
         
-        // Edge collection
+        // Edge collection (userData, visible, ghosted and state; drawn by the merged lines)
         this.edgeObjects = [];
+        
+        // Edge types hidden or drawn faded regardless of their endpoints (e.g. by the filter panel)
+        this.hiddenEdgeTypes = new Set();
+        this.ghostedEdgeTypes = new Set();
+        
+        // Draws all edges as one line segments buffer
+        this.renderer = new MergedEdgeRenderer(graphManager);
+        
+        // Neighbour index for the force simulation (rebuilt after edges change)
+        this.adjacencyIndex = null;
     }
     
     /**
@@ -36,80 +46,131 @@ class EdgeManager {
             return;
         }
         
-        // Create edge material based on edge type
-        const material = window.themeManager.getEdgeMaterial(edgeData.type);
-        
-        // Create line geometry
-        const points = [source.clone(), target.clone()];
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        
-        // Create line and set user data
-        const line = new THREE.Line(geometry, material);
-        line.userData = { 
-            sourceId: edgeData.source,
-            targetId: edgeData.target,
-            type: edgeData.type
+        // Create the edge and set user data
+        const edge = {
+            userData: {
+                sourceId: edgeData.source,
+                targetId: edgeData.target,
+                type: edgeData.type
+            },
+            state: 'default'
         };
+        edge.visible = this.isEdgeVisible(edge);
+        edge.ghosted = this.isEdgeGhosted(edge);
+        
+        // Store reference; the merged lines draw it on the next frame
+        this.edgeObjects.push(edge);
+        this.adjacencyIndex = null;
+        this.renderer.markDirty();
+    }
+    
+    /**
+     * Add a single edge
+     * @param {Object} edgeData - Edge data object
+     * @returns {Object} - Created edge object or null if an endpoint is missing
+     */
+    addEdge(edgeData) {
+        this.createEdge(edgeData);
+        return this.findEdge(edgeData.source, edgeData.target, edgeData.type);
+    }
+    
+    /**
+     * Find the edge object for a connection
+     * @param {string} sourceId - Source node ID
+     * @param {string} targetId - Target node ID
+     * @param {string} type - Edge type
+     * @returns {Object} - Edge object or null
+     */
+    findEdge(sourceId, targetId, type) {
+        return this.edgeObjects.find(edge =>
+            edge.userData.sourceId === sourceId &&
+            edge.userData.targetId === targetId &&
+            edge.userData.type === type
+        ) || null;
+    }
+    
+    /**
+     * Remove the edge object for a connection
+     * @param {string} sourceId - Source node ID
+     * @param {string} targetId - Target node ID
+     * @param {string} type - Edge type
+     * @returns {boolean} - Whether an edge was removed
+     */
+    removeEdge(sourceId, targetId, type) {
+        const edge = this.findEdge(sourceId, targetId, type);
+        if (!edge) return false;
         
-        // Add to scene and store reference
-        this.graphManager.addToScene(line);
-        this.edgeObjects.push(line);
+        this.removeEdgeObject(edge);
+        return true;
+    }
+    
+    /**
+     * Remove all edge objects connected to a node
+     * @param {string} nodeId - Node ID
+     */
+    removeEdgesForNode(nodeId) {
+        this.getConnectedEdges(nodeId).forEach(edge => this.removeEdgeObject(edge));
+    }
+    
+    /**
+     * Remove an edge object
+     * @param {Object} edge - Edge object
+     */
+    removeEdgeObject(edge) {
+        this.edgeObjects = this.edgeObjects.filter(other => other !== edge);
+        this.adjacencyIndex = null;
+        this.renderer.markDirty();
+    }
+    
+    /**
+     * Remove all edges from the scene
+     */
+    clearEdges() {
+        console.log(`Clearing ${this.edgeObjects.length} edges`);
+        this.edgeObjects = [];
+        this.adjacencyIndex = null;
+        this.renderer.clear();
     }
     
     /**
      * Update all edge positions based on current node positions
+     * The lines are rewritten once on the next frame, however often this is called
      */
     updateEdgePositions() {
-        const nodeObjects = this.nodeManager.getAllNodes();
-        
-        this.edgeObjects.forEach(edge => {
-            const sourceId = edge.userData.sourceId;
-            const targetId = edge.userData.targetId;
-            
-            if (nodeObjects[sourceId] && nodeObjects[targetId]) {
-                const sourcePos = nodeObjects[sourceId].position;
-                const targetPos = nodeObjects[targetId].position;
-                
-                // Update the line geometry
-                const points = [
-                    sourcePos.clone(),
-                    targetPos.clone()
-                ];
-                
-                // Dispose old geometry to prevent memory leaks
-                edge.geometry.dispose();
-                
-                // Create new geometry with updated points
-                edge.geometry = new THREE.BufferGeometry().setFromPoints(points);
-            }
-        });
+        this.renderer.markDirty();
     }
     
     /**
-     * Update an edge's material based on its state
+     * Write edge positions, states and visibility into the merged lines and arrowheads if they changed
+     * Called once per frame before rendering
+     */
+    updateBuffers() {
+        this.renderer.update(
+            this.edgeObjects,
+            this.nodeManager.getAllNodes(),
+            nodeId => this.nodeManager.getNodeRadius(nodeId)
+        );
+    }
+    
+    /**
+     * Update an edge's color based on its state
      * @param {Object} edge - Edge object
-     * @param {string} state - State ('default', 'selected')
+     * @param {string} state - State ('default', 'selected', 'dimmed')
      */
     updateEdgeState(edge, state) {
-        try {
-            // FIXED: Replace the entire material instead of updating properties
-            const oldMaterial = edge.material;
-            const newMaterial = window.themeManager.getEdgeMaterial(
-                edge.userData.type, 
-                state
-            );
-            
-            edge.material = newMaterial;
-            
-            // Dispose of old material to prevent memory leaks
-            if (oldMaterial) {
-                oldMaterial.dispose();
-            }
-        } catch (error) {
-            console.error('Error updating edge state:', error);
+        if (edge.state !== state) {
+            edge.state = state;
+            this.renderer.markDirty();
         }
     }
     
+    /**
+     * Redraw edges after the theme's colors or edge styles changed
+     */
+    refreshStyles() {
+        this.renderer.clear();
+    }
+    
     /**
      * Reset all edges to default state
      */
@@ -118,13 +179,65 @@ class EdgeManager {
         this.edgeObjects.forEach((edge, index) => {
             try {
                 this.updateEdgeState(edge, 'default');
-                edge.visible = true; // Ensure edge is visible
+                edge.visible = this.isEdgeVisible(edge); // Visible unless an endpoint is hidden
+                this.renderer.markDirty();
             } catch (error) {
                 console.error(`Error resetting edge state for edge ${index}:`, error);
             }
         });
     }
     
+    /**
+     * Check if an edge should be visible
+     * @param {Object} edge - Edge object
+     * @returns {boolean} - Whether both endpoints and the edge's type are visible
+     */
+    isEdgeVisible(edge) {
+        return !this.hiddenEdgeTypes.has(edge.userData.type) &&
+            this.nodeManager.isNodeVisible(edge.userData.sourceId) &&
+            this.nodeManager.isNodeVisible(edge.userData.targetId);
+    }
+    
+    /**
+     * Check if an edge should be drawn faded
+     * @param {Object} edge - Edge object
+     * @returns {boolean} - Whether the edge's type or an endpoint is ghosted
+     */
+    isEdgeGhosted(edge) {
+        return this.ghostedEdgeTypes.has(edge.userData.type) ||
+            this.nodeManager.isNodeGhosted(edge.userData.sourceId) ||
+            this.nodeManager.isNodeGhosted(edge.userData.targetId);
+    }
+    
+    /**
+     * Show, hide or ghost all edges according to their types and endpoints
+     */
+    updateEdgeVisibility() {
+        this.edgeObjects.forEach(edge => {
+            edge.visible = this.isEdgeVisible(edge);
+            edge.ghosted = this.isEdgeGhosted(edge);
+        });
+        this.renderer.markDirty();
+    }
+    
+    /**
+     * Hide exactly the given edge types, showing any others
+     * @param {Array} types - Edge types to hide (empty to show all)
+     */
+    setHiddenEdgeTypes(types) {
+        this.hiddenEdgeTypes = new Set(types);
+        this.updateEdgeVisibility();
+    }
+    
+    /**
+     * Ghost exactly the given edge types, unghosting any others
+     * @param {Array} types - Edge types to draw faded (empty to unghost all)
+     */
+    setGhostedEdgeTypes(types) {
+        this.ghostedEdgeTypes = new Set(types);
+        this.updateEdgeVisibility();
+    }
+    
     /**
      * Get all edges connecting to a specific node
      * @param {string} nodeId - Node ID
@@ -136,6 +249,18 @@ class EdgeManager {
         );
     }
     
+    /**
+     * Get the neighbours of every node in either direction, one entry per edge
+     * The index is cached until edges are added or removed
+     * @returns {Map} - Map of node IDs to arrays of { node, edge, forward }
+     */
+    getAdjacencyIndex() {
+        if (!this.adjacencyIndex) {
+            this.adjacencyIndex = window.graphAlgorithms.buildAdjacency(this.getEdgeData(), { direction: 'any' });
+        }
+        return this.adjacencyIndex;
+    }
+    
     /**
      * Get all nodes connected to a specific node
      * @param {string} nodeId - Node ID
@@ -180,6 +305,38 @@ class EdgeManager {
         });
     }
     
+    /**
+     * Highlight a selected edge and its endpoints
+     * @param {Object} edge - Selected edge object
+     */
+    highlightEdge(edge) {
+        this.nodeManager.resetNodeStates();
+        this.resetEdgeStates();
+        
+        this.updateEdgeState(edge, 'selected');
+        this.nodeManager.updateNodeState(edge.userData.sourceId, 'related');
+        this.nodeManager.updateNodeState(edge.userData.targetId, 'related');
+    }
+    
+    /**
+     * Highlight a set of nodes and edges and dim everything else
+     * @param {Array} nodeIds - IDs of the nodes to highlight
+     * @param {Array} edgesData - Edge data objects ({ source, target, type }) to highlight
+     */
+    highlightSubgraph(nodeIds, edgesData) {
+        const nodes = new Set(nodeIds);
+        const edgeKeys = new Set(edgesData.map(e => `${e.source}|${e.target}|${e.type}`));
+        
+        for (const id in this.nodeManager.getAllNodes()) {
+            this.nodeManager.updateNodeState(id, nodes.has(id) ? 'selected' : 'dimmed');
+        }
+        
+        this.edgeObjects.forEach(edge => {
+            const key = `${edge.userData.sourceId}|${edge.userData.targetId}|${edge.userData.type}`;
+            this.updateEdgeState(edge, edgeKeys.has(key) ? 'selected' : 'dimmed');
+        });
+    }
+    
     /**
      * Get edge type for a connection between two nodes
      * @param {string} sourceId - Source node ID
@@ -0,0 +1,185 @@
+/**
+ * ForcePhysics.js
+ * One step of the force-directed layout on typed arrays: Barnes-Hut repulsion,
+ * spring attraction along edges, the level constraint, center pull and the
+ * boundary. Runs inside ForceWorker, or on the main thread when workers are unavailable
+ */
+class ForcePhysics {
+    constructor() {
+        this.params = {
+            dampingFactor: 0.03, // Share of the force applied per step
+            repulsionStrength: 30, // Repulsion between nodes beyond minNodeDistance
+            attractionStrength: 0.01, // Spring strength per connection of a node
+            levelConstraintStrength: 0.01, // Pull toward the height of the node's level
+            centerPullStrength: 0.001, // Pull toward the origin
+            maxDistance: 500, // Maximum distance from the origin
+            minNodeDistance: 100, // Distance below which repulsion gets stronger
+            theta: 0.8 // Barnes-Hut accuracy (0 = exact)
+        };
+
+        this.count = 0;
+        this.levels = new Float64Array(0);
+        this.connections = new Float64Array(0);
+        this.fixed = new Uint8Array(0); // 1 for nodes that keep their position
+
+        // Neighbours in compressed rows: node i's are neighbours[offsets[i]] to neighbours[offsets[i + 1] - 1]
+        this.offsets = new Int32Array(1);
+        this.neighbours = new Int32Array(0);
+
+        // Movement of each node in the last step (x, y, z per node)
+        this.velocities = new Float64Array(0);
+    }
+
+    /**
+     * Update parameters
+     * @param {Object} params - Subset of the params object
+     */
+    setParams(params) {
+        Object.assign(this.params, params);
+    }
+
+    /**
+     * Set the graph structure
+     * @param {Object} graph - { count, levels: Float64Array, connections: Float64Array,
+     *                           edges: Int32Array of source/target index pairs,
+     *                           fixed: optional Uint8Array, 1 for pinned nodes }
+     */
+    setGraph(graph) {
+        this.count = graph.count;
+        this.levels = graph.levels;
+        this.connections = graph.connections;
+        this.fixed = graph.fixed || new Uint8Array(graph.count);
+        this.velocities = new Float64Array(graph.count * 3);
+
+        // Each edge pulls both of its ends
+        const degree = new Int32Array(graph.count);
+        for (let i = 0; i < graph.edges.length; i++) {
+            degree[graph.edges[i]]++;
+        }
+
+        this.offsets = new Int32Array(graph.count + 1);
+        for (let i = 0; i < graph.count; i++) {
+            this.offsets[i + 1] = this.offsets[i] + degree[i];
+        }
+
+        this.neighbours = new Int32Array(graph.edges.length);
+        const fill = this.offsets.slice(0, graph.count);
+        for (let i = 0; i < graph.edges.length; i += 2) {
+            const source = graph.edges[i];
+            const target = graph.edges[i + 1];
+            this.neighbours[fill[source]++] = target;
+            this.neighbours[fill[target]++] = source;
+        }
+    }
+
+    /**
+     * Advance the layout by one step
+     * @param {Float64Array} positions - x, y, z per node (modified in place)
+     * @param {boolean} is2DMode - Keep all nodes at z = 0
+     * @returns {number} - Total movement caused by the forces
+     */
+    step(positions, is2DMode) {
+        const p = this.params;
+        const count = Math.min(this.count, positions.length / 3);
+
+        // Repulsion is computed from the positions at the start of the step
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            points.push({ x: positions[i * 3], y: positions[i * 3 + 1], z: positions[i * 3 + 2] });
+        }
+        const tree = new BarnesHutTree(points, is2DMode);
+        const repulsionFactor = distance => distance < p.minNodeDistance
+            // Stronger repulsion when nodes get closer than minNodeDistance
+            ? (p.minNodeDistance * 2) / (distance * distance)
+            : p.repulsionStrength / (distance * distance);
+
+        let totalMovement = 0;
+
+        for (let i = 0; i < count; i++) {
+            const x = i * 3;
+
+            // Pinned nodes push and pull the others but do not move themselves
+            if (this.fixed[i]) {
+                this.velocities[x] = this.velocities[x + 1] = this.velocities[x + 2] = 0;
+                continue;
+            }
+
+            const repulsion = tree.computeRepulsion(points[i], p.theta, repulsionFactor);
+            let forceX = repulsion.x;
+            let forceY = repulsion.y;
+            let forceZ = is2DMode ? 0 : repulsion.z;
+
+            // The more connections a node has, the stronger its springs
+            const connectionStrength = this.connections[i] * p.attractionStrength || 0.03;
+            for (let n = this.offsets[i]; n < this.offsets[i + 1]; n++) {
+                const o = this.neighbours[n] * 3;
+                const dx = positions[o] - positions[x];
+                const dy = positions[o + 1] - positions[x + 1];
+                const dz = is2DMode ? 0 : positions[o + 2] - positions[x + 2];
+                const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+                if (distance > 20) {
+                    const attractionFactor = distance * connectionStrength;
+                    forceX += dx * attractionFactor;
+                    forceY += dy * attractionFactor;
+                    forceZ += dz * attractionFactor;
+                }
+            }
+
+            const oldX = positions[x];
+            const oldY = positions[x + 1];
+            const oldZ = positions[x + 2];
+
+            positions[x] += forceX * p.dampingFactor;
+            positions[x + 1] += forceY * p.dampingFactor;
+            positions[x + 2] = is2DMode ? 0 : positions[x + 2] + forceZ * p.dampingFactor;
+
+            // Level constraint - keep nodes near their hierarchical level
+            if (Number.isFinite(this.levels[i])) {
+                const targetY = -50 + this.levels[i] * 20;
+                positions[x + 1] += (targetY - positions[x + 1]) * p.levelConstraintStrength;
+            }
+
+            this.velocities[x] = positions[x] - oldX;
+            this.velocities[x + 1] = positions[x + 1] - oldY;
+            this.velocities[x + 2] = positions[x + 2] - oldZ;
+            totalMovement += Math.sqrt(
+                this.velocities[x] * this.velocities[x] +
+                this.velocities[x + 1] * this.velocities[x + 1] +
+                this.velocities[x + 2] * this.velocities[x + 2]
+            );
+        }
+
+        for (let i = 0; i < count; i++) {
+            if (this.fixed[i]) continue;
+            const x = i * 3;
+
+            // Pull toward the center against drift
+            positions[x] -= positions[x] * p.centerPullStrength;
+            positions[x + 1] -= positions[x + 1] * p.centerPullStrength;
+            if (!is2DMode) positions[x + 2] -= positions[x + 2] * p.centerPullStrength;
+
+            // Pull back nodes that went too far
+            const distance = Math.sqrt(
+                positions[x] * positions[x] +
+                positions[x + 1] * positions[x + 1] +
+                positions[x + 2] * positions[x + 2]
+            );
+            if (distance > p.maxDistance) {
+                const factor = p.maxDistance / distance;
+                positions[x] *= factor;
+                positions[x + 1] *= factor;
+                positions[x + 2] *= factor;
+            }
+        }
+
+        return totalMovement;
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = ForcePhysics;
+} else {
+    window.ForcePhysics = ForcePhysics;
+}
\ No newline at end of file
@@ -18,6 +18,7 @@ class ForceSimulation {
         this.repulsionStrength = 30; // Controls how strongly nodes repel each other
         this.attractionStrength = 0.01; // Controls how strongly connected nodes attract
         this.levelConstraintStrength = 0.01; // Controls how strongly nodes are pulled to their level
+        this.theta = 0.8; // Barnes-Hut accuracy: 0 is exact, larger is faster and coarser
         
         // Anti-drift parameters
         this.centerPullStrength = 0.001; // Strength of pull toward center
@@ -27,6 +28,185 @@ class ForceSimulation {
         // Auto-disable parameters
         this.autoDisableTimer = null; // Timer for auto-disabling forces
         this.autoDisableTimeout = 20000; // 20 seconds before auto-disable
+        
+        // Node positions when forces were last enabled (for the undo history)
+        this.settleStartPositions = null;
+        
+        // Physics run in a worker, or on the main thread if workers are unavailable
+        this.workerUrl = 'js/graph/ForceWorker.js';
+        this.worker = this.createWorker();
+        this.localPhysics = null;
+        
+        // Node IDs in the order of the position arrays, and the edge index and pins they were built from
+        this.physicsIds = [];
+        this.physicsAdjacency = null;
+        this.physicsPinVersion = -1;
+        this.graphDirty = true;
+        
+        // Nodes left out of the physics (e.g. by the filter panel); they keep their position
+        this.excludedIds = new Set();
+        
+        // Step sent to the worker and not answered yet
+        this.pendingStep = null;
+        this.stepCounter = 0;
+    }
+    
+    /**
+     * Start the physics worker
+     * @returns {Worker} - Worker, or null to simulate on the main thread
+     */
+    createWorker() {
+        if (typeof Worker === 'undefined') return null;
+        
+        try {
+            const worker = new Worker(this.workerUrl);
+            worker.onmessage = (event) => this.onWorkerMessage(event.data);
+            worker.onerror = (event) => {
+                console.warn('Force worker failed, simulating on the main thread:', event.message);
+                this.fallBackToMainThread();
+            };
+            return worker;
+        } catch (error) {
+            // e.g. pages opened from file:// may not start workers
+            console.warn('Could not start the force worker, simulating on the main thread:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Stop using the worker and continue on the main thread
+     */
+    fallBackToMainThread() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        
+        this.graphDirty = true;
+        if (this.pendingStep) {
+            this.pendingStep = null;
+            this.simulateStep();
+        }
+    }
+    
+    /**
+     * Get the parameters for the physics
+     * @returns {Object} - ForcePhysics params
+     */
+    getPhysicsParams() {
+        return {
+            dampingFactor: this.dampingFactor,
+            repulsionStrength: this.repulsionStrength,
+            attractionStrength: this.attractionStrength,
+            levelConstraintStrength: this.levelConstraintStrength,
+            centerPullStrength: this.centerPullStrength,
+            maxDistance: this.maxDistance,
+            minNodeDistance: this.nodeManager.minNodeDistance,
+            theta: this.theta
+        };
+    }
+    
+    /**
+     * Forward the current parameters to the physics
+     */
+    sendParams() {
+        const params = this.getPhysicsParams();
+        if (this.worker) {
+            this.worker.postMessage({ type: 'params', params });
+        } else if (this.localPhysics) {
+            this.localPhysics.setParams(params);
+        }
+    }
+    
+    /**
+     * Build the graph structure for the physics
+     * @param {Array} ids - Node IDs in array order
+     * @returns {Object} - Graph for ForcePhysics.setGraph
+     */
+    buildPhysicsGraph(ids) {
+        const indices = new Map(ids.map((id, index) => [id, index]));
+        const levels = new Float64Array(ids.length);
+        const connections = new Float64Array(ids.length);
+        const fixed = new Uint8Array(ids.length);
+        
+        ids.forEach((id, index) => {
+            const userData = this.nodeManager.nodeObjects[id].userData;
+            levels[index] = userData.level !== undefined ? userData.level : NaN;
+            connections[index] = userData.connections || 0;
+            fixed[index] = this.nodeManager.isNodePinned(id) ? 1 : 0;
+        });
+        
+        const pairs = [];
+        this.edgeManager.getEdgeData().forEach(edge => {
+            if (indices.has(edge.source) && indices.has(edge.target)) {
+                pairs.push(indices.get(edge.source), indices.get(edge.target));
+            }
+        });
+        
+        return { count: ids.length, levels, connections, fixed, edges: Int32Array.from(pairs) };
+    }
+    
+    /**
+     * Send the graph structure to the physics if nodes, edges or pins changed
+     */
+    syncPhysicsGraph() {
+        const ids = Object.keys(this.nodeManager.nodeObjects).filter(id => !this.excludedIds.has(id));
+        const adjacency = this.edgeManager.getAdjacencyIndex();
+        const sameNodes = ids.length === this.physicsIds.length &&
+            ids.every((id, index) => id === this.physicsIds[index]);
+        
+        const pinVersion = this.nodeManager.pinVersion;
+        
+        if (!this.graphDirty && sameNodes && adjacency === this.physicsAdjacency &&
+            pinVersion === this.physicsPinVersion) return;
+        
+        this.physicsIds = ids;
+        this.physicsAdjacency = adjacency;
+        this.physicsPinVersion = pinVersion;
+        this.graphDirty = false;
+        
+        const graph = this.buildPhysicsGraph(ids);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'graph', graph }, [
+                graph.levels.buffer, graph.connections.buffer, graph.fixed.buffer, graph.edges.buffer
+            ]);
+        } else {
+            this.localPhysics.setGraph(graph);
+        }
+    }
+    
+    /**
+     * Leave exactly the given nodes out of the physics, so they neither move nor push other nodes
+     * @param {Array} nodeIds - IDs of the nodes to exclude (empty to simulate all)
+     */
+    setExcludedNodes(nodeIds) {
+        const excluded = new Set(nodeIds);
+        const same = excluded.size === this.excludedIds.size &&
+            Array.from(excluded).every(id => this.excludedIds.has(id));
+        if (same) return;
+        
+        this.excludedIds = excluded;
+        this.graphDirty = true;
+        
+        // Let the remaining nodes settle without (or again with) the excluded ones
+        if (this.useForces) {
+            this.reheat();
+        }
+    }
+    
+    /**
+     * Copy the current node positions into a flat array
+     * @returns {Float64Array} - x, y, z per node in physicsIds order
+     */
+    readPositions() {
+        const positions = new Float64Array(this.physicsIds.length * 3);
+        this.physicsIds.forEach((id, index) => {
+            const position = this.nodeManager.nodeObjects[id].position;
+            positions[index * 3] = position.x;
+            positions[index * 3 + 1] = position.y;
+            positions[index * 3 + 2] = position.z;
+        });
+        return positions;
     }
     
     /**
@@ -78,17 +258,73 @@ class ForceSimulation {
             
             // Set auto-disable timer
             this.resetAutoDisableTimer();
+            
+            this.markSettleStart();
         } else {
             // Clear auto-disable timer
             if (this.autoDisableTimer) {
                 clearTimeout(this.autoDisableTimer);
                 this.autoDisableTimer = null;
             }
+            
+            // Record where the forces moved the nodes
+            if (this.settleStartPositions) {
+                this.nodeManager.recordPositionChange('Force layout', this.settleStartPositions);
+                this.settleStartPositions = null;
+            }
         }
 
         console.log(`Forces ${this.useForces ? 'enabled' : 'disabled'}, Simulation running: ${this.isSimulating}`);
         return this.useForces;
     }
+    
+    /**
+     * Enable or disable forces and update the forces button
+     * @param {boolean} enabled - Whether forces should be enabled
+     */
+    setForcesEnabled(enabled) {
+        if (this.useForces !== enabled) {
+            this.toggleForces();
+        }
+        
+        const forcesButton = document.getElementById('toggle-forces');
+        if (forcesButton) {
+            forcesButton.classList.toggle('active', enabled);
+            forcesButton.textContent = enabled ? 'Disable Forces' : 'Enable Forces';
+        }
+    }
+    
+    /**
+     * Remember the current node positions as the start of a force run,
+     * so the moves made by the forces are recorded as one history entry
+     */
+    markSettleStart() {
+        this.settleStartPositions = this.nodeManager.getPositionSnapshot();
+    }
+
+    /**
+     * Re-enable forces so the graph settles again after its structure changed
+     */
+    reheat() {
+        this.stabilityCounter = 0;
+        
+        // Levels or connection counts may have changed with the structure
+        this.graphDirty = true;
+        
+        if (!this.useForces) {
+            this.setForcesEnabled(true);
+        } else {
+            this.resetAutoDisableTimer();
+            
+            if (!this.settleStartPositions) {
+                this.markSettleStart();
+            }
+        }
+        
+        if (!this.isSimulating) {
+            this.start();
+        }
+    }
 
     /**
      * Set whether in 2D mode
@@ -140,44 +376,6 @@ class ForceSimulation {
         }
     }
     
-    /**
-     * Apply boundaries to prevent nodes from going too far
-     */
-    applyBoundaries() {
-        const maxDist = this.maxDistance;
-        const nodeManager = this.nodeManager;
-        
-        for (const id in nodeManager.nodeObjects) {
-            const node = nodeManager.nodeObjects[id];
-            const dist = Math.sqrt(
-                node.position.x * node.position.x + 
-                node.position.y * node.position.y + 
-                node.position.z * node.position.z
-            );
-            
-            // If node is too far from center, pull it back
-            if (dist > maxDist) {
-                const factor = maxDist / dist;
-                node.position.x *= factor;
-                node.position.y *= factor;
-                node.position.z *= factor;
-                
-                // Update position in nodePositions map
-                nodeManager.nodePositions[id] = node.position.clone();
-                
-                // Update label position
-                if (nodeManager.labelObjects[id]) {
-                    const label = nodeManager.labelObjects[id];
-                    label.position.set(
-                        node.position.x,
-                        node.position.y + node.userData.size + 5,
-                        node.position.z
-                    );
-                }
-            }
-        }
-    }
-    
     /**
      * Single simulation step
      */
@@ -192,14 +390,60 @@ class ForceSimulation {
             return;
         }
 
-        // Get current edge data
-        const edges = this.edgeManager.getEdgeData();
+        // The worker answers a step before the next one is sent
+        if (this.pendingStep) return;
+
+        if (!this.worker && !this.localPhysics) {
+            this.localPhysics = new ForcePhysics();
+            this.localPhysics.setParams(this.getPhysicsParams());
+        }
+        this.syncPhysicsGraph();
+
+        // The meshes hold the current positions, which layouts and edits may have changed
+        const positions = this.readPositions();
+
+        if (this.worker) {
+            this.pendingStep = { id: ++this.stepCounter, ids: this.physicsIds };
+            this.worker.postMessage({
+                type: 'step',
+                positions,
+                is2DMode: this.is2DMode,
+                id: this.pendingStep.id
+            }, [positions.buffer]);
+            return;
+        }
 
-        // Track total movement to detect stability
-        let totalMovement = this.updatePositionsWithForcesEnhanced(edges, this.is2DMode);
+        const totalMovement = this.localPhysics.step(positions, this.is2DMode);
+        this.applyStep(this.physicsIds, positions, totalMovement);
+    }
+    
+    /**
+     * Handle a message from the physics worker
+     * @param {Object} message - Worker message
+     */
+    onWorkerMessage(message) {
+        if (message.type !== 'positions' || !this.pendingStep || message.id !== this.pendingStep.id) return;
+        
+        const ids = this.pendingStep.ids;
+        this.pendingStep = null;
         
-        // Apply boundaries to prevent drifting too far
-        this.applyBoundaries();
+        // Forces may have been turned off while the worker was busy
+        if (!this.isSimulating || !this.useForces) {
+            this.simulateStep();
+            return;
+        }
+        
+        this.applyStep(ids, message.positions, message.movement);
+    }
+    
+    /**
+     * Move the nodes to the result of a step and schedule the next one
+     * @param {Array} ids - Node IDs in array order
+     * @param {Float64Array} positions - New positions
+     * @param {number} totalMovement - Movement caused by the forces
+     */
+    applyStep(ids, positions, totalMovement) {
+        this.nodeManager.setPositionsFromArray(ids, positions);
 
         // Update edge positions to match nodes
         this.edgeManager.updateEdgePositions();
@@ -226,53 +470,13 @@ class ForceSimulation {
         requestAnimationFrame(() => this.simulateStep());
     }
     
-    /**
-     * Enhanced version of updatePositionsWithForces that includes center pull
-     * @param {Array} edges - Edge data
-     * @param {boolean} is2DMode - Whether in 2D mode
-     * @returns {number} - Total movement
-     */
-    updatePositionsWithForcesEnhanced(edges, is2DMode) {
-        // Get the original node manager's updatePositionsWithForces method
-        const nodesWithForces = this.nodeManager.updatePositionsWithForces(edges, is2DMode);
-        
-        // Apply additional center-pulling force
-        for (const id in this.nodeManager.nodeObjects) {
-            const node = this.nodeManager.nodeObjects[id];
-            
-            // Calculate pull toward center
-            const dx = 0 - node.position.x;
-            const dy = 0 - node.position.y;
-            const dz = is2DMode ? 0 : 0 - node.position.z;
-            
-            // Apply force proportional to distance from center
-            node.position.x += dx * this.centerPullStrength;
-            node.position.y += dy * this.centerPullStrength;
-            if (!is2DMode) node.position.z += dz * this.centerPullStrength;
-            
-            // Update position in nodePositions map
-            this.nodeManager.nodePositions[id] = node.position.clone();
-            
-            // Update label position
-            if (this.nodeManager.labelObjects[id]) {
-                const label = this.nodeManager.labelObjects[id];
-                label.position.set(
-                    node.position.x,
-                    node.position.y + node.userData.size + 5,
-                    node.position.z
-                );
-            }
-        }
-        
-        return nodesWithForces;
-    }
-    
     /**
      * Set minimum node distance
      * @param {number} distance - Minimum distance between nodes
      */
     setMinNodeDistance(distance) {
         this.nodeManager.setMinNodeDistance(distance);
+        this.sendParams();
     }
     
     /**
@@ -281,6 +485,7 @@ class ForceSimulation {
      */
     setDampingFactor(factor) {
         this.dampingFactor = Math.max(0.01, Math.min(0.1, factor));
+        this.sendParams();
     }
     
     /**
@@ -289,6 +494,7 @@ class ForceSimulation {
      */
     setRepulsionStrength(strength) {
         this.repulsionStrength = strength;
+        this.sendParams();
     }
     
     /**
@@ -297,6 +503,16 @@ class ForceSimulation {
      */
     setAttractionStrength(strength) {
         this.attractionStrength = strength;
+        this.sendParams();
+    }
+    
+    /**
+     * Set the Barnes-Hut accuracy parameter
+     * @param {number} theta - 0 (exact) to 1.5 (coarse)
+     */
+    setTheta(theta) {
+        this.theta = Math.max(0, Math.min(1.5, theta));
+        this.sendParams();
     }
     
     /**
@@ -305,6 +521,7 @@ class ForceSimulation {
      */
     setLevelConstraintStrength(strength) {
         this.levelConstraintStrength = strength;
+        this.sendParams();
     }
     
     /**
@@ -313,6 +530,7 @@ class ForceSimulation {
      */
     setCenterPullStrength(strength) {
         this.centerPullStrength = strength;
+        this.sendParams();
     }
     
     /**
@@ -321,6 +539,7 @@ class ForceSimulation {
      */
     setMaxDistance(distance) {
         this.maxDistance = distance;
+        this.sendParams();
     }
     
     /**
@@ -331,6 +550,19 @@ class ForceSimulation {
         this.autoDisableTimeout = timeout;
     }
     
+    /**
+     * Stop the simulation and the physics worker
+     */
+    dispose() {
+        this.stop();
+        
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pendingStep = null;
+    }
+    
     /**
      * Check if simulation is active
      * @returns {boolean} - Whether simulation is active
@@ -0,0 +1,42 @@
+/**
+ * ForceWorker.js
+ * Web Worker running ForcePhysics off the main thread
+ *
+ * Messages from ForceSimulation:
+ *   { type: 'params', params }                  - update physics parameters
+ *   { type: 'graph', graph }                    - set the graph structure (see ForcePhysics.setGraph)
+ *   { type: 'step', positions, is2DMode, id }   - advance one step from the given positions
+ * Replies:
+ *   { type: 'positions', positions, movement, id }
+ */
+
+// The shared scripts register their classes on window
+self.window = self;
+importScripts('BarnesHutTree.js', 'ForcePhysics.js');
+
+const physics = new ForcePhysics();
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'params':
+            physics.setParams(message.params);
+            break;
+        case 'graph':
+            physics.setGraph(message.graph);
+            break;
+        case 'step': {
+            const movement = physics.step(message.positions, message.is2DMode);
+            self.postMessage({
+                type: 'positions',
+                positions: message.positions,
+                movement,
+                id: message.id
+            }, [message.positions.buffer]);
+            break;
+        }
+        default:
+            console.warn(`ForceWorker: unknown message type ${message.type}`);
+    }
+};
\ No newline at end of file
@@ -14,13 +14,18 @@ class GraphManager {
         // State variables
         this.is2DMode = false;
         this.is3DTransitioning = false;
+        this.transitionId = 0; // Bumped to stop a running 2D/3D animation
         this.originalPositions = {}; // For reverting from 2D to 3D
+        this.dimensionListeners = []; // Callbacks for 2D/3D switches
         
         // Store references to other managers
         this.nodeManager = null;
         this.edgeManager = null;
         this.selectionManager = null;
         
+        // Scratch vector for projectToScreen
+        this.projectedPoint = new THREE.Vector3();
+        
         // Initialize
         this.initScene();
         this.initCamera();
@@ -103,6 +108,15 @@ class GraphManager {
         if (cameraController) {
             this.cameraController = cameraController;
         }
+        
+        // Level of detail for labels and node spheres, updated every frame
+        this.levelOfDetail = new LevelOfDetail(this, nodeManager);
+        
+        // Node labels, placed without overlaps every frame
+        this.labelOverlay = new LabelOverlay(this, nodeManager, edgeManager, selectionManager, this.levelOfDetail);
+        
+        // Particles along the highlighted edges
+        this.edgeFlow = new EdgeFlow(this, nodeManager, edgeManager);
     }
     
     /**
@@ -142,9 +156,37 @@ class GraphManager {
     
     /**
      * Toggle between 2D and 3D views
+     * @returns {boolean} - Whether the view was switched (not while a switch is animating)
      */
     toggleDimension() {
-        this.is2DMode = !this.is2DMode;
+        if (this.is3DTransitioning) return false;
+        
+        const is2D = !this.is2DMode;
+        this.switchDimension(is2D);
+        
+        // Record the switch so it can be undone; replaying sets the mode rather than toggling it,
+        // so history and the view agree even when several switches are replayed at once
+        if (window.historyManager) {
+            window.historyManager.record({
+                label: is2D ? 'Switch to 2D' : 'Switch to 3D',
+                undo: () => this.switchDimension(!is2D),
+                redo: () => this.switchDimension(is2D)
+            });
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Switch to 2D or 3D, animating the nodes
+     * A switch still animating is finished first
+     * @param {boolean} is2D - Whether to switch to 2D mode
+     */
+    switchDimension(is2D) {
+        this.finishTransition();
+        if (this.is2DMode === is2D) return;
+        
+        this.is2DMode = is2D;
         this.is3DTransitioning = true;
         
         if (this.is2DMode) {
@@ -162,6 +204,60 @@ class GraphManager {
             // Animate back to 3D
             this.animateTo3D();
         }
+        
+        this.dimensionListeners.forEach(listener => listener(this.is2DMode));
+    }
+    
+    /**
+     * Stop a running 2D/3D animation and put the nodes where it would end
+     */
+    finishTransition() {
+        if (!this.is3DTransitioning) return;
+        
+        this.transitionId++;
+        this.is3DTransitioning = false;
+        
+        if (this.nodeManager) {
+            if (this.is2DMode) {
+                this.nodeManager.flattenNodes(1);
+            } else {
+                this.nodeManager.unflattenNodes(1, this.originalPositions);
+            }
+        }
+        if (this.edgeManager) {
+            this.edgeManager.updateEdgePositions();
+        }
+    }
+    
+    /**
+     * Switch between 2D and 3D immediately, without animating the nodes
+     * Used when node positions are restored from a saved state
+     * @param {boolean} is2D - Whether to use 2D mode
+     * @param {Object} originalPositions - Map of node IDs to the 3D positions to return to from 2D
+     * @returns {boolean} - Whether the mode was set (not while a switch is animating)
+     */
+    setDimensionMode(is2D, originalPositions = {}) {
+        if (this.is3DTransitioning) return false;
+        
+        this.originalPositions = {};
+        for (const id in originalPositions) {
+            this.originalPositions[id] = originalPositions[id].clone();
+        }
+        
+        if (this.is2DMode !== is2D) {
+            this.is2DMode = is2D;
+            this.dimensionListeners.forEach(listener => listener(this.is2DMode));
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Register a callback for switches between 2D and 3D
+     * @param {Function} callback - Called with whether the view is now 2D
+     */
+    onDimensionChange(callback) {
+        this.dimensionListeners.push(callback);
     }
     
     /**
@@ -169,9 +265,13 @@ class GraphManager {
      */
     animateTo2D() {
         const frames = 30;
+        const transitionId = ++this.transitionId;
         let frame = 0;
         
         const animate = () => {
+            // Stopped by finishTransition
+            if (transitionId !== this.transitionId) return;
+            
             if (frame < frames) {
                 const progress = frame / frames;
                 
@@ -200,9 +300,13 @@ class GraphManager {
      */
     animateTo3D() {
         const frames = 30;
+        const transitionId = ++this.transitionId;
         let frame = 0;
         
         const animate = () => {
+            // Stopped by finishTransition
+            if (transitionId !== this.transitionId) return;
+            
             if (frame < frames) {
                 const progress = frame / frames;
                 
@@ -296,32 +400,34 @@ class GraphManager {
             const total = this.scene.children.length;
             console.log(`Total scene objects: ${total}`);
 
-            const nodeCount = this.scene.children.filter(obj => obj.userData && obj.userData.type === 'node').length;
-            const edgeCount = this.scene.children.filter(obj => obj.type === 'Line').length;
-            const labelCount = this.scene.children.filter(obj => obj.userData && obj.userData.type === 'label').length;
+            const nodes = this.nodeManager ? this.nodeManager.getAllNodes() : {};
+            const nodeIds = Object.keys(nodes);
+            const edgeCount = this.edgeManager ? this.edgeManager.getAllEdges().length : 0;
+            const labelCount = this.labelOverlay ? this.labelOverlay.getVisibleCount() : 0;
             const lightCount = this.scene.children.filter(obj => obj.type.includes('Light')).length;
+            const drawCalls = this.scene.children.filter(obj => obj.isInstancedMesh || obj.isLineSegments).length;
 
             console.log('Object counts by type:', {
-                nodes: nodeCount,
+                nodes: nodeIds.length,
                 edges: edgeCount,
                 labels: labelCount,
                 lights: lightCount,
-                other: total - nodeCount - edgeCount - labelCount - lightCount
+                nodeAndEdgeMeshes: drawCalls
             });
 
-            const invisibleNodes = this.scene.children.filter(obj => obj.userData && obj.userData.type === 'node' && (obj.visible === false || obj.material.opacity === 0)).length;
+            const invisibleNodes = nodeIds.filter(id => !nodes[id].visible).length;
             if (invisibleNodes > 0) {
-                console.warn(`Warning: ${invisibleNodes} nodes are invisible!`);
+                console.log(`${invisibleNodes} nodes are hidden`);
             }
 
-            const nodeSample = this.scene.children.filter(obj => obj.userData && obj.userData.type === 'node').slice(0, 3);
-            nodeSample.forEach((node, i) => {
+            nodeIds.slice(0, 3).forEach((id, i) => {
+                const node = nodes[id];
                 console.log(`Node sample ${i}:`, {
-                    id: node.userData.id,
+                    id,
                     position: node.position.toArray(),
                     visible: node.visible,
-                    opacity: node.material ? node.material.opacity : 'N/A',
-                    scale: node.scale.toArray()
+                    state: this.nodeManager.getNodeState(id),
+                    size: node.userData.size
                 });
             });
         } catch (error) {
@@ -330,6 +436,30 @@ class GraphManager {
         console.groupEnd();
     }
 
+    /**
+     * Update the level of detail, copy node and edge changes into the instanced buffers, move flow particles, place labels and render the scene
+     */
+    renderFrame() {
+        if (this.levelOfDetail) {
+            this.levelOfDetail.update();
+        }
+        if (this.nodeManager) {
+            const lod = this.levelOfDetail;
+            this.nodeManager.updateInstances(lod ? nodeId => lod.getDetailLevel(nodeId) : null);
+        }
+        if (this.edgeManager) {
+            this.edgeManager.updateBuffers();
+        }
+        if (this.edgeFlow) {
+            this.edgeFlow.update(performance.now() / 1000);
+        }
+        if (this.labelOverlay) {
+            this.labelOverlay.update();
+        }
+        
+        this.renderer.render(this.scene, this.camera);
+    }
+    
     /**
      * Start the animation loop
      * @param {boolean} enableRotation - Whether to enable automatic rotation
@@ -362,7 +492,7 @@ class GraphManager {
                 }
 
                 // Render the scene
-                this.renderer.render(this.scene, this.camera);
+                this.renderFrame();
 
                 // Reset error counter on successful frame
                 consecutiveErrors = 0;
@@ -421,6 +551,110 @@ class GraphManager {
         const raycaster = this.getRaycaster(mouse);
         return raycaster.intersectObjects(this.scene.children);
     }
+    
+    /**
+     * Find the node under the mouse
+     * @param {Object} mouse - Mouse coordinates (x, y) in normalized device coordinates
+     * @returns {string} - ID of the nearest intersected node or null
+     */
+    getNodeIdAtMouse(mouse) {
+        const intersects = this.getIntersectedObjects(mouse);
+        
+        for (let i = 0; i < intersects.length; i++) {
+            const { object, instanceId } = intersects[i];
+            if (!object || !object.isInstancedMesh || object.userData.type !== 'node') continue;
+            
+            // Nodes are instances; hidden ones are scaled to nothing but may still be hit
+            const nodeId = this.nodeManager.getNodeIdForInstance(object, instanceId);
+            if (nodeId && this.nodeManager.isNodeVisible(nodeId)) {
+                return nodeId;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find the edge drawn nearest to the mouse
+     * Edges are thin lines, so they are measured on screen rather than raycast
+     * @param {Object} mouse - Mouse coordinates (x, y) in normalized device coordinates
+     * @param {number} tolerance - Maximum distance from the mouse in pixels
+     * @returns {Object} - Nearest visible edge object within the tolerance or null
+     */
+    getEdgeAtMouse(mouse, tolerance = 6) {
+        if (!this.edgeManager || !this.nodeManager) return null;
+        
+        const renderer = this.edgeManager.renderer;
+        const nodes = this.nodeManager.getAllNodes();
+        const pointer = {
+            x: (mouse.x + 1) / 2 * this.container.clientWidth,
+            y: (1 - mouse.y) / 2 * this.container.clientHeight
+        };
+        
+        let nearest = null;
+        let nearestDistance = tolerance;
+        
+        this.edgeManager.getAllEdges().forEach(edge => {
+            const source = nodes[edge.userData.sourceId];
+            const target = nodes[edge.userData.targetId];
+            if (!edge.visible || !source || !target) return;
+            
+            // Follow curved edges segment by segment
+            const segments = renderer.curvedEdges.has(edge) ? renderer.curveSegments : 1;
+            let previous = this.projectToScreen(source.position);
+            
+            for (let k = 1; k <= segments; k++) {
+                const next = this.projectToScreen(renderer.getPointOnEdge(edge, source, target, k / segments, new THREE.Vector3()));
+                if (previous && next) {
+                    const distance = window.mathUtils.distanceToSegment2D(pointer, previous, next);
+                    if (distance < nearestDistance) {
+                        nearest = edge;
+                        nearestDistance = distance;
+                    }
+                }
+                previous = next;
+            }
+        });
+        
+        return nearest;
+    }
+    
+    /**
+     * Project a world point to pixel coordinates in the graph container
+     * @param {Object} point - THREE.js Vector3 position
+     * @returns {Object} - { x, y } from the container's top left, or null if behind the camera
+     */
+    projectToScreen(point) {
+        const projected = this.projectedPoint.copy(point).project(this.camera);
+        if (projected.z > 1) return null;
+        
+        return {
+            x: (projected.x + 1) / 2 * this.container.clientWidth,
+            y: (1 - projected.y) / 2 * this.container.clientHeight
+        };
+    }
+    
+    /**
+     * Project the mouse onto the camera-facing plane through a point
+     * @param {Object} mouse - Mouse coordinates (x, y) in normalized device coordinates
+     * @param {Object} point - THREE.js Vector3 the plane passes through
+     * @returns {THREE.Vector3} - Intersection point or null if the ray misses the plane
+     */
+    getMousePointOnPlane(mouse, point) {
+        const raycaster = this.getRaycaster(mouse);
+        const normal = new THREE.Vector3();
+        
+        // In 2D mode everything lies in the XY plane
+        if (this.is2DMode) {
+            normal.set(0, 0, 1);
+        } else {
+            this.camera.getWorldDirection(normal);
+        }
+        
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, point);
+        const target = new THREE.Vector3();
+        return raycaster.ray.intersectPlane(plane, target);
+    }
 }
 
 // Make available in module and global contexts
@@ -0,0 +1,264 @@
+/**
+ * InstancedNodeRenderer.js
+ * Draws all nodes of a type with instanced meshes, one per level of detail.
+ * Nodes stay lightweight Object3D proxies (position, userData, visible) owned by
+ * NodeManager; every frame their transforms are copied into the instance buffers,
+ * each node going to the mesh of its detail level, and their state
+ * (default/selected/related/dimmed) is shown through per-instance color and scale.
+ * Ghosted nodes are drawn small and faded whatever their state, unless selected
+ */
+class InstancedNodeRenderer {
+    constructor(graphManager) {
+        this.graphManager = graphManager;
+
+        // Sphere segments per detail level, most detailed first
+        this.detailSegments = [24, 12, 6];
+
+        // Node type -> { meshes: one per detail level, ids: per level, the nodes drawn by each instance, capacity }
+        this.batches = {};
+
+        // Node ID -> { object, type, state, ghosted }
+        this.records = {};
+
+        // Instances allocated when a batch is created or grows
+        this.initialCapacity = 64;
+
+        // Scratch objects for building matrices
+        this.matrix = new THREE.Matrix4();
+        this.quaternion = new THREE.Quaternion();
+        this.scale = new THREE.Vector3();
+    }
+
+    /**
+     * Start drawing a node
+     * @param {string} nodeId - Node ID
+     * @param {Object} object - Node proxy (THREE.Object3D with userData.nodeType and userData.size)
+     */
+    add(nodeId, object) {
+        if (this.records[nodeId]) {
+            this.remove(nodeId);
+        }
+
+        this.records[nodeId] = { object, type: object.userData.nodeType, state: 'default', ghosted: false };
+    }
+
+    /**
+     * Stop drawing a node
+     * @param {string} nodeId - Node ID
+     */
+    remove(nodeId) {
+        delete this.records[nodeId];
+    }
+
+    /**
+     * Remove all nodes and dispose the meshes
+     */
+    clear() {
+        for (const type in this.batches) {
+            this.disposeBatch(this.batches[type]);
+        }
+
+        this.batches = {};
+        this.records = {};
+    }
+
+    /**
+     * Remove a batch's meshes from the scene and dispose them
+     * @param {Object} batch - Batch
+     */
+    disposeBatch(batch) {
+        batch.meshes.forEach(mesh => {
+            this.graphManager.removeFromScene(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+    }
+
+    /**
+     * Make sure every detail level of a type can hold a number of nodes
+     * @param {string} type - Node type
+     * @param {number} count - Number of nodes of the type
+     */
+    ensureCapacity(type, count) {
+        const batch = this.batches[type];
+        if (batch && count <= batch.capacity) return;
+
+        let capacity = batch ? batch.capacity : this.initialCapacity;
+        while (capacity < count) {
+            capacity *= 2;
+        }
+
+        if (batch) {
+            this.disposeBatch(batch);
+        }
+
+        const meshes = this.detailSegments.map((segments, level) => {
+            const mesh = this.createMesh(type, level, capacity);
+            this.graphManager.addToScene(mesh);
+            return mesh;
+        });
+
+        this.batches[type] = {
+            meshes,
+            ids: this.detailSegments.map(() => []),
+            capacity
+        };
+    }
+
+    /**
+     * Create the instanced mesh for a node type and detail level
+     * @param {string} type - Node type
+     * @param {number} level - Index into detailSegments
+     * @param {number} capacity - Number of instances
+     * @returns {THREE.InstancedMesh} - Mesh
+     */
+    createMesh(type, level, capacity) {
+        const segments = this.detailSegments[level];
+        const geometry = new THREE.SphereGeometry(1, segments, segments);
+        const material = window.themeManager.getInstancedNodeMaterial();
+        const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+        mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+        mesh.count = 0;
+
+        // Instances spread far beyond the unit sphere the culling would test
+        mesh.frustumCulled = false;
+        mesh.userData = { type: 'node', nodeType: type, detailLevel: level };
+
+        return mesh;
+    }
+
+    /**
+     * Set the highlight state of a node
+     * @param {string} nodeId - Node ID
+     * @param {string} state - 'default', 'selected', 'related' or 'dimmed'
+     */
+    setState(nodeId, state) {
+        if (this.records[nodeId]) {
+            this.records[nodeId].state = state;
+        }
+    }
+
+    /**
+     * Ghost or unghost a node
+     * @param {string} nodeId - Node ID
+     * @param {boolean} ghosted - Whether to draw the node as a ghost
+     */
+    setGhosted(nodeId, ghosted) {
+        if (this.records[nodeId]) {
+            this.records[nodeId].ghosted = ghosted;
+        }
+    }
+
+    /**
+     * Get the highlight state of a node
+     * @param {string} nodeId - Node ID
+     * @returns {string} - State, or null for unknown nodes
+     */
+    getState(nodeId) {
+        return this.records[nodeId] ? this.records[nodeId].state : null;
+    }
+
+    /**
+     * Get the style a node is drawn with: its highlight state, or 'ghost' for ghosted nodes not selected
+     * @param {string} nodeId - Node ID
+     * @returns {string} - State, or null for unknown nodes
+     */
+    getDrawState(nodeId) {
+        const record = this.records[nodeId];
+        if (!record) return null;
+        return record.ghosted && record.state !== 'selected' ? 'ghost' : record.state;
+    }
+
+    /**
+     * Get the node drawn by an instance
+     * @param {Object} mesh - Instanced mesh
+     * @param {number} instanceId - Instance index
+     * @returns {string} - Node ID or null
+     */
+    getNodeId(mesh, instanceId) {
+        const batch = this.batches[mesh.userData.nodeType];
+        const level = mesh.userData.detailLevel;
+        if (!batch || batch.meshes[level] !== mesh) return null;
+        return batch.ids[level][instanceId] || null;
+    }
+
+    /**
+     * Copy node transforms, colors and detail levels into the instance buffers
+     * @param {Function} detailLevelOf - Returns the detail level (index into detailSegments) of a node ID;
+     *                                   all nodes use the most detailed level without it
+     */
+    update(detailLevelOf) {
+        const scene = this.graphManager.scene;
+        const background = scene && scene.background ? scene.background.getHex() : 0x000000;
+        const lastLevel = this.detailSegments.length - 1;
+
+        // Colors only depend on type and state
+        const colorCache = new Map();
+        const getColor = (type, state) => {
+            const key = `${type}|${state}`;
+            if (!colorCache.has(key)) {
+                colorCache.set(key, window.themeManager.getNodeInstanceColor(type, state, background, new THREE.Color()));
+            }
+            return colorCache.get(key);
+        };
+
+        // Every detail level of a type must be able to hold all of its nodes
+        const counts = {};
+        for (const nodeId in this.records) {
+            const type = this.records[nodeId].type;
+            counts[type] = (counts[type] || 0) + 1;
+        }
+        for (const type in counts) {
+            this.ensureCapacity(type, counts[type]);
+        }
+
+        for (const type in this.batches) {
+            this.batches[type].ids = this.detailSegments.map(() => []);
+        }
+
+        for (const nodeId in this.records) {
+            const { object, type } = this.records[nodeId];
+            const state = this.getDrawState(nodeId);
+            const batch = this.batches[type];
+            const level = detailLevelOf ? Math.min(Math.max(detailLevelOf(nodeId), 0), lastLevel) : 0;
+            const mesh = batch.meshes[level];
+            const index = batch.ids[level].length;
+            batch.ids[level].push(nodeId);
+
+            const style = window.themeManager.getNodeInstanceStyle(state);
+            const size = object.visible ? (object.userData.size || 1) * style.scale : 0;
+
+            this.scale.set(size, size, size);
+            this.matrix.compose(object.position, this.quaternion, this.scale);
+            mesh.setMatrixAt(index, this.matrix);
+            mesh.setColorAt(index, getColor(type, state));
+        }
+
+        for (const type in this.batches) {
+            const batch = this.batches[type];
+            batch.meshes.forEach((mesh, level) => {
+                mesh.count = batch.ids[level].length;
+                mesh.instanceMatrix.needsUpdate = true;
+                mesh.instanceColor.needsUpdate = true;
+            });
+        }
+    }
+
+    /**
+     * Get the number of meshes used for nodes
+     * @returns {number} - Number of instanced meshes
+     */
+    getBatchCount() {
+        return Object.keys(this.batches).length * this.detailSegments.length;
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = InstancedNodeRenderer;
+} else {
+    window.InstancedNodeRenderer = InstancedNodeRenderer;
+}
\ No newline at end of file
@@ -0,0 +1,340 @@
+/**
+ * LabelOverlay.js
+ * Draws node labels as HTML elements over the canvas. Every frame the nodes are
+ * projected to the screen and labels are placed greedily by priority (selected
+ * node, its neighbours, search matches, then the rest by LevelOfDetail score),
+ * each taking the first free spot around its node; labels that fit nowhere are
+ * hidden, so no two labels ever overlap. A selected edge gets a label at its
+ * midpoint, placed before all others
+ */
+class LabelOverlay {
+    constructor(graphManager, nodeManager, edgeManager, selectionManager, levelOfDetail) {
+        this.graphManager = graphManager;
+        this.nodeManager = nodeManager;
+        this.edgeManager = edgeManager;
+        this.selectionManager = selectionManager;
+        this.levelOfDetail = levelOfDetail;
+        this.searchManager = null;
+
+        // Must match the font and padding of .node-label in styles.css
+        this.font = '600 12px Inter, -apple-system, sans-serif';
+        this.paddingX = 6;
+        this.paddingY = 3;
+        this.lineHeight = 14;
+
+        // Free space kept around each label and between a label and its node, in pixels
+        this.margin = 2;
+
+        // Extra class of a label by priority (see getPriorities; 4 is the selected edge)
+        this.priorityClasses = ['', 'match', 'related', 'selected', 'edge'];
+
+        // Label ID of the selected edge, which cannot clash with node IDs
+        this.edgeLabelId = '\u0000edge';
+
+        // Cell size of the grid used to find overlapping labels, in pixels
+        this.cellSize = 80;
+
+        // Node ID -> { element, text, transform, opacity, className, shown }, the last values written to the DOM
+        this.labels = new Map();
+
+        // Label text -> measured width in pixels
+        this.textWidths = new Map();
+        this.measureContext = document.createElement('canvas').getContext('2d');
+        this.measureContext.font = this.font;
+
+        this.visibleCount = 0;
+        this.projected = new THREE.Vector3();
+
+        this.element = document.createElement('div');
+        this.element.id = 'label-overlay';
+        this.graphManager.container.appendChild(this.element);
+    }
+
+    /**
+     * Use a search manager's matches as priority labels
+     * @param {Object} searchManager - Search manager instance
+     */
+    setSearchManager(searchManager) {
+        this.searchManager = searchManager;
+    }
+
+    /**
+     * Get the priority of each node whose label must be shown if there is room
+     * @returns {Map} - Node ID -> priority (higher is placed first)
+     */
+    getPriorities() {
+        const priorities = new Map();
+
+        if (this.searchManager) {
+            this.searchManager.getMatchingIds().forEach(id => priorities.set(id, 1));
+        }
+
+        const selectedId = this.selectionManager ? this.selectionManager.getSelectedNodeId() : null;
+        if (selectedId) {
+            this.edgeManager.getConnectedNodeIds(selectedId).forEach(id => priorities.set(id, 2));
+            priorities.set(selectedId, 3);
+        }
+
+        return priorities;
+    }
+
+    /**
+     * Project, place and draw the labels for the current camera
+     * Called once per frame after LevelOfDetail.update
+     */
+    update() {
+        const camera = this.graphManager.camera;
+        const width = this.graphManager.container.clientWidth;
+        const height = this.graphManager.container.clientHeight;
+        if (!camera || !width || !height) return;
+
+        const nodes = this.nodeManager.getAllNodes();
+        const priorities = this.getPriorities();
+        const candidates = [];
+
+        for (const id in nodes) {
+            const node = nodes[id];
+            if (!node.visible) continue;
+
+            const priority = priorities.get(id) || 0;
+            const opacity = priority > 0 ? 1 : this.levelOfDetail.getLabelOpacity(id);
+            if (opacity <= 0) continue;
+
+            // Skip nodes behind the camera or off screen
+            this.projected.copy(node.position).project(camera);
+            if (this.projected.z > 1 || Math.abs(this.projected.x) > 1.1 || Math.abs(this.projected.y) > 1.1) continue;
+
+            candidates.push({
+                id,
+                text: node.userData.label || id,
+                x: (this.projected.x + 1) / 2 * width,
+                y: (1 - this.projected.y) / 2 * height,
+                radius: this.levelOfDetail.screenRadii[id] || 0,
+                priority,
+                score: this.levelOfDetail.getLabelScore(id),
+                opacity,
+                pinned: this.nodeManager.isNodePinned(id)
+            });
+        }
+
+        const edgeCandidate = this.getEdgeCandidate(width, height);
+        if (edgeCandidate) {
+            candidates.push(edgeCandidate);
+        }
+
+        candidates.sort((a, b) => b.priority - a.priority || b.score - a.score);
+
+        const grid = new Map();
+        const placed = new Map();
+
+        candidates.forEach(candidate => {
+            const rect = this.findPlacement(candidate, grid, width, height);
+            if (rect) {
+                this.addToGrid(grid, rect);
+                placed.set(candidate.id, { candidate, rect });
+            }
+        });
+
+        this.render(placed);
+    }
+
+    /**
+     * Build the label candidate of the selected edge, at the middle of the edge
+     * @param {number} width - Viewport width
+     * @param {number} height - Viewport height
+     * @returns {Object} - Label candidate or null if no edge is selected or it is off screen
+     */
+    getEdgeCandidate(width, height) {
+        const edge = this.selectionManager ? this.selectionManager.getSelectedEdge() : null;
+        if (!edge || !edge.visible) return null;
+
+        const nodes = this.nodeManager.getAllNodes();
+        const source = nodes[edge.userData.sourceId];
+        const target = nodes[edge.userData.targetId];
+        if (!source || !target) return null;
+
+        this.edgeManager.renderer.getPointOnEdge(edge, source, target, 0.5, this.projected).project(this.graphManager.camera);
+        if (this.projected.z > 1) return null;
+
+        const edgeData = window.graphDataSource.findEdge(edge.userData.sourceId, edge.userData.targetId, edge.userData.type);
+        const type = edge.userData.type.replace(/_/g, ' ');
+
+        return {
+            id: this.edgeLabelId,
+            text: edgeData && edgeData.description ? `${type}: ${edgeData.description}` : type,
+            x: (this.projected.x + 1) / 2 * width,
+            y: (1 - this.projected.y) / 2 * height,
+            radius: 0,
+            priority: 4,
+            score: 0,
+            opacity: 1
+        };
+    }
+
+    /**
+     * Find the first free spot for a label: above, right of, left of or below its node
+     * @param {Object} candidate - Label candidate with screen position, radius and text
+     * @param {Map} grid - Placed label rectangles by grid cell
+     * @param {number} width - Viewport width
+     * @param {number} height - Viewport height
+     * @returns {Object} - Rectangle { left, top, right, bottom }, or null if there is no room
+     */
+    findPlacement(candidate, grid, width, height) {
+        const labelWidth = this.measureText(candidate.text);
+        const labelHeight = this.lineHeight + this.paddingY * 2;
+        const gap = candidate.radius + this.margin;
+        const { x, y } = candidate;
+
+        const spots = [
+            [x - labelWidth / 2, y - gap - labelHeight],
+            [x + gap, y - labelHeight / 2],
+            [x - gap - labelWidth, y - labelHeight / 2],
+            [x - labelWidth / 2, y + gap]
+        ];
+
+        for (const [left, top] of spots) {
+            const rect = { left, top, right: left + labelWidth, bottom: top + labelHeight };
+            if (rect.left < 0 || rect.top < 0 || rect.right > width || rect.bottom > height) continue;
+            if (!this.overlaps(grid, rect)) return rect;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the grid cells a rectangle (with margin) covers
+     * @param {Object} rect - Rectangle
+     * @returns {Array} - Cell keys
+     */
+    getCells(rect) {
+        const keys = [];
+        const minX = Math.floor((rect.left - this.margin) / this.cellSize);
+        const maxX = Math.floor((rect.right + this.margin) / this.cellSize);
+        const minY = Math.floor((rect.top - this.margin) / this.cellSize);
+        const maxY = Math.floor((rect.bottom + this.margin) / this.cellSize);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                keys.push(`${cx},${cy}`);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Check whether a rectangle overlaps a placed label
+     * @param {Map} grid - Placed label rectangles by grid cell
+     * @param {Object} rect - Rectangle
+     * @returns {boolean} - Whether it overlaps
+     */
+    overlaps(grid, rect) {
+        const margin = this.margin;
+
+        return this.getCells(rect).some(key => {
+            const cell = grid.get(key);
+            return cell && cell.some(other =>
+                rect.left < other.right + margin && rect.right + margin > other.left &&
+                rect.top < other.bottom + margin && rect.bottom + margin > other.top
+            );
+        });
+    }
+
+    /**
+     * Record a placed label rectangle
+     * @param {Map} grid - Placed label rectangles by grid cell
+     * @param {Object} rect - Rectangle
+     */
+    addToGrid(grid, rect) {
+        this.getCells(rect).forEach(key => {
+            if (!grid.has(key)) {
+                grid.set(key, []);
+            }
+            grid.get(key).push(rect);
+        });
+    }
+
+    /**
+     * Get the on-screen width of a label
+     * @param {string} text - Label text
+     * @returns {number} - Width in pixels, padding included
+     */
+    measureText(text) {
+        if (!this.textWidths.has(text)) {
+            const width = Math.ceil(this.measureContext.measureText(text).width) + this.paddingX * 2;
+            this.textWidths.set(text, width);
+        }
+        return this.textWidths.get(text);
+    }
+
+    /**
+     * Update the label elements, touching the DOM only where something changed
+     * @param {Map} placed - Node ID -> { candidate, rect }
+     */
+    render(placed) {
+        placed.forEach(({ candidate, rect }, id) => {
+            let label = this.labels.get(id);
+            if (!label) {
+                const element = document.createElement('div');
+                element.className = 'node-label';
+                this.element.appendChild(element);
+                label = { element, text: null, transform: null, opacity: null, className: null, shown: true };
+                this.labels.set(id, label);
+            }
+
+            const className = ['node-label', this.priorityClasses[candidate.priority], candidate.pinned ? 'pinned' : '']
+                .filter(Boolean).join(' ');
+            const transform = `translate(${Math.round(rect.left)}px, ${Math.round(rect.top)}px)`;
+            const opacity = candidate.opacity.toFixed(2);
+
+            if (label.text !== candidate.text) {
+                label.element.textContent = candidate.text;
+                label.text = candidate.text;
+            }
+            if (label.transform !== transform) {
+                label.element.style.transform = transform;
+                label.transform = transform;
+            }
+            if (label.opacity !== opacity) {
+                label.element.style.opacity = opacity;
+                label.opacity = opacity;
+            }
+            if (label.className !== className) {
+                label.element.className = className;
+                label.className = className;
+            }
+            if (!label.shown) {
+                label.element.style.display = '';
+                label.shown = true;
+            }
+        });
+
+        const nodes = this.nodeManager.getAllNodes();
+        this.labels.forEach((label, id) => {
+            if (!nodes[id] && !placed.has(id)) {
+                // The node is gone, or the edge is no longer selected
+                label.element.remove();
+                this.labels.delete(id);
+            } else if (!placed.has(id) && label.shown) {
+                label.element.style.display = 'none';
+                label.shown = false;
+            }
+        });
+
+        this.visibleCount = placed.size;
+    }
+
+    /**
+     * Get the number of labels shown in the last frame
+     * @returns {number} - Number of labels
+     */
+    getVisibleCount() {
+        return this.visibleCount;
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = LabelOverlay;
+} else {
+    window.LabelOverlay = LabelOverlay;
+}
\ No newline at end of file
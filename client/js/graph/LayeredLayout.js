@@ -0,0 +1,408 @@
+/**
+ * LayeredLayout.js
+ * Sugiyama-style layered drawing: long edges are split by dummy nodes, the
+ * order within each layer is chosen to reduce edge crossings (weighted median
+ * sweeps plus adjacent swaps) and nodes are placed near their neighbours
+ *
+ * The result is layout-independent: each node gets a layer and an offset
+ * along its layer; LayoutManager turns those into positions for a direction.
+ */
+class LayeredLayout {
+    /**
+     * @param {Object} options - { nodeSpacing: minimum distance between nodes in a layer,
+     *                             orderingIterations: median sweeps, orderingBudget: node visits for all sweeps,
+     *                             coordinatePasses: placement passes }
+     */
+    constructor(options = {}) {
+        this.nodeSpacing = options.nodeSpacing || 50;
+        this.orderingIterations = options.orderingIterations || 24;
+        this.orderingBudget = options.orderingBudget || 60000;
+        this.transposePasses = 10;
+        this.coordinatePasses = options.coordinatePasses || 8;
+
+        // Prefix for the IDs of dummy nodes on long edges
+        this.dummyPrefix = '\u0000dummy:';
+    }
+
+    /**
+     * Lay out a graph whose nodes are already assigned to layers
+     * @param {Array} nodeIds - Node IDs
+     * @param {Array} edges - Edge data objects
+     * @param {Map} layers - Map of node IDs to layer numbers (nodes without a number go to the first layer)
+     * @returns {Object} - { positions: Map of node IDs to { layer, offset }, crossings: remaining edge crossings }
+     */
+    compute(nodeIds, edges, layers) {
+        const graph = this.buildLayeredGraph(nodeIds, edges, layers);
+        const order = this.orderLayers(graph);
+        const offsets = this.assignCoordinates(graph, order);
+
+        const positions = new Map();
+        nodeIds.forEach(id => {
+            positions.set(id, {
+                layer: graph.minLayer + graph.layerOf.get(id),
+                offset: offsets.get(id)
+            });
+        });
+
+        return { positions, crossings: this.countCrossings(graph, order) };
+    }
+
+    /**
+     * Build the proper layered graph: every edge connects adjacent layers,
+     * pointing from the lower layer to the higher one
+     * Edges within a layer are ignored and edges pointing backwards are reversed
+     * @param {Array} nodeIds - Node IDs
+     * @param {Array} edges - Edge data objects
+     * @param {Map} layers - Map of node IDs to layer numbers
+     * @returns {Object} - { layerOf, layerCount, minLayer, down, up, initialOrder }
+     */
+    buildLayeredGraph(nodeIds, edges, layers) {
+        const values = nodeIds.map(id => layers.get(id)).filter(Number.isFinite);
+        const minLayer = values.length ? Math.min(...values) : 0;
+
+        // Layer indices start at 0
+        const layerOf = new Map();
+        nodeIds.forEach(id => {
+            const layer = layers.get(id);
+            layerOf.set(id, Number.isFinite(layer) ? Math.round(layer - minLayer) : 0);
+        });
+
+        const down = new Map(); // Neighbours in the next layer
+        const up = new Map(); // Neighbours in the previous layer
+        const link = (from, to) => {
+            if (!down.has(from)) down.set(from, []);
+            if (!up.has(to)) up.set(to, []);
+            down.get(from).push(to);
+            up.get(to).push(from);
+        };
+
+        const seen = new Set();
+        let dummyCount = 0;
+        edges.forEach(edge => {
+            if (!layerOf.has(edge.source) || !layerOf.has(edge.target)) return;
+
+            let from = edge.source;
+            let to = edge.target;
+            if (layerOf.get(from) === layerOf.get(to)) return;
+            if (layerOf.get(from) > layerOf.get(to)) {
+                [from, to] = [to, from];
+            }
+
+            // One chain per connected pair, whatever the edge types
+            const key = `${from}|${to}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            // Split long edges with a dummy node in every layer they cross
+            let previous = from;
+            for (let layer = layerOf.get(from) + 1; layer < layerOf.get(to); layer++) {
+                const dummy = `${this.dummyPrefix}${dummyCount++}`;
+                layerOf.set(dummy, layer);
+                link(previous, dummy);
+                previous = dummy;
+            }
+            link(previous, to);
+        });
+
+        let layerCount = 0;
+        layerOf.forEach(layer => {
+            layerCount = Math.max(layerCount, layer + 1);
+        });
+
+        // Start from a depth-first order so connected nodes begin close together
+        const initialOrder = Array.from({ length: layerCount }, () => []);
+        const visited = new Set();
+        const visit = id => {
+            if (visited.has(id)) return;
+            visited.add(id);
+            initialOrder[layerOf.get(id)].push(id);
+            (down.get(id) || []).forEach(visit);
+        };
+        Array.from(layerOf.keys())
+            .sort((a, b) => layerOf.get(a) - layerOf.get(b))
+            .forEach(visit);
+
+        return { layerOf, layerCount, minLayer, down, up, initialOrder };
+    }
+
+    /**
+     * Choose the order of nodes in each layer to reduce crossings
+     * @param {Object} graph - Layered graph from buildLayeredGraph
+     * @returns {Array} - Arrays of node IDs, one per layer
+     */
+    orderLayers(graph) {
+        const order = graph.initialOrder.map(layer => layer.slice());
+        let best = order.map(layer => layer.slice());
+        let bestCrossings = this.countCrossings(graph, order);
+
+        // Large graphs get fewer sweeps (at least two, one each way) to keep the layout responsive
+        const vertexCount = order.reduce((sum, layer) => sum + layer.length, 0);
+        const iterations = Math.min(this.orderingIterations,
+            Math.max(2, Math.floor(this.orderingBudget / Math.max(vertexCount, 1))));
+
+        for (let i = 0; i < iterations && bestCrossings > 0; i++) {
+            const downward = i % 2 === 0;
+            if (downward) {
+                for (let layer = 1; layer < order.length; layer++) {
+                    order[layer] = this.sortByMedian(order[layer], order[layer - 1], graph.up);
+                }
+            } else {
+                for (let layer = order.length - 2; layer >= 0; layer--) {
+                    order[layer] = this.sortByMedian(order[layer], order[layer + 1], graph.down);
+                }
+            }
+            this.transpose(graph, order, this.transposePasses);
+
+            const crossings = this.countCrossings(graph, order);
+            if (crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = order.map(layer => layer.slice());
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Sort a layer by the weighted median position of each node's neighbours
+     * in an adjacent layer; nodes without neighbours there keep their place
+     * @param {Array} layer - Node IDs of the layer in their current order
+     * @param {Array} adjacentLayer - Node IDs of the fixed adjacent layer
+     * @param {Map} neighbours - Map of node IDs to neighbour IDs in the adjacent layer
+     * @returns {Array} - Reordered node IDs
+     */
+    sortByMedian(layer, adjacentLayer, neighbours) {
+        const position = new Map(adjacentLayer.map((id, index) => [id, index]));
+        const medians = new Map();
+        layer.forEach(id => {
+            const positions = (neighbours.get(id) || []).map(n => position.get(n)).sort((a, b) => a - b);
+            medians.set(id, this.weightedMedian(positions));
+        });
+
+        const movable = layer.filter(id => medians.get(id) !== null)
+            .sort((a, b) => medians.get(a) - medians.get(b));
+
+        // Fill the slots that are not held by fixed nodes
+        let next = 0;
+        return layer.map(id => medians.get(id) === null ? id : movable[next++]);
+    }
+
+    /**
+     * Weighted median of sorted positions, favouring the side where neighbours are packed tighter
+     * @param {Array} positions - Sorted neighbour positions
+     * @returns {number} - Median, or null without neighbours
+     */
+    weightedMedian(positions) {
+        const count = positions.length;
+        if (count === 0) return null;
+
+        const middle = Math.floor(count / 2);
+        if (count % 2 === 1) return positions[middle];
+        if (count === 2) return (positions[0] + positions[1]) / 2;
+
+        const left = positions[middle - 1] - positions[0];
+        const right = positions[count - 1] - positions[middle];
+        if (left + right === 0) return (positions[middle - 1] + positions[middle]) / 2;
+        return (positions[middle - 1] * right + positions[middle] * left) / (left + right);
+    }
+
+    /**
+     * Swap adjacent nodes while that removes crossings, until a pass makes no swap
+     * @param {Object} graph - Layered graph
+     * @param {Array} order - Node order per layer (modified in place)
+     * @param {number} maxPasses - Largest number of passes over all layers
+     */
+    transpose(graph, order, maxPasses) {
+        // Position of each node in its layer, kept up to date while swapping
+        const positions = order.map(layer => new Map(layer.map((id, index) => [id, index])));
+
+        // Only layers next to a swap can gain from another pass
+        let changed = order.map(() => true);
+        for (let pass = 0; changed.includes(true) && pass < maxPasses; pass++) {
+            const previous = changed;
+            changed = order.map(() => false);
+            order.forEach((layer, index) => {
+                if (!previous[index - 1] && !previous[index] && !previous[index + 1]) {
+                    return;
+                }
+
+                for (let i = 0; i < layer.length - 1; i++) {
+                    const { kept, swapped } = this.countPairCrossings(graph, positions, index, layer[i], layer[i + 1]);
+                    if (swapped < kept) {
+                        [layer[i], layer[i + 1]] = [layer[i + 1], layer[i]];
+                        positions[index].set(layer[i], i);
+                        positions[index].set(layer[i + 1], i + 1);
+                        changed[index] = true;
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Count crossings between the edges of two neighbouring nodes in the same layer
+     * @param {Object} graph - Layered graph
+     * @param {Array} positions - Maps of node IDs to positions, one per layer
+     * @param {number} layerIndex - Layer of the two nodes
+     * @param {string} a - Left node ID
+     * @param {string} b - Right node ID
+     * @returns {Object} - { kept: crossings with a left of b, swapped: crossings with b left of a }
+     */
+    countPairCrossings(graph, positions, layerIndex, a, b) {
+        const counts = { kept: 0, swapped: 0 };
+        this.countSideCrossings(graph.up, positions[layerIndex - 1], a, b, counts);
+        this.countSideCrossings(graph.down, positions[layerIndex + 1], a, b, counts);
+        return counts;
+    }
+
+    /**
+     * Add the crossings between the edges of a and b on one side of their layer
+     * @param {Map} neighbours - Map of node IDs to neighbour IDs on that side
+     * @param {Map} position - Positions in the layer on that side, or undefined if there is none
+     * @param {string} a - Left node ID
+     * @param {string} b - Right node ID
+     * @param {Object} counts - { kept, swapped } to add to
+     */
+    countSideCrossings(neighbours, position, a, b, counts) {
+        const ofA = neighbours.get(a);
+        const ofB = neighbours.get(b);
+        if (!position || !ofA || !ofB) {
+            return;
+        }
+
+        for (const na of ofA) {
+            const pa = position.get(na);
+            for (const nb of ofB) {
+                const pb = position.get(nb);
+                if (pa > pb) {
+                    counts.kept++;
+                } else if (pa < pb) {
+                    counts.swapped++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Count all edge crossings of an ordering
+     * @param {Object} graph - Layered graph
+     * @param {Array} order - Node order per layer
+     * @returns {number} - Number of crossings
+     */
+    countCrossings(graph, order) {
+        let total = 0;
+
+        for (let layer = 0; layer < order.length - 1; layer++) {
+            const position = new Map(order[layer + 1].map((id, index) => [id, index]));
+
+            // Lower ends of the edges, ordered by their upper ends
+            const ends = [];
+            order[layer].forEach(id => {
+                (graph.down.get(id) || [])
+                    .map(target => position.get(target))
+                    .sort((a, b) => a - b)
+                    .forEach(end => ends.push(end));
+            });
+
+            // Crossings are inversions among the lower ends (counted with a Fenwick tree)
+            const tree = new Array(order[layer + 1].length + 1).fill(0);
+            ends.forEach((end, seenCount) => {
+                let notGreater = 0;
+                for (let i = end + 1; i > 0; i -= i & -i) {
+                    notGreater += tree[i];
+                }
+                total += seenCount - notGreater;
+                for (let i = end + 1; i < tree.length; i += i & -i) {
+                    tree[i]++;
+                }
+            });
+        }
+
+        return total;
+    }
+
+    /**
+     * Place the nodes of each layer near their neighbours, keeping their order
+     * and at least nodeSpacing apart
+     * @param {Object} graph - Layered graph
+     * @param {Array} order - Node order per layer
+     * @returns {Map} - Map of node IDs to offsets along their layer
+     */
+    assignCoordinates(graph, order) {
+        const offsets = new Map();
+        order.forEach(layer => {
+            const start = -(layer.length - 1) * this.nodeSpacing / 2;
+            layer.forEach((id, index) => offsets.set(id, start + index * this.nodeSpacing));
+        });
+
+        for (let pass = 0; pass < this.coordinatePasses; pass++) {
+            const downward = pass % 2 === 0;
+            const neighbours = downward ? graph.up : graph.down;
+            const layerIndices = order.map((layer, index) => index);
+            if (!downward) {
+                layerIndices.reverse();
+            }
+
+            layerIndices.forEach(index => {
+                const layer = order[index];
+                const desired = layer.map(id => {
+                    const adjacent = neighbours.get(id) || [];
+                    if (adjacent.length === 0) return offsets.get(id);
+                    return adjacent.reduce((sum, n) => sum + offsets.get(n), 0) / adjacent.length;
+                });
+
+                this.placeInOrder(desired).forEach((offset, i) => offsets.set(layer[i], offset));
+            });
+        }
+
+        // Center the drawing
+        let min = Infinity;
+        let max = -Infinity;
+        offsets.forEach(offset => {
+            min = Math.min(min, offset);
+            max = Math.max(max, offset);
+        });
+        const shift = Number.isFinite(min) ? (min + max) / 2 : 0;
+        offsets.forEach((offset, id) => offsets.set(id, offset - shift));
+
+        return offsets;
+    }
+
+    /**
+     * Find the positions closest to the desired ones (least squares) that keep
+     * the order and the minimum spacing, using pool-adjacent-violators
+     * @param {Array} desired - Desired offsets in layer order
+     * @returns {Array} - Offsets
+     */
+    placeInOrder(desired) {
+        // With q[i] = x[i] - i * spacing the constraint becomes q non-decreasing
+        const blocks = [];
+        desired.forEach((value, index) => {
+            blocks.push({ sum: value - index * this.nodeSpacing, count: 1 });
+            while (blocks.length > 1) {
+                const last = blocks[blocks.length - 1];
+                const previous = blocks[blocks.length - 2];
+                if (previous.sum / previous.count <= last.sum / last.count) break;
+
+                previous.sum += last.sum;
+                previous.count += last.count;
+                blocks.pop();
+            }
+        });
+
+        const result = [];
+        blocks.forEach(block => {
+            for (let i = 0; i < block.count; i++) {
+                result.push(block.sum / block.count + result.length * this.nodeSpacing);
+            }
+        });
+        return result;
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = LayeredLayout;
+} else {
+    window.LayeredLayout = LayeredLayout;
+}
\ No newline at end of file
@@ -19,12 +19,35 @@ class LayoutManager {
         // Current layout type
         this.currentLayout = this.layoutTypes.FORCE_DIRECTED;
         
+        // Callbacks for layout switches
+        this.layoutListeners = [];
+        
+        // Positions the layout being applied moves nodes to, by node ID (null outside applyLayout)
+        this.layoutTargets = null;
+        
+        // Where the hierarchical layout takes node levels from
+        this.levelSources = {
+            stored: 'Stored levels',
+            'longest-path': 'Longest path',
+            'coffman-graham': 'Coffman-Graham'
+        };
+        
+        // Directions of the hierarchical layout
+        this.directions = {
+            UD: 'Top to bottom',
+            DU: 'Bottom to top',
+            LR: 'Left to right',
+            RL: 'Right to left'
+        };
+        
         // Layout configuration
         this.config = {
             hierarchical: {
                 levelSeparation: 100,
                 nodeSpacing: 50,
-                direction: 'UD' // UD = Up-Down, LR = Left-Right
+                direction: 'UD', // Key of directions
+                levelSource: 'stored', // Key of levelSources
+                maxLayerWidth: 6 // Nodes per layer for Coffman-Graham layering
             },
             radial: {
                 centerNode: 'zfc', // Node ID at the center
@@ -49,6 +72,9 @@ class LayoutManager {
      * @param {boolean} animate - Whether to animate the transition
      */
     applyLayout(animate = true) {
+        const before = this.nodeManager ? this.nodeManager.getPositionSnapshot() : {};
+        this.layoutTargets = {};
+        
         switch (this.currentLayout) {
             case this.layoutTypes.HIERARCHICAL:
                 this.applyHierarchicalLayout(animate);
@@ -68,6 +94,14 @@ class LayoutManager {
                 break;
         }
         
+        // Record all node moves of this layout as one history entry, with the
+        // positions animated nodes are still heading to
+        if (this.nodeManager) {
+            const after = Object.assign(this.nodeManager.getPositionSnapshot(), this.layoutTargets);
+            this.nodeManager.recordPositionChange(`${this.getLayoutName(this.currentLayout)} layout`, before, after);
+        }
+        this.layoutTargets = null;
+        
         // Update edge positions
         if (this.edgeManager) {
             this.edgeManager.updateEdgePositions();
@@ -81,21 +115,121 @@ class LayoutManager {
      */
     switchLayout(layoutType, animate = true) {
         if (this.layoutTypes[layoutType] || Object.values(this.layoutTypes).includes(layoutType)) {
-            this.currentLayout = layoutType;
+            this.currentLayout = this.layoutTypes[layoutType] || layoutType;
             this.applyLayout(animate);
+            this.layoutListeners.forEach(listener => listener(this.currentLayout));
             return true;
         }
         return false;
     }
     
+    /**
+     * Register a callback for layout switches
+     * @param {Function} callback - Called with the new layout type
+     */
+    onLayoutChange(callback) {
+        this.layoutListeners.push(callback);
+    }
+    
+    /**
+     * Get a readable name for a layout type
+     * @param {string} layoutType - Layout type value
+     * @returns {string} - Layout name
+     */
+    getLayoutName(layoutType) {
+        const names = {
+            force: 'Force-directed',
+            hierarchical: 'Hierarchical',
+            radial: 'Radial',
+            concentric: 'Concentric',
+            clustered: 'Clustered'
+        };
+        return names[layoutType] || layoutType;
+    }
+    
     /**
      * Get node data by id
      * @param {string} id - Node ID
      * @returns {Object} - Node data object or null
      */
     getNodeData(id) {
-        if (!window.nodes) return null;
-        return window.nodes.find(node => node.id === id);
+        return window.graphDataSource.getNode(id);
+    }
+    
+    /**
+     * Set where the hierarchical layout takes node levels from
+     * @param {string} source - Key of levelSources
+     * @returns {boolean} - Whether the source is known
+     */
+    setLevelSource(source) {
+        if (!this.levelSources[source]) return false;
+        
+        this.config.hierarchical.levelSource = source;
+        if (this.currentLayout === this.layoutTypes.HIERARCHICAL) {
+            this.applyLayout();
+        }
+        return true;
+    }
+    
+    /**
+     * Set the direction of the hierarchical layout
+     * @param {string} direction - Key of directions
+     * @returns {boolean} - Whether the direction is known
+     */
+    setDirection(direction) {
+        if (!this.directions[direction]) return false;
+        
+        this.config.hierarchical.direction = direction;
+        if (this.currentLayout === this.layoutTypes.HIERARCHICAL) {
+            this.applyLayout();
+        }
+        return true;
+    }
+    
+    /**
+     * Compute node levels from the dependency edges
+     * @param {string} method - 'longest-path' or 'coffman-graham'
+     * @returns {Map} - Map of node IDs to levels (starting at 1)
+     */
+    computeLevels(method) {
+        const nodeIds = window.graphDataSource.getNodes().map(node => node.id);
+        const edges = window.graphDataSource.getEdges();
+        
+        if (method === 'coffman-graham') {
+            return window.graphAlgorithms.coffmanGrahamLayers(nodeIds, edges, this.config.hierarchical.maxLayerWidth);
+        }
+        return window.graphAlgorithms.longestPathLayers(nodeIds, edges);
+    }
+    
+    /**
+     * Get the levels used by the hierarchical layout
+     * @returns {Map} - Map of node IDs to levels
+     */
+    getLayoutLevels() {
+        const source = this.config.hierarchical.levelSource;
+        if (source !== 'stored') {
+            return this.computeLevels(source);
+        }
+        
+        return new Map(window.graphDataSource.getNodes().map(node => [node.id, node.level]));
+    }
+    
+    /**
+     * Find nodes whose stored level differs from the computed one
+     * @param {string} method - 'longest-path' or 'coffman-graham'
+     * @returns {Array} - Array of { nodeId, label, stored, computed }
+     */
+    findLevelDisagreements(method) {
+        const computed = this.computeLevels(method);
+        
+        return window.graphDataSource.getNodes()
+            .filter(node => computed.get(node.id) !== node.level)
+            .map(node => ({
+                nodeId: node.id,
+                label: node.label || node.id,
+                stored: node.level,
+                computed: computed.get(node.id)
+            }));
     }
     
     /**
@@ -103,60 +237,50 @@ class LayoutManager {
      * @param {boolean} animate - Whether to animate the transition
      */
     applyHierarchicalLayout(animate = true) {
-        if (!window.nodes || !this.nodeManager) return;
+        const nodesData = window.graphDataSource.getNodes();
+        if (!nodesData.length || !this.nodeManager) return;
         
         const config = this.config.hierarchical;
-        const nodesByLevel = {};
-        
-        // Group nodes by level
-        window.nodes.forEach(nodeData => {
-            if (!nodesByLevel[nodeData.level]) {
-                nodesByLevel[nodeData.level] = [];
-            }
-            nodesByLevel[nodeData.level].push(nodeData);
-        });
+        const layered = new LayeredLayout({ nodeSpacing: config.nodeSpacing });
+        const { positions } = layered.compute(
+            nodesData.map(nodeData => nodeData.id),
+            window.graphDataSource.getEdges(),
+            this.getLayoutLevels()
+        );
         
-        // Calculate horizontal positions for each level
-        const levels = Object.keys(nodesByLevel).sort((a, b) => a - b);
+        // Center the layers around the origin
+        const layers = Array.from(positions.values(), position => position.layer);
+        const middleLayer = (Math.min(...layers) + Math.max(...layers)) / 2;
         
-        levels.forEach(level => {
-            const nodesInLevel = nodesByLevel[level];
-            const levelWidth = nodesInLevel.length * config.nodeSpacing;
-            const startX = -levelWidth / 2;
+        nodesData.forEach(nodeData => {
+            const node = this.nodeManager.getNode(nodeData.id);
+            if (!node) return;
             
-            nodesInLevel.forEach((nodeData, index) => {
-                const node = this.nodeManager.getNode(nodeData.id);
-                if (!node) return;
-                
-                const targetX = startX + index * config.nodeSpacing;
-                let targetY;
-                
-                if (config.direction === 'UD') {
-                    targetY = level * config.levelSeparation - (levels.length * config.levelSeparation) / 2;
-                } else {
-                    // Left to right layout - swap x and y
-                    const temp = targetX;
-                    targetY = -targetX;
-                    targetX = level * config.levelSeparation - (levels.length * config.levelSeparation) / 2;
-                }
-                
-                // Apply position
-                if (animate) {
-                    this.animateNodePosition(node, targetX, targetY, node.position.z);
-                } else {
-                    node.position.set(targetX, targetY, node.position.z);
-                    
-                    // Update label position
-                    if (this.nodeManager.labelObjects && this.nodeManager.labelObjects[nodeData.id]) {
-                        const label = this.nodeManager.labelObjects[nodeData.id];
-                        label.position.set(
-                            targetX,
-                            targetY + node.geometry.parameters.radius + 5,
-                            node.position.z
-                        );
-                    }
-                }
-            });
+            const { layer, offset } = positions.get(nodeData.id);
+            const depth = (layer - middleLayer) * config.levelSeparation;
+            let targetX;
+            let targetY;
+            
+            switch (config.direction) {
+                case 'DU': // First level at the bottom
+                    targetX = offset;
+                    targetY = depth;
+                    break;
+                case 'LR': // First level on the left
+                    targetX = depth;
+                    targetY = -offset;
+                    break;
+                case 'RL': // First level on the right
+                    targetX = -depth;
+                    targetY = -offset;
+                    break;
+                default: // UD: first level at the top
+                    targetX = offset;
+                    targetY = -depth;
+            }
+            
+            // Apply position
+            this.placeNode(node, targetX, targetY, node.position.z, animate);
         });
     }
     
@@ -165,36 +289,23 @@ class LayoutManager {
      * @param {boolean} animate - Whether to animate the transition
      */
     applyRadialLayout(animate = true) {
-        if (!window.nodes || !this.nodeManager) return;
+        const nodesData = window.graphDataSource.getNodes();
+        if (!nodesData.length || !this.nodeManager) return;
         
         const config = this.config.radial;
         const nodesByLevel = {};
         
         // Find center node
-        const centerNodeData = this.getNodeData(config.centerNode) || window.nodes[0];
+        const centerNodeData = this.getNodeData(config.centerNode) || nodesData[0];
         const centerNode = this.nodeManager.getNode(centerNodeData.id);
         
         if (!centerNode) return;
         
         // Place center node at origin
-        if (animate) {
-            this.animateNodePosition(centerNode, 0, 0, 0);
-        } else {
-            centerNode.position.set(0, 0, 0);
-            
-            // Update label position
-            if (this.nodeManager.labelObjects && this.nodeManager.labelObjects[centerNodeData.id]) {
-                const label = this.nodeManager.labelObjects[centerNodeData.id];
-                label.position.set(
-                    0,
-                    centerNode.geometry.parameters.radius + 5,
-                    0
-                );
-            }
-        }
+        this.placeNode(centerNode, 0, 0, 0, animate);
         
         // Group other nodes by their distance from center (using level as proxy)
-        window.nodes.forEach(nodeData => {
+        nodesData.forEach(nodeData => {
             if (nodeData.id === centerNodeData.id) return; // Skip center node
             
             if (!nodesByLevel[nodeData.level]) {
@@ -223,21 +334,7 @@ class LayoutManager {
                 const targetY = 0; // Keep all nodes on same Y plane for this layout
                 
                 // Apply position
-                if (animate) {
-                    this.animateNodePosition(node, targetX, targetY, targetZ);
-                } else {
-                    node.position.set(targetX, targetY, targetZ);
-                    
-                    // Update label position
-                    if (this.nodeManager.labelObjects && this.nodeManager.labelObjects[nodeData.id]) {
-                        const label = this.nodeManager.labelObjects[nodeData.id];
-                        label.position.set(
-                            targetX,
-                            targetY + node.geometry.parameters.radius + 5,
-                            targetZ
-                        );
-                    }
-                }
+                this.placeNode(node, targetX, targetY, targetZ, animate);
             });
         });
     }
@@ -247,13 +344,14 @@ class LayoutManager {
      * @param {boolean} animate - Whether to animate the transition
      */
     applyConcentricLayout(animate = true) {
-        if (!window.nodes || !this.nodeManager) return;
+        const nodesData = window.graphDataSource.getNodes();
+        if (!nodesData.length || !this.nodeManager) return;
         
         const config = this.config.concentric;
         const nodesByLevel = {};
         
         // Group nodes by level
-        window.nodes.forEach(nodeData => {
+        nodesData.forEach(nodeData => {
             if (!nodesByLevel[nodeData.level]) {
                 nodesByLevel[nodeData.level] = [];
             }
@@ -279,21 +377,7 @@ class LayoutManager {
                 const targetY = config.centerY + radius * Math.sin(angle);
                 
                 // Apply position
-                if (animate) {
-                    this.animateNodePosition(node, targetX, targetY, 0);
-                } else {
-                    node.position.set(targetX, targetY, 0);
-                    
-                    // Update label position
-                    if (this.nodeManager.labelObjects && this.nodeManager.labelObjects[nodeData.id]) {
-                        const label = this.nodeManager.labelObjects[nodeData.id];
-                        label.position.set(
-                            targetX,
-                            targetY + node.geometry.parameters.radius + 5,
-                            0
-                        );
-                    }
-                }
+                this.placeNode(node, targetX, targetY, 0, animate);
             });
         });
     }
@@ -303,13 +387,14 @@ class LayoutManager {
      * @param {boolean} animate - Whether to animate the transition
      */
     applyClusteredLayout(animate = true) {
-        if (!window.nodes || !this.nodeManager) return;
+        const nodesData = window.graphDataSource.getNodes();
+        if (!nodesData.length || !this.nodeManager) return;
         
         const config = this.config.clustered;
         const clusters = {};
         
         // Group nodes by cluster property
-        window.nodes.forEach(nodeData => {
+        nodesData.forEach(nodeData => {
             let clusterKey;
             
             switch (config.clusterBy) {
@@ -372,25 +457,33 @@ class LayoutManager {
                 const targetZ = clusterPos.z;
                 
                 // Apply position
-                if (animate) {
-                    this.animateNodePosition(node, targetX, targetY, targetZ);
-                } else {
-                    node.position.set(targetX, targetY, targetZ);
-                    
-                    // Update label position
-                    if (this.nodeManager.labelObjects && this.nodeManager.labelObjects[nodeData.id]) {
-                        const label = this.nodeManager.labelObjects[nodeData.id];
-                        label.position.set(
-                            targetX,
-                            targetY + node.geometry.parameters.radius + 5,
-                            targetZ
-                        );
-                    }
-                }
+                this.placeNode(node, targetX, targetY, targetZ, animate);
             });
         });
     }
     
+    /**
+     * Move a node to its place in a layout, unless it is pinned
+     * @param {Object} node - THREE.js node object
+     * @param {number} targetX - Target X position
+     * @param {number} targetY - Target Y position
+     * @param {number} targetZ - Target Z position
+     * @param {boolean} animate - Whether to animate the move
+     */
+    placeNode(node, targetX, targetY, targetZ, animate) {
+        if (!node || this.nodeManager.isNodePinned(node.userData.id)) return;
+        
+        if (this.layoutTargets) {
+            this.layoutTargets[node.userData.id] = new THREE.Vector3(targetX, targetY, targetZ);
+        }
+        
+        if (animate) {
+            this.animateNodePosition(node, targetX, targetY, targetZ);
+        } else {
+            node.position.set(targetX, targetY, targetZ);
+        }
+    }
+    
     /**
      * Animate a node to a new position
      * @param {Object} node - THREE.js node object
@@ -414,8 +507,14 @@ class LayoutManager {
         const duration = 1000; // ms
         const startTime = Date.now();
         
+        // A newer animation or direct move of the node cancels this one
+        const token = {};
+        node.userData.animationToken = token;
+        
         // Create animation
         const animate = () => {
+            if (node.userData.animationToken !== token) return;
+            
             const elapsed = Date.now() - startTime;
             const progress = Math.min(elapsed / duration, 1);
             
@@ -430,22 +529,14 @@ class LayoutManager {
             // Update node position
             node.position.set(newX, newY, newZ);
             
-            // Update label position
-            if (this.nodeManager.labelObjects && this.nodeManager.labelObjects[node.userData.id]) {
-                const label = this.nodeManager.labelObjects[node.userData.id];
-                label.position.set(
-                    newX,
-                    newY + node.geometry.parameters.radius + 5,
-                    newZ
-                );
-            }
-            
             // Continue animation if not complete
             if (progress < 1) {
                 requestAnimationFrame(animate);
             } else {
                 // Ensure final position is exact
                 node.position.set(targetPos.x, targetPos.y, targetPos.z);
+                this.nodeManager.nodePositions[node.userData.id] = node.position.clone();
+                node.userData.animationToken = null;
                 
                 // Update edge positions
                 if (this.edgeManager) {
@@ -0,0 +1,172 @@
+/**
+ * LevelOfDetail.js
+ * Per-frame level of detail from the camera: labels fade out as their node gets
+ * small on screen (important nodes keep them longer) and distant nodes are drawn
+ * with coarser spheres. LabelOverlay draws the labels with these opacities
+ */
+class LevelOfDetail {
+    constructor(graphManager, nodeManager) {
+        this.graphManager = graphManager;
+        this.nodeManager = nodeManager;
+
+        // Share of labels to show, from 0 (only the largest, most important nodes) to 1 (all)
+        this.labelDensity = 0.6;
+
+        // Screen radius (in pixels, weighted by importance) a node needs for its label at density 0
+        this.maxLabelThreshold = 16;
+
+        // Label weight of each node type
+        this.typeImportance = {
+            'Axiom': 1.5,
+            'Theorem': 1.3,
+            'Definition': 1.1,
+            'Lemma': 0.9,
+            'Corollary': 0.8
+        };
+
+        // Minimum screen radius in pixels for each sphere detail level but the last
+        this.detailThresholds = [10, 4];
+
+        // Node ID -> screen radius in pixels, from the last update
+        this.screenRadii = {};
+
+        // Node ID -> label opacity (0 to 1), from the last update
+        this.labelOpacities = {};
+    }
+
+    /**
+     * Recompute screen sizes, label opacities and detail levels for the current camera
+     * Called once per frame before rendering
+     */
+    update() {
+        const camera = this.graphManager.camera;
+        const container = this.graphManager.container;
+        if (!camera || !container) return;
+
+        const pixelsPerUnit = this.getPixelsPerUnit(camera, container.clientHeight);
+        const nodes = this.nodeManager.getAllNodes();
+        this.screenRadii = {};
+
+        for (const id in nodes) {
+            const node = nodes[id];
+            const size = node.userData.size || 1;
+
+            if (camera.isOrthographicCamera) {
+                this.screenRadii[id] = size * pixelsPerUnit;
+            } else {
+                const distance = Math.max(camera.position.distanceTo(node.position), camera.near);
+                this.screenRadii[id] = size * pixelsPerUnit / distance;
+            }
+        }
+
+        this.updateLabels();
+    }
+
+    /**
+     * Get how many pixels one world unit covers (at distance 1 for perspective cameras)
+     * @param {Object} camera - THREE.js camera
+     * @param {number} viewportHeight - Height of the view in pixels
+     * @returns {number} - Pixels per unit
+     */
+    getPixelsPerUnit(camera, viewportHeight) {
+        if (camera.isOrthographicCamera) {
+            return viewportHeight * camera.zoom / (camera.top - camera.bottom);
+        }
+        return viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+    }
+
+    /**
+     * Get how much a node's label matters, from its type and number of connections
+     * @param {Object} node - Node object
+     * @returns {number} - Importance (1 for an average node)
+     */
+    getImportance(node) {
+        const typeWeight = this.typeImportance[node.userData.nodeType] || 1;
+        const connections = node.userData.connections || 0;
+        return typeWeight * (1 + Math.log2(1 + connections) / 2);
+    }
+
+    /**
+     * Fade or hide labels by their node's screen size and importance
+     */
+    updateLabels() {
+        const nodes = this.nodeManager.getAllNodes();
+        const threshold = (1 - this.labelDensity) * this.maxLabelThreshold;
+
+        // Labels fade in over this range of weighted screen radius
+        const fadeRange = threshold * 0.5 + 1;
+
+        this.labelOpacities = {};
+
+        for (const id in nodes) {
+            const node = nodes[id];
+            if (!node.visible) continue;
+
+            const state = this.nodeManager.getNodeState(id);
+            let opacity;
+            if (state === 'selected' || state === 'related' || this.labelDensity >= 1) {
+                // Highlighted nodes always keep their labels
+                opacity = 1;
+            } else {
+                const score = this.getLabelScore(id);
+                opacity = Math.min(Math.max((score - threshold) / fadeRange, 0), 1);
+                if (state === 'dimmed' || this.nodeManager.isNodeGhosted(id)) {
+                    opacity *= 0.25;
+                }
+            }
+
+            if (opacity > 0.01) {
+                this.labelOpacities[id] = opacity;
+            }
+        }
+    }
+
+    /**
+     * Get the opacity of a node's label
+     * @param {string} nodeId - Node ID
+     * @returns {number} - Opacity, 0 for hidden labels
+     */
+    getLabelOpacity(nodeId) {
+        return this.labelOpacities[nodeId] || 0;
+    }
+
+    /**
+     * Get how strongly a node's label claims space: screen radius weighted by importance
+     * @param {string} nodeId - Node ID
+     * @returns {number} - Score, 0 for unknown nodes
+     */
+    getLabelScore(nodeId) {
+        const node = this.nodeManager.getNode(nodeId);
+        const radius = this.screenRadii[nodeId];
+        if (!node || radius === undefined) return 0;
+        return radius * this.getImportance(node);
+    }
+
+    /**
+     * Get the sphere detail level of a node
+     * @param {string} nodeId - Node ID
+     * @returns {number} - Detail level, 0 being the most detailed
+     */
+    getDetailLevel(nodeId) {
+        const radius = this.screenRadii[nodeId];
+        if (radius === undefined) return 0;
+
+        const level = this.detailThresholds.findIndex(threshold => radius >= threshold);
+        return level === -1 ? this.detailThresholds.length : level;
+    }
+
+    /**
+     * Set the share of labels to show
+     * @param {number} density - From 0 (fewest) to 1 (all)
+     */
+    setLabelDensity(density) {
+        this.labelDensity = Math.max(0, Math.min(1, density));
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = LevelOfDetail;
+} else {
+    window.LevelOfDetail = LevelOfDetail;
+}
\ No newline at end of file
@@ -0,0 +1,348 @@
+/**
+ * MergedEdgeRenderer.js
+ * Draws all edges with one LineSegments buffer per dash pattern plus one
+ * instanced mesh of arrowheads at the target ends. Edges stay lightweight
+ * proxies (userData, visible, ghosted, state) owned by EdgeManager; the buffers are
+ * rewritten once per frame at most, after positions, states or visibility changed.
+ * Pairs of opposite edges are drawn as curves bending apart
+ */
+class MergedEdgeRenderer {
+    constructor(graphManager) {
+        this.graphManager = graphManager;
+
+        // Dash pattern name -> { lines, capacity (line segments the buffers can hold) }
+        this.batches = {};
+
+        this.arrows = null;
+        this.arrowCapacity = 0; // Arrowheads the instanced mesh can hold
+
+        // Line segments per curved edge
+        this.curveSegments = 12;
+
+        // Edge proxies drawn as curves in the last rewrite
+        this.curvedEdges = new Set();
+
+        // Whether the buffers must be rewritten on the next update
+        this.dirty = true;
+
+        // Background color the edge colors were faded toward
+        this.backgroundHex = null;
+
+        // Scratch objects for curves and arrowheads
+        this.control = new THREE.Vector3();
+        this.pathControl = new THREE.Vector3();
+        this.point = new THREE.Vector3();
+        this.previous = new THREE.Vector3();
+        this.direction = new THREE.Vector3();
+        this.up = new THREE.Vector3(0, 1, 0);
+        this.matrix = new THREE.Matrix4();
+        this.quaternion = new THREE.Quaternion();
+        this.scale = new THREE.Vector3(1, 1, 1);
+    }
+
+    /**
+     * Request a rewrite of the buffers on the next update
+     */
+    markDirty() {
+        this.dirty = true;
+    }
+
+    /**
+     * Make sure the lines of a dash pattern hold a number of segments, recreating them if needed
+     * @param {string} dash - Dash pattern name
+     * @param {number} count - Number of line segments
+     * @returns {Object} - Batch { lines, capacity }
+     */
+    ensureCapacity(dash, count) {
+        const batch = this.batches[dash];
+        if (batch && count <= batch.capacity) return batch;
+
+        let capacity = batch ? batch.capacity : 256;
+        while (capacity < count) {
+            capacity *= 2;
+        }
+
+        if (batch) {
+            this.disposeObject(batch.lines);
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        ['position', 'color'].forEach(name => {
+            const attribute = new THREE.BufferAttribute(new Float32Array(capacity * 6), 3);
+            attribute.setUsage(THREE.DynamicDrawUsage);
+            geometry.setAttribute(name, attribute);
+        });
+
+        // Distance along the edge of each vertex, for the dashes
+        const lineDistance = new THREE.BufferAttribute(new Float32Array(capacity * 2), 1);
+        lineDistance.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('lineDistance', lineDistance);
+
+        const lines = new THREE.LineSegments(geometry, window.themeManager.getMergedEdgeMaterial(dash));
+        lines.frustumCulled = false;
+        lines.userData = { type: 'edges', dash };
+        this.graphManager.addToScene(lines);
+
+        this.batches[dash] = { lines, capacity };
+        return this.batches[dash];
+    }
+
+    /**
+     * Make sure the arrowhead mesh holds a number of instances, recreating it if needed
+     * @param {number} count - Number of arrowheads
+     */
+    ensureArrowCapacity(count) {
+        if (this.arrows && count <= this.arrowCapacity) return;
+
+        let capacity = Math.max(this.arrowCapacity, 256);
+        while (capacity < count) {
+            capacity *= 2;
+        }
+
+        if (this.arrows) {
+            this.disposeObject(this.arrows);
+        }
+
+        // Cone pointing along +Y with its tip at the origin
+        const { length, radius } = window.themeManager.edgeArrowProps;
+        const geometry = new THREE.ConeGeometry(radius, length, 8);
+        geometry.translate(0, -length / 2, 0);
+
+        this.arrows = new THREE.InstancedMesh(geometry, window.themeManager.getEdgeArrowMaterial(), capacity);
+        this.arrows.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.arrows.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+        this.arrows.instanceColor.setUsage(THREE.DynamicDrawUsage);
+        this.arrows.count = 0;
+        this.arrows.frustumCulled = false;
+        this.arrows.userData = { type: 'edge-arrows' };
+        this.arrowCapacity = capacity;
+
+        this.graphManager.addToScene(this.arrows);
+    }
+
+    /**
+     * Find the bend of an edge whose opposite edge exists
+     * Both edges of a pair bend to opposite sides of the line between their nodes
+     * @param {Object} edge - Edge proxy
+     * @param {Object} source - Source node object
+     * @param {Object} target - Target node object
+     * @param {THREE.Vector3} out - Receives the control point of the quadratic curve
+     * @returns {THREE.Vector3} - The control point
+     */
+    getCurveControl(edge, source, target, out) {
+        // Measure the side from a direction both edges of the pair agree on
+        const forward = edge.userData.sourceId < edge.userData.targetId;
+        const from = forward ? source.position : target.position;
+        const to = forward ? target.position : source.position;
+
+        this.direction.subVectors(to, from);
+        const length = this.direction.length();
+
+        // Perpendicular in the XY plane, or to the Y axis for edges along Z
+        out.set(-this.direction.y, this.direction.x, 0);
+        if (out.lengthSq() < 1e-6 * length * length) {
+            out.crossVectors(this.direction, this.up);
+        }
+        out.normalize().multiplyScalar(length * window.themeManager.edgeCurvature * (forward ? 1 : -1));
+
+        // Offset from the midpoint
+        return out.addScaledVector(source.position, 0.5).addScaledVector(target.position, 0.5);
+    }
+
+    /**
+     * Rewrite the buffers if anything changed
+     * @param {Array} edges - Edge proxies with userData { sourceId, targetId, type }, visible, ghosted and state
+     * @param {Object} nodeObjects - Map of node IDs to node objects with positions
+     * @param {Function} nodeRadius - Returns the drawn radius of a node ID, where arrowheads end
+     */
+    update(edges, nodeObjects, nodeRadius = id => nodeObjects[id].userData.size || 0) {
+        const scene = this.graphManager.scene;
+        const background = scene && scene.background ? scene.background.getHex() : 0x000000;
+        if (background !== this.backgroundHex) {
+            this.backgroundHex = background;
+            this.dirty = true;
+        }
+        if (!this.dirty) return;
+
+        const themeManager = window.themeManager;
+
+        // Colors only depend on type and state
+        const colorCache = new Map();
+        const getColor = (type, state) => {
+            const key = `${type}|${state}`;
+            if (!colorCache.has(key)) {
+                colorCache.set(key, themeManager.getEdgeVertexColor(type, state, background, new THREE.Color()));
+            }
+            return colorCache.get(key);
+        };
+
+        // Edges whose opposite edge exists are curved
+        const directions = new Set();
+        if (themeManager.curveBidirectionalEdges) {
+            edges.forEach(edge => directions.add(`${edge.userData.sourceId}\u0000${edge.userData.targetId}`));
+        }
+
+        // Plan the drawn edges and count segments per dash pattern
+        this.curvedEdges = new Set();
+        const drawn = [];
+        const segmentCounts = {};
+        let arrowCount = 0;
+
+        edges.forEach(edge => {
+            const source = nodeObjects[edge.userData.sourceId];
+            const target = nodeObjects[edge.userData.targetId];
+            if (!edge.visible || !source || !target) return;
+
+            const style = themeManager.getEdgeStyle(edge.userData.type);
+            const curved = directions.has(`${edge.userData.targetId}\u0000${edge.userData.sourceId}`);
+            const segments = curved ? this.curveSegments : 1;
+            if (curved) this.curvedEdges.add(edge);
+
+            segmentCounts[style.dash] = (segmentCounts[style.dash] || 0) + segments;
+            if (style.arrow) arrowCount++;
+            drawn.push({ edge, source, target, style, curved, segments });
+        });
+
+        for (const dash in segmentCounts) {
+            this.ensureCapacity(dash, segmentCounts[dash]);
+        }
+        this.ensureArrowCapacity(arrowCount);
+
+        // Segments written so far per dash pattern
+        const cursors = {};
+        let arrowIndex = 0;
+
+        drawn.forEach(({ edge, source, target, style, curved, segments }) => {
+            const batch = this.batches[style.dash];
+            const attributes = batch.lines.geometry.attributes;
+            // Ghosted edges are drawn dimmed unless selected
+            const state = edge.ghosted && edge.state !== 'selected' ? 'dimmed' : edge.state;
+            const color = getColor(edge.userData.type, state);
+            let index = cursors[style.dash] || 0;
+
+            if (curved) {
+                this.getCurveControl(edge, source, target, this.control);
+            } else {
+                this.control.lerpVectors(source.position, target.position, 0.5);
+            }
+
+            // Quadratic curve from source to target; straight edges have one segment
+            let distance = 0;
+            this.previous.copy(source.position);
+            for (let k = 1; k <= segments; k++) {
+                this.getCurvePoint(source.position, this.control, target.position, k / segments, this.point);
+                const next = distance + this.previous.distanceTo(this.point);
+
+                this.previous.toArray(attributes.position.array, index * 6);
+                this.point.toArray(attributes.position.array, index * 6 + 3);
+                color.toArray(attributes.color.array, index * 6);
+                color.toArray(attributes.color.array, index * 6 + 3);
+                attributes.lineDistance.array[index * 2] = distance;
+                attributes.lineDistance.array[index * 2 + 1] = next;
+
+                distance = next;
+                this.previous.copy(this.point);
+                index++;
+            }
+            cursors[style.dash] = index;
+
+            if (style.arrow) {
+                // Point along the curve's end tangent, with the tip on the target's surface
+                this.direction.subVectors(target.position, curved ? this.control : source.position).normalize();
+                this.point.copy(target.position).addScaledVector(this.direction, -nodeRadius(edge.userData.targetId));
+                this.quaternion.setFromUnitVectors(this.up, this.direction);
+                this.matrix.compose(this.point, this.quaternion, this.scale);
+                this.arrows.setMatrixAt(arrowIndex, this.matrix);
+                this.arrows.setColorAt(arrowIndex, color);
+                arrowIndex++;
+            }
+        });
+
+        for (const dash in this.batches) {
+            const geometry = this.batches[dash].lines.geometry;
+            geometry.setDrawRange(0, (cursors[dash] || 0) * 2);
+            geometry.attributes.position.needsUpdate = true;
+            geometry.attributes.color.needsUpdate = true;
+            geometry.attributes.lineDistance.needsUpdate = true;
+        }
+
+        this.arrows.count = arrowIndex;
+        this.arrows.instanceMatrix.needsUpdate = true;
+        this.arrows.instanceColor.needsUpdate = true;
+        this.dirty = false;
+    }
+
+    /**
+     * Get a point on an edge as drawn, following its curve if it has one
+     * @param {Object} edge - Edge proxy
+     * @param {Object} source - Source node object
+     * @param {Object} target - Target node object
+     * @param {number} t - Position from 0 (source) to 1 (target)
+     * @param {THREE.Vector3} out - Receives the point
+     * @returns {THREE.Vector3} - The point
+     */
+    getPointOnEdge(edge, source, target, t, out) {
+        if (!this.curvedEdges.has(edge)) {
+            return out.lerpVectors(source.position, target.position, t);
+        }
+
+        this.getCurveControl(edge, source, target, this.pathControl);
+        return this.getCurvePoint(source.position, this.pathControl, target.position, t, out);
+    }
+
+    /**
+     * Get a point on a quadratic curve
+     * @param {THREE.Vector3} start - Start point
+     * @param {THREE.Vector3} control - Control point
+     * @param {THREE.Vector3} end - End point
+     * @param {number} t - Curve parameter from 0 to 1
+     * @param {THREE.Vector3} out - Receives the point
+     * @returns {THREE.Vector3} - The point
+     */
+    getCurvePoint(start, control, end, t, out) {
+        const a = (1 - t) * (1 - t);
+        const b = 2 * (1 - t) * t;
+        const c = t * t;
+
+        return out.set(
+            a * start.x + b * control.x + c * end.x,
+            a * start.y + b * control.y + c * end.y,
+            a * start.z + b * control.z + c * end.z
+        );
+    }
+
+    /**
+     * Remove an object from the scene and dispose it
+     * @param {Object} object - Lines or mesh
+     */
+    disposeObject(object) {
+        this.graphManager.removeFromScene(object);
+        object.geometry.dispose();
+        object.material.dispose();
+    }
+
+    /**
+     * Remove the lines and arrowheads from the scene and dispose them
+     * They are recreated with the current styles on the next update
+     */
+    clear() {
+        for (const dash in this.batches) {
+            this.disposeObject(this.batches[dash].lines);
+        }
+        if (this.arrows) {
+            this.disposeObject(this.arrows);
+            this.arrows = null;
+        }
+
+        this.batches = {};
+        this.arrowCapacity = 0;
+        this.dirty = true;
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = MergedEdgeRenderer;
+} else {
+    window.MergedEdgeRenderer = MergedEdgeRenderer;
+}
\ No newline at end of file
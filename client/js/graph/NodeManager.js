@@ -7,15 +7,28 @@ class NodeManager {
         this.graphManager = graphManager;
         
         // Node collections
-        this.nodeObjects = {}; // Maps node IDs to THREE.js objects
+        this.nodeObjects = {}; // Maps node IDs to THREE.js objects (positions and data; drawn by instances)
         this.nodePositions = {}; // Maps node IDs to positions
-        this.labelObjects = {}; // Maps node IDs to label objects
+        
+        // Why hidden nodes are hidden (e.g. 'collapse'); a node is visible when it has no reasons
+        this.hiddenReasons = {}; // Maps node IDs to Sets of reasons
+        
+        // Nodes drawn faded and small to show they are left out (e.g. by the filter panel)
+        this.ghostedNodes = new Set();
+        
+        // Nodes that forces and layouts must not move
+        this.pinnedNodes = new Set();
+        this.pinVersion = 0; // Incremented whenever pins change
+        this.pinListeners = []; // Callbacks for pin changes
         
         // Original positions for reset
         this.originalPositions = {}; // Maps node IDs to original positions
         
         // Minimum distance between nodes for force simulation
         this.minNodeDistance = 100;
+        
+        // Draws the nodes with one instanced mesh per node type
+        this.instances = new InstancedNodeRenderer(graphManager);
     }
     
     /**
@@ -37,6 +50,95 @@ class NodeManager {
         }
     }
     
+    /**
+     * Add a single node at a given position
+     * @param {Object} nodeData - Node data object
+     * @param {Object} position - THREE.js Vector3 position
+     */
+    addNode(nodeData, position) {
+        this.nodePositions[nodeData.id] = position.clone();
+        this.originalPositions[nodeData.id] = position.clone();
+        this.createNode(nodeData);
+    }
+    
+    /**
+     * Recreate a node after its data changed, keeping its position
+     * @param {Object} nodeData - Updated node data object
+     */
+    refreshNode(nodeData) {
+        const mesh = this.nodeObjects[nodeData.id];
+        if (!mesh) return;
+        
+        const position = mesh.position.clone();
+        const originalPosition = this.originalPositions[nodeData.id];
+        
+        this.removeNode(nodeData.id);
+        this.addNode(nodeData, position);
+        
+        if (originalPosition) {
+            this.originalPositions[nodeData.id] = originalPosition;
+        }
+    }
+    
+    /**
+     * Copy changed node data fields onto the node's mesh user data
+     * @param {Object} nodeData - Node data object
+     */
+    syncNodeData(nodeData) {
+        const mesh = this.nodeObjects[nodeData.id];
+        if (!mesh) return;
+        
+        // A node of another type is drawn by another instanced mesh
+        if (mesh.userData.nodeType !== nodeData.type) {
+            const state = this.instances.getState(nodeData.id);
+            mesh.userData.nodeType = nodeData.type;
+            this.instances.add(nodeData.id, mesh);
+            this.instances.setState(nodeData.id, state);
+        }
+        
+        mesh.userData.label = nodeData.label;
+        mesh.userData.nodeType = nodeData.type;
+        mesh.userData.level = nodeData.level;
+        mesh.userData.connections = nodeData.connections;
+        mesh.userData.size = nodeData.size;
+    }
+    
+    /**
+     * Remove a node and stop drawing it
+     * @param {string} nodeId - Node ID
+     * @returns {boolean} - Whether the node existed
+     */
+    removeNode(nodeId) {
+        const mesh = this.nodeObjects[nodeId];
+        if (!mesh) return false;
+        
+        this.instances.remove(nodeId);
+        
+        delete this.nodeObjects[nodeId];
+        delete this.nodePositions[nodeId];
+        delete this.originalPositions[nodeId];
+        this.setNodePinned(nodeId, false);
+        
+        return true;
+    }
+    
+    /**
+     * Remove all nodes from the scene
+     */
+    clearNodes() {
+        console.log(`Clearing ${Object.keys(this.nodeObjects).length} nodes`);
+        Object.keys(this.nodeObjects).forEach(id => this.removeNode(id));
+        this.instances.clear();
+        
+        this.nodeObjects = {};
+        this.nodePositions = {};
+        this.originalPositions = {};
+        this.hiddenReasons = {};
+        this.ghostedNodes = new Set();
+        this.pinnedNodes = new Set();
+        this.pinVersion++;
+    }
+    
     /**
      * Calculate initial positions for all nodes
      * @param {Array} nodesData - Array of node data objects
@@ -74,7 +176,7 @@ class NodeManager {
     }
     
     /**
-     * Create a single node with its label
+     * Create a single node
      * @param {Object} nodeData - Node data object
      */
     createNode(nodeData) {
@@ -85,17 +187,8 @@ class NodeManager {
             return;
         }
 
-        // Create node geometry
-        const geometry = new THREE.SphereGeometry(nodeData.size, 32, 32);
-        
-        // Get material from theme manager
-        const material = window.themeManager.getNodeMaterial(nodeData.type, 'default');
-        
-        // Log material creation for debugging
-        console.log(`Creating node ${nodeData.id} with type ${nodeData.type}, opacity: ${material.opacity}`);
-
-        // Create mesh and position it
-        const mesh = new THREE.Mesh(geometry, material);
+        // The node object carries position and data; its instance draws it
+        const mesh = new THREE.Object3D();
         mesh.position.copy(position);
         mesh.userData = {
             id: nodeData.id,
@@ -107,114 +200,250 @@ class NodeManager {
             size: nodeData.size
         };
 
-        // Add to scene and store reference
-        this.graphManager.addToScene(mesh);
+        // Store reference and start drawing it
         this.nodeObjects[nodeData.id] = mesh;
+        this.instances.add(nodeData.id, mesh);
 
-        // Create text label for the node
-        this.createLabel(nodeData, position);
+        // Keep nodes hidden or ghosted across refreshes
+        this.applyNodeVisibility(nodeData.id);
+        this.instances.setGhosted(nodeData.id, this.ghostedNodes.has(nodeData.id));
     }
     
     /**
-     * Create a text label for a node
-     * @param {Object} nodeData - Node data object
-     * @param {Object} position - THREE.js Vector3 position
+     * Update a node's appearance based on its state
+     * @param {string} nodeId - Node ID
+     * @param {string} state - State ('default', 'selected', 'related', 'dimmed')
      */
-    createLabel(nodeData, position) {
-        // Create canvas for the label
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        
-        // Calculate font size based on node size
-        const fontSize = Math.max(Math.round(nodeData.size * 2), 16);
-        const padding = 8;
-        
-        // Measure text width
-        context.font = `bold ${fontSize}px Arial`;
-        const textMetrics = context.measureText(nodeData.label);
-        const textWidth = textMetrics.width + padding * 2;
-        const textHeight = fontSize + padding * 2;
+    updateNodeState(nodeId, state) {
+        if (!this.nodeObjects[nodeId]) {
+            console.warn(`Node ${nodeId} not found for state update`);
+            return;
+        }
         
-        // Size the canvas
-        canvas.width = textWidth;
-        canvas.height = textHeight;
+        this.instances.setState(nodeId, state);
+    }
+    
+    /**
+     * Get a node's current state
+     * @param {string} nodeId - Node ID
+     * @returns {string} - State ('default', 'selected', 'related', 'dimmed') or null
+     */
+    getNodeState(nodeId) {
+        return this.instances.getState(nodeId);
+    }
+    
+    /**
+     * Get the drawn radius of a node, which grows with its highlight state and shrinks when ghosted
+     * @param {string} nodeId - Node ID
+     * @returns {number} - Radius in world units, 0 for unknown nodes
+     */
+    getNodeRadius(nodeId) {
+        const node = this.nodeObjects[nodeId];
+        if (!node) return 0;
         
-        // Draw background
-        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        context.fillRect(0, 0, canvas.width, canvas.height);
+        const style = window.themeManager.getNodeInstanceStyle(this.instances.getDrawState(nodeId));
+        return (node.userData.size || 1) * style.scale;
+    }
+    
+    /**
+     * Copy node positions, states and visibility into the instanced meshes
+     * Called once per frame before rendering
+     * @param {Function} detailLevelOf - Returns the sphere detail level of a node ID (optional)
+     */
+    updateInstances(detailLevelOf = null) {
+        this.instances.update(detailLevelOf);
+    }
+    
+    /**
+     * Find the node drawn by an instance hit by a raycast
+     * @param {Object} mesh - Instanced mesh
+     * @param {number} instanceId - Instance index
+     * @returns {string} - Node ID or null
+     */
+    getNodeIdForInstance(mesh, instanceId) {
+        return this.instances.getNodeId(mesh, instanceId);
+    }
+    
+    /**
+     * Reset all nodes to default state
+     */
+    resetNodeStates() {
+        console.log(`Resetting states for ${Object.keys(this.nodeObjects).length} nodes`);
+        for (const id in this.nodeObjects) {
+            try {
+                this.updateNodeState(id, 'default');
+            } catch (error) {
+                console.error(`Error resetting node state for ${id}:`, error);
+            }
+        }
+    }
+    
+    /**
+     * Hide or show a node for a reason
+     * A node stays hidden while any reason hides it
+     * @param {string} nodeId - Node ID
+     * @param {string} reason - Why the node is hidden (e.g. 'collapse')
+     * @param {boolean} hidden - Whether to hide the node
+     */
+    setNodeHidden(nodeId, reason, hidden) {
+        if (hidden) {
+            if (!this.hiddenReasons[nodeId]) {
+                this.hiddenReasons[nodeId] = new Set();
+            }
+            this.hiddenReasons[nodeId].add(reason);
+        } else if (this.hiddenReasons[nodeId]) {
+            this.hiddenReasons[nodeId].delete(reason);
+            if (this.hiddenReasons[nodeId].size === 0) {
+                delete this.hiddenReasons[nodeId];
+            }
+        }
         
-        // Draw text
-        context.font = `bold ${fontSize}px Arial`;
-        context.fillStyle = '#ffffff';
-        context.textAlign = 'center';
-        context.textBaseline = 'middle';
-        context.fillText(nodeData.label, canvas.width / 2, canvas.height / 2);
+        this.applyNodeVisibility(nodeId);
+    }
+    
+    /**
+     * Hide exactly the given nodes for a reason, showing any others it hid
+     * @param {string} reason - Why the nodes are hidden
+     * @param {Array} nodeIds - IDs of the nodes to hide (empty to show all)
+     */
+    setHiddenNodes(reason, nodeIds) {
+        const hide = new Set(nodeIds);
         
-        // Create texture and sprite
-        const texture = new THREE.CanvasTexture(canvas);
-        const material = new THREE.SpriteMaterial({ map: texture });
-        const sprite = new THREE.Sprite(material);
+        for (const id in this.nodeObjects) {
+            this.setNodeHidden(id, reason, hide.has(id));
+        }
         
-        // Position sprite above node
-        sprite.position.set(
-            position.x, 
-            position.y + nodeData.size + 5, 
-            position.z
-        );
+        // Edges are hidden with their endpoints
+        if (this.graphManager.edgeManager) {
+            this.graphManager.edgeManager.updateEdgeVisibility();
+        }
+    }
+    
+    /**
+     * Check if a node is visible
+     * @param {string} nodeId - Node ID
+     * @returns {boolean} - Whether no reason hides the node
+     */
+    isNodeVisible(nodeId) {
+        return !this.hiddenReasons[nodeId];
+    }
+    
+    /**
+     * Ghost exactly the given nodes, unghosting all others
+     * @param {Array} nodeIds - IDs of the nodes to ghost (empty to unghost all)
+     */
+    setGhostedNodes(nodeIds) {
+        this.ghostedNodes = new Set(nodeIds);
         
-        sprite.scale.set(textWidth / 6, textHeight / 6, 1);
-        sprite.userData = { id: nodeData.id, type: 'label' };
+        for (const id in this.nodeObjects) {
+            this.instances.setGhosted(id, this.ghostedNodes.has(id));
+        }
         
-        // Add to scene and store reference
-        this.graphManager.addToScene(sprite);
-        this.labelObjects[nodeData.id] = sprite;
+        // Edges are ghosted with their endpoints
+        if (this.graphManager.edgeManager) {
+            this.graphManager.edgeManager.updateEdgeVisibility();
+        }
     }
     
     /**
-     * Update a node's material based on its state
+     * Check if a node is ghosted
      * @param {string} nodeId - Node ID
-     * @param {string} state - State ('default', 'selected', 'related')
+     * @returns {boolean} - Whether the node is drawn as a ghost
      */
-    updateNodeState(nodeId, state) {
-        const nodeObj = this.nodeObjects[nodeId];
-        if (!nodeObj) {
-            console.warn(`Node ${nodeId} not found for state update`);
-            return;
+    isNodeGhosted(nodeId) {
+        return this.ghostedNodes.has(nodeId);
+    }
+    
+    /**
+     * Show or hide a node according to its hidden reasons
+     * @param {string} nodeId - Node ID
+     */
+    applyNodeVisibility(nodeId) {
+        const visible = this.isNodeVisible(nodeId);
+        
+        if (this.nodeObjects[nodeId]) {
+            this.nodeObjects[nodeId].visible = visible;
         }
-
-        try {
-            // Replace the entire material instead of updating properties
-            const oldMaterial = nodeObj.material;
-            const newMaterial = window.themeManager.getNodeMaterial(
-                nodeObj.userData.nodeType, 
-                state
-            );
-            
-            nodeObj.material = newMaterial;
-            
-            // Dispose of old material to prevent memory leaks
-            if (oldMaterial) {
-                oldMaterial.dispose();
+    }
+    
+    /**
+     * Pin or unpin a node; pinned nodes keep their position in the force simulation and layouts
+     * @param {string} nodeId - Node ID
+     * @param {boolean} pinned - Whether to pin the node
+     */
+    setNodePinned(nodeId, pinned) {
+        this.setNodesPinned([nodeId], pinned);
+    }
+    
+    /**
+     * Pin or unpin several nodes
+     * @param {Array} nodeIds - Node IDs
+     * @param {boolean} pinned - Whether to pin the nodes
+     */
+    setNodesPinned(nodeIds, pinned) {
+        const changed = nodeIds.filter(id => pinned !== this.pinnedNodes.has(id));
+        if (changed.length === 0) return;
+        
+        changed.forEach(id => {
+            if (pinned) {
+                this.pinnedNodes.add(id);
+            } else {
+                this.pinnedNodes.delete(id);
             }
-            
-            console.log(`Updated node ${nodeId} to state: ${state}, new opacity: ${newMaterial.opacity}`);
-        } catch (error) {
-            console.error(`Error updating node ${nodeId} state:`, error);
-        }
+        });
+        
+        this.pinVersion++;
+        this.notifyPinChange(changed);
     }
     
     /**
-     * Reset all nodes to default state
+     * Pin exactly the given nodes, unpinning all others
+     * @param {Array} nodeIds - IDs of the nodes to pin (unknown ones are ignored)
      */
-    resetNodeStates() {
-        console.log(`Resetting states for ${Object.keys(this.nodeObjects).length} nodes`);
-        for (const id in this.nodeObjects) {
+    setPinnedNodes(nodeIds) {
+        const pin = new Set(nodeIds.filter(id => this.nodeObjects[id]));
+        
+        this.setNodesPinned(this.getPinnedNodeIds().filter(id => !pin.has(id)), false);
+        this.setNodesPinned(Array.from(pin), true);
+    }
+    
+    /**
+     * Register a callback for pin changes
+     * @param {Function} callback - Called with the IDs of the nodes whose pin changed
+     */
+    onPinChange(callback) {
+        this.pinListeners.push(callback);
+    }
+    
+    /**
+     * Notify listeners of pin changes
+     * @param {Array} nodeIds - IDs of the nodes whose pin changed
+     */
+    notifyPinChange(nodeIds) {
+        this.pinListeners.forEach(listener => {
             try {
-                this.updateNodeState(id, 'default');
+                listener(nodeIds);
             } catch (error) {
-                console.error(`Error resetting node state for ${id}:`, error);
+                console.error('Error in pin listener:', error);
             }
-        }
+        });
+    }
+    
+    /**
+     * Check if a node is pinned
+     * @param {string} nodeId - Node ID
+     * @returns {boolean} - Whether the node is pinned
+     */
+    isNodePinned(nodeId) {
+        return this.pinnedNodes.has(nodeId);
+    }
+    
+    /**
+     * Get the IDs of all pinned nodes
+     * @returns {Array} - Pinned node IDs
+     */
+    getPinnedNodeIds() {
+        return Array.from(this.pinnedNodes);
     }
     
     /**
@@ -242,6 +471,95 @@ class NodeManager {
         return this.nodePositions;
     }
     
+    /**
+     * Move a node to a position, cancelling any running move animation
+     * @param {string} nodeId - Node ID
+     * @param {Object} position - Position with x, y and z
+     * @returns {boolean} - Whether the node exists
+     */
+    setNodePosition(nodeId, position) {
+        const node = this.nodeObjects[nodeId];
+        if (!node) return false;
+        
+        node.userData.animationToken = null;
+        node.position.set(position.x, position.y, position.z);
+        this.nodePositions[nodeId] = node.position.clone();
+        
+        return true;
+    }
+    
+    /**
+     * Move nodes to positions from a flat array, e.g. a force simulation step
+     * Unlike setNodePosition this does not cancel running animations
+     * Pinned nodes keep their position (they may have been moved since the step started)
+     * @param {Array} ids - Node IDs
+     * @param {Float64Array} positions - x, y, z per node, in the order of ids
+     */
+    setPositionsFromArray(ids, positions) {
+        ids.forEach((id, index) => {
+            const node = this.nodeObjects[id];
+            if (!node || this.pinnedNodes.has(id)) return;
+            
+            const i = index * 3;
+            node.position.set(positions[i], positions[i + 1], positions[i + 2]);
+            this.nodePositions[id] = node.position.clone();
+        });
+    }
+    
+    /**
+     * Copy the current positions of all nodes
+     * @returns {Object} - Map of node IDs to THREE.js Vector3 positions
+     */
+    getPositionSnapshot() {
+        const snapshot = {};
+        for (const id in this.nodeObjects) {
+            snapshot[id] = this.nodeObjects[id].position.clone();
+        }
+        return snapshot;
+    }
+    
+    /**
+     * Move nodes to the positions of a snapshot
+     * @param {Object} snapshot - Map of node IDs to positions
+     */
+    applyPositionSnapshot(snapshot) {
+        for (const id in snapshot) {
+            this.setNodePosition(id, snapshot[id]);
+        }
+        
+        if (this.graphManager.edgeManager) {
+            this.graphManager.edgeManager.updateEdgePositions();
+        }
+    }
+    
+    /**
+     * Record moved nodes in the undo history
+     * @param {string} label - History entry label
+     * @param {Object} before - Position snapshot taken before the nodes moved
+     * @param {Object} after - Position snapshot after the move (defaults to the current positions)
+     */
+    recordPositionChange(label, before, after = this.getPositionSnapshot()) {
+        if (!window.historyManager) return;
+        
+        // Only keep the nodes that actually moved
+        const from = {};
+        const to = {};
+        for (const id in after) {
+            if (before[id] && before[id].distanceTo(after[id]) > 0.01) {
+                from[id] = before[id].clone();
+                to[id] = after[id].clone();
+            }
+        }
+        
+        if (Object.keys(from).length === 0) return;
+        
+        window.historyManager.record({
+            label,
+            undo: () => this.applyPositionSnapshot(from),
+            redo: () => this.applyPositionSnapshot(to)
+        });
+    }
+    
     /**
      * Set minimum distance between nodes
      * @param {number} distance - Minimum distance
@@ -261,16 +579,6 @@ class NodeManager {
             // Gradually reduce Z to 0
             node.position.z *= (1 - progress);
             
-            // Update label position
-            if (this.labelObjects[id]) {
-                const label = this.labelObjects[id];
-                label.position.set(
-                    node.position.x,
-                    node.position.y + node.userData.size + 5,
-                    node.position.z
-                );
-            }
-            
             // Update position in nodePositions map
             this.nodePositions[id] = node.position.clone();
         }
@@ -294,16 +602,6 @@ class NodeManager {
                     original.z * progress
                 );
                 
-                // Update label position
-                if (this.labelObjects[id]) {
-                    const label = this.labelObjects[id];
-                    label.position.set(
-                        node.position.x,
-                        node.position.y + node.userData.size + 5,
-                        node.position.z
-                    );
-                }
-                
                 // Update position in nodePositions map
                 this.nodePositions[id] = node.position.clone();
             }
@@ -316,6 +614,8 @@ class NodeManager {
     resetPositions() {
         console.log('Resetting node positions to original');
 
+        const before = this.getPositionSnapshot();
+        
         // Loop through all nodes and reset to original positions
         for (const id in this.nodeObjects) {
             const node = this.nodeObjects[id];
@@ -327,21 +627,11 @@ class NodeManager {
                 
                 // Also update nodePositions map
                 this.nodePositions[id] = originalPosition.clone();
-                
-                // Update label position
-                if (this.labelObjects[id]) {
-                    const label = this.labelObjects[id];
-                    const nodeSize = node.userData.size || node.geometry.parameters.radius;
-                    
-                    label.position.set(
-                        originalPosition.x,
-                        originalPosition.y + nodeSize + 5,
-                        originalPosition.z
-                    );
-                }
             }
         }
         
+        this.recordPositionChange('Reset positions', before);
+        
         // Force the edge manager to update if available through WTG
         if (window.WTG && window.WTG.edgeManager) {
             window.WTG.edgeManager.updateEdgePositions();
@@ -349,126 +639,12 @@ class NodeManager {
         
         // Trigger a scene update
         if (window.WTG && window.WTG.graphManager && window.WTG.graphManager.renderer) {
-            window.WTG.graphManager.renderer.render(
-                window.WTG.graphManager.scene,
-                window.WTG.graphManager.camera
-            );
+            window.WTG.graphManager.renderFrame();
         }
         
         return true;
     }
     
-    /**
-     * Update positions based on forces (for force-directed layout)
-     * @param {Array} edges - Array of edge data objects
-     * @param {boolean} is2DMode - Whether in 2D mode
-     * @returns {number} Total movement
-     */
-    updatePositionsWithForces(edges, is2DMode) {
-        // Apply forces to nodes
-        let totalMovement = 0;
-        
-        for (const id in this.nodeObjects) {
-            const obj = this.nodeObjects[id];
-            let forceX = 0;
-            let forceY = 0;
-            let forceZ = 0;
-            
-            // Repulsion force between all nodes
-            for (const otherId in this.nodeObjects) {
-                if (id === otherId) continue;
-                
-                const otherObj = this.nodeObjects[otherId];
-                const dx = obj.position.x - otherObj.position.x;
-                const dy = obj.position.y - otherObj.position.y;
-                const dz = is2DMode ? 0 : obj.position.z - otherObj.position.z;
-                
-                const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-                
-                if (distance > 0 && distance < this.minNodeDistance * 3) {
-                    // Stronger repulsion when nodes get closer than minNodeDistance
-                    let repulsionFactor;
-                    if (distance < this.minNodeDistance) {
-                        repulsionFactor = (this.minNodeDistance * 2) / (distance * distance);
-                    } else {
-                        repulsionFactor = 30 / (distance * distance);
-                    }
-                    
-                    forceX += dx * repulsionFactor;
-                    forceY += dy * repulsionFactor;
-                    if (!is2DMode) forceZ += dz * repulsionFactor;
-                }
-            }
-            
-            // Attraction force for connected nodes
-            edges.forEach(edge => {
-                if (edge.source === id || edge.target === id) {
-                    const otherId = edge.source === id ? edge.target : edge.source;
-                    const otherObj = this.nodeObjects[otherId];
-                    
-                    if (otherObj) {
-                        const dx = otherObj.position.x - obj.position.x;
-                        const dy = otherObj.position.y - obj.position.y;
-                        const dz = is2DMode ? 0 : otherObj.position.z - obj.position.z;
-                        
-                        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-                        
-                        // The higher the connections count, the stronger the attraction
-                        const connectionStrength = obj.userData.connections * 0.01 || 0.03;
-                        
-                        if (distance > 20) {
-                            const attractionFactor = distance * connectionStrength;
-                            forceX += dx * attractionFactor;
-                            forceY += dy * attractionFactor;
-                            if (!is2DMode) forceZ += dz * attractionFactor;
-                        }
-                    }
-                }
-            });
-            
-            // Apply the forces with gentle damping
-            const dampingFactor = 0.03; // Slower movement for less jittering
-            const oldX = obj.position.x;
-            const oldY = obj.position.y;
-            const oldZ = obj.position.z;
-            
-            obj.position.x += forceX * dampingFactor;
-            obj.position.y += forceY * dampingFactor;
-            if (!is2DMode) obj.position.z += forceZ * dampingFactor;
-            else obj.position.z = 0;
-            
-            // Keep Z at 0 in 2D mode
-            if (is2DMode) {
-                obj.position.z = 0;
-            }
-            
-            // Level constraint - keep nodes near their hierarchical level
-            const targetY = -50 + obj.userData.level * 20;
-            obj.position.y += (targetY - obj.position.y) * 0.01;
-            
-            // Update position in nodePositions map
-            this.nodePositions[id] = obj.position.clone();
-            
-            // Update label position
-            if (this.labelObjects[id]) {
-                const label = this.labelObjects[id];
-                label.position.set(
-                    obj.position.x,
-                    obj.position.y + obj.userData.size + 5,
-                    obj.position.z
-                );
-            }
-            
-            // Calculate movement for stability detection
-            const dx = obj.position.x - oldX;
-            const dy = obj.position.y - oldY;
-            const dz = obj.position.z - oldZ;
-            totalMovement += Math.sqrt(dx*dx + dy*dy + dz*dz);
-        }
-        
-        return totalMovement;
-    }
-    
     /**
      * Get a node by position (nearest node to a given position)
      * @param {Object} position - THREE.js Vector3 position
@@ -0,0 +1,191 @@
+/**
+ * BoxSelection.js
+ * Shift-drag on empty space adds every visible node inside a rectangle to the
+ * selection, or inside a freehand lasso while Alt is held too. Nodes are
+ * projected through the camera and tested in screen space
+ */
+class BoxSelection {
+    constructor(graphManager, nodeManager, selectionManager, eventManager) {
+        this.graphManager = graphManager;
+        this.nodeManager = nodeManager;
+        this.selectionManager = selectionManager;
+        this.eventManager = eventManager;
+
+        // Minimum pointer movement (in pixels) before a drag selects; shorter ones are clicks
+        this.dragThreshold = 5;
+
+        // Minimum distance between recorded lasso points, in pixels
+        this.lassoSpacing = 4;
+
+        // Current gesture: { mode: 'box' or 'lasso', points: pointer positions in container pixels }
+        this.gesture = null;
+
+        // SVG overlay drawing the box or lasso (created on first use)
+        this.overlay = null;
+        this.shape = null;
+
+        this.eventManager.addPointerHandler(this);
+    }
+
+    /**
+     * Create the SVG overlay
+     */
+    createOverlay() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+
+        this.overlay = document.createElementNS(svgNS, 'svg');
+        this.overlay.id = 'selection-overlay';
+        this.overlay.classList.add('hidden');
+
+        this.shape = document.createElementNS(svgNS, 'polygon');
+        this.overlay.appendChild(this.shape);
+
+        this.graphManager.container.appendChild(this.overlay);
+    }
+
+    /**
+     * Get the pointer position in container pixels
+     * @param {Event} event - Mouse event
+     * @returns {Object} - { x, y } from the container's top left
+     */
+    getContainerPoint(event) {
+        const rect = this.graphManager.container.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    /**
+     * Start a box or lasso when shift-dragging from empty space
+     * @param {Event} event - Mouse event
+     * @param {Object} mouse - Normalized mouse coordinates
+     * @returns {boolean} - Whether the gesture was captured
+     */
+    onPointerDown(event, mouse) {
+        if (event.button !== 0 || !event.shiftKey) return false;
+
+        // Shift-clicking a node toggles it instead
+        if (this.graphManager.getNodeIdAtMouse(mouse)) return false;
+
+        this.gesture = {
+            mode: event.altKey ? 'lasso' : 'box',
+            points: [this.getContainerPoint(event)]
+        };
+        return true;
+    }
+
+    /**
+     * Grow the box or lasso
+     * @param {Event} event - Mouse event
+     */
+    onPointerMove(event) {
+        if (!this.gesture) return;
+
+        const point = this.getContainerPoint(event);
+        const points = this.gesture.points;
+
+        if (this.gesture.mode === 'box') {
+            points[1] = point;
+        } else if (window.mathUtils.distance2D(point, points[points.length - 1]) >= this.lassoSpacing) {
+            points.push(point);
+        }
+
+        if (this.isDrag(points)) {
+            this.draw(this.getPolygon());
+        }
+    }
+
+    /**
+     * Select the nodes inside the box or lasso
+     * @param {Event} event - Mouse event
+     * @returns {boolean} - Whether the click should be ignored
+     */
+    onPointerUp(event) {
+        const gesture = this.gesture;
+        this.gesture = null;
+        this.draw(null);
+
+        // A short shift-click on empty space keeps the selection (see SelectionManager.selectFromMouse)
+        if (!gesture || !this.isDrag(gesture.points)) return false;
+
+        if (gesture.mode === 'box' && event) {
+            gesture.points[1] = this.getContainerPoint(event);
+        }
+
+        const nodeIds = this.getNodesInside(this.getPolygon(gesture));
+        if (nodeIds.length > 0) {
+            this.selectionManager.addToSelection(nodeIds);
+        }
+        return true;
+    }
+
+    /**
+     * Check whether the pointer moved far enough to select
+     * @param {Array} points - Pointer positions of the gesture
+     * @returns {boolean} - Whether the gesture is a drag
+     */
+    isDrag(points) {
+        return points.some(point => window.mathUtils.distance2D(point, points[0]) > this.dragThreshold);
+    }
+
+    /**
+     * Get the outline of a gesture
+     * @param {Object} gesture - Gesture (defaults to the current one)
+     * @returns {Array} - Polygon vertices in container pixels
+     */
+    getPolygon(gesture = this.gesture) {
+        const points = gesture.points;
+        if (gesture.mode === 'lasso') return points;
+
+        const start = points[0];
+        const end = points[1] || start;
+        return [
+            { x: start.x, y: start.y },
+            { x: end.x, y: start.y },
+            { x: end.x, y: end.y },
+            { x: start.x, y: end.y }
+        ];
+    }
+
+    /**
+     * Get the visible nodes whose centers lie inside a polygon on screen
+     * @param {Array} polygon - Polygon vertices in container pixels
+     * @returns {Array} - Node IDs
+     */
+    getNodesInside(polygon) {
+        const nodes = this.nodeManager.getAllNodes();
+        const nodeIds = [];
+
+        for (const id in nodes) {
+            if (!this.nodeManager.isNodeVisible(id)) continue;
+
+            const point = this.graphManager.projectToScreen(nodes[id].position);
+            if (point && window.mathUtils.pointInPolygon2D(point, polygon)) {
+                nodeIds.push(id);
+            }
+        }
+
+        return nodeIds;
+    }
+
+    /**
+     * Draw the box or lasso outline
+     * @param {Array} polygon - Polygon vertices in container pixels, or null to hide the outline
+     */
+    draw(polygon) {
+        if (!this.overlay) {
+            if (!polygon) return;
+            this.createOverlay();
+        }
+
+        this.overlay.classList.toggle('hidden', !polygon);
+        if (polygon) {
+            this.shape.setAttribute('points', polygon.map(point => `${point.x},${point.y}`).join(' '));
+        }
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = BoxSelection;
+} else {
+    window.BoxSelection = BoxSelection;
+}
\ No newline at end of file
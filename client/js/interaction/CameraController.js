@@ -220,6 +220,36 @@ THREE.Vector3.prototype[Symbol.iterator] = function*() {
           const offset = new THREE.Vector3(0, 0, 50);
           const newPosition = newTarget.clone().add(offset);
   
+          this.animateTo(newPosition, newTarget);
+      }
+      
+      /**
+       * Move the camera so that a box fits in view, keeping the viewing direction
+       * @param {Object} box - THREE.js Box3 to show
+       */
+      focusOnBox(box) {
+          if (box.isEmpty()) return;
+          
+          const sphere = box.getBoundingSphere(new THREE.Sphere());
+          const halfFov = THREE.MathUtils.degToRad(this.camera.fov) / 2;
+          const halfFovX = Math.atan(Math.tan(halfFov) * this.camera.aspect);
+          
+          // Distance at which the bounding sphere fits the narrower side of the view, with a margin
+          const fitDistance = sphere.radius / Math.sin(Math.min(halfFov, halfFovX)) * 1.1;
+          const distance = Math.max(this.minDistance, Math.min(this.maxDistance, fitDistance));
+          
+          const direction = new THREE.Vector3().subVectors(this.camera.position, this.target).normalize();
+          const newPosition = sphere.center.clone().addScaledVector(direction, distance);
+          
+          this.animateTo(newPosition, sphere.center.clone());
+      }
+      
+      /**
+       * Smoothly move the camera and its target
+       * @param {Object} newPosition - THREE.js Vector3 camera position
+       * @param {Object} newTarget - THREE.js Vector3 point to look at
+       */
+      animateTo(newPosition, newTarget) {
           const startPosition = this.camera.position.clone();
           const startTarget = this.target.clone();
   
@@ -244,6 +274,29 @@ THREE.Vector3.prototype[Symbol.iterator] = function*() {
           animate();
       }
       
+      /**
+       * Get the camera pose
+       * @returns {Object} - { position, target } as [x, y, z] arrays
+       */
+      getState() {
+          return {
+              position: this.camera.position.toArray(),
+              target: this.target.toArray()
+          };
+      }
+      
+      /**
+       * Restore a camera pose from getState
+       * @param {Object} state - { position, target } as [x, y, z] arrays
+       */
+      setState(state) {
+          if (!state || !Array.isArray(state.position) || !Array.isArray(state.target)) return;
+          
+          this.camera.position.fromArray(state.position);
+          this.target.fromArray(state.target);
+          this.camera.lookAt(this.target);
+      }
+      
       /**
        * Set zoom limits
        * @param {number} min - Minimum distance
@@ -14,6 +14,15 @@ class EventManager {
         this.isPanning = false;
         this.previousMousePosition = { x: 0, y: 0 };
         
+        // Pointer handlers that can take over mouse gestures (e.g. editing tools)
+        this.pointerHandlers = [];
+        this.activePointerHandler = null;
+        this.suppressNextClick = false;
+        
+        // Key press callbacks (share one window keydown handler)
+        this.keyPressListeners = [];
+        this.keyHandler = null;
+        
         // Initialize event listeners
         this.initEventListeners();
     }
@@ -50,16 +59,27 @@ class EventManager {
      * @param {Event} event - Mouse event
      */
     handleMouseDown(event) {
+        this.previousMousePosition = {
+            x: event.clientX,
+            y: event.clientY
+        };
+        
+        // Give pointer handlers the chance to take over this gesture
+        const mouse = this.getNormalizedMouse(event);
+        if (mouse) {
+            for (const handler of this.pointerHandlers) {
+                if (handler.onPointerDown && handler.onPointerDown(event, mouse)) {
+                    this.activePointerHandler = handler;
+                    return;
+                }
+            }
+        }
+        
         if (event.button === 0) { // Left click
             this.isDragging = true;
         } else if (event.button === 2) { // Right click
             this.isPanning = true;
         }
-        
-        this.previousMousePosition = {
-            x: event.clientX,
-            y: event.clientY
-        };
     }
     
     /**
@@ -67,6 +87,14 @@ class EventManager {
      * @param {Event} event - Mouse event
      */
     handleMouseMove(event) {
+        if (this.activePointerHandler) {
+            const mouse = this.getNormalizedMouse(event);
+            if (mouse && this.activePointerHandler.onPointerMove) {
+                this.activePointerHandler.onPointerMove(event, mouse);
+            }
+            return;
+        }
+        
         if (!this.isDragging && !this.isPanning) return;
         
         const currentMousePosition = {
@@ -94,12 +122,61 @@ class EventManager {
     
     /**
      * Handle mouse up events
+     * @param {Event} event - Mouse event
      */
-    handleMouseUp() {
+    handleMouseUp(event) {
+        if (this.activePointerHandler) {
+            const handler = this.activePointerHandler;
+            this.activePointerHandler = null;
+            
+            // A consumed gesture must not also count as a click
+            const mouse = this.getNormalizedMouse(event);
+            if (handler.onPointerUp && handler.onPointerUp(event, mouse)) {
+                this.suppressNextClick = true;
+            }
+        }
+        
         this.isDragging = false;
         this.isPanning = false;
     }
     
+    /**
+     * Register a pointer handler that can take over mouse gestures
+     * The handler may implement onPointerDown(event, mouse) returning true to
+     * capture the gesture, then onPointerMove(event, mouse) and
+     * onPointerUp(event, mouse) returning true if the click should be ignored
+     * @param {Object} handler - Pointer handler
+     */
+    addPointerHandler(handler) {
+        this.pointerHandlers.push(handler);
+    }
+    
+    /**
+     * Unregister a pointer handler
+     * @param {Object} handler - Pointer handler
+     */
+    removePointerHandler(handler) {
+        this.pointerHandlers = this.pointerHandlers.filter(other => other !== handler);
+        if (this.activePointerHandler === handler) {
+            this.activePointerHandler = null;
+        }
+    }
+    
+    /**
+     * Convert a mouse event to normalized device coordinates
+     * @param {Event} event - Mouse event
+     * @returns {THREE.Vector2} - Normalized mouse position or null if unavailable
+     */
+    getNormalizedMouse(event) {
+        const rect = this.graphManager.renderer.domElement.getBoundingClientRect();
+        if (!event || rect.width === 0 || rect.height === 0) return null;
+        
+        return new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+    }
+    
     /**
      * Handle mouse wheel events
      * @param {Event} event - Mouse event
@@ -119,6 +196,12 @@ class EventManager {
      * @param {Event} event - Mouse event
      */
     handleClick(event) {
+        // Ignore the click that ends a gesture taken over by a pointer handler
+        if (this.suppressNextClick) {
+            this.suppressNextClick = false;
+            return;
+        }
+        
         // Prevent handling if we're in the middle of dragging
         if (this.isDragging || this.isPanning) {
             console.log('Click ignored - currently dragging or panning');
@@ -156,7 +239,8 @@ class EventManager {
 
         // Perform selection with added safety
         try {
-            this.selectionManager.selectFromMouse(this.mouse);
+            // Shift-click adds nodes to the selection or removes them
+            this.selectionManager.selectFromMouse(this.mouse, { toggle: event.shiftKey });
         } catch (error) {
             console.error('Error during selection:', error);
         }
@@ -190,47 +274,82 @@ class EventManager {
     
     /**
      * Add key press listener with improved keyboard navigation
+     * The built-in shortcuts run once per key press, after all listeners,
+     * unless a listener already handled the key (called preventDefault)
      * @param {Function} callback - Key press callback function
+     * @returns {Function} - The callback, for removeKeyPressListener
      */
     addKeyPressListener(callback) {
-        const keyHandler = (event) => {
-            // Call original callback
-            callback(event);
-
-            // Add additional keyboard shortcuts
-            switch (event.key) {
-                case 'f':
-                case 'F':
-                    // Focus search box
-                    const searchInput = document.getElementById('search-input');
-                    if (searchInput) {
-                        searchInput.focus();
-                        event.preventDefault();
-                    }
-                    break;
-
-                case 'h':
-                case 'H':
-                    // Show help dialog
-                    this.showHelpDialog();
-                    event.preventDefault();
-                    break;
-
-                case 't':
-                case 'T':
-                    // Toggle theme (could be implemented)
-                    this.toggleTheme();
+        this.keyPressListeners.push(callback);
+        
+        if (!this.keyHandler) {
+            this.keyHandler = (event) => this.handleKeyPress(event);
+            window.addEventListener('keydown', this.keyHandler);
+        }
+        
+        return callback;
+    }
+    
+    /**
+     * Remove a key press listener
+     * @param {Function} callback - Callback passed to addKeyPressListener
+     */
+    removeKeyPressListener(callback) {
+        this.keyPressListeners = this.keyPressListeners.filter(listener => listener !== callback);
+    }
+    
+    /**
+     * Handle a key press
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyPress(event) {
+        // Ignore typing in form fields (the search box handles its own keys)
+        const target = event.target;
+        const isFormField = target && target.id !== 'search-input' &&
+            (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+        if (isFormField) return;
+        
+        this.keyPressListeners.forEach(listener => listener(event));
+        
+        // Leave handled keys, modifier combinations and typing in the search box alone
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey ||
+            window.searchInputFocused) {
+            return;
+        }
+        
+        // Additional keyboard shortcuts
+        switch (event.key) {
+            case 'f':
+            case 'F': {
+                // Focus search box
+                const searchInput = document.getElementById('search-input');
+                if (searchInput) {
+                    searchInput.focus();
                     event.preventDefault();
-                    break;
-
-                // Add more shortcuts as needed
+                }
+                break;
             }
-        };
-
-        window.addEventListener('keydown', keyHandler);
-        return keyHandler; // Return handler for removal
+            
+            case 'h':
+            case 'H':
+                // Show help dialog
+                this.showHelpDialog();
+                event.preventDefault();
+                break;
+            
+            case 't':
+            case 'T':
+                // Toggle theme
+                if (window.WTG && window.WTG.uiManager) {
+                    window.WTG.uiManager.toggleTheme();
+                    event.preventDefault();
+                }
+                break;
+            
+            // Add more shortcuts as needed
+        }
     }
-
+    
     /**
      * Show help dialog with keyboard shortcuts
      */
@@ -248,9 +367,14 @@ class EventManager {
                     <table>
                         <tr><td><kbd>Arrow Keys</kbd></td><td>Navigate between nodes</td></tr>
                         <tr><td><kbd>Esc</kbd></td><td>Clear selection</td></tr>
+                        <tr><td><kbd>Shift+Click</kbd></td><td>Add or remove a node from the selection</td></tr>
+                        <tr><td><kbd>Shift+Drag</kbd></td><td>Box select (hold <kbd>Alt</kbd> too for a lasso)</td></tr>
+                        <tr><td><kbd>Drag node</kbd></td><td>Move and pin a node, or the whole selection</td></tr>
                         <tr><td><kbd>F</kbd></td><td>Focus search box</td></tr>
                         <tr><td><kbd>H</kbd></td><td>Show/hide this help</td></tr>
                         <tr><td><kbd>T</kbd></td><td>Toggle theme</td></tr>
+                        <tr><td><kbd>Ctrl+Z</kbd></td><td>Undo</td></tr>
+                        <tr><td><kbd>Ctrl+Shift+Z</kbd></td><td>Redo</td></tr>
                     </table>
                     <button id="close-help">Close</button>
                 </div>
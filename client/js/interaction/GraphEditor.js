@@ -0,0 +1,456 @@
+/**
+ * GraphEditor.js
+ * Edit mode for authoring the graph: creating, editing and deleting nodes,
+ * and dragging from one node to another to create typed edges
+ */
+class GraphEditor {
+    constructor(graphManager, nodeManager, cameraController, selectionManager, sidebarManager, eventManager) {
+        this.graphManager = graphManager;
+        this.nodeManager = nodeManager;
+        this.cameraController = cameraController;
+        this.selectionManager = selectionManager;
+        this.sidebarManager = sidebarManager;
+        this.eventManager = eventManager;
+
+        // Edit mode state
+        this.editMode = false;
+
+        // Edge being dragged out of a node
+        this.edgeDrag = null;
+
+        // Minimum pointer movement (in pixels) before a drag creates an edge
+        this.dragThreshold = 5;
+
+        // Node being edited in the node form (null when creating a new node)
+        this.editingNodeId = null;
+
+        // DOM elements
+        this.toggleButton = document.getElementById('edit-mode-button');
+        this.toolbar = document.getElementById('edit-toolbar');
+        this.edgeTypeSelect = document.getElementById('edge-type-select');
+        this.blockCyclesCheckbox = document.getElementById('block-cycles');
+        this.nodeModal = document.getElementById('node-editor-modal');
+
+        this.initControls();
+        this.initNodeForm();
+
+        // Let the editor take over drags that start on a node
+        this.eventManager.addPointerHandler(this);
+
+        // Edit and delete actions from the sidebar
+        this.sidebarManager.setEditHandlers({
+            onEditNode: nodeId => this.openNodeForm(nodeId),
+            onDeleteNode: nodeId => this.deleteNode(nodeId),
+            onDeleteEdge: (sourceId, targetId, type) => this.deleteEdge(sourceId, targetId, type)
+        });
+    }
+
+    /**
+     * Initialize the edit mode button and toolbar
+     */
+    initControls() {
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => {
+                this.setEditMode(!this.editMode);
+            });
+        }
+
+        // Fill the edge type selector from the theme's known edge types
+        if (this.edgeTypeSelect) {
+            this.edgeTypeSelect.innerHTML = Object.keys(window.themeManager.edgeColors)
+                .map(type => `<option value="${type}">${type.replace(/_/g, ' ')}</option>`)
+                .join('');
+        }
+
+        const addNodeButton = document.getElementById('add-node-button');
+        if (addNodeButton) {
+            addNodeButton.addEventListener('click', () => this.openNodeForm(null));
+        }
+
+        const exportButton = document.getElementById('export-data-button');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.exportDataset());
+        }
+    }
+
+    /**
+     * Initialize the node create/edit form
+     */
+    initNodeForm() {
+        if (!this.nodeModal) return;
+
+        const typeSelect = this.nodeModal.querySelector('#node-form-type');
+        if (typeSelect) {
+            typeSelect.innerHTML = Object.keys(window.themeManager.nodeColors)
+                .map(type => `<option value="${type}">${type}</option>`)
+                .join('');
+        }
+
+        const closeButton = this.nodeModal.querySelector('.close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.closeNodeForm());
+        }
+
+        const cancelButton = this.nodeModal.querySelector('#node-form-cancel');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.closeNodeForm());
+        }
+
+        const form = this.nodeModal.querySelector('#node-form');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.submitNodeForm();
+            });
+        }
+    }
+
+    /**
+     * Enable or disable edit mode
+     * @param {boolean} enabled - Whether edit mode is enabled
+     */
+    setEditMode(enabled) {
+        this.editMode = enabled;
+
+        if (this.toggleButton) {
+            this.toggleButton.classList.toggle('active', enabled);
+            this.toggleButton.textContent = enabled ? 'Exit Edit Mode' : 'Edit Mode';
+        }
+
+        if (this.toolbar) {
+            this.toolbar.classList.toggle('hidden', !enabled);
+        }
+
+        if (!enabled) {
+            this.cancelEdgeDrag();
+        }
+
+        this.sidebarManager.setEditMode(enabled);
+        console.log(`Edit mode ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Start dragging an edge if the pointer goes down on a node in edit mode
+     * @param {Event} event - Mouse event
+     * @param {Object} mouse - Normalized mouse coordinates
+     * @returns {boolean} - Whether the gesture was captured
+     */
+    onPointerDown(event, mouse) {
+        if (!this.editMode || event.button !== 0) return false;
+
+        const sourceId = this.graphManager.getNodeIdAtMouse(mouse);
+        if (!sourceId) return false;
+
+        this.edgeDrag = {
+            sourceId,
+            startX: event.clientX,
+            startY: event.clientY,
+            line: null
+        };
+        return true;
+    }
+
+    /**
+     * Update the dragged edge preview
+     * @param {Event} event - Mouse event
+     * @param {Object} mouse - Normalized mouse coordinates
+     */
+    onPointerMove(event, mouse) {
+        if (!this.edgeDrag) return;
+
+        const sourceNode = this.nodeManager.getNode(this.edgeDrag.sourceId);
+        if (!sourceNode) return;
+
+        if (!this.edgeDrag.line) {
+            const distance = Math.hypot(event.clientX - this.edgeDrag.startX, event.clientY - this.edgeDrag.startY);
+            if (distance < this.dragThreshold) return;
+
+            const geometry = new THREE.BufferGeometry().setFromPoints([
+                sourceNode.position.clone(),
+                sourceNode.position.clone()
+            ]);
+            const material = window.themeManager.getEdgeMaterial(this.getSelectedEdgeType(), 'selected');
+            this.edgeDrag.line = new THREE.Line(geometry, material);
+            this.edgeDrag.line.userData = { type: 'edge-preview' };
+            this.graphManager.addToScene(this.edgeDrag.line);
+        }
+
+        // Snap the preview to a node under the pointer, otherwise follow the pointer
+        const hoveredId = this.graphManager.getNodeIdAtMouse(mouse);
+        const hoveredNode = hoveredId && hoveredId !== this.edgeDrag.sourceId ?
+            this.nodeManager.getNode(hoveredId) : null;
+        const end = hoveredNode ?
+            hoveredNode.position.clone() :
+            this.graphManager.getMousePointOnPlane(mouse, sourceNode.position);
+
+        if (end) {
+            this.edgeDrag.line.geometry.dispose();
+            this.edgeDrag.line.geometry = new THREE.BufferGeometry().setFromPoints([
+                sourceNode.position.clone(),
+                end
+            ]);
+        }
+    }
+
+    /**
+     * Create an edge if the drag ends on another node
+     * @param {Event} event - Mouse event
+     * @param {Object} mouse - Normalized mouse coordinates
+     * @returns {boolean} - Whether the click should be ignored
+     */
+    onPointerUp(event, mouse) {
+        if (!this.edgeDrag) return false;
+
+        const { sourceId, line } = this.edgeDrag;
+        this.cancelEdgeDrag();
+
+        // Without movement this was a plain click on the node
+        if (!line) return false;
+
+        const targetId = mouse ? this.graphManager.getNodeIdAtMouse(mouse) : null;
+        if (targetId && targetId !== sourceId) {
+            this.createEdge(sourceId, targetId, this.getSelectedEdgeType());
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove the dragged edge preview
+     */
+    cancelEdgeDrag() {
+        if (this.edgeDrag && this.edgeDrag.line) {
+            this.graphManager.removeFromScene(this.edgeDrag.line);
+            this.edgeDrag.line.geometry.dispose();
+            this.edgeDrag.line.material.dispose();
+        }
+        this.edgeDrag = null;
+    }
+
+    /**
+     * Get the edge type selected in the toolbar
+     * @returns {string} - Edge type
+     */
+    getSelectedEdgeType() {
+        return this.edgeTypeSelect ? this.edgeTypeSelect.value : 'depends_on';
+    }
+
+    /**
+     * Create an edge between two nodes
+     * @param {string} sourceId - Source node ID
+     * @param {string} targetId - Target node ID
+     * @param {string} type - Edge type
+     * @returns {boolean} - Whether the edge was created
+     */
+    createEdge(sourceId, targetId, type) {
+        // Keep the dependency graph acyclic unless the author opts out
+        if (this.blockCyclesCheckbox && this.blockCyclesCheckbox.checked) {
+            const cycle = window.graphAlgorithms.findCycleForEdge(window.graphDataSource.getEdges(), sourceId, targetId);
+            if (cycle) {
+                this.showStatus(`Rejected: ${sourceId} -> ${targetId} would close the cycle ` +
+                    `${[...cycle.nodes, targetId].join(' -> ')}`);
+                return false;
+            }
+        }
+
+        try {
+            window.graphDataSource.addEdge({ source: sourceId, target: targetId, type });
+            this.showStatus(`Added ${type.replace(/_/g, ' ')} edge ${sourceId} -> ${targetId}`);
+            return true;
+        } catch (error) {
+            console.error('Failed to create edge:', error);
+            this.showStatus(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Delete an edge
+     * @param {string} sourceId - Source node ID
+     * @param {string} targetId - Target node ID
+     * @param {string} type - Edge type
+     */
+    deleteEdge(sourceId, targetId, type) {
+        try {
+            window.graphDataSource.removeEdge(sourceId, targetId, type);
+            this.showStatus(`Removed edge ${sourceId} -> ${targetId}`);
+        } catch (error) {
+            console.error('Failed to delete edge:', error);
+            this.showStatus(error.message);
+        }
+    }
+
+    /**
+     * Delete a node and its edges after confirmation
+     * @param {string} nodeId - Node ID
+     */
+    deleteNode(nodeId) {
+        const node = window.graphDataSource.getNode(nodeId);
+        if (!node) return;
+
+        if (!window.confirm(`Delete "${node.label}" and all of its edges?`)) return;
+
+        try {
+            window.graphDataSource.removeNode(nodeId);
+            this.showStatus(`Deleted ${node.label}`);
+        } catch (error) {
+            console.error('Failed to delete node:', error);
+            this.showStatus(error.message);
+        }
+    }
+
+    /**
+     * Open the node form
+     * @param {string} nodeId - ID of the node to edit, or null to create a new node
+     */
+    openNodeForm(nodeId) {
+        if (!this.nodeModal) return;
+
+        const node = nodeId ? window.graphDataSource.getNode(nodeId) : null;
+        this.editingNodeId = node ? node.id : null;
+
+        const title = this.nodeModal.querySelector('.modal-header h2');
+        if (title) {
+            title.textContent = node ? `Edit ${node.label}` : 'New Node';
+        }
+
+        const selectedNode = this.selectionManager.getSelectedNodeId() ?
+            window.graphDataSource.getNode(this.selectionManager.getSelectedNodeId()) : null;
+
+        this.setFormValue('#node-form-label', node ? node.label : '');
+        this.setFormValue('#node-form-type', node ? node.type : 'Theorem');
+        this.setFormValue('#node-form-tags', node ? node.tags.join(', ') : '');
+        this.setFormValue('#node-form-level', node ? node.level :
+            (selectedNode ? selectedNode.level + 1 : 1));
+        this.setFormValue('#node-form-description', node ? node.description : '');
+
+        const error = this.nodeModal.querySelector('#node-form-error');
+        if (error) {
+            error.textContent = '';
+        }
+
+        this.nodeModal.classList.add('active');
+
+        const labelInput = this.nodeModal.querySelector('#node-form-label');
+        if (labelInput) {
+            labelInput.focus();
+        }
+    }
+
+    /**
+     * Close the node form
+     */
+    closeNodeForm() {
+        if (this.nodeModal) {
+            this.nodeModal.classList.remove('active');
+        }
+        this.editingNodeId = null;
+    }
+
+    /**
+     * Create or update a node from the form values
+     */
+    submitNodeForm() {
+        const level = parseInt(this.getFormValue('#node-form-level'), 10);
+        const values = {
+            label: this.getFormValue('#node-form-label').trim(),
+            type: this.getFormValue('#node-form-type'),
+            tags: this.getFormValue('#node-form-tags')
+                .split(',')
+                .map(tag => tag.trim())
+                .filter(Boolean),
+            level: isNaN(level) ? 1 : Math.max(1, level),
+            description: this.getFormValue('#node-form-description').trim()
+        };
+
+        try {
+            if (this.editingNodeId) {
+                window.graphDataSource.updateNode(this.editingNodeId, values);
+                this.showStatus(`Updated ${values.label}`);
+            } else {
+                const node = window.graphDataSource.addNode(values, {
+                    position: this.getNewNodePosition(values.level)
+                });
+                this.selectionManager.selectNode(node.id);
+                this.showStatus(`Added ${node.label}`);
+            }
+            this.closeNodeForm();
+        } catch (error) {
+            console.error('Failed to save node:', error);
+            const errorElement = this.nodeModal.querySelector('#node-form-error');
+            if (errorElement) {
+                errorElement.textContent = error.message;
+            }
+        }
+    }
+
+    /**
+     * Choose a position for a new node near the current camera target
+     * @param {number} level - Node level
+     * @returns {THREE.Vector3} - Position
+     */
+    getNewNodePosition(level) {
+        const target = this.cameraController.target;
+        const spread = 30;
+
+        return new THREE.Vector3(
+            target.x + (Math.random() - 0.5) * spread,
+            -50 + level * 20,
+            this.graphManager.is2DMode ? 0 : target.z + (Math.random() - 0.5) * spread
+        );
+    }
+
+    /**
+     * Download the current dataset as a JSON file
+     */
+    exportDataset() {
+        window.domUtils.downloadJson('graph.json', window.graphDataSource.serialize());
+    }
+
+    /**
+     * Set a form field value
+     * @param {string} selector - Field selector
+     * @param {*} value - Field value
+     */
+    setFormValue(selector, value) {
+        const field = this.nodeModal.querySelector(selector);
+        if (field) {
+            field.value = value === undefined || value === null ? '' : value;
+        }
+    }
+
+    /**
+     * Get a form field value
+     * @param {string} selector - Field selector
+     * @returns {string} - Field value
+     */
+    getFormValue(selector) {
+        const field = this.nodeModal.querySelector(selector);
+        return field ? field.value : '';
+    }
+
+    /**
+     * Show a status message through the UI manager if available
+     * @param {string} message - Status message
+     */
+    showStatus(message) {
+        if (window.WTG && window.WTG.uiManager) {
+            window.WTG.uiManager.setStatusMessage(message, 3000);
+        }
+    }
+
+    /**
+     * Check if edit mode is enabled
+     * @returns {boolean} - Whether edit mode is enabled
+     */
+    isEditMode() {
+        return this.editMode;
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = GraphEditor;
+} else {
+    window.GraphEditor = GraphEditor;
+}
\ No newline at end of file
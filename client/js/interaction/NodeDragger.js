@@ -0,0 +1,166 @@
+/**
+ * NodeDragger.js
+ * Drag-to-move for nodes: dragging a node moves it on the camera-facing plane
+ * through it (the XY plane in 2D mode), or moves the whole selection if the
+ * node is one of several selected nodes. Dragged nodes are pinned so the force
+ * simulation and layouts leave them where they were put, until unpinned from
+ * the node details or the selection summary
+ */
+class NodeDragger {
+    constructor(graphManager, nodeManager, selectionManager, sidebarManager, eventManager) {
+        this.graphManager = graphManager;
+        this.nodeManager = nodeManager;
+        this.selectionManager = selectionManager;
+        this.sidebarManager = sidebarManager;
+        this.eventManager = eventManager;
+
+        // Nodes being dragged
+        this.drag = null;
+
+        // Minimum pointer movement (in pixels) before a press on a node drags it; shorter ones are clicks
+        this.dragThreshold = 5;
+
+        // Take over drags that start on a node (edit mode drags create edges instead)
+        this.eventManager.addPointerHandler(this);
+
+        // Pin or unpin from a node's details
+        this.sidebarManager.addNodeAction({
+            action: 'toggle-pin',
+            label: nodeId => this.nodeManager.isNodePinned(nodeId) ? 'Unpin' : 'Pin',
+            title: 'Keep this node in place during the force layout and layouts',
+            handler: nodeId => this.nodeManager.setNodePinned(nodeId, !this.nodeManager.isNodePinned(nodeId))
+        });
+    }
+
+    /**
+     * Start a drag if the pointer goes down on a node
+     * @param {Event} event - Mouse event
+     * @param {Object} mouse - Normalized mouse coordinates
+     * @returns {boolean} - Whether the gesture was captured
+     */
+    onPointerDown(event, mouse) {
+        // Shift is for multi-select and Alt for the lasso
+        if (event.button !== 0 || event.shiftKey || event.altKey) return false;
+
+        const nodeId = this.graphManager.getNodeIdAtMouse(mouse);
+        if (!nodeId) return false;
+
+        // The nodes move with the point grabbed on the plane through the node
+        const anchor = this.nodeManager.getNode(nodeId).position.clone();
+        const start = this.graphManager.getMousePointOnPlane(mouse, anchor);
+        if (!start) return false;
+
+        const selectedIds = this.selectionManager.getSelectedNodeIds();
+        const nodeIds = selectedIds.length > 1 && this.selectionManager.isNodeSelected(nodeId)
+            ? selectedIds
+            : [nodeId];
+
+        const origins = new Map();
+        nodeIds.forEach(id => {
+            const node = this.nodeManager.getNode(id);
+            if (node) {
+                origins.set(id, node.position.clone());
+            }
+        });
+
+        this.drag = {
+            nodeId,
+            anchor,
+            start,
+            origins,
+            clientX: event.clientX,
+            clientY: event.clientY,
+            moved: false
+        };
+        return true;
+    }
+
+    /**
+     * Move the dragged nodes with the pointer
+     * @param {Event} event - Mouse event
+     * @param {Object} mouse - Normalized mouse coordinates
+     */
+    onPointerMove(event, mouse) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        if (!drag.moved) {
+            const distance = Math.hypot(event.clientX - drag.clientX, event.clientY - drag.clientY);
+            if (distance < this.dragThreshold) return;
+            drag.moved = true;
+
+            // Pin right away so the force simulation does not pull the nodes back meanwhile
+            drag.unpinned = Array.from(drag.origins.keys()).filter(id => !this.nodeManager.isNodePinned(id));
+            this.nodeManager.setNodesPinned(drag.unpinned, true);
+        }
+
+        const point = this.graphManager.getMousePointOnPlane(mouse, drag.anchor);
+        if (!point) return;
+
+        const offset = point.sub(drag.start);
+        drag.origins.forEach((origin, id) => {
+            this.nodeManager.setNodePosition(id, origin.clone().add(offset));
+        });
+
+        if (this.graphManager.edgeManager) {
+            this.graphManager.edgeManager.updateEdgePositions();
+        }
+    }
+
+    /**
+     * Finish a drag and record the move
+     * A press without movement is left to the click, which selects the node
+     * @returns {boolean} - Whether the click should be ignored
+     */
+    onPointerUp() {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag || !drag.moved) return false;
+
+        this.recordMove(drag);
+        return true;
+    }
+
+    /**
+     * Record a drag in the undo history; undoing it also unpins the nodes it pinned
+     * @param {Object} drag - Finished drag
+     */
+    recordMove(drag) {
+        if (!window.historyManager) return;
+
+        const from = {};
+        const to = {};
+        drag.origins.forEach((origin, id) => {
+            const node = this.nodeManager.getNode(id);
+            if (node) {
+                from[id] = origin.clone();
+                to[id] = node.position.clone();
+            }
+        });
+
+        const node = window.graphDataSource.getNode(drag.nodeId);
+        const label = drag.origins.size > 1
+            ? `Move ${drag.origins.size} nodes`
+            : `Move node "${node ? node.label : drag.nodeId}"`;
+        const unpinned = drag.unpinned;
+
+        window.historyManager.record({
+            label,
+            undo: () => {
+                this.nodeManager.applyPositionSnapshot(from);
+                this.nodeManager.setNodesPinned(unpinned, false);
+            },
+            redo: () => {
+                this.nodeManager.applyPositionSnapshot(to);
+                this.nodeManager.setNodesPinned(unpinned, true);
+            }
+        });
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = NodeDragger;
+} else {
+    window.NodeDragger = NodeDragger;
+}
\ No newline at end of file
@@ -1,6 +1,6 @@
 /**
  * SelectionManager.js
- * Manages node selection, highlighting, and related interactions
+ * Manages node and edge selection, highlighting, and related interactions
  */
 class SelectionManager {
     constructor(graphManager, nodeManager, edgeManager, cameraController, sidebarManager) {
@@ -10,14 +10,31 @@ class SelectionManager {
         this.cameraController = cameraController;
         this.sidebarManager = sidebarManager;
         
-        // Currently selected node ID
+        // Currently selected node ID (null unless exactly one node is selected)
         this.selectedNodeId = null;
         
+        // IDs of all selected nodes (shift-click and box selection select several)
+        this.selectedNodeIds = new Set();
+        
+        // Currently selected edge object (nodes and edges are not selected together)
+        this.selectedEdge = null;
+        
+        // Callbacks for selection changes
+        this.selectionListeners = [];
+        
         // Flag for search input focus state
         window.searchInputFocused = false;
         
         // Set up search input focus detection
         this.setupSearchInputDetection();
+        
+        // Links between node and edge details in the sidebar
+        if (this.sidebarManager) {
+            this.sidebarManager.addActionHandler('select-node', data => this.selectNode(data.nodeId));
+            this.sidebarManager.addActionHandler('select-edge', data => {
+                this.selectEdge(this.edgeManager.findEdge(data.source, data.target, data.type));
+            });
+        }
     }
     
     /**
@@ -42,26 +59,29 @@ class SelectionManager {
     /**
      * Select a node by ID
      * @param {string} nodeId - Node ID
+     * @param {Object} options - { focus: whether to move the camera to the node (default true) }
      */
-    selectNode(nodeId) {
+    selectNode(nodeId, options = {}) {
         if (!nodeId) return;
         
-        // Save previous selection
-        const previousSelection = this.selectedNodeId;
-        this.selectedNodeId = nodeId;
-        
         // Skip if selecting the same node
-        if (previousSelection === nodeId) return;
+        if (this.selectedNodeId === nodeId) return;
         
         // Get the node object
         const node = this.nodeManager.getNode(nodeId);
         if (!node) return;
         
+        this.selectedNodeId = nodeId;
+        this.selectedNodeIds = new Set([nodeId]);
+        this.selectedEdge = null;
+        
         // Highlight connections
         this.highlightConnections(nodeId);
         
         // Focus camera on node
-        this.cameraController.focusOn(node.position);
+        if (options.focus !== false) {
+            this.cameraController.focusOn(node.position);
+        }
         
         // Update sidebar with node details
         if (this.sidebarManager) {
@@ -72,13 +92,19 @@ class SelectionManager {
         if (window.accessibilityManager) {
             window.accessibilityManager.onNodeSelected(nodeId);
         }
+        
+        this.notifySelectionChange();
     }
     
     /**
      * Clear the current selection
      */
     clearSelection() {
+        const hadSelection = this.selectedNodeIds.size > 0;
+        
         this.selectedNodeId = null;
+        this.selectedNodeIds = new Set();
+        this.selectedEdge = null;
         this.nodeManager.resetNodeStates();
         this.edgeManager.resetEdgeStates();
         
@@ -86,6 +112,157 @@ class SelectionManager {
         if (this.sidebarManager) {
             this.sidebarManager.clearDetails();
         }
+        
+        if (hadSelection) {
+            this.notifySelectionChange();
+        }
+    }
+    
+    /**
+     * Select an edge, showing its details in the sidebar
+     * @param {Object} edge - Edge object
+     */
+    selectEdge(edge) {
+        if (!edge || this.selectedEdge === edge) return;
+        
+        const hadNodeSelection = this.selectedNodeIds.size > 0;
+        this.selectedNodeId = null;
+        this.selectedNodeIds = new Set();
+        this.selectedEdge = edge;
+        
+        this.edgeManager.highlightEdge(edge);
+        
+        if (this.sidebarManager) {
+            const { sourceId, targetId, type } = edge.userData;
+            this.sidebarManager.showEdgeDetails(sourceId, targetId, type);
+        }
+        
+        // Listeners follow the selected nodes, which are now none
+        if (hadNodeSelection) {
+            this.notifySelectionChange();
+        }
+    }
+    
+    /**
+     * Select a set of nodes, replacing the current selection
+     * A single node is selected as with selectNode; several are highlighted
+     * together with the edges between them
+     * @param {Array} nodeIds - Node IDs (unknown ones are ignored)
+     * @param {Object} options - { focus: whether to move the camera to a single node (default false) }
+     */
+    setSelection(nodeIds, options = {}) {
+        const ids = Array.from(new Set(nodeIds)).filter(id => this.nodeManager.getNode(id));
+        
+        if (ids.length === 0) {
+            this.clearSelection();
+            return;
+        }
+        
+        if (ids.length === 1) {
+            // Leaving a group for one of its nodes still selects it
+            this.selectedNodeId = null;
+            this.selectNode(ids[0], { focus: options.focus === true });
+            return;
+        }
+        
+        this.selectedNodeId = null;
+        this.selectedNodeIds = new Set(ids);
+        this.selectedEdge = null;
+        
+        this.highlightSelection();
+        
+        // Group tools (if any) replace this with a summary of the selection
+        if (this.sidebarManager) {
+            this.sidebarManager.clearDetails();
+        }
+        
+        this.notifySelectionChange();
+    }
+    
+    /**
+     * Add nodes to the selection
+     * @param {Array} nodeIds - Node IDs
+     */
+    addToSelection(nodeIds) {
+        this.setSelection([...this.selectedNodeIds, ...nodeIds]);
+    }
+    
+    /**
+     * Remove nodes from the selection
+     * @param {Array} nodeIds - Node IDs
+     */
+    removeFromSelection(nodeIds) {
+        const remove = new Set(nodeIds);
+        this.setSelection([...this.selectedNodeIds].filter(id => !remove.has(id)));
+    }
+    
+    /**
+     * Add a node to the selection, or remove it if it is already selected
+     * @param {string} nodeId - Node ID
+     */
+    toggleNodeSelection(nodeId) {
+        if (this.selectedNodeIds.has(nodeId)) {
+            this.removeFromSelection([nodeId]);
+        } else {
+            this.addToSelection([nodeId]);
+        }
+    }
+    
+    /**
+     * Check if a node is selected
+     * @param {string} nodeId - Node ID
+     * @returns {boolean} - Whether the node is part of the selection
+     */
+    isNodeSelected(nodeId) {
+        return this.selectedNodeIds.has(nodeId);
+    }
+    
+    /**
+     * Get the IDs of all selected nodes
+     * @returns {Array} - Selected node IDs (empty if none)
+     */
+    getSelectedNodeIds() {
+        return Array.from(this.selectedNodeIds);
+    }
+    
+    /**
+     * Highlight the current selection again, e.g. after another view changed the node states
+     */
+    highlightSelection() {
+        if (this.selectedNodeId) {
+            this.highlightConnections(this.selectedNodeId);
+        } else if (this.selectedEdge) {
+            this.edgeManager.highlightEdge(this.selectedEdge);
+        } else if (this.selectedNodeIds.size > 1) {
+            const edges = this.edgeManager.getEdgeData().filter(edge =>
+                this.selectedNodeIds.has(edge.source) && this.selectedNodeIds.has(edge.target));
+            this.edgeManager.highlightSubgraph(Array.from(this.selectedNodeIds), edges);
+        } else {
+            this.nodeManager.resetNodeStates();
+            this.edgeManager.resetEdgeStates();
+        }
+    }
+    
+    /**
+     * Register a callback for selection changes
+     * @param {Function} callback - Called with the selected node ID (null unless exactly
+     *                              one node is selected) and the array of all selected node IDs
+     */
+    onSelectionChange(callback) {
+        this.selectionListeners.push(callback);
+    }
+    
+    /**
+     * Notify listeners of a selection change
+     */
+    notifySelectionChange() {
+        this.selectionListeners.forEach(listener => {
+            try {
+                listener(this.selectedNodeId, this.getSelectedNodeIds());
+            } catch (error) {
+                console.error('Error in selection listener:', error);
+            }
+        });
     }
     
     /**
@@ -99,8 +276,10 @@ class SelectionManager {
     /**
      * Select a node from mouse coordinates
      * @param {Object} mouse - Mouse coordinates in normalized device coordinates
+     * @param {Object} options - { toggle: add or remove the node under the mouse
+     *                             from the selection instead of replacing it (shift-click) }
      */
-    selectFromMouse(mouse) {
+    selectFromMouse(mouse, options = {}) {
         // SAFETY CHECK: Validate mouse input
         if (!mouse || !isFinite(mouse.x) || !isFinite(mouse.y)) {
             console.error('Invalid mouse coordinates provided to selectFromMouse:', mouse);
@@ -109,15 +288,26 @@ class SelectionManager {
         
         // Get intersections with scene objects
         try {
-            const intersects = this.graphManager.getIntersectedObjects(mouse);
+            const nodeId = this.graphManager.getNodeIdAtMouse(mouse);
             
             // Check for hits on nodes
-            for (let i = 0; i < intersects.length; i++) {
-                const object = intersects[i].object;
-                if (object && object.userData && object.userData.type === 'node') {
-                    this.selectNode(object.userData.id);
-                    return;
+            if (nodeId) {
+                if (options.toggle) {
+                    this.toggleNodeSelection(nodeId);
+                } else {
+                    this.selectNode(nodeId);
                 }
+                return;
+            }
+            
+            // Shift-clicking empty space keeps the selection
+            if (options.toggle) return;
+            
+            // Then for edges passing near the mouse
+            const edge = this.graphManager.getEdgeAtMouse(mouse);
+            if (edge) {
+                this.selectEdge(edge);
+                return;
             }
             
             // If no node was hit, check if we should clear selection
@@ -155,7 +345,9 @@ class SelectionManager {
     isClickOnUIElement(x, y) {
         const uiElements = [
             'controls', 'search-bar', 'info', 'sidebar', 'legend', 
-            'node-types', 'edge-types', 'top-controls'
+            'node-types', 'edge-types', 'top-controls', 'validation-panel',
+            'edit-toolbar', 'history-panel', 'workspace-menu', 'path-finder',
+            'closure-bar', 'learning-path', 'hidden-nodes-bar', 'filter-panel'
         ];
         
         for (const id of uiElements) {
@@ -188,9 +380,12 @@ class SelectionManager {
     safelyClearSelection() {
         console.log('Safely clearing selection...');
 
-        // Store old selection ID before clearing
+        // Store old selection before clearing
         const previousSelection = this.selectedNodeId;
+        const hadSelection = this.selectedNodeIds.size > 0;
         this.selectedNodeId = null;
+        this.selectedNodeIds = new Set();
+        this.selectedEdge = null;
 
         // CRITICAL FIX: Check node existence before resetting states
         if (this.nodeManager) {
@@ -205,6 +400,9 @@ class SelectionManager {
                     console.error('Error resetting node states:', error);
                     // Attempt to restore previous selection if reset fails
                     this.selectedNodeId = previousSelection;
+                    if (previousSelection) {
+                        this.selectedNodeIds = new Set([previousSelection]);
+                    }
                 }
             } else {
                 console.error('No nodes found in nodeManager! Graph may be missing.');
@@ -235,6 +433,10 @@ class SelectionManager {
                 console.error('Error clearing sidebar:', error);
             }
         }
+        
+        if (hadSelection && this.selectedNodeIds.size === 0) {
+            this.notifySelectionChange();
+        }
     }
     
     /**
@@ -245,6 +447,14 @@ class SelectionManager {
         return this.selectedNodeId;
     }
     
+    /**
+     * Get currently selected edge
+     * @returns {Object} - Selected edge object or null
+     */
+    getSelectedEdge() {
+        return this.selectedEdge;
+    }
+    
     /**
      * Get selected node object
      * @returns {Object} - Selected node object or null
@@ -343,6 +553,9 @@ class SelectionManager {
             return;
         }
         
+        // Leave modifier combinations (e.g. Ctrl+Z, Ctrl+F) to other handlers and the browser
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        
         // Process normal keyboard shortcuts
         switch (event.key) {
             case 'ArrowUp':
@@ -385,10 +598,8 @@ class SelectionManager {
                 break;
             case 't':
             case 'T':
-                // Toggle theme
-                if (window.UIManager) {
-                    window.UIManager.toggleTheme();
-                } else if (window.WTG && window.WTG.uiManager) {
+                // Toggle theme (window.UIManager is the class, the instance lives on WTG)
+                if (window.WTG && window.WTG.uiManager) {
                     window.WTG.uiManager.toggleTheme();
                 }
                 event.preventDefault();
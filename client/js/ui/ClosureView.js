@@ -0,0 +1,215 @@
+/**
+ * ClosureView.js
+ * Ancestors/descendants mode: highlights everything the selected node
+ * ultimately rests on and everything built on it, optionally hiding the rest
+ */
+class ClosureView {
+    constructor(nodeManager, edgeManager, selectionManager, sidebarManager) {
+        this.nodeManager = nodeManager;
+        this.edgeManager = edgeManager;
+        this.selectionManager = selectionManager;
+        this.sidebarManager = sidebarManager;
+
+        // Current mode: null (off), 'ancestors', 'descendants' or 'both'
+        this.mode = null;
+
+        // Whether nodes outside the closure are hidden
+        this.collapsed = false;
+
+        // Node IDs in the current closure, including the selected node
+        this.closureNodes = new Set();
+
+        // Mode bar element (created on first use)
+        this.bar = null;
+
+        this.modeLabels = {
+            ancestors: 'Ancestors',
+            descendants: 'Descendants',
+            both: 'Both'
+        };
+
+        // Enter the mode from a node's details
+        this.sidebarManager.addNodeAction({
+            action: 'show-ancestors',
+            label: 'Ancestors',
+            title: 'Show everything this node rests on',
+            handler: () => this.setMode(this.mode === 'ancestors' ? null : 'ancestors')
+        });
+        this.sidebarManager.addNodeAction({
+            action: 'show-descendants',
+            label: 'Descendants',
+            title: 'Show everything built on this node',
+            handler: () => this.setMode(this.mode === 'descendants' ? null : 'descendants')
+        });
+
+        // Follow the selection while the mode is on
+        this.selectionManager.onSelectionChange(() => {
+            this.refresh();
+        });
+    }
+
+    /**
+     * Create the mode bar
+     */
+    createBar() {
+        this.bar = document.createElement('div');
+        this.bar.id = 'closure-bar';
+        this.bar.className = 'hidden';
+        this.bar.innerHTML = `
+            <span class="closure-status"></span>
+            <span class="closure-modes">
+                ${Object.keys(this.modeLabels).map(mode =>
+                    `<button data-mode="${mode}">${this.modeLabels[mode]}</button>`
+                ).join('')}
+            </span>
+            <label><input type="checkbox" id="closure-collapse"> Hide the rest</label>
+            <button id="closure-exit" title="Leave ancestors/descendants mode">&times;</button>
+        `;
+
+        document.body.appendChild(this.bar);
+
+        this.bar.querySelector('.closure-modes').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-mode]');
+            if (button) {
+                this.setMode(button.dataset.mode);
+            }
+        });
+
+        this.bar.querySelector('#closure-collapse').addEventListener('change', (event) => {
+            this.setCollapsed(event.target.checked);
+        });
+
+        this.bar.querySelector('#closure-exit').addEventListener('click', () => {
+            this.setMode(null);
+        });
+    }
+
+    /**
+     * Switch the mode
+     * @param {string} mode - 'ancestors', 'descendants', 'both' or null to turn the mode off
+     */
+    setMode(mode) {
+        this.mode = this.modeLabels[mode] ? mode : null;
+
+        if (!this.bar) {
+            this.createBar();
+        }
+        this.bar.classList.toggle('hidden', !this.mode);
+        this.bar.querySelectorAll('[data-mode]').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === this.mode);
+        });
+
+        if (this.mode) {
+            this.apply();
+        } else {
+            this.reset();
+        }
+    }
+
+    /**
+     * Hide or show the nodes outside the closure
+     * @param {boolean} collapsed - Whether to hide them
+     */
+    setCollapsed(collapsed) {
+        this.collapsed = collapsed;
+        if (this.bar) {
+            this.bar.querySelector('#closure-collapse').checked = collapsed;
+        }
+        this.refresh();
+    }
+
+    /**
+     * Recompute the closure if the mode is on (e.g. after the graph was edited)
+     */
+    refresh() {
+        if (this.mode) {
+            this.apply();
+        }
+    }
+
+    /**
+     * Compute the closure of a node for the current mode
+     * @param {string} nodeId - Node ID
+     * @returns {Object} - { ancestors, descendants } maps of node IDs to depths
+     */
+    computeClosure(nodeId) {
+        const edges = window.graphDataSource.getEdges();
+        const empty = new Map();
+
+        return {
+            ancestors: this.mode !== 'descendants'
+                ? window.graphAlgorithms.closure(edges, nodeId, { direction: 'backward' })
+                : empty,
+            descendants: this.mode !== 'ancestors'
+                ? window.graphAlgorithms.closure(edges, nodeId, { direction: 'forward' })
+                : empty
+        };
+    }
+
+    /**
+     * Highlight the closure of the selected node and dim (or hide) the rest
+     */
+    apply() {
+        const nodeId = this.selectionManager.getSelectedNodeId();
+        if (!nodeId) {
+            this.reset();
+            this.setStatus('Select a node');
+            return;
+        }
+
+        const { ancestors, descendants } = this.computeClosure(nodeId);
+        this.closureNodes = new Set([nodeId, ...ancestors.keys(), ...descendants.keys()]);
+
+        // Hide first so edge visibility is current before edge states are set
+        const allNodeIds = Object.keys(this.nodeManager.getAllNodes());
+        this.nodeManager.setHiddenNodes('collapse', this.collapsed
+            ? allNodeIds.filter(id => !this.closureNodes.has(id))
+            : []);
+
+        allNodeIds.forEach(id => {
+            const state = id === nodeId ? 'selected' : this.closureNodes.has(id) ? 'related' : 'dimmed';
+            this.nodeManager.updateNodeState(id, state);
+        });
+
+        this.edgeManager.edgeObjects.forEach(edge => {
+            const inClosure = this.closureNodes.has(edge.userData.sourceId) &&
+                this.closureNodes.has(edge.userData.targetId);
+            this.edgeManager.updateEdgeState(edge, inClosure ? 'selected' : 'dimmed');
+        });
+
+        const parts = [];
+        if (this.mode !== 'descendants') {
+            parts.push(`${ancestors.size} ancestor${ancestors.size === 1 ? '' : 's'}`);
+        }
+        if (this.mode !== 'ancestors') {
+            parts.push(`${descendants.size} descendant${descendants.size === 1 ? '' : 's'}`);
+        }
+        this.setStatus(parts.join(', '));
+    }
+
+    /**
+     * Show all nodes and restore the normal highlight
+     */
+    reset() {
+        this.closureNodes = new Set();
+        this.nodeManager.setHiddenNodes('collapse', []);
+        this.selectionManager.highlightSelection();
+    }
+
+    /**
+     * Update the status text in the mode bar
+     * @param {string} text - Status text
+     */
+    setStatus(text) {
+        if (this.bar) {
+            this.bar.querySelector('.closure-status').textContent = text;
+        }
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = ClosureView;
+} else {
+    window.ClosureView = ClosureView;
+}
\ No newline at end of file
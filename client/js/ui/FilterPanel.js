@@ -0,0 +1,422 @@
+/**
+ * FilterPanel.js
+ * Narrows the graph down by node type, tags, level range and edge type. Nodes
+ * left out by the filter are hidden with their edges, or ghosted (drawn small
+ * and faded) to keep them as context, and can also be left out of the force
+ * simulation. Search only matches nodes the filter includes
+ */
+class FilterPanel {
+    constructor(nodeManager, edgeManager, forceSimulation, selectionManager, searchManager) {
+        this.nodeManager = nodeManager;
+        this.edgeManager = edgeManager;
+        this.forceSimulation = forceSimulation;
+        this.selectionManager = selectionManager;
+        this.searchManager = searchManager;
+
+        // Facets; types and edge types are stored as exclusions so new ones show up
+        this.excludedTypes = new Set();
+        this.activeTags = new Set(); // A node needs one of these tags (all pass when empty)
+        this.levelRange = null; // { min, max } as set on the sliders, or null for every level
+        this.appliedLevelRange = null; // levelRange limited to the current levels by apply (null if it spans them)
+        this.excludedEdgeTypes = new Set();
+
+        // 'hide' removes left out nodes from view, 'ghost' keeps them faded
+        this.mode = 'hide';
+
+        // Whether left out nodes are also left out of the force simulation
+        this.excludeFromForces = false;
+
+        // Panel element (created on first show)
+        this.panel = null;
+
+        // Toggle button in the controls panel
+        this.button = document.getElementById('filter-button');
+        if (this.button) {
+            this.button.addEventListener('click', () => {
+                this.toggle();
+            });
+        }
+
+        this.searchManager.setFilterPanel(this);
+    }
+
+    /**
+     * Create the panel element
+     */
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'filter-panel';
+        this.panel.className = 'hidden';
+        this.panel.innerHTML = `
+            <div class="filter-header">
+                <h3>Filter</h3>
+                <span class="close" title="Close">&times;</span>
+            </div>
+            <fieldset class="filter-types">
+                <legend>Node types</legend>
+                <div class="filter-options"></div>
+            </fieldset>
+            <fieldset class="filter-tags">
+                <legend>Tags</legend>
+                <div class="filter-chips"></div>
+            </fieldset>
+            <fieldset class="filter-levels">
+                <legend>Levels <span class="filter-level-value"></span></legend>
+                <input type="range" id="filter-level-min" title="Lowest level">
+                <input type="range" id="filter-level-max" title="Highest level">
+            </fieldset>
+            <fieldset class="filter-edge-types">
+                <legend>Edge types</legend>
+                <div class="filter-options"></div>
+            </fieldset>
+            <div class="filter-mode">
+                <label><input type="radio" name="filter-mode" value="hide"> Hide</label>
+                <label><input type="radio" name="filter-mode" value="ghost"> Ghost</label>
+            </div>
+            <label class="filter-option">
+                <input type="checkbox" id="filter-exclude-forces"> Leave out of the force layout
+            </label>
+            <div class="filter-footer">
+                <span class="filter-status"></span>
+                <button id="filter-reset">Reset</button>
+            </div>
+        `;
+
+        document.body.appendChild(this.panel);
+
+        this.panel.querySelector('.close').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.panel.querySelector('.filter-types').addEventListener('change', event => {
+            this.toggleSetEntry(this.excludedTypes, event.target.value, !event.target.checked);
+            this.update();
+        });
+
+        this.panel.querySelector('.filter-tags').addEventListener('click', event => {
+            const chip = event.target.closest('[data-tag]');
+            if (!chip) return;
+
+            const active = !this.activeTags.has(chip.dataset.tag);
+            this.toggleSetEntry(this.activeTags, chip.dataset.tag, active);
+            chip.classList.toggle('active', active);
+            this.update();
+        });
+
+        ['min', 'max'].forEach(end => {
+            this.panel.querySelector(`#filter-level-${end}`).addEventListener('input', () => {
+                this.readLevelRange(end);
+                this.update();
+            });
+        });
+
+        this.panel.querySelector('.filter-edge-types').addEventListener('change', event => {
+            this.toggleSetEntry(this.excludedEdgeTypes, event.target.value, !event.target.checked);
+            this.update();
+        });
+
+        this.panel.querySelectorAll('input[name="filter-mode"]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.mode = input.value;
+                this.update();
+            });
+        });
+
+        this.panel.querySelector('#filter-exclude-forces').addEventListener('change', event => {
+            this.excludeFromForces = event.target.checked;
+            this.update();
+        });
+
+        this.panel.querySelector('#filter-reset').addEventListener('click', () => {
+            this.reset();
+        });
+    }
+
+    /**
+     * Add an entry to a set or remove it
+     * @param {Set} set - Set to change
+     * @param {string} value - Entry
+     * @param {boolean} present - Whether the entry should be in the set
+     */
+    toggleSetEntry(set, value, present) {
+        if (present) {
+            set.add(value);
+        } else {
+            set.delete(value);
+        }
+    }
+
+    /**
+     * Get the lowest and highest level of the current nodes
+     * @returns {Object} - { min, max }, or null if no node has a level
+     */
+    getLevelBounds() {
+        const levels = window.graphDataSource.getNodes()
+            .map(node => node.level)
+            .filter(level => typeof level === 'number' && isFinite(level));
+        if (levels.length === 0) return null;
+
+        return { min: Math.min(...levels), max: Math.max(...levels) };
+    }
+
+    /**
+     * Get the level range in effect, limited to the levels of the current nodes
+     * @returns {Object} - { min, max }, or null for every level
+     */
+    getLevelRange() {
+        const bounds = this.getLevelBounds();
+        if (!bounds || !this.levelRange) return null;
+
+        const min = Math.max(this.levelRange.min, bounds.min);
+        const max = Math.min(this.levelRange.max, bounds.max);
+        if (min <= bounds.min && max >= bounds.max) return null;
+
+        return { min, max };
+    }
+
+    /**
+     * Take the level range from the sliders
+     * @param {string} moved - Slider the user moved ('min' or 'max'); the other one yields if they cross
+     */
+    readLevelRange(moved) {
+        const minInput = this.panel.querySelector('#filter-level-min');
+        const maxInput = this.panel.querySelector('#filter-level-max');
+        let min = Number(minInput.value);
+        let max = Number(maxInput.value);
+
+        if (min > max) {
+            if (moved === 'min') {
+                max = min;
+                maxInput.value = max;
+            } else {
+                min = max;
+                minInput.value = min;
+            }
+        }
+
+        this.levelRange = { min, max };
+        this.renderLevelValue();
+    }
+
+    /**
+     * Check whether a node passes the filter
+     * Nodes without a level pass any level range
+     * @param {Object} node - Node data object
+     * @returns {boolean} - Whether the node is included
+     */
+    isNodeIncluded(node) {
+        if (this.excludedTypes.has(node.type)) return false;
+
+        if (this.activeTags.size > 0 && !(node.tags || []).some(tag => this.activeTags.has(tag))) return false;
+
+        const range = this.appliedLevelRange;
+        if (range && typeof node.level === 'number' && (node.level < range.min || node.level > range.max)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether any facet narrows the graph down
+     * @returns {boolean} - Whether the filter is active
+     */
+    isActive() {
+        return this.excludedTypes.size > 0 || this.activeTags.size > 0 ||
+            this.appliedLevelRange !== null || this.excludedEdgeTypes.size > 0;
+    }
+
+    /**
+     * Hide or ghost the nodes and edges the filter leaves out
+     */
+    apply() {
+        this.appliedLevelRange = this.getLevelRange();
+
+        const nodes = window.graphDataSource.getNodes();
+        const leftOut = nodes.filter(node => !this.isNodeIncluded(node)).map(node => node.id);
+        const edgeTypes = Array.from(this.excludedEdgeTypes);
+        const hide = this.mode === 'hide';
+
+        // Hidden nodes cannot stay selected
+        if (hide) {
+            const hidden = new Set(leftOut);
+            const deselect = this.selectionManager.getSelectedNodeIds().filter(id => hidden.has(id));
+            if (deselect.length > 0) {
+                this.selectionManager.removeFromSelection(deselect);
+            }
+        }
+
+        this.nodeManager.setHiddenNodes('filter', hide ? leftOut : []);
+        this.nodeManager.setGhostedNodes(hide ? [] : leftOut);
+        this.edgeManager.setHiddenEdgeTypes(hide ? edgeTypes : []);
+        this.edgeManager.setGhostedEdgeTypes(hide ? [] : edgeTypes);
+        this.forceSimulation.setExcludedNodes(this.excludeFromForces ? leftOut : []);
+
+        const selectedEdge = this.selectionManager.getSelectedEdge();
+        if (selectedEdge && !selectedEdge.visible) {
+            this.selectionManager.clearSelection();
+        }
+
+        if (this.button) {
+            this.button.classList.toggle('active', this.isActive());
+        }
+        if (this.panel) {
+            const count = nodes.length - leftOut.length;
+            this.panel.querySelector('.filter-status').textContent =
+                `Showing ${count} of ${nodes.length} node${nodes.length === 1 ? '' : 's'}`;
+        }
+    }
+
+    /**
+     * Apply a change of the facets, and to the search, whose matches may have been left out
+     */
+    update() {
+        this.apply();
+        this.searchManager.refresh();
+    }
+
+    /**
+     * Apply the filter to the current graph, e.g. after a dataset was loaded or edited
+     */
+    refresh() {
+        if (this.isVisible()) {
+            this.render();
+        }
+        this.apply();
+    }
+
+    /**
+     * Clear all facets
+     */
+    reset() {
+        this.excludedTypes = new Set();
+        this.activeTags = new Set();
+        this.levelRange = null;
+        this.excludedEdgeTypes = new Set();
+
+        this.render();
+        this.update();
+    }
+
+    /**
+     * Fill the panel with the types, tags, levels and edge types of the current graph
+     */
+    render() {
+        const nodes = window.graphDataSource.getNodes();
+        const edges = window.graphDataSource.getEdges();
+
+        const countBy = (items, key) => {
+            const counts = new Map();
+            items.forEach(item => counts.set(item[key], (counts.get(item[key]) || 0) + 1));
+            return counts;
+        };
+
+        // The theme's types first, in its order, then any others in the data
+        const orderTypes = (counts, known) => [
+            ...known,
+            ...Array.from(counts.keys()).filter(type => !known.includes(type)).sort()
+        ];
+
+        const typeCounts = countBy(nodes, 'type');
+        this.panel.querySelector('.filter-types .filter-options').innerHTML =
+            orderTypes(typeCounts, Object.keys(window.themeManager.nodeColors)).map(type => {
+                const color = window.themeManager.getNodeColor(type).toString(16).padStart(6, '0');
+                return `
+                    <label>
+                        <input type="checkbox" value="${window.domUtils.escapeHtml(type)}" ${this.excludedTypes.has(type) ? '' : 'checked'}>
+                        <span class="filter-dot" style="background-color: #${color}"></span>
+                        ${window.domUtils.escapeHtml(type)} <span class="filter-count">${typeCounts.get(type) || 0}</span>
+                    </label>
+                `;
+            }).join('');
+
+        const edgeCounts = countBy(edges, 'type');
+        this.panel.querySelector('.filter-edge-types .filter-options').innerHTML =
+            orderTypes(edgeCounts, Object.keys(window.themeManager.edgeColors)).map(type => `
+                <label>
+                    <input type="checkbox" value="${window.domUtils.escapeHtml(type)}" ${this.excludedEdgeTypes.has(type) ? '' : 'checked'}>
+                    ${window.domUtils.escapeHtml(type.replace(/_/g, ' '))} <span class="filter-count">${edgeCounts.get(type) || 0}</span>
+                </label>
+            `).join('');
+
+        // Tags by frequency
+        const tagCounts = new Map();
+        nodes.forEach(node => {
+            new Set(node.tags || []).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+        });
+        this.panel.querySelector('.filter-chips').innerHTML = Array.from(tagCounts)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([tag, count]) => `
+                <button class="filter-chip ${this.activeTags.has(tag) ? 'active' : ''}" data-tag="${window.domUtils.escapeHtml(tag)}"
+                    title="${count} node${count === 1 ? '' : 's'}">${window.domUtils.escapeHtml(tag)}</button>
+            `).join('') || '<span class="filter-empty">No tags</span>';
+
+        // Level sliders span the levels of the current nodes
+        const bounds = this.getLevelBounds();
+        const range = this.getLevelRange() || bounds;
+        this.panel.querySelector('.filter-levels').classList.toggle('hidden', !bounds);
+        if (bounds) {
+            ['min', 'max'].forEach(end => {
+                const input = this.panel.querySelector(`#filter-level-${end}`);
+                input.min = bounds.min;
+                input.max = bounds.max;
+                input.step = 1;
+                input.value = range[end];
+            });
+        }
+        this.renderLevelValue();
+
+        this.panel.querySelector(`input[name="filter-mode"][value="${this.mode}"]`).checked = true;
+        this.panel.querySelector('#filter-exclude-forces').checked = this.excludeFromForces;
+    }
+
+    /**
+     * Show the level range next to the sliders
+     */
+    renderLevelValue() {
+        const range = this.getLevelRange() || this.getLevelBounds();
+        this.panel.querySelector('.filter-level-value').textContent = range ? `${range.min}–${range.max}` : '';
+    }
+
+    /**
+     * Show the panel
+     */
+    show() {
+        if (!this.panel) {
+            this.createPanel();
+        }
+
+        this.render();
+        this.apply();
+        this.panel.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the panel (the filter stays in effect)
+     */
+    hide() {
+        window.domUtils.hidePanel(this.panel);
+    }
+
+    /**
+     * Toggle the panel
+     */
+    toggle() {
+        window.domUtils.togglePanel(this);
+    }
+
+    /**
+     * Check if the panel is visible
+     * @returns {boolean} - Whether the panel is visible
+     */
+    isVisible() {
+        return window.domUtils.isPanelVisible(this.panel);
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = FilterPanel;
+} else {
+    window.FilterPanel = FilterPanel;
+}
\ No newline at end of file
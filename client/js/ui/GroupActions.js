@@ -0,0 +1,319 @@
+/**
+ * GroupActions.js
+ * Tools for a selection of several nodes: a sidebar summary comparing their
+ * types, tags and shared prerequisites, and operations on the whole group
+ * (pin/unpin, hide, focus the camera and export as a dataset). Dragging the
+ * group is handled by NodeDragger
+ */
+class GroupActions {
+    constructor(nodeManager, selectionManager, cameraController, sidebarManager) {
+        this.nodeManager = nodeManager;
+        this.selectionManager = selectionManager;
+        this.cameraController = cameraController;
+        this.sidebarManager = sidebarManager;
+
+        // Nodes hidden with the Hide action, until shown again from the bar
+        this.hiddenIds = new Set();
+
+        // Bar offering to show the hidden nodes (created on first use)
+        this.bar = null;
+
+        // Summarize a selection of several nodes in the sidebar
+        this.selectionManager.onSelectionChange((nodeId, nodeIds) => {
+            if (nodeIds.length > 1) {
+                this.showSummary();
+            }
+        });
+
+        // Keep the pinned counts current
+        this.nodeManager.onPinChange(nodeIds => {
+            if (nodeIds.some(id => this.selectionManager.isNodeSelected(id))) {
+                this.refresh();
+            }
+        });
+
+        this.sidebarManager.addActionHandler('group-focus', () => this.focusSelection());
+        this.sidebarManager.addActionHandler('group-pin', () => this.setSelectionPinned(true));
+        this.sidebarManager.addActionHandler('group-unpin', () => this.setSelectionPinned(false));
+        this.sidebarManager.addActionHandler('group-hide', () => this.hideSelection());
+        this.sidebarManager.addActionHandler('group-export', () => this.exportSelection());
+        this.sidebarManager.addActionHandler('group-deselect', data => {
+            this.selectionManager.removeFromSelection([data.nodeId]);
+        });
+        this.sidebarManager.addActionHandler('group-select-prerequisites', () => {
+            this.selectionManager.setSelection(this.getSharedPrerequisites(this.selectionManager.getSelectedNodeIds()));
+        });
+
+        // A new dataset is built with every node visible
+        window.graphDataSource.onDataChange(() => {
+            this.hiddenIds = new Set();
+            this.updateBar();
+        });
+    }
+
+    /**
+     * Get the data objects of the selected nodes
+     * @returns {Array} - Node data objects, in selection order
+     */
+    getSelectedNodes() {
+        return this.selectionManager.getSelectedNodeIds()
+            .map(id => window.graphDataSource.getNode(id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Get the nodes that every one of the given nodes transitively depends on
+     * @param {Array} nodeIds - Node IDs
+     * @returns {Array} - Node IDs, nearest (smallest largest depth) first, excluding the given nodes
+     */
+    getSharedPrerequisites(nodeIds) {
+        if (nodeIds.length === 0) return [];
+
+        const edges = window.graphDataSource.getEdges();
+        const closures = nodeIds.map(id => window.graphAlgorithms.closure(edges, id, { direction: 'backward' }));
+        const given = new Set(nodeIds);
+
+        // Depth of a shared prerequisite is its largest depth below any of the nodes
+        const shared = [];
+        closures[0].forEach((depth, id) => {
+            if (given.has(id) || !closures.every(closure => closure.has(id))) return;
+            shared.push({ id, depth: Math.max(...closures.map(closure => closure.get(id))) });
+        });
+
+        return shared.sort((a, b) => a.depth - b.depth).map(entry => entry.id);
+    }
+
+    /**
+     * Show the summary of the selected nodes in the sidebar
+     */
+    showSummary() {
+        const nodes = this.getSelectedNodes();
+        if (nodes.length < 2) return;
+
+        const ids = new Set(nodes.map(node => node.id));
+        const edgeCount = window.graphDataSource.getEdges()
+            .filter(edge => ids.has(edge.source) && ids.has(edge.target)).length;
+        const pinnedCount = nodes.filter(node => this.nodeManager.isNodePinned(node.id)).length;
+
+        const html = `
+            <div class="group-summary">
+                <p class="group-counts">${edgeCount} edge${edgeCount === 1 ? '' : 's'} between them,
+                    ${pinnedCount} pinned</p>
+                <div class="node-actions">
+                    <button data-action="group-focus" title="Fit the selection in view">Focus</button>
+                    ${pinnedCount < nodes.length
+                        ? '<button data-action="group-pin" title="Keep these nodes in place during the force layout">Pin</button>'
+                        : ''}
+                    ${pinnedCount > 0
+                        ? '<button data-action="group-unpin" title="Let the force layout move these nodes again">Unpin</button>'
+                        : ''}
+                    <button data-action="group-hide" title="Hide these nodes until shown again">Hide</button>
+                    <button data-action="group-export" title="Download these nodes and the edges between them">Export</button>
+                </div>
+                ${this.buildTypeSection(nodes)}
+                ${this.buildTagSection(nodes)}
+                ${this.buildPrerequisiteSection(nodes)}
+                <h3>Selected Nodes</h3>
+                <ul class="group-nodes">
+                    ${nodes.map(node => `
+                        <li>
+                            <button class="group-node" data-action="select-node" data-node-id="${window.domUtils.escapeHtml(node.id)}"
+                                >${window.domUtils.escapeHtml(node.label || node.id)}</button>
+                            ${this.nodeManager.isNodePinned(node.id) ? '<span class="group-pinned" title="Pinned">&#x1F4CC;</span>' : ''}
+                            <button class="group-deselect" data-action="group-deselect" data-node-id="${window.domUtils.escapeHtml(node.id)}"
+                                title="Remove from the selection">&times;</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+
+        this.sidebarManager.showCustomContent(`${nodes.length} Nodes Selected`, html);
+    }
+
+    /**
+     * Build the summary section counting the selected nodes by type
+     * @param {Array} nodes - Selected node data objects
+     * @returns {string} - HTML content
+     */
+    buildTypeSection(nodes) {
+        const counts = new Map();
+        nodes.forEach(node => counts.set(node.type, (counts.get(node.type) || 0) + 1));
+
+        return `
+            <h3>Types</h3>
+            <ul class="group-types">
+                ${Array.from(counts).sort((a, b) => b[1] - a[1]).map(([type, count]) => {
+                    const color = window.themeManager.getNodeColor(type).toString(16).padStart(6, '0');
+                    return `<li><span class="group-type-dot" style="background-color: #${color}"></span>` +
+                        `${window.domUtils.escapeHtml(type)} &times; ${count}</li>`;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Build the summary section comparing the tags of the selected nodes
+     * @param {Array} nodes - Selected node data objects
+     * @returns {string} - HTML content
+     */
+    buildTagSection(nodes) {
+        const counts = new Map();
+        nodes.forEach(node => {
+            new Set(node.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        if (counts.size === 0) return '';
+
+        const shared = Array.from(counts.keys()).filter(tag => counts.get(tag) === nodes.length);
+        const partial = Array.from(counts).filter(([, count]) => count < nodes.length)
+            .sort((a, b) => b[1] - a[1]);
+
+        return `
+            <h3>Tags</h3>
+            <div><strong>Shared by all:</strong> ${shared.length > 0
+                ? `<div class="tags">${shared.map(tag => `<span class="tag">${window.domUtils.escapeHtml(tag)}</span>`).join('')}</div>`
+                : 'none'}</div>
+            ${partial.length > 0 ? `
+                <div><strong>On some:</strong>
+                    <div class="tags">${partial.map(([tag, count]) =>
+                        `<span class="tag" title="${count} of ${nodes.length} nodes">${window.domUtils.escapeHtml(tag)} (${count})</span>`
+                    ).join('')}</div>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Build the summary section listing the prerequisites all selected nodes share
+     * @param {Array} nodes - Selected node data objects
+     * @returns {string} - HTML content
+     */
+    buildPrerequisiteSection(nodes) {
+        const prerequisites = this.getSharedPrerequisites(nodes.map(node => node.id));
+
+        if (prerequisites.length === 0) {
+            return '<h3>Shared Prerequisites</h3><p class="group-none">These nodes have no common prerequisite.</p>';
+        }
+
+        return `
+            <h3>Shared Prerequisites</h3>
+            <div class="node-actions">
+                <button data-action="group-select-prerequisites" title="Select the shared prerequisites instead">
+                    Select all ${prerequisites.length}</button>
+            </div>
+            <ul class="group-prerequisites">
+                ${prerequisites.map(id => {
+                    const node = window.graphDataSource.getNode(id);
+                    return `<li><button class="group-node" data-action="select-node" data-node-id="${window.domUtils.escapeHtml(id)}"
+                        >${window.domUtils.escapeHtml(node ? node.label || id : id)}</button></li>`;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Re-render the summary if several nodes are selected, e.g. after the graph was edited
+     */
+    refresh() {
+        if (this.selectionManager.getSelectedNodeIds().length > 1) {
+            this.showSummary();
+        }
+    }
+
+    /**
+     * Move the camera so all selected nodes are in view
+     */
+    focusSelection() {
+        const box = new THREE.Box3();
+        this.selectionManager.getSelectedNodeIds().forEach(id => {
+            const node = this.nodeManager.getNode(id);
+            if (node) {
+                box.expandByPoint(node.position);
+            }
+        });
+
+        this.cameraController.focusOnBox(box);
+    }
+
+    /**
+     * Pin or unpin the selected nodes
+     * @param {boolean} pinned - Whether to pin them
+     */
+    setSelectionPinned(pinned) {
+        this.nodeManager.setNodesPinned(this.selectionManager.getSelectedNodeIds(), pinned);
+    }
+
+    /**
+     * Hide the selected nodes and clear the selection
+     */
+    hideSelection() {
+        this.selectionManager.getSelectedNodeIds().forEach(id => this.hiddenIds.add(id));
+        this.selectionManager.clearSelection();
+
+        this.nodeManager.setHiddenNodes('group', Array.from(this.hiddenIds));
+        this.updateBar();
+    }
+
+    /**
+     * Show all nodes hidden with the Hide action
+     */
+    showHidden() {
+        this.hiddenIds = new Set();
+        this.nodeManager.setHiddenNodes('group', []);
+        this.updateBar();
+    }
+
+    /**
+     * Download the selected nodes and the edges between them as a dataset
+     */
+    exportSelection() {
+        const json = window.graphDataSource.serializeSubgraph(this.selectionManager.getSelectedNodeIds());
+        window.domUtils.downloadJson('selection.json', json);
+    }
+
+    /**
+     * Create the hidden nodes bar
+     */
+    createBar() {
+        this.bar = document.createElement('div');
+        this.bar.id = 'hidden-nodes-bar';
+        this.bar.className = 'hidden';
+        this.bar.innerHTML = `
+            <span class="hidden-nodes-status"></span>
+            <button id="show-hidden-nodes">Show</button>
+        `;
+
+        document.body.appendChild(this.bar);
+
+        this.bar.querySelector('#show-hidden-nodes').addEventListener('click', () => this.showHidden());
+    }
+
+    /**
+     * Show the number of hidden nodes in the bar, or hide the bar if there are none
+     */
+    updateBar() {
+        // Nodes removed from the graph are no longer hidden
+        this.hiddenIds.forEach(id => {
+            if (!this.nodeManager.getNode(id)) {
+                this.hiddenIds.delete(id);
+            }
+        });
+
+        if (!this.bar) {
+            if (this.hiddenIds.size === 0) return;
+            this.createBar();
+        }
+
+        const count = this.hiddenIds.size;
+        this.bar.classList.toggle('hidden', count === 0);
+        this.bar.querySelector('.hidden-nodes-status').textContent =
+            `${count} node${count === 1 ? '' : 's'} hidden`;
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = GroupActions;
+} else {
+    window.GroupActions = GroupActions;
+}
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * HistoryPanel.js
+ * Shows the undo history and provides undo/redo buttons and shortcuts
+ */
+class HistoryPanel {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.history = window.historyManager;
+
+        // Panel element (created on first show)
+        this.panel = null;
+
+        // Toggle button in the top controls
+        const button = document.getElementById('history-button');
+        if (button) {
+            button.addEventListener('click', () => {
+                this.toggle();
+            });
+        }
+
+        // Keep the list current
+        this.history.onChange(() => {
+            if (this.isVisible()) {
+                this.render();
+            }
+        });
+
+        // Report undo and redo failures; the failed entry has been dropped
+        this.history.onFailure((description, error) => {
+            this.uiManager.setStatusMessage(`${description}: ${error.message}`, 8000);
+        });
+    }
+
+    /**
+     * Create the panel element
+     */
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'history-panel';
+        this.panel.className = 'hidden';
+        this.panel.innerHTML = `
+            <div class="history-header">
+                <h3>History</h3>
+                <span class="close" title="Close">&times;</span>
+            </div>
+            <div class="history-buttons">
+                <button id="history-undo" title="Undo (Ctrl+Z)">Undo</button>
+                <button id="history-redo" title="Redo (Ctrl+Shift+Z)">Redo</button>
+            </div>
+            <ol class="history-entries"></ol>
+        `;
+
+        document.body.appendChild(this.panel);
+
+        this.panel.querySelector('.close').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.panel.querySelector('#history-undo').addEventListener('click', () => {
+            this.undo();
+        });
+
+        this.panel.querySelector('#history-redo').addEventListener('click', () => {
+            this.redo();
+        });
+
+        // Jump to the state after the clicked entry
+        this.panel.querySelector('.history-entries').addEventListener('click', (event) => {
+            const entry = event.target.closest('[data-count]');
+            if (entry) {
+                this.history.goTo(parseInt(entry.dataset.count, 10));
+            }
+        });
+    }
+
+    /**
+     * Render the history entries, oldest first
+     */
+    render() {
+        const { done, undone } = this.history.getEntries();
+
+        const items = [`<li data-count="0" class="${done.length === 0 ? 'current' : ''}">Start</li>`];
+        done.forEach((entry, index) => {
+            const current = index === done.length - 1 ? 'current' : '';
+            items.push(`<li data-count="${index + 1}" class="${current}">${window.domUtils.escapeHtml(entry.label)}</li>`);
+        });
+        undone.forEach((entry, index) => {
+            items.push(`<li data-count="${done.length + index + 1}" class="undone">${window.domUtils.escapeHtml(entry.label)}</li>`);
+        });
+
+        this.panel.querySelector('.history-entries').innerHTML = items.join('');
+        this.panel.querySelector('#history-undo').disabled = !this.history.canUndo();
+        this.panel.querySelector('#history-redo').disabled = !this.history.canRedo();
+    }
+
+    /**
+     * Undo the last change and report it
+     */
+    undo() {
+        const entries = this.history.getEntries().done;
+        if (this.history.undo()) {
+            this.uiManager.setStatusMessage(`Undid: ${entries[entries.length - 1].label}`, 2000);
+        }
+    }
+
+    /**
+     * Redo the last undone change and report it
+     */
+    redo() {
+        const entries = this.history.getEntries().undone;
+        if (this.history.redo()) {
+            this.uiManager.setStatusMessage(`Redid: ${entries[0].label}`, 2000);
+        }
+    }
+
+    /**
+     * Handle undo/redo keyboard shortcuts
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyPress(event) {
+        // Leave text editing shortcuts to the search box
+        if (window.searchInputFocused || !(event.ctrlKey || event.metaKey)) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            this.undo();
+            event.preventDefault();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            this.redo();
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Show the panel
+     */
+    show() {
+        if (!this.panel) {
+            this.createPanel();
+        }
+
+        this.render();
+        this.panel.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        window.domUtils.hidePanel(this.panel);
+    }
+
+    /**
+     * Toggle the panel
+     */
+    toggle() {
+        window.domUtils.togglePanel(this);
+    }
+
+    /**
+     * Check if the panel is visible
+     * @returns {boolean} - Whether the panel is visible
+     */
+    isVisible() {
+        return window.domUtils.isPanelVisible(this.panel);
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = HistoryPanel;
+} else {
+    window.HistoryPanel = HistoryPanel;
+}
\ No newline at end of file
@@ -0,0 +1,430 @@
+/**
+ * LearningPath.js
+ * Builds a study plan for one or more goal nodes: all their prerequisites in
+ * topological order, grouped by level, with a step-through mode and done
+ * marks saved per learner in localStorage
+ */
+class LearningPath {
+    constructor(selectionManager, sidebarManager, uiManager) {
+        this.selectionManager = selectionManager;
+        this.sidebarManager = sidebarManager;
+        this.uiManager = uiManager;
+
+        // localStorage key holding every learner's goals and progress
+        this.storageKey = 'wtg.learningPaths';
+
+        // Current learner and their goals and finished nodes
+        this.learner = 'default';
+        this.goals = [];
+        this.done = new Set();
+
+        // Node IDs of the study plan in order, and the ones caught in a cycle
+        this.plan = [];
+        this.cyclic = [];
+
+        // Index of the current step in the plan (-1 when not stepping)
+        this.currentStep = -1;
+
+        // Panel element (created on first show)
+        this.panel = null;
+
+        this.loadLearner(this.getStoredData().lastLearner || this.learner);
+
+        // Toggle button in the controls panel
+        const button = document.getElementById('learning-path-button');
+        if (button) {
+            button.addEventListener('click', () => {
+                this.toggle();
+            });
+        }
+
+        // Add goals from a node's details
+        this.sidebarManager.addNodeAction({
+            action: 'add-study-goal',
+            label: 'Study goal',
+            title: 'Add to the study plan goals',
+            handler: nodeId => {
+                this.addGoal(nodeId);
+                this.show();
+            }
+        });
+
+        // Follow manual selection of plan nodes
+        this.selectionManager.onSelectionChange(nodeId => {
+            const index = this.plan.indexOf(nodeId);
+            if (index !== -1 && index !== this.currentStep) {
+                this.currentStep = index;
+                this.render();
+            }
+        });
+
+        // Rebuild the plan for the new data
+        const rebuild = () => {
+            this.buildPlan();
+            this.render();
+        };
+        window.graphDataSource.onDataChange(rebuild);
+        window.graphDataSource.onDataEdit(rebuild);
+    }
+
+    /**
+     * Create the panel element
+     */
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'learning-path';
+        this.panel.className = 'hidden';
+        this.panel.innerHTML = `
+            <div class="learning-header">
+                <h3>Study Plan</h3>
+                <span class="close" title="Close">&times;</span>
+            </div>
+            <label class="learning-learner">
+                Learner <input type="text" id="learning-learner">
+            </label>
+            <div class="learning-goals-header">
+                <strong>Goals</strong>
+                <button id="learning-add-goal" title="Add the selected node as a goal">+ Selected</button>
+            </div>
+            <ul class="learning-goals"></ul>
+            <div class="learning-progress"></div>
+            <div class="learning-steps">
+                <button id="learning-prev" title="Previous step">&#9664;</button>
+                <button id="learning-done-next" title="Mark done and go to the next unfinished step">Done &amp; next</button>
+                <button id="learning-next" title="Next step">&#9654;</button>
+            </div>
+            <div class="learning-plan"></div>
+        `;
+
+        document.body.appendChild(this.panel);
+
+        this.panel.querySelector('.close').addEventListener('click', () => {
+            this.hide();
+        });
+
+        const learnerInput = this.panel.querySelector('#learning-learner');
+        learnerInput.value = this.learner;
+        learnerInput.addEventListener('change', () => {
+            this.loadLearner(learnerInput.value.trim() || 'default');
+            learnerInput.value = this.learner;
+            this.render();
+        });
+
+        this.panel.querySelector('#learning-add-goal').addEventListener('click', () => {
+            const selectedId = this.selectionManager.getSelectedNodeId();
+            if (selectedId) {
+                this.addGoal(selectedId);
+            } else {
+                this.uiManager.setStatusMessage('Select a node first', 2000);
+            }
+        });
+
+        this.panel.querySelector('.learning-goals').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-remove-goal]');
+            if (button) {
+                this.removeGoal(button.dataset.removeGoal);
+            }
+        });
+
+        this.panel.querySelector('#learning-prev').addEventListener('click', () => {
+            this.goToStep(this.currentStep - 1);
+        });
+
+        this.panel.querySelector('#learning-next').addEventListener('click', () => {
+            this.goToStep(this.currentStep + 1);
+        });
+
+        this.panel.querySelector('#learning-done-next').addEventListener('click', () => {
+            this.completeStep();
+        });
+
+        const planElement = this.panel.querySelector('.learning-plan');
+        planElement.addEventListener('change', (event) => {
+            const checkbox = event.target.closest('[data-done]');
+            if (checkbox) {
+                this.setDone(checkbox.dataset.done, checkbox.checked);
+            }
+        });
+        planElement.addEventListener('click', (event) => {
+            const step = event.target.closest('[data-step]');
+            if (step) {
+                this.goToStep(parseInt(step.dataset.step, 10));
+            }
+        });
+    }
+
+    /**
+     * Build the study plan for the current goals
+     */
+    buildPlan() {
+        const nodesById = new Map(window.graphDataSource.getNodes().map(node => [node.id, node]));
+        const edges = window.graphDataSource.getEdges();
+
+        // Goals and everything they rest on
+        const nodeIds = new Set();
+        this.goals.filter(id => nodesById.has(id)).forEach(goalId => {
+            nodeIds.add(goalId);
+            window.graphAlgorithms.closure(edges, goalId, { direction: 'backward' })
+                .forEach((depth, id) => nodeIds.add(id));
+        });
+
+        // Prefer lower levels, then alphabetical order, among nodes that may come next
+        const level = id => this.getLevel(nodesById.get(id));
+        const label = id => nodesById.get(id).label || id;
+        const { order, cyclic } = window.graphAlgorithms.topologicalSort(Array.from(nodeIds), edges,
+            (a, b) => (level(a) - level(b)) || label(a).localeCompare(label(b)));
+
+        const currentId = this.plan[this.currentStep];
+        this.plan = [...order, ...cyclic];
+        this.cyclic = cyclic;
+        this.currentStep = this.plan.indexOf(currentId);
+    }
+
+    /**
+     * Get a node's level for ordering
+     * @param {Object} node - Node data object
+     * @returns {number} - Level, or Infinity if the node has none
+     */
+    getLevel(node) {
+        return node && Number.isFinite(node.level) ? node.level : Infinity;
+    }
+
+    /**
+     * Render goals, progress and the plan grouped by level
+     */
+    render() {
+        if (!this.panel) return;
+
+        const nodesById = new Map(window.graphDataSource.getNodes().map(node => [node.id, node]));
+        const getLabel = id => window.domUtils.escapeHtml(nodesById.has(id) ? nodesById.get(id).label || id : id);
+
+        // Goals
+        this.panel.querySelector('.learning-goals').innerHTML = this.goals.map(id => `
+            <li class="${nodesById.has(id) ? '' : 'missing'}">
+                ${getLabel(id)}
+                <button data-remove-goal="${window.domUtils.escapeHtml(id)}" title="Remove goal">&times;</button>
+            </li>
+        `).join('') || '<li class="learning-empty">Add a goal node to build a plan</li>';
+
+        // Progress
+        const doneCount = this.plan.filter(id => this.done.has(id)).length;
+        this.panel.querySelector('.learning-progress').textContent = this.plan.length > 0
+            ? `${doneCount} of ${this.plan.length} done`
+            : '';
+
+        // Plan, in runs of nodes with the same level
+        const cyclic = new Set(this.cyclic);
+        let html = '';
+        let groupKey = null;
+        this.plan.forEach((id, index) => {
+            const level = this.getLevel(nodesById.get(id));
+            const key = cyclic.has(id) ? 'cycle' : level;
+            if (key !== groupKey) {
+                if (groupKey !== null) {
+                    html += '</ol>';
+                }
+                const title = key === 'cycle'
+                    ? 'In a cycle (order undetermined)'
+                    : Number.isFinite(level) ? `Level ${level}` : 'No level';
+                html += `<h4>${title}</h4><ol start="${index + 1}">`;
+                groupKey = key;
+            }
+
+            const classes = [
+                this.done.has(id) ? 'done' : '',
+                index === this.currentStep ? 'current' : '',
+                this.goals.includes(id) ? 'goal' : ''
+            ].join(' ');
+            html += `
+                <li class="${classes}">
+                    <input type="checkbox" data-done="${window.domUtils.escapeHtml(id)}" ${this.done.has(id) ? 'checked' : ''}>
+                    <span data-step="${index}">${getLabel(id)}</span>
+                </li>
+            `;
+        });
+        if (groupKey !== null) {
+            html += '</ol>';
+        }
+        this.panel.querySelector('.learning-plan').innerHTML = html;
+
+        // Step buttons
+        this.panel.querySelector('#learning-prev').disabled = this.currentStep <= 0;
+        this.panel.querySelector('#learning-next').disabled = this.currentStep >= this.plan.length - 1;
+        this.panel.querySelector('#learning-done-next').disabled = this.plan.length === 0;
+
+        const current = this.panel.querySelector('.learning-plan li.current');
+        if (current) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Select a step's node and move the camera to it
+     * @param {number} index - Step index in the plan
+     */
+    goToStep(index) {
+        if (index < 0 || index >= this.plan.length) return;
+
+        this.currentStep = index;
+        this.selectionManager.selectNode(this.plan[index]);
+        this.render();
+    }
+
+    /**
+     * Mark the current step done and go to the next unfinished one
+     */
+    completeStep() {
+        if (this.currentStep >= 0) {
+            this.setDone(this.plan[this.currentStep], true);
+        }
+
+        const next = this.plan.findIndex((id, index) => index > this.currentStep && !this.done.has(id));
+        const fallback = this.plan.findIndex(id => !this.done.has(id));
+        if (next !== -1 || fallback !== -1) {
+            this.goToStep(next !== -1 ? next : fallback);
+        } else {
+            this.uiManager.setStatusMessage('Study plan complete', 3000);
+        }
+    }
+
+    /**
+     * Add a goal node
+     * @param {string} nodeId - Node ID
+     */
+    addGoal(nodeId) {
+        if (this.goals.includes(nodeId)) return;
+
+        this.goals.push(nodeId);
+        this.saveLearner();
+        this.buildPlan();
+        this.render();
+    }
+
+    /**
+     * Remove a goal node
+     * @param {string} nodeId - Node ID
+     */
+    removeGoal(nodeId) {
+        this.goals = this.goals.filter(id => id !== nodeId);
+        this.saveLearner();
+        this.buildPlan();
+        this.render();
+    }
+
+    /**
+     * Mark a node done or not done
+     * @param {string} nodeId - Node ID
+     * @param {boolean} done - Whether the node is done
+     */
+    setDone(nodeId, done) {
+        if (done) {
+            this.done.add(nodeId);
+        } else {
+            this.done.delete(nodeId);
+        }
+        this.saveLearner();
+        this.render();
+    }
+
+    /**
+     * Switch to a learner's saved goals and progress
+     * @param {string} learner - Learner name
+     */
+    loadLearner(learner) {
+        const data = this.getStoredData();
+        const saved = data.learners[learner] || {};
+
+        this.learner = learner;
+        this.goals = Array.isArray(saved.goals) ? saved.goals : [];
+        this.done = new Set(Array.isArray(saved.done) ? saved.done : []);
+        this.currentStep = -1;
+
+        data.lastLearner = learner;
+        this.storeData(data);
+        this.buildPlan();
+    }
+
+    /**
+     * Save the current learner's goals and progress
+     */
+    saveLearner() {
+        const data = this.getStoredData();
+        data.learners[this.learner] = {
+            goals: this.goals,
+            done: Array.from(this.done)
+        };
+        data.lastLearner = this.learner;
+        this.storeData(data);
+    }
+
+    /**
+     * Read the stored learners
+     * @returns {Object} - { lastLearner, learners: map of names to { goals, done } }
+     */
+    getStoredData() {
+        try {
+            const data = JSON.parse(window.localStorage.getItem(this.storageKey)) || {};
+            return { lastLearner: data.lastLearner || null, learners: data.learners || {} };
+        } catch (error) {
+            console.error('Failed to read study progress:', error);
+            return { lastLearner: null, learners: {} };
+        }
+    }
+
+    /**
+     * Write the stored learners
+     * @param {Object} data - Data from getStoredData
+     * @returns {boolean} - Whether the data was stored
+     */
+    storeData(data) {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error('Failed to save study progress:', error);
+            this.uiManager.setStatusMessage(`Could not save study progress: ${error.message}`, 8000);
+            return false;
+        }
+    }
+
+    /**
+     * Show the panel
+     */
+    show() {
+        if (!this.panel) {
+            this.createPanel();
+        }
+
+        this.render();
+        this.panel.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        window.domUtils.hidePanel(this.panel);
+    }
+
+    /**
+     * Toggle the panel
+     */
+    toggle() {
+        window.domUtils.togglePanel(this);
+    }
+
+    /**
+     * Check if the panel is visible
+     * @returns {boolean} - Whether the panel is visible
+     */
+    isVisible() {
+        return window.domUtils.isPanelVisible(this.panel);
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = LearningPath;
+} else {
+    window.LearningPath = LearningPath;
+}
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * LevelReport.js
+ * Compares the stored node levels with levels computed from the dependency
+ * edges and writes the computed levels back into the dataset on request
+ */
+class LevelReport {
+    constructor(layoutManager, sidebarManager, uiManager) {
+        this.layoutManager = layoutManager;
+        this.sidebarManager = sidebarManager;
+        this.uiManager = uiManager;
+
+        // Layering compared against when the layout uses stored levels
+        this.defaultMethod = 'longest-path';
+
+        const button = document.getElementById('check-levels-button');
+        if (button) {
+            button.addEventListener('click', () => {
+                this.show();
+            });
+        }
+
+        this.sidebarManager.addActionHandler('level-report-method', data => {
+            this.show(data.method);
+        });
+        this.sidebarManager.addActionHandler('apply-computed-levels', data => {
+            this.applyComputedLevels(data.method);
+        });
+    }
+
+    /**
+     * Get the layering method to compare against
+     * @returns {string} - 'longest-path' or 'coffman-graham'
+     */
+    getMethod() {
+        const source = this.layoutManager.config.hierarchical.levelSource;
+        return source !== 'stored' ? source : this.defaultMethod;
+    }
+
+    /**
+     * Show the disagreements between stored and computed levels in the sidebar
+     * @param {string} method - 'longest-path' or 'coffman-graham' (defaults to getMethod)
+     */
+    show(method = this.getMethod()) {
+        const disagreements = this.layoutManager.findLevelDisagreements(method);
+        const nodeCount = window.graphDataSource.getNodes().length;
+        const methods = Object.keys(this.layoutManager.levelSources).filter(source => source !== 'stored');
+
+        const methodLinks = methods.map(source => source === method
+            ? `<strong>${this.layoutManager.levelSources[source]}</strong>`
+            : `<button class="level-method" data-action="level-report-method" data-method="${source}">` +
+                `${this.layoutManager.levelSources[source]}</button>`
+        ).join(' ');
+
+        let html = `<p class="level-methods">Compared with: ${methodLinks}</p>`;
+
+        if (disagreements.length === 0) {
+            html += `<p>All ${nodeCount} stored levels match the computed levels.</p>`;
+        } else {
+            html += `
+                <p>${disagreements.length} of ${nodeCount} nodes have a stored level that differs from the computed level.</p>
+                <button class="level-apply" data-action="apply-computed-levels" data-method="${method}">Write computed levels</button>
+                <table class="level-report">
+                    <tr><th>Node</th><th>Stored</th><th>Computed</th></tr>
+                    ${disagreements.map(item => `
+                        <tr>
+                            <td>${window.domUtils.escapeHtml(item.label)}</td>
+                            <td>${item.stored === undefined ? '&ndash;' : window.domUtils.escapeHtml(item.stored)}</td>
+                            <td>${item.computed}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            `;
+        }
+
+        this.sidebarManager.showCustomContent('Level Check', html);
+    }
+
+    /**
+     * Write computed levels into the dataset as one undoable change
+     * @param {string} method - 'longest-path' or 'coffman-graham'
+     */
+    applyComputedLevels(method) {
+        const disagreements = this.layoutManager.findLevelDisagreements(method);
+        if (disagreements.length === 0) return;
+
+        if (!window.confirm(`Change the level of ${disagreements.length} nodes to the computed levels?`)) {
+            return;
+        }
+
+        const history = window.historyManager;
+        history.beginBatch('Apply computed levels');
+        try {
+            disagreements.forEach(item => {
+                window.graphDataSource.updateNode(item.nodeId, { level: item.computed });
+            });
+        } catch (error) {
+            console.error('Failed to apply computed levels:', error);
+            this.uiManager.setStatusMessage(error.message, 8000);
+        } finally {
+            history.endBatch();
+        }
+
+        this.uiManager.setStatusMessage(`Updated the level of ${disagreements.length} nodes`, 3000);
+
+        // Rearrange with the new levels
+        if (this.layoutManager.currentLayout === this.layoutManager.layoutTypes.HIERARCHICAL) {
+            this.layoutManager.applyLayout();
+        }
+
+        this.show(method);
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = LevelReport;
+} else {
+    window.LevelReport = LevelReport;
+}
\ No newline at end of file
@@ -0,0 +1,434 @@
+/**
+ * PathFinder.js
+ * Finds the shortest dependency paths between two nodes, highlights them in
+ * the scene and lists their steps in the sidebar
+ */
+class PathFinder {
+    constructor(nodeManager, edgeManager, selectionManager, cameraController, sidebarManager, uiManager) {
+        this.nodeManager = nodeManager;
+        this.edgeManager = edgeManager;
+        this.selectionManager = selectionManager;
+        this.cameraController = cameraController;
+        this.sidebarManager = sidebarManager;
+        this.uiManager = uiManager;
+
+        // Panel element (created on first show)
+        this.panel = null;
+
+        // Paths from the last search and the one shown in the scene
+        this.paths = [];
+        this.activeIndex = -1;
+
+        // Delay between lighting successive edges of a path (ms)
+        this.stepDelay = 300;
+        this.stepTimers = [];
+
+        // Default search options
+        this.defaultPathCount = 3;
+        this.maxPathCount = 10;
+
+        // Toggle button in the controls panel
+        const button = document.getElementById('path-finder-button');
+        if (button) {
+            button.addEventListener('click', () => {
+                this.toggle();
+            });
+        }
+
+        // Start a search from a node's details
+        this.sidebarManager.addNodeAction({
+            action: 'path-from',
+            label: 'Path from here',
+            title: 'Find paths starting at this node',
+            handler: nodeId => this.setEndpoint('from', nodeId)
+        });
+        this.sidebarManager.addNodeAction({
+            action: 'path-to',
+            label: 'Path to here',
+            title: 'Find paths ending at this node',
+            handler: nodeId => this.setEndpoint('to', nodeId)
+        });
+
+        // Results in the sidebar
+        this.sidebarManager.addActionHandler('show-path', data => {
+            this.highlightPath(parseInt(data.index, 10));
+        });
+        this.sidebarManager.addActionHandler('focus-path-node', data => {
+            this.focusNode(data.nodeId);
+        });
+        this.sidebarManager.addActionHandler('swap-path-endpoints', () => {
+            this.swapEndpoints();
+            this.findPaths();
+        });
+
+        // Selecting nodes replaces the path highlight
+        this.selectionManager.onSelectionChange((nodeId, nodeIds) => {
+            if (nodeIds.length > 0) {
+                this.stopAnimation();
+                this.activeIndex = -1;
+            }
+        });
+
+        // Results refer to the old dataset
+        window.graphDataSource.onDataChange(() => {
+            this.stopAnimation();
+            this.paths = [];
+            this.activeIndex = -1;
+            if (this.isVisible()) {
+                this.renderNodeOptions();
+            }
+        });
+    }
+
+    /**
+     * Create the panel element
+     */
+    createPanel() {
+        const edgeTypes = Object.keys(window.themeManager.edgeColors);
+
+        this.panel = document.createElement('div');
+        this.panel.id = 'path-finder';
+        this.panel.className = 'hidden';
+        this.panel.innerHTML = `
+            <div class="path-finder-header">
+                <h3>Find Path</h3>
+                <span class="close" title="Close">&times;</span>
+            </div>
+            <div class="path-finder-row">
+                <label for="path-from">From</label>
+                <select id="path-from"></select>
+                <button data-use-selected="from" title="Use the selected node">&#9678;</button>
+            </div>
+            <div class="path-finder-row">
+                <label for="path-to">To</label>
+                <select id="path-to"></select>
+                <button data-use-selected="to" title="Use the selected node">&#9678;</button>
+            </div>
+            <button id="path-swap" title="Swap start and end">&#8645; Swap</button>
+            <fieldset class="path-edge-types">
+                <legend>Follow edges</legend>
+                ${edgeTypes.map(type => `
+                    <label><input type="checkbox" value="${type}" checked> ${type}</label>
+                `).join('')}
+            </fieldset>
+            <label class="path-finder-option">
+                <input type="checkbox" id="path-any-direction"> Ignore edge direction
+            </label>
+            <label class="path-finder-option">
+                Paths <input type="number" id="path-count" min="1" max="${this.maxPathCount}" value="${this.defaultPathCount}">
+            </label>
+            <div class="path-finder-buttons">
+                <button id="path-find">Find</button>
+                <button id="path-clear">Clear</button>
+            </div>
+        `;
+
+        document.body.appendChild(this.panel);
+
+        this.panel.querySelector('.close').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.panel.querySelectorAll('[data-use-selected]').forEach(button => {
+            button.addEventListener('click', () => {
+                const selectedId = this.selectionManager.getSelectedNodeId();
+                if (selectedId) {
+                    this.panel.querySelector(`#path-${button.dataset.useSelected}`).value = selectedId;
+                } else {
+                    this.uiManager.setStatusMessage('Select a node first', 2000);
+                }
+            });
+        });
+
+        this.panel.querySelector('#path-swap').addEventListener('click', () => {
+            this.swapEndpoints();
+        });
+
+        this.panel.querySelector('#path-find').addEventListener('click', () => {
+            this.findPaths();
+        });
+
+        this.panel.querySelector('#path-clear').addEventListener('click', () => {
+            this.clear();
+        });
+    }
+
+    /**
+     * Fill the start and end selectors with the current nodes
+     */
+    renderNodeOptions() {
+        const nodes = window.graphDataSource.getNodes()
+            .slice()
+            .sort((a, b) => (a.label || a.id).localeCompare(b.label || b.id));
+
+        const options = nodes.map(node =>
+            `<option value="${window.domUtils.escapeHtml(node.id)}">${window.domUtils.escapeHtml(node.label || node.id)}</option>`
+        ).join('');
+
+        ['from', 'to'].forEach(end => {
+            const select = this.panel.querySelector(`#path-${end}`);
+            const previous = select.value;
+            select.innerHTML = options;
+            if (nodes.some(node => node.id === previous)) {
+                select.value = previous;
+            }
+        });
+    }
+
+    /**
+     * Set the start or end node and open the panel
+     * @param {string} end - 'from' or 'to'
+     * @param {string} nodeId - Node ID
+     */
+    setEndpoint(end, nodeId) {
+        this.show();
+        this.panel.querySelector(`#path-${end}`).value = nodeId;
+    }
+
+    /**
+     * Swap the start and end nodes
+     */
+    swapEndpoints() {
+        const from = this.panel.querySelector('#path-from');
+        const to = this.panel.querySelector('#path-to');
+        [from.value, to.value] = [to.value, from.value];
+    }
+
+    /**
+     * Read the search options from the panel
+     * @returns {Object} - { from, to, k, edgeTypes, direction }
+     */
+    getOptions() {
+        const count = parseInt(this.panel.querySelector('#path-count').value, 10);
+
+        return {
+            from: this.panel.querySelector('#path-from').value,
+            to: this.panel.querySelector('#path-to').value,
+            k: Math.min(Math.max(count || 1, 1), this.maxPathCount),
+            edgeTypes: Array.from(this.panel.querySelectorAll('.path-edge-types input:checked'))
+                .map(input => input.value),
+            direction: this.panel.querySelector('#path-any-direction').checked ? 'any' : 'forward'
+        };
+    }
+
+    /**
+     * Find paths with the panel's options and show the results
+     */
+    findPaths() {
+        const options = this.getOptions();
+        if (!options.from || !options.to) return;
+
+        if (options.from === options.to) {
+            this.uiManager.setStatusMessage('Choose two different nodes', 2000);
+            return;
+        }
+        if (options.edgeTypes.length === 0) {
+            this.uiManager.setStatusMessage('Select at least one edge type', 2000);
+            return;
+        }
+
+        const edges = window.graphDataSource.getEdges();
+        this.paths = window.graphAlgorithms.kShortestPaths(edges, options.from, options.to, options.k, {
+            edgeTypes: options.edgeTypes,
+            direction: options.direction
+        });
+
+        // The selection highlight would conflict with the path highlight
+        this.selectionManager.clearSelection();
+
+        if (this.paths.length === 0) {
+            this.showNoPath(options, edges);
+            return;
+        }
+
+        this.renderResults(options);
+        this.highlightPath(0);
+    }
+
+    /**
+     * Show that there is no path, suggesting the reverse direction if it has one
+     * @param {Object} options - Search options
+     * @param {Array} edges - Edge data objects
+     */
+    showNoPath(options, edges) {
+        this.stopAnimation();
+        this.activeIndex = -1;
+        this.nodeManager.resetNodeStates();
+        this.edgeManager.resetEdgeStates();
+
+        const from = this.getNodeLabel(options.from);
+        const to = this.getNodeLabel(options.to);
+        let html = `<p>No path from <strong>${from}</strong> to <strong>${to}</strong> ` +
+            `through ${window.domUtils.escapeHtml(options.edgeTypes.join(', '))} edges.</p>`;
+
+        const reverse = options.direction === 'forward' &&
+            window.graphAlgorithms.shortestPath(edges, options.to, options.from, { edgeTypes: options.edgeTypes });
+        if (reverse) {
+            html += `<p><strong>${from}</strong> builds on <strong>${to}</strong> ` +
+                `(${reverse.steps.length} step${reverse.steps.length === 1 ? '' : 's'}).</p>` +
+                '<button class="path-swap-button" data-action="swap-path-endpoints">Swap start and end</button>';
+        }
+
+        this.sidebarManager.showCustomContent('No Path Found', `<div class="path-results">${html}</div>`);
+    }
+
+    /**
+     * Show the paths as step-by-step lists in the sidebar
+     * @param {Object} options - Search options
+     */
+    renderResults(options) {
+        const from = this.getNodeLabel(options.from);
+        const to = this.getNodeLabel(options.to);
+
+        const html = this.paths.map((path, index) => {
+            const steps = path.nodes.map((nodeId, position) => {
+                const step = path.steps[position - 1];
+                const via = step
+                    ? `<span class="path-via">via <span class="edge-type">${window.domUtils.escapeHtml(step.edge.type)}</span>` +
+                        `${step.forward ? '' : ' (reversed)'}</span>`
+                    : '';
+                return `<li><span class="path-node" data-action="focus-path-node" data-node-id="${window.domUtils.escapeHtml(nodeId)}">` +
+                    `${this.getNodeLabel(nodeId)}</span> ${via}</li>`;
+            }).join('');
+
+            const length = path.steps.length;
+            return `
+                <div class="path-result" data-index="${index}">
+                    <button class="path-result-title" data-action="show-path" data-index="${index}">
+                        Path ${index + 1} &middot; ${length} step${length === 1 ? '' : 's'}
+                    </button>
+                    <ol class="path-steps">${steps}</ol>
+                </div>
+            `;
+        }).join('');
+
+        this.sidebarManager.showCustomContent(`${from} → ${to}`, `
+            <div class="path-results">
+                <p>${this.paths.length} shortest path${this.paths.length === 1 ? '' : 's'} found.</p>
+                ${html}
+            </div>
+        `);
+    }
+
+    /**
+     * Highlight a path in the scene, lighting its edges in order
+     * @param {number} index - Index of the path in the results
+     */
+    highlightPath(index) {
+        const path = this.paths[index];
+        if (!path) return;
+
+        this.stopAnimation();
+        this.activeIndex = index;
+
+        // Dim everything off the path
+        const pathNodes = new Set(path.nodes);
+        for (const nodeId in this.nodeManager.getAllNodes()) {
+            this.nodeManager.updateNodeState(nodeId, pathNodes.has(nodeId) ? 'related' : 'dimmed');
+        }
+        this.nodeManager.updateNodeState(path.nodes[0], 'selected');
+        this.edgeManager.edgeObjects.forEach(edge => {
+            this.edgeManager.updateEdgeState(edge, 'dimmed');
+        });
+
+        // Light the edges one after another
+        path.steps.forEach((step, position) => {
+            const timer = setTimeout(() => {
+                const edge = this.edgeManager.findEdge(step.edge.source, step.edge.target, step.edge.type);
+                if (edge) {
+                    this.edgeManager.updateEdgeState(edge, 'selected');
+                }
+                this.nodeManager.updateNodeState(step.to, 'selected');
+            }, (position + 1) * this.stepDelay);
+            this.stepTimers.push(timer);
+        });
+
+        // Mark the shown path in the sidebar
+        this.sidebarManager.contentElement.querySelectorAll('.path-result').forEach(element => {
+            element.classList.toggle('active', parseInt(element.dataset.index, 10) === index);
+        });
+    }
+
+    /**
+     * Move the camera to a node on the path without changing the highlight
+     * @param {string} nodeId - Node ID
+     */
+    focusNode(nodeId) {
+        const node = this.nodeManager.getNode(nodeId);
+        if (node) {
+            this.cameraController.focusOn(node.position);
+        }
+    }
+
+    /**
+     * Cancel pending edge lighting
+     */
+    stopAnimation() {
+        this.stepTimers.forEach(timer => clearTimeout(timer));
+        this.stepTimers = [];
+    }
+
+    /**
+     * Remove the path highlight and results
+     */
+    clear() {
+        this.stopAnimation();
+        this.paths = [];
+        this.activeIndex = -1;
+        this.selectionManager.clearSelection();
+        this.nodeManager.resetNodeStates();
+        this.edgeManager.resetEdgeStates();
+        this.sidebarManager.clearDetails();
+    }
+
+    /**
+     * Get the escaped display label of a node
+     * @param {string} nodeId - Node ID
+     * @returns {string} - Escaped label
+     */
+    getNodeLabel(nodeId) {
+        const node = window.graphDataSource.getNodes().find(n => n.id === nodeId);
+        return window.domUtils.escapeHtml(node ? node.label || node.id : nodeId);
+    }
+
+    /**
+     * Show the panel
+     */
+    show() {
+        if (!this.panel) {
+            this.createPanel();
+        }
+
+        this.renderNodeOptions();
+        this.panel.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        window.domUtils.hidePanel(this.panel);
+    }
+
+    /**
+     * Toggle the panel
+     */
+    toggle() {
+        window.domUtils.togglePanel(this);
+    }
+
+    /**
+     * Check if the panel is visible
+     * @returns {boolean} - Whether the panel is visible
+     */
+    isVisible() {
+        return window.domUtils.isPanelVisible(this.panel);
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = PathFinder;
+} else {
+    window.PathFinder = PathFinder;
+}
\ No newline at end of file
@@ -1,6 +1,8 @@
 /**
  * SearchManager.js
  * Manages search functionality for theorems and concepts
+ * Queries use the language of GraphQuery; plain words are looked up in
+ * SearchIndex, and the listed results show where they matched
  */
 class SearchManager {
     constructor(graphManager, nodeManager, selectionManager) {
@@ -12,7 +14,40 @@ class SearchManager {
         this.searchInput = document.getElementById('search-input');
         
         // Node data
-        this.nodesData = window.nodes || [];
+        this.nodesData = window.graphDataSource.getNodes();
+        
+        // IDs of the nodes matching the current search
+        this.matchingIds = new Set();
+        
+        // Filter panel whose left out nodes never match (set by setFilterPanel)
+        this.filterPanel = null;
+        
+        // Problems in the current query, from GraphQuery.run
+        this.queryErrors = [];
+        
+        // Node ID -> { score, terms } for the words of the current query, from GraphQuery.run
+        this.textMatches = new Map();
+        
+        // Completions offered for the term at the cursor, and the one chosen with the arrow keys (-1 for none)
+        this.suggestions = null;
+        this.activeSuggestion = -1;
+        
+        // Results listed in the dropdown; all matches are highlighted
+        this.maxListedResults = 10;
+        
+        // Bound once so the listener added with the dropdown can be removed with it
+        this.handleOutsideClick = this.handleOutsideClick.bind(this);
+        
+        // Keep node data and the text index in sync when a new dataset is loaded
+        this.indexData();
+        window.graphDataSource.onDataChange(dataset => {
+            this.nodesData = dataset.nodes;
+            this.indexData();
+            this.clearSearchHighlighting();
+        });
+        
+        // Edited labels and descriptions are searchable right away
+        window.graphDataSource.onDataEdit(() => this.indexData());
         
         // Initialize search
         this.initSearch();
@@ -31,6 +66,13 @@ class SearchManager {
         this.searchInput.addEventListener('keydown', this.handleSearchKeydown.bind(this));
     }
     
+    /**
+     * Rebuild the text index from the active dataset
+     */
+    indexData() {
+        window.searchIndex.build(this.nodesData, window.graphDataSource.getTheoremDetails());
+    }
+    
     /**
      * Handle search input events
      * @param {Event} event - Input event
@@ -53,6 +95,26 @@ class SearchManager {
      * @param {KeyboardEvent} event - Keydown event
      */
     handleSearchKeydown(event) {
+        // Choose and accept completions
+        if (this.suggestions) {
+            const count = this.suggestions.items.length;
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                if (event.key === 'ArrowDown') {
+                    this.activeSuggestion = (this.activeSuggestion + 1) % count;
+                } else {
+                    this.activeSuggestion = this.activeSuggestion <= 0 ? count - 1 : this.activeSuggestion - 1;
+                }
+                this.highlightActiveSuggestion();
+                return;
+            }
+            if (event.key === 'Tab' || (event.key === 'Enter' && this.activeSuggestion >= 0)) {
+                event.preventDefault();
+                this.acceptSuggestion(Math.max(this.activeSuggestion, 0));
+                return;
+            }
+        }
+        
         // If Enter key is pressed, select the first matching node
         if (event.key === 'Enter') {
             const query = this.searchInput.value.trim().toLowerCase();
@@ -70,84 +132,137 @@ class SearchManager {
         }
     }
     
+    /**
+     * Get the current search query
+     * @returns {string} - Search query
+     */
+    getQuery() {
+        return this.searchInput ? this.searchInput.value.trim() : '';
+    }
+    
+    /**
+     * Set the search query and highlight its matches
+     * @param {string} query - Search query
+     */
+    setQuery(query) {
+        if (!this.searchInput) return;
+        
+        this.searchInput.value = query || '';
+        
+        const normalized = this.searchInput.value.trim().toLowerCase();
+        if (!normalized) {
+            this.clearSearchHighlighting();
+            return;
+        }
+        
+        this.highlightMatchingNodes(normalized);
+        this.removeSearchResultsDropdown();
+    }
+    
+    /**
+     * Only match nodes a filter panel includes
+     * @param {Object} filterPanel - Filter panel instance
+     */
+    setFilterPanel(filterPanel) {
+        this.filterPanel = filterPanel;
+    }
+    
+    /**
+     * Highlight the matches of the current query again, e.g. after the filter changed
+     */
+    refresh() {
+        const query = this.getQuery().toLowerCase();
+        if (query) {
+            this.highlightMatchingNodes(query, false);
+        }
+    }
+    
     /**
      * Get matching nodes for a search query
+     * Problems in the query are kept in queryErrors; nothing matches a query with errors
      * @param {string} query - Search query
      * @returns {Array} - Array of matching node data objects
      */
     getMatchingNodes(query) {
-        return this.nodesData.filter(node => {
-            // Search in label
-            if (node.label.toLowerCase().includes(query)) {
-                return true;
-            }
-            
-            // Search in description
-            if (node.description && node.description.toLowerCase().includes(query)) {
-                return true;
-            }
-            
-            // Search in tags
-            if (node.tags && node.tags.some(tag => tag.toLowerCase().includes(query))) {
-                return true;
-            }
-            
-            return false;
-        });
+        const result = window.graphQuery.run(query, this.nodesData, window.graphDataSource.getEdges());
+        this.queryErrors = result.errors;
+        this.textMatches = result.textMatches;
+        
+        // Nodes left out by the filter
+        return result.nodes.filter(node => !this.filterPanel || this.filterPanel.isNodeIncluded(node));
     }
     
     /**
      * Highlight nodes that match the search query
      * @param {string} query - Search query
+     * @param {boolean} showDropdown - Whether to list the matches below the search input
      */
-    highlightMatchingNodes(query) {
+    highlightMatchingNodes(query, showDropdown = true) {
         // Get matching nodes
         const matchingNodes = this.getMatchingNodes(query);
         
-        // Reset all nodes to default state
-        const nodeObjects = this.nodeManager.getAllNodes();
-        for (const id in nodeObjects) {
-            const node = nodeObjects[id];
-            node.material.opacity = 0.3; // Dim all nodes
-        }
-        
-        // Highlight matching nodes
-        matchingNodes.forEach(nodeData => {
-            const node = this.nodeManager.getNode(nodeData.id);
-            if (node) {
-                node.material.opacity = 1.0; // Make matching nodes fully opaque
+        // Dim all nodes except the matching ones (a query with errors keeps the selection highlight)
+        this.matchingIds = new Set(matchingNodes.map(nodeData => nodeData.id));
+        if (this.queryErrors.length > 0) {
+            this.restoreHighlighting();
+        } else {
+            const nodeObjects = this.nodeManager.getAllNodes();
+            for (const id in nodeObjects) {
+                this.nodeManager.updateNodeState(id, this.matchingIds.has(id) ? 'default' : 'dimmed');
             }
-        });
+        }
         
         // Create and show search results dropdown if needed
-        this.showSearchResultsDropdown(matchingNodes);
+        if (showDropdown) {
+            this.showSearchResultsDropdown(matchingNodes);
+        }
     }
     
     /**
      * Clear search highlighting
      */
     clearSearchHighlighting() {
-        // Reset all nodes to default state
-        const nodeObjects = this.nodeManager.getAllNodes();
-        for (const id in nodeObjects) {
-            const node = nodeObjects[id];
-            node.material.opacity = 0.85; // Reset to default opacity
-        }
+        this.matchingIds = new Set();
+        this.queryErrors = [];
+        this.textMatches = new Map();
+        this.restoreHighlighting();
         
         // Remove any dropdown
         this.removeSearchResultsDropdown();
     }
     
     /**
-     * Show search results in a dropdown
+     * Restore the selection highlight, or the default state
+     */
+    restoreHighlighting() {
+        if (this.selectionManager) {
+            this.selectionManager.highlightSelection();
+        } else {
+            this.nodeManager.resetNodeStates();
+        }
+    }
+    
+    /**
+     * Get the nodes matching the current search
+     * @returns {Set} - Node IDs, empty when there is no search
+     */
+    getMatchingIds() {
+        return this.matchingIds;
+    }
+    
+    /**
+     * Show query errors, completions and search results in a dropdown
      * @param {Array} results - Array of matching node data objects
      */
     showSearchResultsDropdown(results) {
         // Remove any existing dropdown
         this.removeSearchResultsDropdown();
         
-        // If no results or too many, don't show dropdown
-        if (!results.length || results.length > 10) return;
+        // Completions for the term at the cursor
+        this.suggestions = this.searchInput
+            ? window.graphQuery.getSuggestions(this.searchInput.value, this.searchInput.selectionStart, this.nodesData)
+            : null;
+        this.activeSuggestion = -1;
         
         // Create dropdown
         const dropdown = document.createElement('div');
@@ -156,8 +271,39 @@ class SearchManager {
         // Position dropdown relative to the search input
         // No need to set explicit position values as CSS will handle positioning
         
+        const addLine = (className, text) => {
+            const line = document.createElement('div');
+            line.className = className;
+            line.textContent = text;
+            dropdown.appendChild(line);
+            return line;
+        };
+        
+        // Problems in the query
+        this.queryErrors.forEach(error => addLine('search-error', error.message));
+        
+        // Completions; mousedown keeps the focus in the search input
+        if (this.suggestions) {
+            this.suggestions.items.forEach((suggestion, index) => {
+                const item = addLine('search-suggestion', suggestion.label);
+                const detail = document.createElement('span');
+                detail.className = 'search-suggestion-detail';
+                detail.textContent = suggestion.detail;
+                item.appendChild(detail);
+                
+                item.addEventListener('mousedown', event => {
+                    event.preventDefault();
+                    this.acceptSuggestion(index);
+                });
+            });
+        }
+        
+        if (this.queryErrors.length === 0 && results.length === 0) {
+            addLine('search-empty', 'No matching nodes');
+        }
+        
         // Add results to dropdown
-        results.forEach(node => {
+        results.slice(0, this.maxListedResults).forEach(node => {
             const item = document.createElement('div');
             
             // Highlight node type with color
@@ -190,7 +336,28 @@ class SearchManager {
             }
             
             item.appendChild(typeSpan);
-            item.appendChild(document.createTextNode(node.label));
+            
+            // Mark the words found in the label, and show where else they were found
+            const match = this.textMatches.get(node.id);
+            if (match) {
+                this.appendHighlighted(item, window.searchIndex.highlight(node.label, match.terms));
+                
+                const snippet = window.searchIndex.getSnippet(node.id, match.terms);
+                if (snippet) {
+                    const snippetSpan = document.createElement('span');
+                    snippetSpan.className = 'search-snippet';
+                    
+                    const fieldSpan = document.createElement('span');
+                    fieldSpan.className = 'search-snippet-field';
+                    fieldSpan.textContent = `${snippet.field}: `;
+                    snippetSpan.appendChild(fieldSpan);
+                    
+                    this.appendHighlighted(snippetSpan, snippet.parts);
+                    item.appendChild(snippetSpan);
+                }
+            } else {
+                item.appendChild(document.createTextNode(node.label));
+            }
             
             // Add click handler
             item.addEventListener('click', () => {
@@ -202,6 +369,10 @@ class SearchManager {
             dropdown.appendChild(item);
         });
         
+        if (results.length > this.maxListedResults) {
+            addLine('search-more', `${results.length - this.maxListedResults} more highlighted in the graph`);
+        }
+        
         // Append dropdown to search bar (instead of body)
         const searchBar = document.getElementById('search-bar');
         if (searchBar) {
@@ -212,13 +383,67 @@ class SearchManager {
         }
         
         // Add event listener to close dropdown when clicking outside
-        document.addEventListener('click', this.handleOutsideClick.bind(this));
+        document.addEventListener('click', this.handleOutsideClick);
+    }
+    
+    /**
+     * Append text to an element, wrapping the matching parts in <mark>
+     * @param {HTMLElement} element - Element to append to
+     * @param {Array} parts - [{ text, match }] from SearchIndex
+     */
+    appendHighlighted(element, parts) {
+        parts.forEach(part => {
+            if (part.match) {
+                const mark = document.createElement('mark');
+                mark.textContent = part.text;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(part.text));
+            }
+        });
+    }
+    
+    /**
+     * Replace the term at the cursor with a completion
+     * @param {number} index - Index of the completion
+     */
+    acceptSuggestion(index) {
+        const suggestions = this.suggestions;
+        if (!suggestions || !suggestions.items[index]) return;
+        
+        // A completed value is followed by a space for the next term
+        const item = suggestions.items[index];
+        const value = this.searchInput.value;
+        const rest = value.slice(suggestions.end);
+        const insert = item.complete && !/^\s/.test(rest) ? `${item.insert} ` : item.insert;
+        
+        this.searchInput.value = value.slice(0, suggestions.start) + insert + rest;
+        const caret = suggestions.start + insert.length + (item.complete && insert === item.insert ? 1 : 0);
+        this.searchInput.focus();
+        this.searchInput.setSelectionRange(caret, caret);
+        
+        this.highlightMatchingNodes(this.searchInput.value.trim().toLowerCase());
+    }
+    
+    /**
+     * Mark the completion chosen with the arrow keys
+     */
+    highlightActiveSuggestion() {
+        const dropdown = document.getElementById('search-results-dropdown');
+        if (!dropdown) return;
+        
+        dropdown.querySelectorAll('.search-suggestion').forEach((item, index) => {
+            item.classList.toggle('active', index === this.activeSuggestion);
+        });
     }
     
     /**
      * Remove search results dropdown
      */
     removeSearchResultsDropdown() {
+        this.suggestions = null;
+        this.activeSuggestion = -1;
+        
         const dropdown = document.getElementById('search-results-dropdown');
         if (dropdown) {
             dropdown.remove();
@@ -236,7 +461,9 @@ class SearchManager {
         const dropdown = document.getElementById('search-results-dropdown');
         
         // If clicking outside dropdown and search input, remove dropdown
+        // (a target no longer in the page was an entry of a replaced dropdown)
         if (dropdown && 
+            event.target.isConnected &&
             event.target !== dropdown && 
             !dropdown.contains(event.target) &&
             event.target !== this.searchInput) {
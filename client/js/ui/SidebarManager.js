@@ -1,6 +1,6 @@
 /**
  * SidebarManager.js
- * Manages the sidebar that displays theorem details
+ * Manages the sidebar that displays theorem and edge details
  */
 class SidebarManager {
     constructor(graphManager, nodeManager, edgeManager) {
@@ -14,15 +14,122 @@ class SidebarManager {
         this.contentElement = document.getElementById('theorem-content');
         
         // Theorem details data
-        this.theoremDetails = window.theoremDetails || {};
+        this.theoremDetails = window.graphDataSource.getTheoremDetails();
         
-        // Node data
-        this.nodesData = window.nodes || [];
+        // Node and edge data
+        this.nodesData = window.graphDataSource.getNodes();
+        this.edgesData = window.graphDataSource.getEdges();
+        
+        // Keep data in sync when a new dataset is loaded
+        window.graphDataSource.onDataChange(dataset => {
+            this.theoremDetails = dataset.theoremDetails;
+            this.nodesData = dataset.nodes;
+            this.edgesData = dataset.edges;
+            this.clearDetails();
+        });
+        
+        // Edit mode state and handlers for edit actions
+        this.editMode = false;
+        this.editHandlers = null;
+        
+        // Currently displayed node ID
+        this.currentNodeId = null;
+        
+        // Currently displayed edge data object
+        this.currentEdge = null;
+        
+        // Handlers for data-action buttons, by action name
+        this.actionHandlers = {};
+        
+        // Tool buttons shown with every node's details
+        this.nodeActions = [];
+        
+        // Handle action buttons inside the sidebar content
+        if (this.contentElement) {
+            this.contentElement.addEventListener('click', this.handleActionClick.bind(this));
+        }
+        
+        // Re-render the current node when it is pinned or unpinned (e.g. its Pin button)
+        this.nodeManager.onPinChange(nodeIds => {
+            if (this.currentNodeId && nodeIds.includes(this.currentNodeId)) {
+                this.showNodeDetails(this.currentNodeId);
+            }
+        });
         
         // Initialize LaTeX renderer
         this.initLaTeXRenderer();
     }
     
+    /**
+     * Set handlers for edit actions
+     * @param {Object} handlers - { onEditNode(nodeId), onDeleteNode(nodeId), onDeleteEdge(sourceId, targetId, type) }
+     */
+    setEditHandlers(handlers) {
+        this.editHandlers = handlers;
+    }
+    
+    /**
+     * Enable or disable edit actions in the sidebar
+     * @param {boolean} enabled - Whether edit mode is enabled
+     */
+    setEditMode(enabled) {
+        this.editMode = enabled;
+        
+        // Re-render the current node or edge to show or hide edit actions
+        if (this.currentNodeId) {
+            this.showNodeDetails(this.currentNodeId);
+        } else if (this.currentEdge) {
+            this.showEdgeDetails(this.currentEdge.source, this.currentEdge.target, this.currentEdge.type);
+        }
+    }
+    
+    /**
+     * Register a handler for a data-action button in the sidebar content
+     * @param {string} action - Action name
+     * @param {Function} handler - Called with the button's dataset and the click event
+     */
+    addActionHandler(action, handler) {
+        this.actionHandlers[action] = handler;
+    }
+    
+    /**
+     * Add a tool button to the node details
+     * @param {Object} nodeAction - { action, label, title, handler(nodeId) }; label may be a function of the node ID
+     */
+    addNodeAction(nodeAction) {
+        this.nodeActions.push(nodeAction);
+        this.addActionHandler(nodeAction.action, data => nodeAction.handler(data.nodeId));
+    }
+    
+    /**
+     * Handle clicks on action buttons in the sidebar content
+     * @param {MouseEvent} event - Click event
+     */
+    handleActionClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+        
+        const data = button.dataset;
+        if (this.actionHandlers[data.action]) {
+            this.actionHandlers[data.action](data, event);
+            return;
+        }
+        
+        if (!this.editHandlers) return;
+        
+        switch (data.action) {
+            case 'edit-node':
+                this.editHandlers.onEditNode(data.nodeId);
+                break;
+            case 'delete-node':
+                this.editHandlers.onDeleteNode(data.nodeId);
+                break;
+            case 'delete-edge':
+                this.editHandlers.onDeleteEdge(data.source, data.target, data.type);
+                break;
+        }
+    }
+    
     /**
      * Initialize LaTeX renderer
      */
@@ -51,6 +158,9 @@ class SidebarManager {
         const node = this.nodesData.find(n => n.id === nodeId);
         if (!node) return;
         
+        this.currentNodeId = nodeId;
+        this.currentEdge = null;
+        
         // Get detailed info if available, otherwise use basic node info
         const theorem = this.theoremDetails[nodeId] || {
             title: node.label || 'Unknown',
@@ -79,6 +189,81 @@ class SidebarManager {
         }, 100);
     }
     
+    /**
+     * Show details for a specific edge
+     * @param {string} sourceId - Source node ID
+     * @param {string} targetId - Target node ID
+     * @param {string} type - Edge type
+     */
+    async showEdgeDetails(sourceId, targetId, type) {
+        if (!this.sidebar || !this.titleElement || !this.contentElement) return;
+        
+        const edge = this.edgesData.find(e => e.source === sourceId && e.target === targetId && e.type === type);
+        if (!edge) return;
+        
+        this.currentNodeId = null;
+        this.currentEdge = edge;
+        
+        const sourceNode = this.nodesData.find(n => n.id === sourceId);
+        const targetNode = this.nodesData.find(n => n.id === targetId);
+        const sourceLabel = sourceNode ? sourceNode.label : sourceId;
+        const targetLabel = targetNode ? targetNode.label : targetId;
+        
+        this.titleElement.textContent = `${sourceLabel} \u2192 ${targetLabel}`;
+        this.contentElement.innerHTML = this.buildEdgeContent(edge, sourceLabel, targetLabel);
+        this.sidebar.classList.remove('hidden');
+        
+        // Descriptions and justifications may contain LaTeX
+        setTimeout(() => {
+            this.renderLaTeX();
+        }, 100);
+    }
+    
+    /**
+     * Build HTML content for edge details
+     * @param {Object} edge - Edge data object
+     * @param {string} sourceLabel - Label of the source node
+     * @param {string} targetLabel - Label of the target node
+     * @returns {string} - HTML content
+     */
+    buildEdgeContent(edge, sourceLabel, targetLabel) {
+        const source = window.domUtils.escapeHtml(edge.source);
+        const target = window.domUtils.escapeHtml(edge.target);
+        const type = window.domUtils.escapeHtml(edge.type);
+        const from = window.domUtils.escapeHtml(sourceLabel);
+        const to = window.domUtils.escapeHtml(targetLabel);
+        
+        return `
+            ${this.editMode && this.editHandlers ? `
+                <div class="edit-actions">
+                    <button data-action="delete-edge" data-source="${source}" data-target="${target}"
+                        data-type="${type}" class="danger">Delete edge</button>
+                </div>
+            ` : ''}
+            <div class="node-type">${type}</div>
+            <div class="edge-endpoints">
+                <div><strong>From:</strong>
+                    <button class="edge-endpoint" data-action="select-node" data-node-id="${source}">${from}</button>
+                </div>
+                <div><strong>To:</strong>
+                    <button class="edge-endpoint" data-action="select-node" data-node-id="${target}">${to}</button>
+                </div>
+                <p class="edge-direction">${to} builds on ${from}.</p>
+            </div>
+            ${edge.description ? `
+                <h3>Description</h3>
+                <p>${window.domUtils.escapeHtml(edge.description)}</p>
+            ` : ''}
+            ${edge.justification ? `
+                <h3>Justification</h3>
+                <p>${window.domUtils.escapeHtml(edge.justification)}</p>
+            ` : ''}
+            ${!edge.description && !edge.justification ? `
+                <p class="edge-no-details">No description for this relationship yet.</p>
+            ` : ''}
+        `;
+    }
+    
     /**
      * Build HTML content for theorem details
      * @param {Object} theorem - Theorem details object
@@ -87,40 +272,43 @@ class SidebarManager {
      */
     buildTheoremContent(theorem, nodeId) {
         return `
-            <div class="node-type">${theorem.node_type}</div>
+            ${this.buildEditActions(nodeId)}
+            ${this.buildNodeActions(nodeId)}
+            <div class="node-type">${window.domUtils.escapeHtml(theorem.node_type)}</div>
             ${theorem.tags && theorem.tags.length > 0 ? `
                 <div class="tags">
-                    ${theorem.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+                    ${theorem.tags.map(tag => `<span class="tag">${window.domUtils.escapeHtml(tag)}</span>`).join('')}
                 </div>
             ` : ''}
             <div class="theorem-statement">
                 <h3>Statement</h3>
-                <p>${theorem.statement}</p>
+                <p>${window.domUtils.escapeHtml(theorem.statement)}</p>
             </div>
             ${theorem.statement_latex ? `
                 <div class="latex-statement">
                     <p>Mathematical Form:</p>
-                    <div class="latex-formula" id="latex-formula-${nodeId}">$${theorem.statement_latex}$$</div>
+                    <div class="latex-formula" id="latex-formula-${window.domUtils.escapeHtml(nodeId)}">$${window.domUtils.escapeHtml(theorem.statement_latex)}$$</div>
                 </div>
             ` : ''}
             <h3>Explanation</h3>
-            <p>${theorem.explanation}</p>
+            <p>${window.domUtils.escapeHtml(theorem.explanation)}</p>
             <h3>Prerequisites</h3>
-            <p>${theorem.prerequisites}</p>
+            <p>${window.domUtils.escapeHtml(theorem.prerequisites)}</p>
             ${theorem.proof_sketch ? `
                 <h3>Proof Sketch</h3>
-                <p>${theorem.proof_sketch}</p>
+                <p>${window.domUtils.escapeHtml(theorem.proof_sketch)}</p>
             ` : ''}
             <div class="applications">
                 <h3>Applications</h3>
-                <p>${theorem.applications}</p>
+                <p>${window.domUtils.escapeHtml(theorem.applications)}</p>
             </div>
             ${theorem.papers && theorem.papers.length > 0 ? `
                 <div class="papers">
                     <h3>Related Papers</h3>
                     <ul>
                         ${theorem.papers.map(paper => 
-                            `<li><a href="#">${paper.title}</a> (${paper.author}, ${paper.year})</li>`
+                            `<li><em>${window.domUtils.escapeHtml(paper.title)}</em> ` +
+                            `(${window.domUtils.escapeHtml(paper.author)}, ${window.domUtils.escapeHtml(paper.year)})</li>`
                         ).join('')}
                     </ul>
                 </div>
@@ -153,6 +341,66 @@ class SidebarManager {
         }
     }
     
+    /**
+     * Build HTML for the node edit actions (edit mode only)
+     * @param {string} nodeId - Node ID
+     * @returns {string} - HTML content
+     */
+    buildEditActions(nodeId) {
+        if (!this.editMode || !this.editHandlers) return '';
+        
+        return `
+            <div class="edit-actions">
+                <button data-action="edit-node" data-node-id="${window.domUtils.escapeHtml(nodeId)}">Edit</button>
+                <button data-action="delete-node" data-node-id="${window.domUtils.escapeHtml(nodeId)}" class="danger">Delete</button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Build HTML for the node tool buttons
+     * @param {string} nodeId - Node ID
+     * @returns {string} - HTML content
+     */
+    buildNodeActions(nodeId) {
+        if (this.nodeActions.length === 0) return '';
+        
+        return `
+            <div class="node-actions">
+                ${this.nodeActions.map(nodeAction =>
+                    `<button data-action="${nodeAction.action}" data-node-id="${window.domUtils.escapeHtml(nodeId)}"` +
+                    ` title="${nodeAction.title || ''}">` +
+                    `${typeof nodeAction.label === 'function' ? nodeAction.label(nodeId) : nodeAction.label}</button>`
+                ).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * Build the type tag of an edge, which opens the edge's details
+     * @param {Object} edge - Edge data object
+     * @returns {string} - HTML content
+     */
+    buildEdgeTypeLink(edge) {
+        const type = window.domUtils.escapeHtml(edge.type);
+        return '<span class="edge-type" title="Show relationship details" data-action="select-edge" ' +
+            `data-source="${window.domUtils.escapeHtml(edge.source)}" data-target="${window.domUtils.escapeHtml(edge.target)}" ` +
+            `data-type="${type}">${type}</span>`;
+    }
+    
+    /**
+     * Build the delete button for an edge (edit mode only)
+     * @param {Object} edge - Edge data object
+     * @returns {string} - HTML content
+     */
+    buildEdgeDeleteButton(edge) {
+        if (!this.editMode || !this.editHandlers) return '';
+        
+        return '<button class="edge-delete" title="Remove edge" data-action="delete-edge" ' +
+            `data-source="${window.domUtils.escapeHtml(edge.source)}" data-target="${window.domUtils.escapeHtml(edge.target)}" ` +
+            `data-type="${window.domUtils.escapeHtml(edge.type)}">&times;</button>`;
+    }
+    
     /**
      * Build HTML for relationships section
      * @param {string} nodeId - Node ID
@@ -162,30 +410,57 @@ class SidebarManager {
         let content = '<h3>Relationships</h3>';
         
         // Find incoming edges (dependencies)
-        const incomingEdges = window.edges.filter(e => e.target === nodeId);
+        const incomingEdges = this.edgesData.filter(e => e.target === nodeId);
         if (incomingEdges.length > 0) {
             content += '<div><strong>Depends on:</strong> ';
             content += incomingEdges.map(e => {
                 const sourceNode = this.nodesData.find(n => n.id === e.source);
-                return `<span class="edge-type">${e.type}</span> ${sourceNode ? sourceNode.label : e.source}`;
+                return `${this.buildEdgeTypeLink(e)} ${window.domUtils.escapeHtml(sourceNode ? sourceNode.label : e.source)}` +
+                    this.buildEdgeDeleteButton(e);
             }).join(', ');
             content += '</div>';
         }
         
         // Find outgoing edges (uses)
-        const outgoingEdges = window.edges.filter(e => e.source === nodeId);
+        const outgoingEdges = this.edgesData.filter(e => e.source === nodeId);
         if (outgoingEdges.length > 0) {
             content += '<div><strong>Used in:</strong> ';
             content += outgoingEdges.map(e => {
                 const targetNode = this.nodesData.find(n => n.id === e.target);
-                return `<span class="edge-type">${e.type}</span> ${targetNode ? targetNode.label : e.target}`;
+                return `${this.buildEdgeTypeLink(e)} ${window.domUtils.escapeHtml(targetNode ? targetNode.label : e.target)}` +
+                    this.buildEdgeDeleteButton(e);
             }).join(', ');
             content += '</div>';
         }
         
+        // Everything the node ultimately rests on and everything built on it
+        content += this.buildClosureSummary(nodeId);
+        
         return content;
     }
     
+    /**
+     * Build HTML for the transitive prerequisite and consequence counts by depth
+     * @param {string} nodeId - Node ID
+     * @returns {string} - HTML content
+     */
+    buildClosureSummary(nodeId) {
+        const rows = [
+            { label: 'All prerequisites', direction: 'backward' },
+            { label: 'All consequences', direction: 'forward' }
+        ];
+        
+        return rows.map(row => {
+            const depths = window.graphAlgorithms.closure(this.edgesData, nodeId, { direction: row.direction });
+            if (depths.size === 0) return '';
+            
+            const counts = window.graphAlgorithms.countByDepth(depths).slice(1);
+            return `<div class="closure-summary"><strong>${row.label}:</strong> ${depths.size} ` +
+                '<span class="depth-counts" title="Nodes at each depth, nearest first">' +
+                `(by depth: ${counts.join(', ')})</span></div>`;
+        }).join('');
+    }
+    
     /**
      * Hide the sidebar
      */
@@ -204,10 +479,28 @@ class SidebarManager {
         }
     }
     
+    /**
+     * Show custom content in the sidebar instead of node details
+     * @param {string} title - Sidebar title
+     * @param {string} html - HTML content
+     */
+    showCustomContent(title, html) {
+        if (!this.sidebar || !this.titleElement || !this.contentElement) return;
+        
+        this.currentNodeId = null;
+        this.currentEdge = null;
+        this.titleElement.textContent = title;
+        this.contentElement.innerHTML = html;
+        this.sidebar.classList.remove('hidden');
+    }
+    
     /**
      * Clear sidebar details
      */
     clearDetails() {
+        this.currentNodeId = null;
+        this.currentEdge = null;
+        
         if (this.titleElement) {
             this.titleElement.textContent = 'Select a theorem';
         }
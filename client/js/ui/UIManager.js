@@ -45,6 +45,13 @@ class UIManager {
             'generalizes': '#FF7043'
         };
         
+        // Default dash pattern of each edge type (inputs are '<first word>-dash')
+        this.defaultEdgeDashes = {
+            'depends_on': 'solid',
+            'proves': 'dashed',
+            'generalizes': 'dotted'
+        };
+        
         // Initialize UI controls
         this.initUIControls();
     }
@@ -71,6 +78,9 @@ class UIManager {
         // Node spacing slider
         this.initNodeSpacingSlider();
         
+        // Dataset loading (file picker and drag and drop)
+        this.initDataControls();
+        
         // Top-right controls
         this.initTopControls();
         
@@ -87,11 +97,15 @@ class UIManager {
         
         button.addEventListener('click', () => {
             this.graphManager.toggleDimension();
-            button.textContent = this.graphManager.is2DMode ? '3D View' : '2D View';
+        });
+        
+        // Also follow switches made through undo/redo or the API
+        this.graphManager.onDimensionChange(is2DMode => {
+            button.textContent = is2DMode ? '3D View' : '2D View';
             
             // Update force simulation dimension mode
             if (this.forceSimulation) {
-                this.forceSimulation.setDimensionMode(this.graphManager.is2DMode);
+                this.forceSimulation.setDimensionMode(is2DMode);
             }
         });
     }
@@ -196,6 +210,66 @@ class UIManager {
         });
     }
     
+    /**
+     * Initialize dataset loading controls
+     * Supports a file picker button and dropping a JSON file onto the page
+     */
+    initDataControls() {
+        const button = document.getElementById('load-data');
+        const fileInput = document.getElementById('data-file-input');
+        
+        if (button && fileInput) {
+            button.addEventListener('click', () => {
+                fileInput.click();
+            });
+            
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) {
+                    this.loadDataFile(fileInput.files[0]);
+                }
+                
+                // Allow selecting the same file again
+                fileInput.value = '';
+            });
+        }
+        
+        // Drag and drop onto the page
+        document.addEventListener('dragover', (event) => {
+            if (event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files')) {
+                event.preventDefault();
+                document.body.classList.add('drag-over');
+            }
+        });
+        
+        document.addEventListener('dragleave', (event) => {
+            if (!event.relatedTarget) {
+                document.body.classList.remove('drag-over');
+            }
+        });
+        
+        document.addEventListener('drop', (event) => {
+            document.body.classList.remove('drag-over');
+            
+            if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+            
+            event.preventDefault();
+            this.loadDataFile(event.dataTransfer.files[0]);
+        });
+    }
+    
+    /**
+     * Load a dataset file and report the result
+     * @param {File} file - JSON dataset file
+     */
+    loadDataFile(file) {
+        this.setStatusMessage(`Loading ${file.name}...`);
+        
+        window.graphDataSource.loadFromFile(file).catch(error => {
+            console.error('Failed to load dataset file:', error);
+            this.setStatusMessage(error.message, 8000);
+        });
+    }
+    
     /**
      * Initialize top controls
      */
@@ -313,6 +387,18 @@ class UIManager {
                     this.resetSettings();
                 });
             }
+            
+            // Show the theta value while dragging
+            const thetaInput = settingsModal.querySelector('#barnes-hut-theta');
+            if (thetaInput) {
+                thetaInput.addEventListener('input', () => this.updateThetaLabel());
+            }
+            
+            // Show the label density while dragging
+            const densityInput = settingsModal.querySelector('#label-density');
+            if (densityInput) {
+                densityInput.addEventListener('input', () => this.updateLabelDensityLabel());
+            }
         }
     }
     
@@ -369,6 +455,41 @@ class UIManager {
             }
         }
         
+        // Set edge styles
+        if (window.themeManager) {
+            for (const edgeType in this.defaultEdgeDashes) {
+                const select = document.getElementById(this.getEdgeDashInputId(edgeType));
+                if (select) {
+                    select.value = window.themeManager.getEdgeStyle(edgeType).dash;
+                }
+            }
+            
+            const curveInput = document.getElementById('curve-bidirectional');
+            if (curveInput) {
+                curveInput.checked = window.themeManager.curveBidirectionalEdges;
+            }
+        }
+        
+        // Set edge flow animation
+        const flowInput = document.getElementById('edge-flow');
+        if (flowInput && this.graphManager.edgeFlow) {
+            flowInput.checked = this.graphManager.edgeFlow.enabled;
+        }
+        
+        // Set force layout approximation
+        const thetaInput = document.getElementById('barnes-hut-theta');
+        if (thetaInput && this.forceSimulation) {
+            thetaInput.value = this.forceSimulation.theta;
+            this.updateThetaLabel();
+        }
+        
+        // Set label density
+        const densityInput = document.getElementById('label-density');
+        if (densityInput && this.graphManager.levelOfDetail) {
+            densityInput.value = Math.round(this.graphManager.levelOfDetail.labelDensity * 100);
+            this.updateLabelDensityLabel();
+        }
+        
         // Set background color
         const backgroundInput = document.getElementById('background-color');
         if (backgroundInput) {
@@ -389,6 +510,8 @@ class UIManager {
      * Apply settings from the settings modal
      */
     applySettings() {
+        const before = this.getSettingsSnapshot();
+        
         // Get theme mode
         const themeMode = document.getElementById('theme-mode');
         if (themeMode) {
@@ -424,12 +547,43 @@ class UIManager {
                 }
             }
             
+            // Update edge styles
+            for (const edgeType in this.defaultEdgeDashes) {
+                const select = document.getElementById(this.getEdgeDashInputId(edgeType));
+                if (select) {
+                    window.themeManager.setEdgeStyle(edgeType, { dash: select.value });
+                }
+            }
+            
+            const curveInput = document.getElementById('curve-bidirectional');
+            if (curveInput) {
+                window.themeManager.curveBidirectionalEdges = curveInput.checked;
+            }
+            
             // Dispose of cached materials to force recreation with new colors
             if (typeof window.themeManager.disposeMaterials === 'function') {
                 window.themeManager.disposeMaterials();
             }
         }
         
+        // Apply edge flow animation
+        const flowInput = document.getElementById('edge-flow');
+        if (flowInput && this.graphManager.edgeFlow) {
+            this.graphManager.edgeFlow.setEnabled(flowInput.checked);
+        }
+        
+        // Apply force layout approximation
+        const thetaInput = document.getElementById('barnes-hut-theta');
+        if (thetaInput && this.forceSimulation) {
+            this.forceSimulation.setTheta(parseFloat(thetaInput.value));
+        }
+        
+        // Apply label density
+        const densityInput = document.getElementById('label-density');
+        if (densityInput && this.graphManager.levelOfDetail) {
+            this.graphManager.levelOfDetail.setLabelDensity(parseInt(densityInput.value, 10) / 100);
+        }
+        
         // Apply background color
         const backgroundInput = document.getElementById('background-color');
         if (backgroundInput && this.graphManager && this.graphManager.scene) {
@@ -440,9 +594,85 @@ class UIManager {
         // Update all nodes and edges
         this.updateAllGraphElements();
         
+        // Record the change so it can be undone
+        const after = this.getSettingsSnapshot();
+        if (window.historyManager) {
+            window.historyManager.record({
+                label: 'Change settings',
+                undo: () => this.applySettingsSnapshot(before),
+                redo: () => this.applySettingsSnapshot(after)
+            });
+        }
+        
         console.log('Settings applied');
     }
     
+    /**
+     * Capture the current theme and colors
+     * @returns {Object} - Settings snapshot
+     */
+    getSettingsSnapshot() {
+        const themeManager = window.themeManager;
+        const background = this.graphManager && this.graphManager.scene && this.graphManager.scene.background;
+        const levelOfDetail = this.graphManager && this.graphManager.levelOfDetail;
+        const edgeFlow = this.graphManager && this.graphManager.edgeFlow;
+        
+        return {
+            theme: this.currentTheme,
+            nodeColors: themeManager ? { ...themeManager.nodeColors } : {},
+            edgeColors: themeManager ? { ...themeManager.edgeColors } : {},
+            edgeStyles: themeManager ? JSON.parse(JSON.stringify(themeManager.edgeStyles)) : {},
+            curveBidirectionalEdges: themeManager ? themeManager.curveBidirectionalEdges : true,
+            background: background ? '#' + background.getHexString() : this.themeColors[this.currentTheme].background,
+            theta: this.forceSimulation ? this.forceSimulation.theta : undefined,
+            labelDensity: levelOfDetail ? levelOfDetail.labelDensity : undefined,
+            edgeFlow: edgeFlow ? edgeFlow.enabled : undefined
+        };
+    }
+    
+    /**
+     * Restore theme and colors from a snapshot
+     * @param {Object} snapshot - Snapshot from getSettingsSnapshot
+     */
+    applySettingsSnapshot(snapshot) {
+        this.applyTheme(snapshot.theme);
+        
+        if (window.themeManager) {
+            Object.assign(window.themeManager.nodeColors, snapshot.nodeColors);
+            Object.assign(window.themeManager.edgeColors, snapshot.edgeColors);
+            
+            // Snapshots from before edge styles existed keep the current ones
+            if (snapshot.edgeStyles) {
+                window.themeManager.edgeStyles = JSON.parse(JSON.stringify(snapshot.edgeStyles));
+            }
+            if (snapshot.curveBidirectionalEdges !== undefined) {
+                window.themeManager.curveBidirectionalEdges = snapshot.curveBidirectionalEdges;
+            }
+            
+            if (typeof window.themeManager.disposeMaterials === 'function') {
+                window.themeManager.disposeMaterials();
+            }
+        }
+        
+        if (this.graphManager && this.graphManager.scene) {
+            this.graphManager.scene.background = new THREE.Color(snapshot.background);
+        }
+        
+        if (this.forceSimulation && snapshot.theta !== undefined) {
+            this.forceSimulation.setTheta(snapshot.theta);
+        }
+        
+        if (this.graphManager && this.graphManager.levelOfDetail && snapshot.labelDensity !== undefined) {
+            this.graphManager.levelOfDetail.setLabelDensity(snapshot.labelDensity);
+        }
+        
+        if (this.graphManager && this.graphManager.edgeFlow && snapshot.edgeFlow !== undefined) {
+            this.graphManager.edgeFlow.setEnabled(snapshot.edgeFlow);
+        }
+        
+        this.updateAllGraphElements();
+    }
+    
     /**
      * Reset settings to defaults
      */
@@ -470,15 +700,78 @@ class UIManager {
             }
         }
         
+        // Reset edge styles in UI
+        for (const edgeType in this.defaultEdgeDashes) {
+            const select = document.getElementById(this.getEdgeDashInputId(edgeType));
+            if (select) {
+                select.value = this.defaultEdgeDashes[edgeType];
+            }
+        }
+        
+        const curveInput = document.getElementById('curve-bidirectional');
+        if (curveInput) {
+            curveInput.checked = true;
+        }
+        
+        const flowInput = document.getElementById('edge-flow');
+        if (flowInput) {
+            flowInput.checked = true;
+        }
+        
         // Reset background color in UI
         const backgroundInput = document.getElementById('background-color');
         if (backgroundInput) {
             backgroundInput.value = '#000000';
         }
         
+        // Reset force layout approximation in UI
+        const thetaInput = document.getElementById('barnes-hut-theta');
+        if (thetaInput) {
+            thetaInput.value = 0.8;
+            this.updateThetaLabel();
+        }
+        
+        // Reset label density in UI
+        const densityInput = document.getElementById('label-density');
+        if (densityInput) {
+            densityInput.value = 60;
+            this.updateLabelDensityLabel();
+        }
+        
         console.log('Settings reset to defaults');
     }
     
+    /**
+     * Get the ID of the dash pattern select of an edge type
+     * @param {string} edgeType - Edge type, e.g. 'depends_on'
+     * @returns {string} - Element ID, e.g. 'depends-dash'
+     */
+    getEdgeDashInputId(edgeType) {
+        return edgeType.split('_')[0] + '-dash';
+    }
+    
+    /**
+     * Show the value of the theta slider next to it
+     */
+    updateThetaLabel() {
+        const thetaInput = document.getElementById('barnes-hut-theta');
+        const thetaValue = document.getElementById('barnes-hut-theta-value');
+        if (thetaInput && thetaValue) {
+            thetaValue.textContent = parseFloat(thetaInput.value).toFixed(1);
+        }
+    }
+    
+    /**
+     * Show the value of the label density slider next to it
+     */
+    updateLabelDensityLabel() {
+        const densityInput = document.getElementById('label-density');
+        const densityValue = document.getElementById('label-density-value');
+        if (densityInput && densityValue) {
+            densityValue.textContent = `${densityInput.value}%`;
+        }
+    }
+    
     /**
      * Toggle theme between dark and light
      */
@@ -624,23 +917,13 @@ class UIManager {
         if (this.nodeManager) {
             const allNodes = this.nodeManager.getAllNodes();
             for (const nodeId in allNodes) {
-                const node = allNodes[nodeId];
-                const nodeType = node.userData.nodeType;
-                
-                // Get the appropriate material based on node state
+                // Get the appropriate state
                 const isSelected = window.WTG.selectionManager && 
                                 window.WTG.selectionManager.getSelectedNodeId() === nodeId;
                 const state = isSelected ? 'selected' : 'default';
                 
-                // Update node material
-                const oldMaterial = node.material;
-                const newMaterial = window.themeManager.getNodeMaterial(nodeType, state);
-                node.material = newMaterial;
-                
-                // Dispose of old material
-                if (oldMaterial) {
-                    oldMaterial.dispose();
-                }
+                // Update node state
+                this.nodeManager.updateNodeState(nodeId, state);
             }
         }
         
@@ -648,18 +931,12 @@ class UIManager {
         if (this.edgeManager) {
             const allEdges = this.edgeManager.getAllEdges();
             allEdges.forEach(edge => {
-                const edgeType = edge.userData.type;
-                
-                // Update edge material
-                const oldMaterial = edge.material;
-                const newMaterial = window.themeManager.getEdgeMaterial(edgeType, 'default');
-                edge.material = newMaterial;
-                
-                // Dispose of old material
-                if (oldMaterial) {
-                    oldMaterial.dispose();
-                }
+                // Update edge state
+                this.edgeManager.updateEdgeState(edge, 'default');
             });
+            
+            // Pick up the new type colors
+            this.edgeManager.refreshStyles();
         }
     }
     
@@ -702,6 +979,19 @@ class UIManager {
                 <option value="concentric">Concentric</option>
                 <option value="clustered">Clustered</option>
             </select>
+            <label for="level-source" style="display: block; margin-bottom: 5px;">Hierarchy Levels</label>
+            <select id="level-source" style="width: 100%; margin-bottom: 8px; background-color: rgba(52, 152, 219, 0.2); color: white; border: 1px solid rgba(255,255,255,0.3); padding: 4px;">
+                ${Object.keys(layoutManager.levelSources).map(source =>
+                    `<option value="${source}">${layoutManager.levelSources[source]}</option>`
+                ).join('')}
+            </select>
+            <label for="layout-direction" style="display: block; margin-bottom: 5px;">Hierarchy Direction</label>
+            <select id="layout-direction" style="width: 100%; margin-bottom: 8px; background-color: rgba(52, 152, 219, 0.2); color: white; border: 1px solid rgba(255,255,255,0.3); padding: 4px;">
+                ${Object.keys(layoutManager.directions).map(direction =>
+                    `<option value="${direction}">${layoutManager.directions[direction]}</option>`
+                ).join('')}
+            </select>
+            <button id="check-levels-button">Check Levels</button>
         `;
         
         controls.appendChild(layoutSection);
@@ -711,17 +1001,29 @@ class UIManager {
         if (selector) {
             selector.addEventListener('change', () => {
                 const layout = selector.value;
-                layoutManager.switchLayout(layout);
                 
-                // Toggle forces off if not using force layout
+                // Toggle forces off if not using force layout, so they don't undo the layout
                 if (layout !== 'force' && this.forceSimulation) {
-                    this.forceSimulation.useForces = false;
-                    const forcesButton = document.getElementById('toggle-forces');
-                    if (forcesButton) {
-                        forcesButton.classList.remove('active');
-                        forcesButton.textContent = 'Enable Forces';
-                    }
+                    this.forceSimulation.setForcesEnabled(false);
                 }
+                
+                layoutManager.switchLayout(layout);
+            });
+        }
+        
+        const levelSource = document.getElementById('level-source');
+        if (levelSource) {
+            levelSource.value = layoutManager.config.hierarchical.levelSource;
+            levelSource.addEventListener('change', () => {
+                layoutManager.setLevelSource(levelSource.value);
+            });
+        }
+        
+        const direction = document.getElementById('layout-direction');
+        if (direction) {
+            direction.value = layoutManager.config.hierarchical.direction;
+            direction.addEventListener('change', () => {
+                layoutManager.setDirection(direction.value);
             });
         }
     }
@@ -0,0 +1,246 @@
+/**
+ * UrlStateManager.js
+ * Keeps the view state (selected node, 2D/3D, layout, camera, search) in the
+ * URL hash so links open the same view, and lets back/forward step through
+ * the selection history
+ *
+ * Hash format: #node=<id>&mode=2d&layout=<type>&cam=x,y,z&target=x,y,z&q=<search>
+ */
+class UrlStateManager {
+    constructor(graphManager, cameraController, selectionManager, searchManager, layoutManager, forceSimulation) {
+        this.graphManager = graphManager;
+        this.cameraController = cameraController;
+        this.selectionManager = selectionManager;
+        this.searchManager = searchManager;
+        this.layoutManager = layoutManager;
+        this.forceSimulation = forceSimulation;
+
+        // True while state from the URL is applied, so it isn't written back
+        this.isApplying = false;
+
+        // Camera changes are written at most this often (ms)
+        this.cameraCheckInterval = 1000;
+        this.cameraTimer = null;
+        this.lastCameraParams = '';
+
+        // Search changes are written after typing pauses (ms)
+        this.searchDelay = 500;
+        this.searchTimer = null;
+    }
+
+    /**
+     * Apply the state in the current URL and start keeping the URL updated
+     */
+    start() {
+        this.applyState(this.parseHash(window.location.hash), true);
+
+        // A selection change creates a browser history entry
+        this.selectionManager.onSelectionChange(() => this.updateUrl(true));
+
+        // Other changes replace the current entry
+        this.graphManager.onDimensionChange(() => this.updateUrl(false));
+        if (this.layoutManager) {
+            this.layoutManager.onLayoutChange(() => this.updateUrl(false));
+        }
+
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.updateUrl(false), this.searchDelay);
+            });
+        }
+
+        // The camera moves in many ways (dragging, zooming, focus animations), so poll it
+        this.lastCameraParams = this.getCameraParams();
+        this.cameraTimer = setInterval(() => {
+            const cameraParams = this.getCameraParams();
+            if (cameraParams !== this.lastCameraParams) {
+                this.lastCameraParams = cameraParams;
+                this.updateUrl(false);
+            }
+        }, this.cameraCheckInterval);
+
+        // Back/forward
+        window.addEventListener('popstate', () => {
+            this.applyState(this.parseHash(window.location.hash), false);
+        });
+    }
+
+    /**
+     * Stop polling the camera
+     */
+    stop() {
+        clearInterval(this.cameraTimer);
+        clearTimeout(this.searchTimer);
+        this.cameraTimer = null;
+    }
+
+    /**
+     * Parse a URL hash into a state object
+     * @param {string} hash - URL hash (with or without the leading #)
+     * @returns {Object} - { node, mode, layout, cam, target, q }; missing values are undefined
+     */
+    parseHash(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const state = {};
+
+        if (params.get('node')) {
+            state.node = params.get('node');
+        }
+        if (params.get('mode') === '2d' || params.get('mode') === '3d') {
+            state.mode = params.get('mode');
+        }
+        if (params.get('layout')) {
+            state.layout = params.get('layout');
+        }
+        if (params.has('q')) {
+            state.q = params.get('q');
+        }
+
+        const cam = this.parseVector(params.get('cam'));
+        const target = this.parseVector(params.get('target'));
+        if (cam && target) {
+            state.cam = cam;
+            state.target = target;
+        }
+
+        return state;
+    }
+
+    /**
+     * Parse an "x,y,z" vector
+     * @param {string} text - Vector text
+     * @returns {Array} - [x, y, z] or null if invalid
+     */
+    parseVector(text) {
+        if (!text) return null;
+
+        const values = text.split(',').map(Number);
+        if (values.length !== 3 || values.some(value => !Number.isFinite(value))) {
+            return null;
+        }
+        return values;
+    }
+
+    /**
+     * Build the URL hash for the current view
+     * @returns {string} - Hash including the leading #, or '' for the default view
+     */
+    buildHash() {
+        const params = new URLSearchParams();
+
+        const selectedId = this.selectionManager.getSelectedNodeId();
+        if (selectedId) {
+            params.set('node', selectedId);
+        }
+        if (this.graphManager.is2DMode) {
+            params.set('mode', '2d');
+        }
+        if (this.layoutManager && this.layoutManager.currentLayout !== this.layoutManager.layoutTypes.FORCE_DIRECTED) {
+            params.set('layout', this.layoutManager.currentLayout);
+        }
+
+        const cameraParams = this.getCameraParams();
+        if (cameraParams) {
+            cameraParams.split('&').forEach(pair => {
+                const [key, value] = pair.split('=');
+                params.set(key, value);
+            });
+        }
+
+        const query = this.searchManager ? this.searchManager.getQuery() : '';
+        if (query) {
+            params.set('q', query);
+        }
+
+        // Commas are valid in a URL fragment; keep vectors readable
+        const hash = params.toString().replace(/%2C/g, ',');
+        return hash ? `#${hash}` : '';
+    }
+
+    /**
+     * Get the camera pose as hash parameters
+     * @returns {string} - "cam=x,y,z&target=x,y,z"
+     */
+    getCameraParams() {
+        const state = this.cameraController.getState();
+        const format = vector => vector.map(value => Math.round(value * 10) / 10).join(',');
+        return `cam=${format(state.position)}&target=${format(state.target)}`;
+    }
+
+    /**
+     * Write the current view to the URL
+     * @param {boolean} push - Create a new history entry instead of replacing the current one
+     */
+    updateUrl(push) {
+        if (this.isApplying) return;
+
+        const hash = this.buildHash();
+        if (hash === window.location.hash) return;
+
+        const url = window.location.pathname + window.location.search + hash;
+        if (push) {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
+        }
+    }
+
+    /**
+     * Apply a state parsed from the URL
+     * Changes are not recorded in the undo history
+     * @param {Object} state - State from parseHash
+     * @param {boolean} initial - Whether this is the state the page was opened with
+     */
+    applyState(state, initial) {
+        this.isApplying = true;
+
+        window.historyManager.replay(() => {
+            // Layout (only on open; back/forward steps through selections)
+            if (initial && state.layout && this.layoutManager) {
+                if (state.layout !== this.layoutManager.layoutTypes.FORCE_DIRECTED) {
+                    this.forceSimulation.setForcesEnabled(false);
+                }
+                if (this.layoutManager.switchLayout(state.layout, false)) {
+                    const selector = document.getElementById('layout-selector');
+                    if (selector) {
+                        selector.value = this.layoutManager.currentLayout;
+                    }
+                }
+            }
+
+            // 2D/3D mode
+            const is2D = state.mode === '2d';
+            if (initial && is2D !== this.graphManager.is2DMode) {
+                this.graphManager.toggleDimension();
+            }
+
+            // Search
+            if (this.searchManager && (initial || state.q !== undefined)) {
+                this.searchManager.setQuery(state.q || '');
+            }
+
+            // Selection, focusing the camera on it unless the link has a camera pose
+            if (state.node) {
+                this.selectionManager.selectNode(state.node, { focus: !state.cam });
+            } else {
+                this.selectionManager.clearSelection();
+            }
+
+            if (state.cam) {
+                this.cameraController.setState({ position: state.cam, target: state.target });
+            }
+        }, 'apply URL state');
+
+        this.lastCameraParams = this.getCameraParams();
+        this.isApplying = false;
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = UrlStateManager;
+} else {
+    window.UrlStateManager = UrlStateManager;
+}
\ No newline at end of file
@@ -0,0 +1,156 @@
+/**
+ * ValidationPanel.js
+ * Displays a dataset integrity report in a dismissible panel
+ */
+class ValidationPanel {
+    constructor(selectionManager, edgeManager) {
+        this.selectionManager = selectionManager;
+        this.edgeManager = edgeManager;
+
+        // Panel element (created on first show)
+        this.panel = null;
+
+        // Most recently displayed report
+        this.report = null;
+
+        // Labels for each severity
+        this.severityLabels = {
+            error: 'Errors',
+            warning: 'Warnings',
+            info: 'Notes'
+        };
+    }
+
+    /**
+     * Create the panel element
+     */
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'validation-panel';
+        this.panel.className = 'hidden';
+        this.panel.innerHTML = `
+            <div class="validation-header">
+                <h3>Data Integrity</h3>
+                <span class="close" title="Dismiss">&times;</span>
+            </div>
+            <div class="validation-summary"></div>
+            <label class="validation-show-notes">
+                <input type="checkbox" id="validation-show-notes"> Show notes
+            </label>
+            <div class="validation-issues"></div>
+        `;
+
+        document.body.appendChild(this.panel);
+
+        this.panel.querySelector('.close').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.panel.querySelector('#validation-show-notes').addEventListener('change', () => {
+            this.renderIssues();
+        });
+
+        // Select the node an issue refers to, or highlight a cycle
+        this.panel.querySelector('.validation-issues').addEventListener('click', (event) => {
+            const cycleLink = event.target.closest('[data-cycle-issue]');
+            if (cycleLink) {
+                event.preventDefault();
+                this.highlightCycle(this.report.issues[parseInt(cycleLink.dataset.cycleIssue, 10)].cycle);
+                return;
+            }
+
+            const link = event.target.closest('[data-node-id]');
+            if (link && this.selectionManager) {
+                event.preventDefault();
+                this.selectionManager.selectNode(link.dataset.nodeId);
+            }
+        });
+    }
+
+    /**
+     * Show a validation report
+     * @param {Object} report - Report from GraphValidator.validate
+     */
+    show(report) {
+        if (!this.panel) {
+            this.createPanel();
+        }
+
+        this.report = report;
+
+        const summary = this.panel.querySelector('.validation-summary');
+        summary.textContent = window.graphValidator.summarize(report);
+        summary.classList.toggle('has-errors', report.counts.error > 0);
+
+        this.renderIssues();
+        this.panel.classList.remove('hidden');
+    }
+
+    /**
+     * Render the issue list for the current report
+     */
+    renderIssues() {
+        const list = this.panel.querySelector('.validation-issues');
+        const showNotes = this.panel.querySelector('#validation-show-notes').checked;
+
+        const issues = this.report.issues.filter(issue => showNotes || issue.severity !== 'info');
+
+        if (issues.length === 0) {
+            list.innerHTML = '<p class="validation-ok">No problems found.</p>';
+            return;
+        }
+
+        let html = '';
+        for (const severity in this.severityLabels) {
+            const group = issues.filter(issue => issue.severity === severity);
+            if (group.length === 0) continue;
+
+            html += `<h4 class="severity-${severity}">${this.severityLabels[severity]} (${group.length})</h4><ul>`;
+            html += group.map(issue => {
+                let link = '';
+                if (issue.cycle) {
+                    link = ` <a href="#" data-cycle-issue="${this.report.issues.indexOf(issue)}">highlight</a>`;
+                } else if (issue.nodeId) {
+                    link = ` <a href="#" data-node-id="${window.domUtils.escapeHtml(issue.nodeId)}">show</a>`;
+                }
+                return `<li class="severity-${severity}">${window.domUtils.escapeHtml(issue.message)}${link}</li>`;
+            }).join('');
+            html += '</ul>';
+        }
+
+        list.innerHTML = html;
+    }
+
+    /**
+     * Highlight a dependency cycle in the scene
+     * @param {Object} cycle - Cycle from GraphAlgorithms.findCycles
+     */
+    highlightCycle(cycle) {
+        if (!this.edgeManager) return;
+
+        this.selectionManager.clearSelection();
+        this.edgeManager.highlightSubgraph(cycle.nodes, cycle.edges);
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        window.domUtils.hidePanel(this.panel);
+    }
+
+    /**
+     * Check if the panel is visible
+     * @returns {boolean} - Whether the panel is visible
+     */
+    isVisible() {
+        return window.domUtils.isPanelVisible(this.panel);
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = ValidationPanel;
+} else {
+    window.ValidationPanel = ValidationPanel;
+}
\ No newline at end of file
@@ -0,0 +1,435 @@
+/**
+ * WorkspaceManager.js
+ * Saves and restores named workspaces: node positions, 2D/3D mode, camera,
+ * selection, layout, theme colors and search, stored in localStorage and
+ * exportable as JSON files
+ */
+class WorkspaceManager {
+    constructor(graphManager, nodeManager, forceSimulation, cameraController,
+        selectionManager, uiManager, searchManager, layoutManager) {
+        this.graphManager = graphManager;
+        this.nodeManager = nodeManager;
+        this.forceSimulation = forceSimulation;
+        this.cameraController = cameraController;
+        this.selectionManager = selectionManager;
+        this.uiManager = uiManager;
+        this.searchManager = searchManager;
+        this.layoutManager = layoutManager;
+
+        // localStorage key holding all saved workspaces
+        this.storageKey = 'wtg.workspaces';
+
+        // Workspace format version
+        this.version = 1;
+
+        // DOM elements
+        this.menu = document.getElementById('workspace-menu');
+        this.list = document.getElementById('workspace-list');
+        this.nameInput = document.getElementById('workspace-name');
+
+        this.initControls();
+    }
+
+    /**
+     * Initialize the workspace menu
+     */
+    initControls() {
+        const button = document.getElementById('workspace-button');
+        if (button && this.menu) {
+            button.addEventListener('click', () => this.toggleMenu());
+        }
+
+        if (!this.menu) return;
+
+        const saveButton = this.menu.querySelector('#workspace-save-button');
+        if (saveButton) {
+            saveButton.addEventListener('click', () => this.saveWorkspace(this.nameInput.value));
+        }
+
+        if (this.nameInput) {
+            this.nameInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    this.saveWorkspace(this.nameInput.value);
+                }
+            });
+        }
+
+        const exportButton = this.menu.querySelector('#workspace-export-button');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => {
+                const name = this.nameInput.value.trim() || 'workspace';
+                this.exportWorkspace(this.captureWorkspace(name));
+            });
+        }
+
+        const importButton = this.menu.querySelector('#workspace-import-button');
+        const fileInput = this.menu.querySelector('#workspace-file-input');
+        if (importButton && fileInput) {
+            importButton.addEventListener('click', () => fileInput.click());
+
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) {
+                    this.importWorkspaceFile(fileInput.files[0]);
+                }
+
+                // Allow selecting the same file again
+                fileInput.value = '';
+            });
+        }
+
+        // Actions on saved workspaces
+        if (this.list) {
+            this.list.addEventListener('click', (event) => {
+                const actionButton = event.target.closest('[data-action]');
+                if (!actionButton) return;
+
+                const name = actionButton.dataset.name;
+                switch (actionButton.dataset.action) {
+                    case 'open':
+                        this.openWorkspace(name);
+                        break;
+                    case 'export':
+                        this.exportWorkspace(this.getStoredWorkspaces()[name]);
+                        break;
+                    case 'delete':
+                        this.deleteWorkspace(name);
+                        break;
+                }
+            });
+        }
+    }
+
+    /**
+     * Capture the current view as a workspace
+     * @param {string} name - Workspace name
+     * @returns {Object} - Workspace object
+     */
+    captureWorkspace(name) {
+        const sourceInfo = window.graphDataSource.getSourceInfo();
+
+        return {
+            version: this.version,
+            name,
+            savedAt: new Date().toISOString(),
+            dataset: sourceInfo ? sourceInfo.name : null,
+            positions: this.serializePositions(this.nodeManager.getPositionSnapshot()),
+            pinned: this.nodeManager.getPinnedNodeIds(),
+            is2DMode: this.graphManager.is2DMode,
+            originalPositions: this.graphManager.is2DMode ?
+                this.serializePositions(this.graphManager.originalPositions) : {},
+            camera: this.cameraController.getState(),
+            selectedNodeId: this.selectionManager.getSelectedNodeId(),
+            layout: this.layoutManager ? {
+                type: this.layoutManager.currentLayout,
+                config: JSON.parse(JSON.stringify(this.layoutManager.config))
+            } : null,
+            settings: this.uiManager.getSettingsSnapshot(),
+            search: this.searchManager ? this.searchManager.getQuery() : ''
+        };
+    }
+
+    /**
+     * Restore a workspace as one undoable step
+     * @param {Object} workspace - Workspace object
+     */
+    applyWorkspace(workspace) {
+        const history = window.historyManager;
+        const label = `Open workspace "${workspace.name}"`;
+        const previous = this.captureWorkspace('previous view');
+
+        history.beginBatch(label);
+        try {
+            // Keep the forces from moving the restored positions
+            this.forceSimulation.setForcesEnabled(false);
+
+            this.restoreWorkspaceState(workspace);
+
+            history.record({
+                label,
+                undo: () => this.restoreWorkspaceState(previous),
+                redo: () => this.restoreWorkspaceState(workspace)
+            });
+        } finally {
+            history.endBatch();
+        }
+
+        // Warn about saved nodes that are not in the current dataset
+        const missing = Object.keys(workspace.positions || {})
+            .filter(id => !this.nodeManager.getNode(id)).length;
+        const message = missing > 0 ?
+            `Opened workspace "${workspace.name}" (${missing} saved nodes are not in the current dataset)` :
+            `Opened workspace "${workspace.name}"`;
+        this.uiManager.setStatusMessage(message, 4000);
+    }
+
+    /**
+     * Apply the state stored in a workspace
+     * @param {Object} workspace - Workspace object
+     */
+    restoreWorkspaceState(workspace) {
+        if (workspace.settings) {
+            this.uiManager.applySettingsSnapshot(workspace.settings);
+        }
+
+        if (workspace.layout && this.layoutManager) {
+            this.layoutManager.currentLayout = workspace.layout.type;
+            for (const layoutType in workspace.layout.config) {
+                if (this.layoutManager.config[layoutType]) {
+                    this.layoutManager.config[layoutType] = {
+                        ...this.layoutManager.config[layoutType],
+                        ...workspace.layout.config[layoutType]
+                    };
+                }
+            }
+
+            const selector = document.getElementById('layout-selector');
+            if (selector) {
+                selector.value = workspace.layout.type;
+            }
+
+            const levelSource = document.getElementById('level-source');
+            if (levelSource) {
+                levelSource.value = this.layoutManager.config.hierarchical.levelSource;
+            }
+
+            const direction = document.getElementById('layout-direction');
+            if (direction) {
+                direction.value = this.layoutManager.config.hierarchical.direction;
+            }
+        }
+
+        this.graphManager.setDimensionMode(!!workspace.is2DMode,
+            this.deserializePositions(workspace.originalPositions));
+        this.nodeManager.applyPositionSnapshot(this.deserializePositions(workspace.positions));
+        this.nodeManager.setPinnedNodes(Array.isArray(workspace.pinned) ? workspace.pinned : []);
+        this.cameraController.setState(workspace.camera);
+
+        if (this.searchManager) {
+            this.searchManager.setQuery(workspace.search || '');
+        }
+
+        if (workspace.selectedNodeId && this.nodeManager.getNode(workspace.selectedNodeId)) {
+            this.selectionManager.selectNode(workspace.selectedNodeId, { focus: false });
+        } else {
+            this.selectionManager.clearSelection();
+        }
+    }
+
+    /**
+     * Save the current view under a name
+     * @param {string} name - Workspace name
+     */
+    saveWorkspace(name) {
+        name = (name || '').trim();
+        if (!name) {
+            this.uiManager.setStatusMessage('Enter a name for the workspace', 3000);
+            return;
+        }
+
+        const workspaces = this.getStoredWorkspaces();
+        workspaces[name] = this.captureWorkspace(name);
+
+        if (this.storeWorkspaces(workspaces)) {
+            this.nameInput.value = '';
+            this.renderList();
+            this.uiManager.setStatusMessage(`Saved workspace "${name}"`, 3000);
+        }
+    }
+
+    /**
+     * Open a saved workspace
+     * @param {string} name - Workspace name
+     */
+    openWorkspace(name) {
+        const workspace = this.getStoredWorkspaces()[name];
+        if (!workspace) {
+            this.uiManager.setStatusMessage(`Workspace "${name}" not found`, 3000);
+            return;
+        }
+
+        this.applyWorkspace(workspace);
+    }
+
+    /**
+     * Delete a saved workspace after confirmation
+     * @param {string} name - Workspace name
+     */
+    deleteWorkspace(name) {
+        if (!window.confirm(`Delete workspace "${name}"?`)) return;
+
+        const workspaces = this.getStoredWorkspaces();
+        delete workspaces[name];
+
+        if (this.storeWorkspaces(workspaces)) {
+            this.renderList();
+        }
+    }
+
+    /**
+     * Download a workspace as a JSON file
+     * @param {Object} workspace - Workspace object
+     */
+    exportWorkspace(workspace) {
+        if (!workspace) return;
+
+        const name = `${workspace.name.replace(/[^a-z0-9_-]+/gi, '_')}.workspace.json`;
+        window.domUtils.downloadJson(name, JSON.stringify(workspace, null, 2));
+    }
+
+    /**
+     * Import a workspace file, save it and open it
+     * @param {File} file - Workspace JSON file
+     * @returns {Promise} - Promise resolving when the workspace is opened
+     */
+    async importWorkspaceFile(file) {
+        try {
+            const text = await window.graphDataSource.readFileAsText(file);
+            const workspace = this.parseWorkspace(text, file.name);
+
+            const workspaces = this.getStoredWorkspaces();
+            workspaces[workspace.name] = workspace;
+            this.storeWorkspaces(workspaces);
+            this.renderList();
+
+            this.applyWorkspace(workspace);
+        } catch (error) {
+            console.error('Failed to import workspace:', error);
+            this.uiManager.setStatusMessage(error.message, 8000);
+        }
+    }
+
+    /**
+     * Parse and check a workspace JSON text
+     * @param {string} text - JSON text
+     * @param {string} fileName - File name, used as the name if the workspace has none
+     * @returns {Object} - Workspace object
+     */
+    parseWorkspace(text, fileName) {
+        let workspace;
+        try {
+            workspace = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid workspace file: ${error.message}`);
+        }
+
+        if (!workspace || typeof workspace !== 'object' || typeof workspace.positions !== 'object') {
+            throw new Error('Invalid workspace file: node positions are missing');
+        }
+        if (workspace.version > this.version) {
+            throw new Error(`Workspace version ${workspace.version} is not supported`);
+        }
+
+        if (!workspace.name) {
+            workspace.name = fileName.replace(/(\.workspace)?\.json$/i, '');
+        }
+
+        return workspace;
+    }
+
+    /**
+     * Read all saved workspaces
+     * @returns {Object} - Map of names to workspace objects
+     */
+    getStoredWorkspaces() {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Failed to read saved workspaces:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Write all saved workspaces
+     * @param {Object} workspaces - Map of names to workspace objects
+     * @returns {boolean} - Whether the workspaces were stored
+     */
+    storeWorkspaces(workspaces) {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(workspaces));
+            return true;
+        } catch (error) {
+            console.error('Failed to save workspaces:', error);
+            this.uiManager.setStatusMessage(`Could not save workspaces: ${error.message}`, 8000);
+            return false;
+        }
+    }
+
+    /**
+     * Convert a map of THREE.js vectors to rounded [x, y, z] arrays
+     * @param {Object} positions - Map of node IDs to positions
+     * @returns {Object} - Map of node IDs to arrays
+     */
+    serializePositions(positions) {
+        const result = {};
+        for (const id in positions) {
+            const position = positions[id];
+            result[id] = [position.x, position.y, position.z].map(value => Math.round(value * 100) / 100);
+        }
+        return result;
+    }
+
+    /**
+     * Convert a map of [x, y, z] arrays to THREE.js vectors
+     * @param {Object} positions - Map of node IDs to arrays
+     * @returns {Object} - Map of node IDs to THREE.js Vector3 positions
+     */
+    deserializePositions(positions) {
+        const result = {};
+        for (const id in positions || {}) {
+            if (Array.isArray(positions[id]) && positions[id].length === 3) {
+                result[id] = new THREE.Vector3().fromArray(positions[id]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Render the list of saved workspaces
+     */
+    renderList() {
+        if (!this.list) return;
+
+        const workspaces = Object.values(this.getStoredWorkspaces())
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        if (workspaces.length === 0) {
+            this.list.innerHTML = '<li class="workspace-empty">No saved workspaces</li>';
+            return;
+        }
+
+        this.list.innerHTML = workspaces.map(workspace => {
+            const name = window.domUtils.escapeHtml(workspace.name);
+            const savedAt = workspace.savedAt ? new Date(workspace.savedAt).toLocaleString() : '';
+            return `
+                <li>
+                    <div class="workspace-info">
+                        <span class="workspace-title">${name}</span>
+                        <span class="workspace-date">${window.domUtils.escapeHtml(savedAt)}</span>
+                    </div>
+                    <button data-action="open" data-name="${name}">Open</button>
+                    <button data-action="export" data-name="${name}" title="Download as JSON">⬇</button>
+                    <button data-action="delete" data-name="${name}" class="danger" title="Delete">&times;</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show or hide the workspace menu
+     */
+    toggleMenu() {
+        const isHidden = this.menu.classList.toggle('hidden');
+        if (!isHidden) {
+            this.renderList();
+            this.nameInput.focus();
+        }
+    }
+}
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = WorkspaceManager;
+} else {
+    window.WorkspaceManager = WorkspaceManager;
+}
\ No newline at end of file
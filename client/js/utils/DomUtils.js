@@ -0,0 +1,80 @@
+/**
+ * DomUtils.js
+ * Helpers shared by the UI classes: HTML escaping, showing or hiding their
+ * panels and downloading JSON files
+ */
+class DomUtils {
+    /**
+     * Escape text for insertion into HTML
+     * LaTeX delimiters and commands pass through unchanged, so MathJax still finds them
+     * @param {string} text - Raw text
+     * @returns {string} - Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Hide a panel element created on first show
+     * @param {HTMLElement} panel - Panel element, or null before it is created
+     */
+    hidePanel(panel) {
+        if (panel) {
+            panel.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Check if a panel element is created and shown
+     * @param {HTMLElement} panel - Panel element, or null before it is created
+     * @returns {boolean} - Whether the panel is visible
+     */
+    isPanelVisible(panel) {
+        return !!panel && !panel.classList.contains('hidden');
+    }
+
+    /**
+     * Show or hide a panel through its owner, so the owner can prepare it when shown
+     * @param {Object} owner - Object with show(), hide() and isVisible()
+     */
+    togglePanel(owner) {
+        if (owner.isVisible()) {
+            owner.hide();
+        } else {
+            owner.show();
+        }
+    }
+
+    /**
+     * Download text as a JSON file
+     * @param {string} name - File name
+     * @param {string} text - JSON text
+     */
+    downloadJson(name, text) {
+        const blob = new Blob([text], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+// Create a singleton instance
+const domUtils = new DomUtils();
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = domUtils;
+} else {
+    window.domUtils = domUtils;
+}
\ No newline at end of file
@@ -0,0 +1,512 @@
+/**
+ * GraphAlgorithms.js
+ * Graph algorithms over node and edge data objects (paths and traversal)
+ *
+ * Edges point from prerequisite to dependent: source -> target means the
+ * target builds on the source.
+ */
+class GraphAlgorithms {
+    /**
+     * Build an adjacency list
+     * @param {Array} edges - Edge data objects
+     * @param {Object} options - { edgeTypes: types that may be traversed (default all),
+     *                             direction: 'forward' (source to target), 'backward' or 'any' }
+     * @returns {Map} - Map of node IDs to arrays of { node, edge, forward }
+     */
+    buildAdjacency(edges, options = {}) {
+        const direction = options.direction || 'forward';
+        const edgeTypes = options.edgeTypes || null;
+        const adjacency = new Map();
+
+        const add = (from, to, edge, forward) => {
+            if (!adjacency.has(from)) {
+                adjacency.set(from, []);
+            }
+            adjacency.get(from).push({ node: to, edge, forward });
+        };
+
+        edges.forEach(edge => {
+            if (edgeTypes && !edgeTypes.includes(edge.type)) return;
+
+            if (direction === 'forward' || direction === 'any') {
+                add(edge.source, edge.target, edge, true);
+            }
+            if (direction === 'backward' || direction === 'any') {
+                add(edge.target, edge.source, edge, false);
+            }
+        });
+
+        return adjacency;
+    }
+
+    /**
+     * Find a shortest path (fewest edges) with breadth-first search
+     * @param {Map} adjacency - Adjacency list from buildAdjacency
+     * @param {string} sourceId - Start node ID
+     * @param {string} targetId - End node ID
+     * @param {Set} excludedEdges - Edge data objects that may not be used
+     * @param {Set} excludedNodes - Node IDs that may not be visited
+     * @returns {Object} - Path { nodes, steps } or null if there is none
+     */
+    bfsPath(adjacency, sourceId, targetId, excludedEdges = new Set(), excludedNodes = new Set()) {
+        if (excludedNodes.has(sourceId)) return null;
+
+        const previous = new Map([[sourceId, null]]);
+        const queue = [sourceId];
+
+        for (let i = 0; i < queue.length; i++) {
+            const current = queue[i];
+            if (current === targetId) break;
+
+            (adjacency.get(current) || []).forEach(link => {
+                if (previous.has(link.node) || excludedNodes.has(link.node) || excludedEdges.has(link.edge)) return;
+
+                previous.set(link.node, { from: current, link });
+                queue.push(link.node);
+            });
+        }
+
+        if (!previous.has(targetId)) return null;
+
+        // Walk back from the target
+        const steps = [];
+        let current = targetId;
+        while (previous.get(current)) {
+            const { from, link } = previous.get(current);
+            steps.unshift({ from, to: current, edge: link.edge, forward: link.forward });
+            current = from;
+        }
+
+        return {
+            nodes: [sourceId, ...steps.map(step => step.to)],
+            steps
+        };
+    }
+
+    /**
+     * Find a shortest path between two nodes
+     * @param {Array} edges - Edge data objects
+     * @param {string} sourceId - Start node ID
+     * @param {string} targetId - End node ID
+     * @param {Object} options - Traversal options (see buildAdjacency)
+     * @returns {Object} - Path { nodes, steps } or null if there is none
+     */
+    shortestPath(edges, sourceId, targetId, options = {}) {
+        return this.bfsPath(this.buildAdjacency(edges, options), sourceId, targetId);
+    }
+
+    /**
+     * Find the k shortest loopless paths between two nodes (Yen's algorithm)
+     * @param {Array} edges - Edge data objects
+     * @param {string} sourceId - Start node ID
+     * @param {string} targetId - End node ID
+     * @param {number} k - Maximum number of paths
+     * @param {Object} options - Traversal options (see buildAdjacency)
+     * @returns {Array} - Paths { nodes, steps }, shortest first
+     */
+    kShortestPaths(edges, sourceId, targetId, k = 3, options = {}) {
+        const adjacency = this.buildAdjacency(edges, options);
+        const first = this.bfsPath(adjacency, sourceId, targetId);
+        if (!first || sourceId === targetId) {
+            return first ? [first] : [];
+        }
+
+        const found = [first];
+        const candidates = [];
+        const seen = new Set([this.pathKey(first)]);
+
+        while (found.length < k) {
+            const last = found[found.length - 1];
+
+            // Deviate from the last path at each of its nodes
+            for (let i = 0; i < last.steps.length; i++) {
+                const spurNode = last.nodes[i];
+                const rootNodes = last.nodes.slice(0, i + 1);
+                const rootSteps = last.steps.slice(0, i);
+
+                // Don't repeat the next step of any found path sharing this root
+                const excludedEdges = new Set();
+                found.forEach(path => {
+                    if (path.steps.length > i && this.sameNodes(path.nodes.slice(0, i + 1), rootNodes)) {
+                        excludedEdges.add(path.steps[i].edge);
+                    }
+                });
+
+                // Keep the path loopless
+                const excludedNodes = new Set(rootNodes.slice(0, -1));
+
+                const spur = this.bfsPath(adjacency, spurNode, targetId, excludedEdges, excludedNodes);
+                if (!spur) continue;
+
+                const candidate = {
+                    nodes: [...rootNodes.slice(0, -1), ...spur.nodes],
+                    steps: [...rootSteps, ...spur.steps]
+                };
+
+                const key = this.pathKey(candidate);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    candidates.push(candidate);
+                }
+            }
+
+            if (candidates.length === 0) break;
+
+            // Stable sort keeps discovery order among equally long paths
+            candidates.sort((a, b) => a.steps.length - b.steps.length);
+            found.push(candidates.shift());
+        }
+
+        return found;
+    }
+
+    /**
+     * Find every node reachable from a node, with its distance
+     * Use direction 'backward' for everything a node rests on (ancestors)
+     * and 'forward' for everything that builds on it (descendants)
+     * @param {Array} edges - Edge data objects
+     * @param {string} nodeId - Start node ID
+     * @param {Object} options - Traversal options (see buildAdjacency)
+     * @returns {Map} - Map of reachable node IDs (excluding the start) to their depth in edges
+     */
+    closure(edges, nodeId, options = {}) {
+        const adjacency = this.buildAdjacency(edges, options);
+        const depths = new Map([[nodeId, 0]]);
+        const queue = [nodeId];
+
+        for (let i = 0; i < queue.length; i++) {
+            const current = queue[i];
+            (adjacency.get(current) || []).forEach(link => {
+                if (depths.has(link.node)) return;
+
+                depths.set(link.node, depths.get(current) + 1);
+                queue.push(link.node);
+            });
+        }
+
+        depths.delete(nodeId);
+        return depths;
+    }
+
+    /**
+     * Count nodes at each depth of a closure
+     * @param {Map} depths - Map of node IDs to depths from closure
+     * @returns {Array} - Counts indexed by depth (index 0 is unused)
+     */
+    countByDepth(depths) {
+        const counts = [0];
+        depths.forEach(depth => {
+            counts[depth] = (counts[depth] || 0) + 1;
+        });
+        return Array.from(counts, count => count || 0);
+    }
+
+    /**
+     * Order nodes so every node comes after the nodes it builds on (Kahn's algorithm)
+     * Only edges between the given nodes are considered
+     * @param {Array} nodeIds - IDs of the nodes to order
+     * @param {Array} edges - Edge data objects
+     * @param {Function} compare - Tie-breaker among nodes that are ready at the same time
+     *                             (defaults to the order of nodeIds)
+     * @returns {Object} - { order: sorted node IDs, cyclic: IDs left over because they lie on or after a cycle }
+     */
+    topologicalSort(nodeIds, edges, compare = null) {
+        const included = new Set(nodeIds);
+        const indegree = new Map(nodeIds.map(id => [id, 0]));
+        const adjacency = this.buildAdjacency(edges.filter(edge =>
+            included.has(edge.source) && included.has(edge.target) && edge.source !== edge.target
+        ));
+
+        adjacency.forEach(links => {
+            links.forEach(link => indegree.set(link.node, indegree.get(link.node) + 1));
+        });
+
+        const position = new Map(nodeIds.map((id, index) => [id, index]));
+        const byPriority = compare || ((a, b) => position.get(a) - position.get(b));
+
+        const ready = nodeIds.filter(id => indegree.get(id) === 0);
+        const order = [];
+
+        while (ready.length > 0) {
+            ready.sort(byPriority);
+            const current = ready.shift();
+            order.push(current);
+
+            (adjacency.get(current) || []).forEach(link => {
+                indegree.set(link.node, indegree.get(link.node) - 1);
+                if (indegree.get(link.node) === 0) {
+                    ready.push(link.node);
+                }
+            });
+        }
+
+        const ordered = new Set(order);
+        return {
+            order,
+            cyclic: nodeIds.filter(id => !ordered.has(id))
+        };
+    }
+
+    /**
+     * Assign layers by longest path: a node's layer is one more than the highest
+     * layer of the nodes it builds on, so prerequisites-free nodes are in layer 1
+     * Nodes on a cycle are placed below the nodes they build on outside the cycle
+     * @param {Array} nodeIds - IDs of the nodes to layer
+     * @param {Array} edges - Edge data objects
+     * @returns {Map} - Map of node IDs to layers (starting at 1)
+     */
+    longestPathLayers(nodeIds, edges) {
+        const { order, cyclic } = this.topologicalSort(nodeIds, edges);
+        const predecessors = this.buildAdjacency(edges, { direction: 'backward' });
+        const layers = new Map();
+
+        [...order, ...cyclic].forEach(id => {
+            let layer = 1;
+            (predecessors.get(id) || []).forEach(link => {
+                if (layers.has(link.node)) {
+                    layer = Math.max(layer, layers.get(link.node) + 1);
+                }
+            });
+            layers.set(id, layer);
+        });
+
+        return layers;
+    }
+
+    /**
+     * Assign layers with the Coffman-Graham algorithm, which limits the number
+     * of nodes per layer at the cost of more layers
+     * @param {Array} nodeIds - IDs of the nodes to layer
+     * @param {Array} edges - Edge data objects
+     * @param {number} width - Maximum number of nodes per layer
+     * @returns {Map} - Map of node IDs to layers (starting at 1, prerequisites first)
+     */
+    coffmanGrahamLayers(nodeIds, edges, width) {
+        const included = new Set(nodeIds);
+        const reduced = this.transitiveReduction(edges.filter(edge =>
+            included.has(edge.source) && included.has(edge.target) && edge.source !== edge.target
+        ));
+        const predecessors = this.buildAdjacency(reduced, { direction: 'backward' });
+        const successors = this.buildAdjacency(reduced);
+
+        // Number the nodes, preferring the one whose numbered predecessors are
+        // lexicographically smallest (compared from the highest number down)
+        const numbers = new Map();
+        const predecessorNumbers = id => (predecessors.get(id) || [])
+            .map(link => numbers.get(link.node))
+            .sort((a, b) => b - a);
+        const compareLists = (a, b) => {
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                if (a[i] !== b[i]) return a[i] - b[i];
+            }
+            return a.length - b.length;
+        };
+
+        // Nodes caught in cycles are left out and placed last
+        const { order, cyclic } = this.topologicalSort(nodeIds, reduced);
+        const inCycle = new Set(cyclic);
+        const remaining = new Set(order);
+        while (remaining.size > 0) {
+            let best = null;
+            let bestList = null;
+            remaining.forEach(id => {
+                const ready = (predecessors.get(id) || []).every(link =>
+                    numbers.has(link.node) || inCycle.has(link.node));
+                if (!ready) return;
+
+                const list = predecessorNumbers(id).filter(number => number !== undefined);
+                if (!best || compareLists(list, bestList) < 0) {
+                    best = id;
+                    bestList = list;
+                }
+            });
+            numbers.set(best, numbers.size + 1);
+            remaining.delete(best);
+        }
+
+        // Fill layers from the dependents end, highest number first
+        const depth = new Map();
+        const layerSizes = [];
+        Array.from(numbers.keys()).reverse().forEach(id => {
+            let layer = 0;
+            (successors.get(id) || []).forEach(link => {
+                if (depth.has(link.node)) {
+                    layer = Math.max(layer, depth.get(link.node) + 1);
+                }
+            });
+            while ((layerSizes[layer] || 0) >= width) {
+                layer++;
+            }
+            depth.set(id, layer);
+            layerSizes[layer] = (layerSizes[layer] || 0) + 1;
+        });
+
+        // Prerequisites first, then the nodes caught in cycles below everything else
+        const layers = new Map();
+        const deepest = layerSizes.length;
+        depth.forEach((value, id) => layers.set(id, deepest - value));
+        cyclic.forEach(id => layers.set(id, deepest + 1));
+
+        return layers;
+    }
+
+    /**
+     * Remove edges implied by longer paths (u -> w when u -> v -> ... -> w exists)
+     * @param {Array} edges - Edge data objects
+     * @returns {Array} - The edges that are not implied by other paths
+     */
+    transitiveReduction(edges) {
+        const adjacency = this.buildAdjacency(edges);
+
+        return edges.filter(edge => {
+            // Is the target reachable from the source without this edge?
+            const visited = new Set([edge.source]);
+            const queue = [edge.source];
+            for (let i = 0; i < queue.length; i++) {
+                for (const link of adjacency.get(queue[i]) || []) {
+                    if (link.edge === edge || visited.has(link.node)) continue;
+                    if (link.node === edge.target) return false;
+                    visited.add(link.node);
+                    queue.push(link.node);
+                }
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Find the strongly connected components of the graph (Tarjan's algorithm)
+     * @param {Array} edges - Edge data objects
+     * @param {Object} options - Traversal options (see buildAdjacency)
+     * @returns {Array} - Components as arrays of node IDs
+     */
+    stronglyConnectedComponents(edges, options = {}) {
+        const adjacency = this.buildAdjacency(edges, { ...options, direction: 'forward' });
+        const nodeIds = new Set();
+        edges.forEach(edge => {
+            nodeIds.add(edge.source);
+            nodeIds.add(edge.target);
+        });
+
+        const index = new Map();
+        const lowLink = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const components = [];
+        let counter = 0;
+
+        const visit = nodeId => {
+            index.set(nodeId, counter);
+            lowLink.set(nodeId, counter);
+            counter++;
+            stack.push(nodeId);
+            onStack.add(nodeId);
+
+            (adjacency.get(nodeId) || []).forEach(link => {
+                if (!index.has(link.node)) {
+                    visit(link.node);
+                    lowLink.set(nodeId, Math.min(lowLink.get(nodeId), lowLink.get(link.node)));
+                } else if (onStack.has(link.node)) {
+                    lowLink.set(nodeId, Math.min(lowLink.get(nodeId), index.get(link.node)));
+                }
+            });
+
+            // Root of a component: pop it off the stack
+            if (lowLink.get(nodeId) === index.get(nodeId)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== nodeId);
+                components.push(component);
+            }
+        };
+
+        nodeIds.forEach(nodeId => {
+            if (!index.has(nodeId)) {
+                visit(nodeId);
+            }
+        });
+
+        return components;
+    }
+
+    /**
+     * Find the cycles in the graph, one per group of mutually dependent nodes
+     * Self-loops are not included
+     * @param {Array} edges - Edge data objects
+     * @param {Object} options - Traversal options (see buildAdjacency)
+     * @returns {Array} - Cycles { nodes: all node IDs of the group, edges: edges within the group,
+     *                    path: a shortest cycle { nodes, steps } through the group, starting and ending at one node }
+     */
+    findCycles(edges, options = {}) {
+        return this.stronglyConnectedComponents(edges, options)
+            .filter(component => component.length > 1)
+            .map(component => {
+                const members = new Set(component);
+                const inner = edges.filter(edge =>
+                    members.has(edge.source) && members.has(edge.target) &&
+                    (!options.edgeTypes || options.edgeTypes.includes(edge.type))
+                );
+
+                // Shortest way back to the component's first node
+                const start = component[component.length - 1];
+                const adjacency = this.buildAdjacency(inner);
+                let path = null;
+                (adjacency.get(start) || []).forEach(link => {
+                    const back = this.bfsPath(adjacency, link.node, start);
+                    if (back && (!path || back.steps.length + 1 < path.steps.length)) {
+                        path = {
+                            nodes: [start, ...back.nodes],
+                            steps: [{ from: start, to: link.node, edge: link.edge, forward: true }, ...back.steps]
+                        };
+                    }
+                });
+
+                return { nodes: component, edges: inner, path };
+            });
+    }
+
+    /**
+     * Check whether adding an edge would close a cycle
+     * @param {Array} edges - Existing edge data objects
+     * @param {string} sourceId - Source node ID of the new edge
+     * @param {string} targetId - Target node ID of the new edge
+     * @param {Object} options - Traversal options (see buildAdjacency)
+     * @returns {Object} - The existing path { nodes, steps } from the target back to the source, or null
+     */
+    findCycleForEdge(edges, sourceId, targetId, options = {}) {
+        return this.shortestPath(edges, targetId, sourceId, { ...options, direction: 'forward' });
+    }
+
+    /**
+     * Build a key identifying a path by its edges
+     * @param {Object} path - Path { nodes, steps }
+     * @returns {string} - Path key
+     */
+    pathKey(path) {
+        return path.steps.map(step => `${step.edge.source}|${step.edge.target}|${step.edge.type}`).join('>');
+    }
+
+    /**
+     * Check if two node ID lists are equal
+     * @param {Array} a - Node IDs
+     * @param {Array} b - Node IDs
+     * @returns {boolean} - Whether the lists are equal
+     */
+    sameNodes(a, b) {
+        return a.length === b.length && a.every((id, index) => id === b[index]);
+    }
+}
+
+// Create a singleton instance
+const graphAlgorithms = new GraphAlgorithms();
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = graphAlgorithms;
+} else {
+    window.graphAlgorithms = graphAlgorithms;
+}
\ No newline at end of file
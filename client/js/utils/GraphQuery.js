@@ -0,0 +1,435 @@
+/**
+ * GraphQuery.js
+ * A small query language for finding nodes, e.g.
+ *
+ *     type:Theorem tag:topology dependsOn:completeness depth<=3 level>=4
+ *
+ * Terms are separated by spaces and must all hold. A term is a bare word
+ * (searched with SearchIndex in the text of the node and its theorem details,
+ * forgiving typos), field:value, or a comparison of a numeric field such as
+ * level>=4. Values may be quoted (tag:"set theory") or
+ * list alternatives separated by commas (type:Lemma,Theorem), and a leading -
+ * negates a term. depth limits the hops of dependsOn and requiredBy. Queries
+ * with words list the best text matches first
+ */
+class GraphQuery {
+    constructor() {
+        // Query fields: kind of value, operator inserted by autocomplete, and help text
+        this.fields = {
+            type: { kind: 'type', operator: ':', description: 'Node type' },
+            tag: { kind: 'tag', operator: ':', description: 'Has the tag' },
+            id: { kind: 'node', operator: ':', description: 'Is the node' },
+            label: { kind: 'text', operator: ':', description: 'Label contains' },
+            dependsOn: { kind: 'node', operator: ':', description: 'Builds on the node, directly or not' },
+            requiredBy: { kind: 'node', operator: ':', description: 'Is a prerequisite of the node' },
+            depth: { kind: 'number', operator: '<=', description: 'Hops for dependsOn and requiredBy' },
+            level: { kind: 'number', operator: '>=', description: 'Hierarchy level' },
+            connections: { kind: 'number', operator: '>=', description: 'Number of connections' }
+        };
+
+        // Longest first, so <= is not read as <
+        this.operators = ['<=', '>=', '!=', '<', '>', '=', ':'];
+
+        // Suggestions offered at once
+        this.maxSuggestions = 8;
+    }
+
+    /**
+     * Split a query into space-separated tokens, keeping quoted values together
+     * @param {string} text - Query text
+     * @returns {Object} - { tokens: [{ text, start, end }], errors }
+     */
+    tokenize(text) {
+        const tokens = [];
+        const errors = [];
+        let i = 0;
+
+        while (i < text.length) {
+            if (/\s/.test(text[i])) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            let quoted = false;
+            while (i < text.length && (quoted || !/\s/.test(text[i]))) {
+                if (text[i] === '"') quoted = !quoted;
+                i++;
+            }
+
+            if (quoted) {
+                errors.push({ message: 'Missing closing quote', start, end: i });
+            }
+            tokens.push({ text: text.slice(start, i), start, end: i });
+        }
+
+        return { tokens, errors };
+    }
+
+    /**
+     * Find a field by name, ignoring case
+     * @param {string} name - Field name as typed
+     * @returns {string} - Field name, or null if there is no such field
+     */
+    findField(name) {
+        const lower = name.toLowerCase();
+        return Object.keys(this.fields).find(field => field.toLowerCase() === lower) || null;
+    }
+
+    /**
+     * Split a term into its optional negation, field, operator and raw value
+     * @param {string} text - Term text
+     * @returns {Object} - { negated, name, operator, value }; name and operator are null for bare words
+     */
+    splitTerm(text) {
+        const negated = text.length > 1 && text[0] === '-';
+        const body = negated ? text.slice(1) : text;
+
+        const match = /^([A-Za-z]+)(<=|>=|!=|<|>|=|:)(.*)$/s.exec(body);
+        if (!match) {
+            return { negated, name: null, operator: null, value: body };
+        }
+        return { negated, name: match[1], operator: match[2], value: match[3] };
+    }
+
+    /**
+     * Split a raw value into its comma-separated alternatives, removing quotes
+     * @param {string} value - Raw value
+     * @returns {Array} - Values
+     */
+    splitValues(value) {
+        const values = [];
+        let current = '';
+        let quoted = false;
+
+        for (const char of value) {
+            if (char === '"') {
+                quoted = !quoted;
+            } else if (char === ',' && !quoted) {
+                values.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        values.push(current);
+
+        return values.map(item => item.trim()).filter(Boolean);
+    }
+
+    /**
+     * Parse a query
+     * @param {string} text - Query text
+     * @returns {Object} - { terms: [{ field, operator, values, negated, start, end }], errors: [{ message, start, end }] }
+     */
+    parse(text) {
+        const { tokens, errors } = this.tokenize(text);
+        const terms = [];
+
+        tokens.forEach(token => {
+            const { negated, name, operator, value } = this.splitTerm(token.text);
+            const at = { start: token.start, end: token.end };
+
+            // Bare words search the text of the nodes
+            if (name === null) {
+                const values = this.splitValues(value);
+                if (values.length > 0) {
+                    terms.push({ field: 'text', operator: ':', values, negated, ...at });
+                }
+                return;
+            }
+
+            const field = this.findField(name);
+            if (!field) {
+                errors.push({
+                    message: `Unknown field "${name}" (try ${Object.keys(this.fields).join(', ')})`,
+                    ...at
+                });
+                return;
+            }
+
+            const kind = this.fields[field].kind;
+            const values = this.splitValues(value);
+            if (values.length === 0) {
+                errors.push({ message: `Missing value after "${name}${operator}"`, ...at });
+                return;
+            }
+
+            if (kind !== 'number') {
+                if (operator !== ':' && operator !== '=') {
+                    errors.push({ message: `"${field}" cannot be compared with ${operator}`, ...at });
+                    return;
+                }
+                terms.push({ field, operator: ':', values, negated, ...at });
+                return;
+            }
+
+            const numbers = values.map(Number);
+            if (numbers.some(number => !isFinite(number))) {
+                errors.push({ message: `Expected a number after "${name}${operator}"`, ...at });
+                return;
+            }
+            if (field === 'depth' && negated) {
+                errors.push({ message: 'depth cannot be negated', ...at });
+                return;
+            }
+
+            terms.push({ field, operator: operator === ':' ? '=' : operator, values: numbers, negated, ...at });
+        });
+
+        if (terms.some(term => term.field === 'depth') &&
+            !terms.some(term => term.field === 'dependsOn' || term.field === 'requiredBy')) {
+            const term = terms.find(other => other.field === 'depth');
+            errors.push({ message: 'depth needs dependsOn or requiredBy', start: term.start, end: term.end });
+        }
+
+        errors.sort((a, b) => a.start - b.start);
+        return { terms, errors };
+    }
+
+    /**
+     * Find the node a query value refers to: its ID, or else its label, ignoring case
+     * @param {string} value - ID or label
+     * @param {Array} nodes - Node data objects
+     * @returns {Object} - Node data object or null
+     */
+    resolveNode(value, nodes) {
+        const lower = value.toLowerCase();
+        return nodes.find(node => node.id === value) ||
+            nodes.find(node => node.id.toLowerCase() === lower) ||
+            nodes.find(node => (node.label || '').toLowerCase() === lower) ||
+            null;
+    }
+
+    /**
+     * Compare a number with a term's operator
+     * @param {number} number - Number to test
+     * @param {string} operator - '=', '!=', '<', '<=', '>' or '>='
+     * @param {number} value - Number to compare with
+     * @returns {boolean} - Whether the comparison holds
+     */
+    compare(number, operator, value) {
+        switch (operator) {
+            case '<': return number < value;
+            case '<=': return number <= value;
+            case '>': return number > value;
+            case '>=': return number >= value;
+            case '!=': return number !== value;
+            default: return number === value;
+        }
+    }
+
+    /**
+     * Find the nodes matching a query
+     * @param {string} text - Query text
+     * @param {Array} nodes - Node data objects
+     * @param {Array} edges - Edge data objects
+     * @returns {Object} - { nodes: matching node data objects, terms, errors, textMatches: Map of
+     *                     node ID -> { score, terms } for the words }; nodes are ranked by the words,
+     *                     or else in data order, and no node matches when there are errors
+     */
+    run(text, nodes, edges) {
+        const { terms, errors } = this.parse(text);
+
+        // Closures of the nodes named by dependsOn and requiredBy
+        const depthTerms = terms.filter(term => term.field === 'depth');
+        const closures = new Map();
+        terms.forEach(term => {
+            if (term.field !== 'dependsOn' && term.field !== 'requiredBy' && term.field !== 'id') return;
+
+            term.nodeIds = [];
+            term.values.forEach(value => {
+                const node = this.resolveNode(value, nodes);
+                if (!node) {
+                    errors.push({ message: `No node "${value}"`, start: term.start, end: term.end });
+                    return;
+                }
+                term.nodeIds.push(node.id);
+
+                const key = `${term.field}|${node.id}`;
+                if (term.field !== 'id' && !closures.has(key)) {
+                    // Nodes that depend on a node lie forward of it
+                    const direction = term.field === 'dependsOn' ? 'forward' : 'backward';
+                    closures.set(key, window.graphAlgorithms.closure(edges, node.id, { direction }));
+                }
+            });
+        });
+
+        if (errors.length > 0) {
+            errors.sort((a, b) => a.start - b.start);
+            return { nodes: [], terms, errors, textMatches: new Map() };
+        }
+
+        // Index matches of each word
+        terms.forEach(term => {
+            if (term.field === 'text') {
+                term.matches = term.values.map(value => window.searchIndex.search(value));
+            }
+        });
+
+        const withinDepth = depth => depthTerms.every(term =>
+            term.values.some(value => this.compare(depth, term.operator, value))
+        );
+
+        const matchesValue = (node, term, value, index) => {
+            switch (term.field) {
+                case 'text':
+                    return term.matches[index].has(node.id);
+                case 'label':
+                    return (node.label || '').toLowerCase().includes(value.toLowerCase());
+                case 'type':
+                    return (node.type || '').toLowerCase() === value.toLowerCase();
+                case 'tag':
+                    return (node.tags || []).some(tag => tag.toLowerCase() === value.toLowerCase());
+                case 'id':
+                    return node.id === term.nodeIds[index];
+                case 'dependsOn':
+                case 'requiredBy': {
+                    const depth = closures.get(`${term.field}|${term.nodeIds[index]}`).get(node.id);
+                    return depth !== undefined && withinDepth(depth);
+                }
+                case 'level':
+                case 'connections':
+                    return typeof node[term.field] === 'number' && this.compare(node[term.field], term.operator, value);
+                default:
+                    return true; // depth is applied with dependsOn and requiredBy
+            }
+        };
+
+        const matches = nodes.filter(node => terms.every(term =>
+            term.values.some((value, index) => matchesValue(node, term, value, index)) !== term.negated
+        ));
+
+        // Score each match by its best alternative of every word
+        const textMatches = new Map();
+        terms.filter(term => term.field === 'text' && !term.negated).forEach(term => {
+            matches.forEach(node => {
+                const entry = textMatches.get(node.id) || { score: 0, terms: new Set() };
+                let best = 0;
+                term.matches.forEach(match => {
+                    const wordMatch = match.get(node.id);
+                    if (!wordMatch) return;
+                    best = Math.max(best, wordMatch.score);
+                    wordMatch.terms.forEach(matched => entry.terms.add(matched));
+                });
+                entry.score += best;
+                textMatches.set(node.id, entry);
+            });
+        });
+
+        if (textMatches.size > 0) {
+            matches.sort((a, b) => textMatches.get(b.id).score - textMatches.get(a.id).score);
+        }
+
+        return { nodes: matches, terms, errors, textMatches };
+    }
+
+    /**
+     * Suggest completions for the term at the cursor
+     * @param {string} text - Query text
+     * @param {number} cursor - Cursor position in the text
+     * @param {Array} nodes - Node data objects
+     * @returns {Object} - { start, end, items: [{ insert, label, detail, complete }] } replacing text from
+     *                     start to end, or null if there is nothing to suggest
+     */
+    getSuggestions(text, cursor, nodes) {
+        // The term being typed runs from the last space before the cursor to the next space
+        let start = cursor;
+        while (start > 0 && !/\s/.test(text[start - 1])) start--;
+        let end = cursor;
+        while (end < text.length && !/\s/.test(text[end])) end++;
+
+        const typed = text.slice(start, cursor);
+        if (!typed) return null;
+
+        const { negated, name, operator, value } = this.splitTerm(typed);
+        const prefix = negated ? '-' : '';
+        let items;
+
+        if (name === null) {
+            // Field names
+            const lower = value.toLowerCase();
+            items = Object.keys(this.fields)
+                .filter(field => field.toLowerCase().startsWith(lower))
+                .map(field => ({
+                    insert: `${prefix}${field}${this.fields[field].operator}`,
+                    label: `${field}${this.fields[field].operator}`,
+                    detail: this.fields[field].description,
+                    complete: false
+                }));
+        } else {
+            const field = this.findField(name);
+            if (!field) return null;
+
+            // Values of the field; earlier alternatives are kept
+            const lastComma = value.lastIndexOf(',');
+            const before = `${prefix}${name}${operator}${value.slice(0, lastComma + 1)}`;
+            const partial = value.slice(lastComma + 1).replace(/"/g, '').toLowerCase();
+
+            items = this.getValueSuggestions(this.fields[field].kind, partial, nodes).map(item => ({
+                insert: before + this.quote(item.value),
+                label: item.label,
+                detail: item.detail,
+                complete: true
+            }));
+        }
+
+        items = items.slice(0, this.maxSuggestions);
+        return items.length > 0 ? { start, end, items } : null;
+    }
+
+    /**
+     * Get the values of a kind of field that start with (or for nodes, contain) a partial value
+     * @param {string} kind - 'type', 'tag' or 'node'
+     * @param {string} partial - Lowercase partial value
+     * @param {Array} nodes - Node data objects
+     * @returns {Array} - [{ value, label, detail }]
+     */
+    getValueSuggestions(kind, partial, nodes) {
+        if (kind === 'type' || kind === 'tag') {
+            const counts = new Map();
+            nodes.forEach(node => {
+                const values = kind === 'type' ? [node.type] : (node.tags || []);
+                new Set(values).forEach(value => {
+                    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+                });
+            });
+
+            return Array.from(counts)
+                .filter(([value]) => value.toLowerCase().startsWith(partial))
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .map(([value, count]) => ({ value, label: value, detail: `${count} node${count === 1 ? '' : 's'}` }));
+        }
+
+        if (kind === 'node') {
+            // IDs starting with the partial value come before other matches
+            return nodes
+                .filter(node => node.id.toLowerCase().includes(partial) ||
+                    (node.label || '').toLowerCase().includes(partial))
+                .map(node => ({ node, rank: node.id.toLowerCase().startsWith(partial) ? 0 : 1 }))
+                .sort((a, b) => a.rank - b.rank || a.node.id.localeCompare(b.node.id))
+                .map(({ node }) => ({ value: node.id, label: node.id, detail: node.label || '' }));
+        }
+
+        return [];
+    }
+
+    /**
+     * Quote a value if it contains spaces, commas or quotes
+     * @param {string} value - Value
+     * @returns {string} - Value as typed in a query
+     */
+    quote(value) {
+        return /[\s,"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+    }
+}
+
+// Create a singleton instance
+const graphQuery = new GraphQuery();
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = graphQuery;
+} else {
+    window.graphQuery = graphQuery;
+}
\ No newline at end of file
@@ -0,0 +1,262 @@
+/**
+ * HistoryManager.js
+ * Records undoable commands (graph mutations and view changes) and
+ * replays them for undo/redo
+ */
+class HistoryManager {
+    constructor() {
+        // Command stacks; a command is { label, undo(), redo() }
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Maximum number of commands kept for undo
+        this.maxEntries = 200;
+
+        // Open batch collecting commands into a single entry
+        this.batch = null;
+        this.batchDepth = 0;
+
+        // True while undoing/redoing, so replayed changes are not recorded again
+        this.isReplaying = false;
+
+        // Callbacks invoked when the history changes, and when an undo or redo fails
+        this.listeners = [];
+        this.failureListeners = [];
+    }
+
+    /**
+     * Record a command that has already been performed
+     * @param {Object} command - { label, undo(), redo() }
+     */
+    record(command) {
+        if (this.isReplaying) return;
+
+        if (this.batch) {
+            this.batch.commands.push(command);
+            return;
+        }
+
+        this.undoStack.push({ ...command, timestamp: Date.now() });
+        if (this.undoStack.length > this.maxEntries) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this.notifyListeners();
+    }
+
+    /**
+     * Start collecting commands into a single history entry
+     * Batches may be nested; only the outermost label is used
+     * @param {string} label - Label for the combined entry
+     */
+    beginBatch(label) {
+        if (this.isReplaying) return;
+
+        if (this.batchDepth === 0) {
+            this.batch = { label, commands: [] };
+        }
+        this.batchDepth++;
+    }
+
+    /**
+     * Finish the current batch and record it as one entry
+     */
+    endBatch() {
+        if (this.isReplaying || this.batchDepth === 0) return;
+
+        this.batchDepth--;
+        if (this.batchDepth > 0) return;
+
+        const batch = this.batch;
+        this.batch = null;
+
+        if (batch.commands.length === 0) return;
+
+        if (batch.commands.length === 1) {
+            this.record({ ...batch.commands[0], label: batch.label });
+            return;
+        }
+
+        const commands = batch.commands;
+        this.record({
+            label: batch.label,
+            undo: () => {
+                for (let i = commands.length - 1; i >= 0; i--) {
+                    commands[i].undo();
+                }
+            },
+            redo: () => {
+                commands.forEach(command => command.redo());
+            }
+        });
+    }
+
+    /**
+     * Undo the most recent command
+     * A command that fails to undo is dropped, since its state is unknown
+     * @returns {boolean} - Whether a command was undone
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        const undone = this.replay(() => command.undo(), `undo "${command.label}"`);
+        if (undone) {
+            this.redoStack.push(command);
+        }
+        this.notifyListeners();
+        return undone;
+    }
+
+    /**
+     * Redo the most recently undone command
+     * A command that fails to redo is dropped, since its state is unknown
+     * @returns {boolean} - Whether a command was redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        const redone = this.replay(() => command.redo(), `redo "${command.label}"`);
+        if (redone) {
+            this.undoStack.push(command);
+        }
+        this.notifyListeners();
+        return redone;
+    }
+
+    /**
+     * Undo or redo until the given number of commands are applied
+     * @param {number} count - Number of commands that should remain on the undo stack
+     */
+    goTo(count) {
+        while (this.undoStack.length > count && this.undo()) {
+            // Keep undoing
+        }
+        while (this.undoStack.length < count && this.redo()) {
+            // Keep redoing
+        }
+    }
+
+    /**
+     * Run a command function without recording the changes it causes
+     * @param {Function} fn - Function to run
+     * @param {string} description - Description for error reports
+     * @returns {boolean} - Whether the function ran without throwing
+     */
+    replay(fn, description) {
+        this.isReplaying = true;
+        try {
+            fn();
+            return true;
+        } catch (error) {
+            console.error(`Failed to ${description}:`, error);
+            this.notifyFailureListeners(`Failed to ${description}`, error);
+            return false;
+        } finally {
+            this.isReplaying = false;
+        }
+    }
+
+    /**
+     * Remove all recorded commands
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.batch = null;
+        this.batchDepth = 0;
+        this.notifyListeners();
+    }
+
+    /**
+     * Check if there is a command to undo
+     * @returns {boolean} - Whether undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check if there is a command to redo
+     * @returns {boolean} - Whether redo is possible
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Get the recorded entries, oldest first
+     * @returns {Object} - { done: Array, undone: Array } of { label, timestamp }
+     */
+    getEntries() {
+        const describe = command => ({ label: command.label, timestamp: command.timestamp });
+        return {
+            done: this.undoStack.map(describe),
+            undone: this.redoStack.slice().reverse().map(describe)
+        };
+    }
+
+    /**
+     * Register a callback for history changes
+     * @param {Function} callback - Called with the history manager
+     * @returns {Function} - Function that unregisters the callback
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Register a callback for undo or redo failures
+     * @param {Function} callback - Called with a description and the error
+     * @returns {Function} - Function that unregisters the callback
+     */
+    onFailure(callback) {
+        this.failureListeners.push(callback);
+        return () => {
+            this.failureListeners = this.failureListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Notify listeners of a history change
+     */
+    notifyListeners() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('Error in history listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Notify listeners of a failed undo or redo
+     * @param {string} description - What failed
+     * @param {Error} error - Error thrown by the command
+     */
+    notifyFailureListeners(description, error) {
+        this.failureListeners.forEach(listener => {
+            try {
+                listener(description, error);
+            } catch (listenerError) {
+                console.error('Error in history failure listener:', listenerError);
+            }
+        });
+    }
+}
+
+// Create a singleton instance
+const historyManager = new HistoryManager();
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = historyManager;
+} else {
+    window.historyManager = historyManager;
+}
\ No newline at end of file
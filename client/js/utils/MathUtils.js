@@ -33,6 +33,51 @@ class MathUtils {
         return Math.sqrt(dx * dx + dy * dy);
     }
     
+    /**
+     * Calculate 2D distance from a point to a line segment (ignoring z-coordinate)
+     * @param {Object} point - Point with x, y properties
+     * @param {Object} start - Segment start with x, y properties
+     * @param {Object} end - Segment end with x, y properties
+     * @returns {number} - Distance to the nearest point of the segment
+     */
+    distanceToSegment2D(point, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSq = dx * dx + dy * dy;
+        
+        // Parameter of the projection onto the segment, clamped to its ends
+        let t = 0;
+        if (lengthSq > this.EPSILON) {
+            t = ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSq;
+            t = Math.max(0, Math.min(1, t));
+        }
+        
+        return this.distance2D(point, { x: start.x + dx * t, y: start.y + dy * t });
+    }
+    
+    /**
+     * Check if a point lies inside a polygon (ignoring z-coordinate)
+     * @param {Object} point - Point with x, y properties
+     * @param {Array} polygon - Vertices with x, y properties; the last connects to the first
+     * @returns {boolean} - Whether the point is inside (even-odd rule)
+     */
+    pointInPolygon2D(point, polygon) {
+        let inside = false;
+        
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            
+            // Count the edges a ray to the right of the point crosses
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        
+        return inside;
+    }
+    
     /**
      * Calculate the midpoint between two points
      * @param {Object} point1 - First point with x, y, z properties
@@ -0,0 +1,303 @@
+/**
+ * SearchIndex.js
+ * Inverted index over the text of nodes and their theorem details (statements,
+ * explanations, proof sketches, papers and LaTeX source) for ranked search.
+ * Words match exactly, as a prefix, or with a typo or two, e.g. "weirstrass"
+ * finds Bolzano-Weierstrass. LaTeX commands are indexed with and without their
+ * backslash, so both \sup and sup find them
+ */
+class SearchIndex {
+    constructor() {
+        // Indexed fields: where the text comes from, how much a match there counts, and its display name
+        this.fields = [
+            { name: 'label', title: 'Label', weight: 5, get: (node, details) => [node.label, details.title] },
+            { name: 'tags', title: 'Tags', weight: 3, get: (node, details) => [...(node.tags || []), ...(details.tags || [])] },
+            { name: 'description', title: 'Description', weight: 2, get: node => [node.description] },
+            { name: 'statement', title: 'Statement', weight: 2, get: (node, details) => [details.statement] },
+            { name: 'latex', title: 'LaTeX', weight: 1.5, get: (node, details) => [details.statement_latex] },
+            { name: 'explanation', title: 'Explanation', weight: 1, get: (node, details) => [details.explanation] },
+            { name: 'proof', title: 'Proof sketch', weight: 1, get: (node, details) => [details.proof_sketch] },
+            {
+                name: 'papers',
+                title: 'Papers',
+                weight: 1,
+                get: (node, details) => (details.papers || []).map(paper =>
+                    [paper.title, paper.author, paper.year].filter(Boolean).join(', '))
+            },
+            { name: 'prerequisites', title: 'Prerequisites', weight: 0.5, get: (node, details) => [details.prerequisites] },
+            { name: 'applications', title: 'Applications', weight: 0.5, get: (node, details) => [details.applications] }
+        ];
+
+        // Score factors of a prefix match and of each typo
+        this.prefixFactor = 0.7;
+        this.typoFactor = 0.5;
+
+        // Characters of context shown around the first match in a snippet
+        this.snippetLength = 90;
+
+        // Term -> Map of node ID -> summed weight of the fields containing it
+        this.postings = new Map();
+
+        // Node ID -> [{ field, text }] with the indexed text, for snippets
+        this.documents = new Map();
+    }
+
+    /**
+     * Rebuild the index
+     * @param {Array} nodes - Node data objects
+     * @param {Object} theoremDetails - Theorem details keyed by node ID
+     */
+    build(nodes, theoremDetails = {}) {
+        this.postings = new Map();
+        this.documents = new Map();
+
+        nodes.forEach(node => {
+            const details = theoremDetails[node.id] || {};
+            const texts = [];
+
+            this.fields.forEach(field => {
+                const text = field.get(node, details).filter(Boolean).join('; ');
+                if (!text) return;
+                texts.push({ field, text });
+
+                new Set(this.tokenize(text).map(token => token.term)).forEach(term => {
+                    if (!this.postings.has(term)) {
+                        this.postings.set(term, new Map());
+                    }
+                    const posting = this.postings.get(term);
+                    posting.set(node.id, (posting.get(node.id) || 0) + field.weight);
+                });
+            });
+
+            this.documents.set(node.id, texts);
+        });
+    }
+
+    /**
+     * Normalize a word for the index: lower case, without accents
+     * @param {string} word - Word
+     * @returns {string} - Normalized word
+     */
+    normalize(word) {
+        return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Split text into index terms
+     * @param {string} text - Text, possibly LaTeX source
+     * @returns {Array} - [{ term, start, end }] with positions in the text; a LaTeX command
+     *                    yields one term with its backslash and one without
+     */
+    tokenize(text) {
+        const tokens = [];
+        const pattern = /\\[a-zA-Z]+|[\p{L}\p{N}]+/gu;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            const term = this.normalize(match[0]);
+
+            tokens.push({ term, start, end });
+            if (term[0] === '\\') {
+                tokens.push({ term: term.slice(1), start, end });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Count the edits (insertions, deletions, substitutions and swaps of neighbours) between two words
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} max - Largest distance of interest
+     * @returns {number} - Distance, or max + 1 if larger than max
+     */
+    editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        // Rows of the dynamic programming table: two rows back, previous and current
+        let before = null;
+        let previous = Array.from({ length: b.length + 1 }, (value, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (before && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, before[j - 2] + 1);
+                }
+                current.push(distance);
+                rowMin = Math.min(rowMin, distance);
+            }
+
+            if (rowMin > max) return max + 1;
+            before = previous;
+            previous = current;
+        }
+
+        return Math.min(previous[b.length], max + 1);
+    }
+
+    /**
+     * Get the number of typos tolerated in a query word
+     * @param {string} word - Normalized query word
+     * @returns {number} - Allowed edit distance
+     */
+    getAllowedTypos(word) {
+        if (word[0] === '\\' || word.length < 4) return 0;
+        return word.length < 8 ? 1 : 2;
+    }
+
+    /**
+     * Find the index terms a query word matches
+     * @param {string} word - Normalized query word
+     * @returns {Array} - [{ term, factor }] with the score factor of each match
+     */
+    expand(word) {
+        const allowedTypos = this.getAllowedTypos(word);
+        const matches = [];
+
+        this.postings.forEach((posting, term) => {
+            if (term === word) {
+                matches.push({ term, factor: 1 });
+            } else if (word.length >= 2 && term.startsWith(word)) {
+                matches.push({ term, factor: this.prefixFactor });
+            } else if (allowedTypos > 0) {
+                const distance = this.editDistance(word, term, allowedTypos);
+                if (distance <= allowedTypos) {
+                    matches.push({ term, factor: Math.pow(this.typoFactor, distance) });
+                }
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * Search the index; every word of the text must match
+     * @param {string} text - Search text
+     * @returns {Map} - Node ID -> { score, terms: Set of matched index terms }
+     */
+    search(text) {
+        // A LaTeX command in the search stays a command (without its copy lacking the backslash)
+        const tokens = this.tokenize(text).filter((token, index, all) => index === 0 || token.start !== all[index - 1].start);
+        const words = Array.from(new Set(tokens.map(token => token.term)));
+        if (words.length === 0) return new Map();
+
+        const documentCount = Math.max(this.documents.size, 1);
+        let results = null;
+
+        for (const word of words) {
+            // Best match of the word in each node
+            const wordResults = new Map();
+            this.expand(word).forEach(({ term, factor }) => {
+                const posting = this.postings.get(term);
+                const idf = Math.log(1 + documentCount / posting.size);
+
+                posting.forEach((weight, id) => {
+                    const score = factor * idf * weight;
+                    const entry = wordResults.get(id);
+                    if (!entry) {
+                        wordResults.set(id, { score, terms: new Set([term]) });
+                    } else {
+                        entry.score = Math.max(entry.score, score);
+                        entry.terms.add(term);
+                    }
+                });
+            });
+
+            if (results === null) {
+                results = wordResults;
+            } else {
+                const combined = new Map();
+                results.forEach((entry, id) => {
+                    const wordEntry = wordResults.get(id);
+                    if (wordEntry) {
+                        combined.set(id, {
+                            score: entry.score + wordEntry.score,
+                            terms: new Set([...entry.terms, ...wordEntry.terms])
+                        });
+                    }
+                });
+                results = combined;
+            }
+
+            if (results.size === 0) break;
+        }
+
+        return results;
+    }
+
+    /**
+     * Split text into plain and matching parts, for highlighting
+     * @param {string} text - Text
+     * @param {Set} terms - Matched index terms
+     * @returns {Array} - [{ text, match }]
+     */
+    highlight(text, terms) {
+        const parts = [];
+        let position = 0;
+
+        this.tokenize(text).forEach(token => {
+            if (!terms.has(token.term) || token.start < position) return;
+            if (token.start > position) {
+                parts.push({ text: text.slice(position, token.start), match: false });
+            }
+            parts.push({ text: text.slice(token.start, token.end), match: true });
+            position = token.end;
+        });
+
+        if (position < text.length) {
+            parts.push({ text: text.slice(position), match: false });
+        }
+        return parts;
+    }
+
+    /**
+     * Get an excerpt around the first match in a node's details, from the field
+     * where a match counts most (the label and tags are shown anyway)
+     * @param {string} nodeId - Node ID
+     * @param {Set} terms - Matched index terms
+     * @returns {Object} - { field: display name, parts: [{ text, match }] }, or null without a match there
+     */
+    getSnippet(nodeId, terms) {
+        const texts = (this.documents.get(nodeId) || [])
+            .filter(({ field }) => field.name !== 'label' && field.name !== 'tags');
+
+        for (const { field, text } of texts) {
+            const first = this.tokenize(text).find(token => terms.has(token.term));
+            if (!first) continue;
+
+            // Start a little before the match, at a word boundary
+            let start = Math.max(0, first.start - Math.floor(this.snippetLength / 3));
+            if (start > 0) {
+                const space = text.indexOf(' ', start);
+                start = space !== -1 && space < first.start ? space + 1 : first.start;
+            }
+            const end = Math.min(text.length, start + this.snippetLength);
+
+            const parts = this.highlight(text.slice(start, end), terms);
+            if (start > 0) parts.unshift({ text: '…', match: false });
+            if (end < text.length) parts.push({ text: '…', match: false });
+
+            return { field: field.title, parts };
+        }
+
+        return null;
+    }
+}
+
+// Create a singleton instance
+const searchIndex = new SearchIndex();
+
+// Make available in module and global contexts
+if (typeof module !== 'undefined') {
+    module.exports = searchIndex;
+} else {
+    window.searchIndex = searchIndex;
+}
\ No newline at end of file
@@ -26,9 +26,46 @@ class ThemeManager {
         // Default color for unknown edge types
         this.defaultEdgeColor = 0xBDBDBD; // Light gray
         
+        // Line style of each edge type: dash pattern and whether the target end gets an arrowhead
+        this.edgeStyles = {
+            'depends_on': { dash: 'solid', arrow: true },
+            'proves': { dash: 'dashed', arrow: true },
+            'generalizes': { dash: 'dotted', arrow: true }
+        };
+        
+        // Style for unknown edge types
+        this.defaultEdgeStyle = { dash: 'solid', arrow: true };
+        
+        // Dash patterns in world units; solid lines have none
+        this.dashPatterns = {
+            'solid': null,
+            'dashed': { dashSize: 6, gapSize: 4 },
+            'dotted': { dashSize: 1.5, gapSize: 3 }
+        };
+        
+        // Arrowhead cone size in world units
+        this.edgeArrowProps = {
+            length: 8,
+            radius: 3
+        };
+        
+        // Bend pairs of opposite edges (A -> B and B -> A) apart so both stay visible;
+        // the curvature is the bend relative to the edge length
+        this.curveBidirectionalEdges = true;
+        this.edgeCurvature = 0.15;
+        
+        // Particles traveling along the edges of the selected node: count per edge,
+        // seconds per trip from source to target, point size in world units and
+        // how far their color is lightened toward white
+        this.edgeFlowProps = {
+            particlesPerEdge: 3,
+            period: 1.6,
+            size: 5,
+            lighten: 0.4
+        };
+        
         // Node material properties - FIXED: Added complete set of properties
         this.nodeMaterialProps = {
-            emissiveIntensity: 0.4,
             shininess: 60,
             opacity: 0.85,
             transparent: true,
@@ -37,22 +74,6 @@ class ThemeManager {
             flatShading: false
         };
         
-        // Selected node material properties
-        this.selectedNodeMaterialProps = {
-            emissiveIntensity: 0.8,
-            opacity: 1.0,
-            transparent: true,
-            shininess: 70
-        };
-        
-        // Related node material properties
-        this.relatedNodeMaterialProps = {
-            emissiveIntensity: 0.6,
-            opacity: 0.95,
-            transparent: true,
-            shininess: 65
-        };
-        
         // Edge material properties
         this.edgeMaterialProps = {
             opacity: 0.6,
@@ -66,25 +87,25 @@ class ThemeManager {
             transparent: true,
             linewidth: 2.5
         };
+        
+        // Dimmed edge material properties
+        this.dimmedEdgeMaterialProps = {
+            opacity: 0.08,
+            transparent: true
+        };
 
-        // Material caches
-        this.nodeMaterials = {}; // Cache for node materials
-        this.edgeMaterials = {}; // Cache for edge materials
-    }
+        // Per-instance node styles for each state: size factor, how far the color
+        // is lightened toward white and how far it is faded toward the background
+        this.nodeInstanceStyles = {
+            default: { scale: 1, lighten: 0, fade: 0 },
+            selected: { scale: 1.3, lighten: 0.35, fade: 0 },
+            related: { scale: 1.1, lighten: 0.15, fade: 0 },
+            dimmed: { scale: 1, lighten: 0, fade: 0.85 },
+            ghost: { scale: 0.6, lighten: 0, fade: 0.92 } // Left out by the filter panel
+        };
 
-    /**
-     * Get or create a node material with caching
-     * @param {string} type - The node type
-     * @param {string} state - The node state
-     * @returns {THREE.MeshPhongMaterial} - Cached or new material
-     */
-    getNodeMaterial(type, state = 'default') {
-        const key = `${type}-${state}`;
-        if (!this.nodeMaterials[key]) {
-            const materialProps = this.createNodeMaterial(type, state);
-            this.nodeMaterials[key] = new THREE.MeshPhongMaterial(materialProps);
-        }
-        return this.nodeMaterials[key].clone(); // Return a clone to avoid shared state
+        // Material cache
+        this.edgeMaterials = {}; // Cache for edge materials
     }
 
     /**
@@ -102,17 +123,158 @@ class ThemeManager {
         return this.edgeMaterials[key].clone(); // Return a clone to avoid shared state
     }
 
+    /**
+     * Create the material shared by the instances of a node type
+     * Instance colors carry the type color and state, so the material is white
+     * @returns {THREE.MeshPhongMaterial} - New material
+     */
+    getInstancedNodeMaterial() {
+        const props = this.nodeMaterialProps;
+        return new THREE.MeshPhongMaterial({
+            color: 0xffffff,
+            shininess: props.shininess,
+            transparent: props.transparent,
+            opacity: props.opacity,
+            depthWrite: props.depthWrite,
+            side: props.side,
+            flatShading: props.flatShading
+        });
+    }
+
+    /**
+     * Create the material of the merged edge lines of a dash pattern, colored per vertex
+     * @param {string} dash - Dash pattern name (see dashPatterns)
+     * @returns {THREE.LineBasicMaterial} - New material, a LineDashedMaterial for dashed patterns
+     */
+    getMergedEdgeMaterial(dash = 'solid') {
+        const props = {
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false,
+            linewidth: this.edgeMaterialProps.linewidth
+        };
+        
+        const pattern = this.getDashPattern(dash);
+        if (pattern) {
+            return new THREE.LineDashedMaterial({ ...props, dashSize: pattern.dashSize, gapSize: pattern.gapSize });
+        }
+        return new THREE.LineBasicMaterial(props);
+    }
+    
+    /**
+     * Create the material shared by the arrowheads
+     * Instance colors carry the edge color and state, so the material is white
+     * @returns {THREE.MeshBasicMaterial} - New material
+     */
+    getEdgeArrowMaterial() {
+        return new THREE.MeshBasicMaterial({ color: 0xffffff });
+    }
+    
+    /**
+     * Create the material of the flow particles, colored per vertex
+     * @returns {THREE.PointsMaterial} - New material
+     */
+    getEdgeFlowMaterial() {
+        return new THREE.PointsMaterial({
+            size: this.edgeFlowProps.size,
+            vertexColors: true,
+            sizeAttenuation: true,
+            depthWrite: false
+        });
+    }
+    
+    /**
+     * Compute the color of the flow particles of an edge type
+     * @param {string} type - The edge type
+     * @param {THREE.Color} target - Color to write to
+     * @returns {THREE.Color} - The target color
+     */
+    getEdgeFlowColor(type, target) {
+        return target.setHex(this.getEdgeColor(type)).lerp(new THREE.Color(0xffffff), this.edgeFlowProps.lighten);
+    }
+    
+    /**
+     * Get the line style of an edge type
+     * @param {string} type - The edge type
+     * @returns {Object} - { dash, arrow }
+     */
+    getEdgeStyle(type) {
+        return this.edgeStyles[type] || this.defaultEdgeStyle;
+    }
+    
+    /**
+     * Change the line style of an edge type
+     * Call EdgeManager.refreshStyles afterwards to redraw the edges
+     * @param {string} type - The edge type
+     * @param {Object} style - Fields to change: dash (a dashPatterns name) and/or arrow
+     */
+    setEdgeStyle(type, style) {
+        if (style.dash !== undefined && !(style.dash in this.dashPatterns)) {
+            throw new Error(`Unknown dash pattern: ${style.dash}`);
+        }
+        this.edgeStyles[type] = { ...this.getEdgeStyle(type), ...style };
+    }
+    
+    /**
+     * Get a dash pattern
+     * @param {string} dash - Dash pattern name
+     * @returns {Object} - { dashSize, gapSize }, or null for solid lines
+     */
+    getDashPattern(dash) {
+        return this.dashPatterns[dash] || null;
+    }
+
+    /**
+     * Get the per-instance style of a node state
+     * @param {string} state - The node state ('default', 'selected', 'related', 'dimmed', 'ghost')
+     * @returns {Object} - { scale, lighten, fade }
+     */
+    getNodeInstanceStyle(state = 'default') {
+        return this.nodeInstanceStyles[state] || this.nodeInstanceStyles.default;
+    }
+
+    /**
+     * Compute the instance color of a node
+     * @param {string} type - The node type
+     * @param {string} state - The node state
+     * @param {number} background - Background color the node is faded toward
+     * @param {THREE.Color} target - Color to write to
+     * @returns {THREE.Color} - The target color
+     */
+    getNodeInstanceColor(type, state, background, target) {
+        const style = this.getNodeInstanceStyle(state);
+        
+        target.setHex(this.getNodeColor(type));
+        if (style.lighten) {
+            target.lerp(new THREE.Color(0xffffff), style.lighten);
+        }
+        if (style.fade) {
+            target.lerp(new THREE.Color(background), style.fade);
+        }
+        return target;
+    }
+
+    /**
+     * Compute the vertex color of an edge
+     * The edge color is blended over the background by the state's opacity
+     * @param {string} type - The edge type
+     * @param {string} state - The edge state ('default', 'selected', 'dimmed')
+     * @param {number} background - Background color
+     * @param {THREE.Color} target - Color to write to
+     * @returns {THREE.Color} - The target color
+     */
+    getEdgeVertexColor(type, state, background, target) {
+        const opacity = this.getEdgeMaterialProps(state).opacity;
+        return target.setHex(background).lerp(new THREE.Color(this.getEdgeColor(type)), opacity);
+    }
+
     /**
      * Dispose of all cached materials
      */
     disposeMaterials() {
-        for (const key in this.nodeMaterials) {
-            this.nodeMaterials[key].dispose();
-        }
         for (const key in this.edgeMaterials) {
             this.edgeMaterials[key].dispose();
         }
-        this.nodeMaterials = {};
         this.edgeMaterials = {};
     }
     
@@ -134,36 +296,9 @@ class ThemeManager {
         return this.edgeColors[type] || this.defaultEdgeColor;
     }
     
-    /**
-     * Get node material properties based on state
-     * @param {string} state - The node state ('default', 'selected', 'related')
-     * @returns {Object} - Material properties
-     */
-    getNodeMaterialProps(state = 'default') {
-        // Start with base properties
-        const baseProps = JSON.parse(JSON.stringify(this.nodeMaterialProps));
-        
-        // Merge with state-specific properties
-        let stateProps = {};
-        switch (state) {
-            case 'selected':
-                stateProps = this.selectedNodeMaterialProps;
-                break;
-            case 'related':
-                stateProps = this.relatedNodeMaterialProps;
-                break;
-            default:
-                // Use base properties
-                break;
-        }
-        
-        // Merge properties, ensuring all required properties exist
-        return { ...baseProps, ...stateProps };
-    }
-    
     /**
      * Get edge material properties based on state
-     * @param {string} state - The edge state ('default', 'selected')
+     * @param {string} state - The edge state ('default', 'selected', 'dimmed')
      * @returns {Object} - Material properties
      */
     getEdgeMaterialProps(state = 'default') {
@@ -174,34 +309,13 @@ class ThemeManager {
         if (state === 'selected') {
             return { ...baseProps, ...this.selectedEdgeMaterialProps };
         }
+        if (state === 'dimmed') {
+            return { ...baseProps, ...this.dimmedEdgeMaterialProps };
+        }
         
         return baseProps;
     }
     
-    /**
-     * Create a node material with the appropriate color and properties
-     * @param {string} type - The node type
-     * @param {string} state - The node state
-     * @returns {Object} - THREE.js material properties
-     */
-    createNodeMaterial(type, state = 'default') {
-        const color = this.getNodeColor(type);
-        const props = this.getNodeMaterialProps(state);
-        
-        // Return complete configuration object
-        return {
-            color: color,
-            emissive: color,
-            emissiveIntensity: props.emissiveIntensity,
-            shininess: props.shininess,
-            transparent: props.transparent,
-            opacity: props.opacity,
-            depthWrite: props.depthWrite,
-            side: props.side,
-            flatShading: props.flatShading
-        };
-    }
-    
     /**
      * Create an edge material with the appropriate color and properties
      * @param {string} type - The edge type